@@ -0,0 +1,44 @@
+/**
+ * Balances
+ * The balances and Echtgeld debts the app shows and checks against, derived from the `transactions`
+ * table by replaying the ledger (`ledger.js`) with the season resets and the overdraft limit in force
+ * on each booking's date. The `finances` table only holds a stored copy that the write paths set from
+ * these values; `storedDifferences` names where the copy has drifted.
+ */
+import { supabase } from './supabaseClient.js';
+import { TEAMS } from './standings.js';
+import { replayLedger, floorsByDate, ACCOUNT_LABELS } from './ledger.js';
+import { ledgerResets } from './seasons.js';
+import { getRulesForDate } from './leagueRules.js';
+
+/**
+ * Stände je Team aus allen Transaktionen.
+ * @param {Array} transactions - alle Transaktionen (nicht nur die der gewählten Saison)
+ * @returns {Object} { AEK: { balance, debt }, Real: { balance, debt } }
+ */
+export function ledgerBalances(transactions = []) {
+    return replayLedger(transactions, ledgerResets(), floorsByDate(getRulesForDate)).finances;
+}
+
+export async function loadLedgerBalances() {
+    const { data, error } = await supabase.from('transactions').select('*');
+    if (error) throw error;
+    return ledgerBalances(data || []);
+}
+
+/**
+ * Abweichungen der gespeicherten Zeilen aus `finances` von den nachgerechneten Ständen.
+ * @returns {Array} [{ team, account, stored, derived }]
+ */
+export function storedDifferences(financeRows = [], balances = {}) {
+    const differences = [];
+    TEAMS.forEach(team => {
+        const row = financeRows.find(f => f.team === team) || {};
+        Object.keys(ACCOUNT_LABELS).forEach(account => {
+            const stored = row[account] || 0;
+            const derived = balances[team]?.[account] || 0;
+            if (stored !== derived) differences.push({ team, account, stored, derived });
+        });
+    });
+    return differences;
+}
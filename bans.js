@@ -1,5 +1,12 @@
 import { showModal, hideModal, showSuccessAndCloseModal } from './modal.js';
 import { supabase } from './supabaseClient.js';
+import { getLeagueRules } from './leagueRules.js';
+import { getListState, applyListState, renderListToolbar } from './listToolbar.js';
+import { dataManager } from './dataManager.js';
+import { ErrorHandler } from './utils.js';
+import { undoManager, banRestoreSteps } from './undo.js';
+
+const LIST_TAB = "bans";
 
 // --- Helper-Funktion: Spieler für Team laden ---
 async function getPlayersByTeam(team) {
@@ -13,18 +20,20 @@ async function getPlayersByTeam(team) {
 
 let bans = [];
 let playersCache = [];
-
-const BAN_TYPES = [
-    { value: "Gelb-Rote Karte", label: "Gelb-Rote Karte", duration: 1 },
-    { value: "Rote Karte", label: "Rote Karte", duration: 2 },
-    { value: "Verletzung", label: "Verletzung", duration: 3 }
-];
-const ALLOWED_BAN_COUNTS = [1, 2, 3, 4, 5, 6];
+let servingsCache = [];
+let matchesCache = [];
 
 export async function loadBansAndRender(renderFn = renderBansLists) {
-    const [{ data: bansData, error: errorBans }, { data: playersData, error: errorPlayers }] = await Promise.all([
+    const [
+        { data: bansData, error: errorBans },
+        { data: playersData, error: errorPlayers },
+        { data: servingsData, error: errorServings },
+        { data: matchesData }
+    ] = await Promise.all([
         supabase.from('bans').select('*'),
-        supabase.from('players').select('*')
+        supabase.from('players').select('*'),
+        supabase.from('ban_servings').select('*'),
+        supabase.from('matches').select('id, date')
     ]);
     if (errorBans) {
         alert('Fehler beim Laden der Sperren: ' + errorBans.message);
@@ -38,6 +47,10 @@ export async function loadBansAndRender(renderFn = renderBansLists) {
     } else {
         playersCache = playersData || [];
     }
+    // Ohne Verlauf werden die Sperren trotzdem angezeigt
+    if (errorServings) console.warn('Fehler beim Laden der abgesessenen Spiele:', errorServings.message);
+    servingsCache = errorServings ? [] : (servingsData || []);
+    matchesCache = matchesData || [];
     renderFn();
 }
 
@@ -54,6 +67,7 @@ export function renderBansTab(containerId = "app") {
                     Sperre hinzufügen
                 </button>
             </div>
+            <div id="bans-toolbar"></div>
             <div>
                 <h3 class="font-bold text-base mb-2 dark:text-white">Aktive Sperren</h3>
                 <div id="bans-active-list" class="mb-8"></div>
@@ -77,12 +91,46 @@ export function renderBansTab(containerId = "app") {
 }
 
 function renderBansLists() {
-    const activeBans = bans.filter(b => getRestGames(b) > 0);
+    getListState(LIST_TAB, { sort: "newest" });
+    renderListToolbar(document.getElementById('bans-toolbar'), LIST_TAB, {
+        search: "Spieler oder Grund suchen…",
+        filters: [
+            { name: "team", label: "Alle Teams", options: [["AEK", "AEK"], ["Real", "Real"]] },
+            { name: "type", label: "Alle Typen", options: getLeagueRules().bans.types.map(t => [t.value, t.label]) }
+        ],
+        sorts: { newest: "Neueste", name: "Name", rest: "Restspiele" }
+    }, renderFilteredBans);
+    renderFilteredBans();
+}
+
+function banPlayerName(ban) {
+    return playersCache.find(p => p.id === ban.player_id)?.name || "";
+}
+
+// Sperren nach Suche, Team, Typ und Sortierung der Toolbar
+function filteredBans() {
+    return applyListState(bans, getListState(LIST_TAB, { sort: "newest" }), {
+        text: ban => `${banPlayerName(ban)} ${ban.reason || ""}`,
+        filters: {
+            team: (ban, team) => ban.team === team,
+            type: (ban, type) => ban.type === type
+        },
+        sorts: {
+            newest: (a, b) => b.id - a.id,
+            name: (a, b) => banPlayerName(a).localeCompare(banPlayerName(b)),
+            rest: (a, b) => getRestGames(b) - getRestGames(a)
+        }
+    });
+}
+
+function renderFilteredBans() {
+    const visible = filteredBans();
+    const activeBans = visible.filter(b => getRestGames(b) > 0);
     renderBanList(activeBans, 'bans-active-list', true);
 
     // Vergangene Sperren: restGames <= 0, nach Team
-    const oldAek = bans.filter(b => getRestGames(b) <= 0 && b.team === "AEK");
-    const oldReal = bans.filter(b => getRestGames(b) <= 0 && b.team === "Real");
+    const oldAek = visible.filter(b => getRestGames(b) <= 0 && b.team === "AEK");
+    const oldReal = visible.filter(b => getRestGames(b) <= 0 && b.team === "Real");
     renderBanList(oldAek, 'bans-history-aek', false);
     renderBanList(oldReal, 'bans-history-real', false);
 }
@@ -91,6 +139,21 @@ function getRestGames(ban) {
     return (ban.totalgames || 1) - (ban.matchesserved || 0);
 }
 
+// Matches, in denen die Sperre abgesessen wurde – mit derselben Nummer wie im Matches-Tab
+function servedInHtml(ban) {
+    const servings = servingsCache.filter(s => s.ban_id === ban.id);
+    if (!servings.length) return '';
+    const labels = servings
+        .map(s => matchesCache.find(m => m.id === s.match_id))
+        .filter(Boolean)
+        .sort((a, b) => a.id - b.id)
+        .map(m => {
+            const nr = matchesCache.filter(x => x.id <= m.id).length;
+            return `Match #${nr}${m.date ? ` (${m.date.split('-').reverse().join('.')})` : ''}`;
+        });
+    return labels.length ? `<div class="text-xs text-gray-400">Abgesessen in: ${labels.join(', ')}</div>` : '';
+}
+
 function renderBanList(list, containerId, active) {
     const c = document.getElementById(containerId);
     if (!c) return;
@@ -120,6 +183,7 @@ function renderBanList(list, containerId, active) {
                 <div class="text-xs text-gray-500">Typ: <b>${ban.type || "-"}</b></div>
                 <div class="text-xs text-gray-500">Start: <b>${ban.totalgames}</b> | Aktuell: <b>${restGames < 0 ? 0 : restGames}</b></div>
                 ${ban.reason ? `<div class="text-xs text-gray-400">Grund: ${ban.reason}</div>` : ''}
+                ${servedInHtml(ban)}
             </div>
             <div class="flex gap-1">
                 ${active ? `
@@ -171,8 +235,32 @@ async function saveBan(ban) {
     }
 }
 
+// Abgesessene Spiele werden mitgelöscht (ON DELETE CASCADE) und beim Rückgängigmachen wiederhergestellt
+async function deleteBan(id) {
+    const ban = bans.find(b => b.id === id);
+    if (!ban) return;
+    const servings = servingsCache.filter(s => s.ban_id === id);
+    const name = playersCache.find(p => p.id === ban.player_id)?.name || "Spieler";
+    const { error } = await supabase.from('bans').delete().eq('id', id);
+    if (error) {
+        ErrorHandler.handleDatabaseError(error, 'Sperre löschen');
+        return;
+    }
+    undoManager.record({
+        label: `Sperre von ${name} gelöscht`,
+        undo: () => dataManager.applyUndo(banRestoreSteps({ ban, servings })),
+        redo: async () => {
+            const { error: redoError } = await supabase.from('bans').delete().eq('id', id);
+            if (redoError) throw redoError;
+        }
+    });
+}
+
 // --- ASYNCHRONE SPIELERAUSWAHL IM MODAL ---
 async function openBanForm(ban = null) {
+    // Sperrtypen und erlaubte Längen kommen aus den Ligaregeln
+    const { types: banTypes, allowedCounts: allowedBanCounts } = getLeagueRules().bans;
+    const gelbRotDuration = banTypes.find(t => t.value === "Gelb-Rote Karte")?.duration || 1;
     const edit = !!ban;
     let team = ban ? ban.team : "AEK";
     // Alle Spieler des gewählten Teams laden
@@ -185,23 +273,23 @@ async function openBanForm(ban = null) {
     }
 
     // Typ-Auswahl
-    const typeOptions = BAN_TYPES.map(t =>
+    const typeOptions = banTypes.map(t =>
         `<option value="${t.value}"${ban && ban.type === t.value ? " selected" : ""}>${t.label}</option>`
     ).join('');
 
-    // Gesamtsperrenzahl (dropdown 1-6, außer Gelb-Rote Karte)
+    // Gesamtsperrenzahl (erlaubte Längen laut Regeln, Gelb-Rote Karte fest)
     function numberOptions(selectedType, selected, fieldName = "totalgames") {
         if (selectedType === "Gelb-Rote Karte")
-            return `<option value="1" selected>1</option>`;
-        return ALLOWED_BAN_COUNTS.map(v =>
+            return `<option value="${gelbRotDuration}" selected>${gelbRotDuration}</option>`;
+        return allowedBanCounts.map(v =>
             `<option value="${v}"${Number(selected) === v ? " selected" : ""}>${v}</option>`
         ).join('');
     }
 
-    const initialType = ban ? ban.type : BAN_TYPES[0].value;
+    const initialType = ban ? ban.type : banTypes[0].value;
     const initialTotalGames = ban
         ? ban.totalgames
-        : BAN_TYPES.find(t => t.value === initialType)?.duration || 1;
+        : banTypes.find(t => t.value === initialType)?.duration || 1;
 
     showModal(`
         <form id="ban-form" class="space-y-6 w-full">
@@ -257,18 +345,18 @@ async function openBanForm(ban = null) {
 
     document.getElementById('ban-type').onchange = function() {
         const type = this.value;
-        let duration = BAN_TYPES.find(t => t.value === type)?.duration || 1;
+        let duration = banTypes.find(t => t.value === type)?.duration || 1;
         updateTotalGames(type, duration);
     };
 
     function updateTotalGames(type, val) {
         const totalGamesSel = document.getElementById('ban-totalgames');
         if (type === "Gelb-Rote Karte") {
-            totalGamesSel.innerHTML = `<option value="1" selected>1</option>`;
+            totalGamesSel.innerHTML = `<option value="${gelbRotDuration}" selected>${gelbRotDuration}</option>`;
             totalGamesSel.setAttribute("disabled", "disabled");
         } else {
             totalGamesSel.removeAttribute("disabled");
-            totalGamesSel.innerHTML = ALLOWED_BAN_COUNTS.map(v =>
+            totalGamesSel.innerHTML = allowedBanCounts.map(v =>
                 `<option value="${v}"${Number(val) === v ? " selected" : ""}>${v}</option>`
             ).join('');
         }
@@ -281,7 +369,7 @@ async function openBanForm(ban = null) {
         const player_id = parseInt(form.player_id.value, 10);
         const type = form.type.value;
         let totalgames = parseInt(form.totalgames.value, 10);
-        if (type === "Gelb-Rote Karte") totalgames = 1;
+        if (type === "Gelb-Rote Karte") totalgames = gelbRotDuration;
         const reason = form.reason.value.trim();
 
         if (ban) {
@@ -308,23 +396,10 @@ async function openBanForm(ban = null) {
     };
 }
 
-// Hilfsfunktion für andere Module:
-export async function decrementBansAfterMatch() {
-    const { data: bansData, error } = await supabase.from('bans').select('*');
-    if (error) return;
-    const updates = [];
-    bansData.forEach(ban => {
-        if (getRestGames(ban) > 0) {
-            updates.push(
-                supabase.from('bans').update({ matchesserved: (ban.matchesserved || 0) + 1 }).eq('id', ban.id)
-            );
-        }
-    });
-    await Promise.all(updates);
-}
-
 // --- RESET-STATE-FUNKTION ---
 export function resetBansState() {
     bans = [];
     playersCache = [];
+    servingsCache = [];
+    matchesCache = [];
 }
\ No newline at end of file
@@ -0,0 +1,121 @@
+/**
+ * Charts
+ * Line charts rendered as plain SVG strings, so they work offline without a chart library.
+ * Hover details come from `<title>` elements on every data point.
+ */
+
+export const CHART_COLORS = {
+    AEK: "#60a5fa",
+    Real: "#f87171",
+    neutral: "#a3a3a3"
+};
+
+// Kompakte Beträge für Achsen und Hover-Details
+export function formatMillions(value) {
+    return `${(value / 1000000).toLocaleString('de-DE', { maximumFractionDigits: 2 })} Mio €`;
+}
+
+function escapeText(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// Runde Achsenschritte (1, 2, 5 × 10^n)
+function niceStep(range, ticks) {
+    const raw = range / ticks || 1;
+    const power = Math.pow(10, Math.floor(Math.log10(raw)));
+    const factor = [1, 2, 5, 10].find(f => f * power >= raw);
+    return factor * power;
+}
+
+/**
+ * Liniendiagramm.
+ * @param {Object} options
+ * @param {Array} options.series - [{ label, color, dashed, points: [{ x, y, detail }] }]; alle Reihen teilen die x-Werte
+ * @param {Function} [options.formatY] - Beschriftung der y-Achse
+ * @param {number} [options.height]
+ * @returns {string} SVG-Markup
+ */
+export function lineChartSvg({ series = [], formatY = v => v.toLocaleString('de-DE'), height = 220 } = {}) {
+    const xs = series[0]?.points.map(p => p.x) || [];
+    if (!xs.length) {
+        return `<div class="text-sm text-gray-400">Keine Daten im gewählten Zeitraum.</div>`;
+    }
+
+    const width = 640;
+    const pad = { top: 12, right: 12, bottom: 28, left: 64 };
+    const values = series.flatMap(s => s.points.map(p => p.y));
+    let min = Math.min(0, ...values);
+    let max = Math.max(...values);
+    if (max === min) max = min + 1;
+    const step = niceStep(max - min, 4);
+    min = Math.floor(min / step) * step;
+    max = Math.ceil(max / step) * step;
+
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const xPos = i => pad.left + (xs.length === 1 ? plotW / 2 : (i / (xs.length - 1)) * plotW);
+    const yPos = v => pad.top + plotH - ((v - min) / (max - min)) * plotH;
+
+    const grid = [];
+    for (let v = min; v <= max + step / 2; v += step) {
+        grid.push(`
+            <line x1="${pad.left}" x2="${width - pad.right}" y1="${yPos(v)}" y2="${yPos(v)}" stroke="#374151" stroke-width="1"/>
+            <text x="${pad.left - 6}" y="${yPos(v) + 4}" text-anchor="end" font-size="11" fill="#9ca3af">${escapeText(formatY(v))}</text>
+        `);
+    }
+
+    // Höchstens ~8 Beschriftungen auf der x-Achse
+    const labelEvery = Math.max(1, Math.ceil(xs.length / 8));
+    const xLabels = xs.map((x, i) => i % labelEvery === 0 || i === xs.length - 1
+        ? `<text x="${xPos(i)}" y="${height - 8}" text-anchor="middle" font-size="11" fill="#9ca3af">${escapeText(x)}</text>`
+        : "").join('');
+
+    const lines = series.map(s => {
+        const color = s.color || CHART_COLORS.neutral;
+        const path = s.points.map((p, i) => `${i ? "L" : "M"}${xPos(i).toFixed(1)},${yPos(p.y).toFixed(1)}`).join(' ');
+        const points = s.points.map((p, i) => `
+            <circle cx="${xPos(i).toFixed(1)}" cy="${yPos(p.y).toFixed(1)}" r="6" fill="transparent" class="chart-hit">
+                <title>${escapeText(`${s.label} – ${p.x}: ${formatY(p.y)}${p.detail ? `\n${p.detail}` : ""}`)}</title>
+            </circle>
+            <circle cx="${xPos(i).toFixed(1)}" cy="${yPos(p.y).toFixed(1)}" r="2.5" fill="${color}" pointer-events="none"/>
+        `).join('');
+        return `<path d="${path}" fill="none" stroke="${color}" stroke-width="2"${s.dashed ? ' stroke-dasharray="5 4"' : ''}/>${points}`;
+    }).join('');
+
+    const legend = series.map(s => `
+        <span class="inline-flex items-center gap-1 mr-3">
+            <span class="inline-block w-3 h-0.5" style="background:${s.color || CHART_COLORS.neutral}"></span>${escapeText(s.label)}
+        </span>
+    `).join('');
+
+    return `
+        <svg viewBox="0 0 ${width} ${height}" class="w-full h-auto" role="img">
+            ${grid.join('')}
+            ${xLabels}
+            ${lines}
+        </svg>
+        <div class="text-xs text-gray-300 mt-1">${legend}</div>
+    `;
+}
+
+// Von/Bis-Auswahl für Diagramme und Tabellen; `idPrefix` hält die IDs eindeutig
+export function dateRangeHtml(idPrefix, range = { from: "", to: "" }) {
+    const inputClass = "border border-gray-600 bg-gray-700 text-gray-100 rounded-lg p-1 text-sm";
+    return `
+        <span class="inline-flex flex-wrap items-center gap-2">
+            <input type="date" id="${idPrefix}-from" value="${range.from}" title="Von" class="${inputClass}">
+            <span class="text-gray-400">–</span>
+            <input type="date" id="${idPrefix}-to" value="${range.to}" title="Bis" class="${inputClass}">
+            ${range.from || range.to ? `<button type="button" id="${idPrefix}-reset" class="text-xs text-sky-400 hover:underline">Zurücksetzen</button>` : ""}
+        </span>
+    `;
+}
+
+export function attachDateRange(idPrefix, range, onChange) {
+    ["from", "to"].forEach(key => {
+        const input = document.getElementById(`${idPrefix}-${key}`);
+        if (input) input.onchange = () => onChange({ ...range, [key]: input.value });
+    });
+    const reset = document.getElementById(`${idPrefix}-reset`);
+    if (reset) reset.onclick = () => onChange({ from: "", to: "" });
+}
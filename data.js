@@ -1,5 +1,6 @@
 import { dataManager } from './dataManager.js';
 import { ErrorHandler } from './utils.js';
+import { pickAttributes } from './playerAttributes.js';
 
 export const POSITIONEN = ["TH","LV","RV","IV","ZDM","ZM","ZOM","LM","RM","LF","RF","ST"];
 
@@ -78,7 +79,8 @@ export async function savePlayer(player) {
                 name: player.name,
                 team: player.team,
                 position: player.position,
-                value: player.value
+                value: player.value,
+                ...pickAttributes(player)
             }, player.id);
             return result;
         } else {
@@ -86,7 +88,8 @@ export async function savePlayer(player) {
                 name: player.name,
                 team: player.team,
                 position: player.position,
-                value: player.value
+                value: player.value,
+                ...pickAttributes(player)
             });
             return result;
         }
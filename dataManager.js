@@ -4,6 +4,7 @@
  */
 import { supabase, supabaseDb } from './supabaseClient.js';
 import { isDatabaseAvailable } from './connectionMonitor.js';
+import { attributeValidationRules } from './playerAttributes.js';
 
 class DataManager {
     constructor() {
@@ -18,13 +19,15 @@ class DataManager {
     }
 
     initValidationRules() {
+        const players = {
+            name: { required: true, type: 'string', minLength: 1, maxLength: 50 },
+            team: { required: true, type: 'string', enum: ['AEK', 'Real', 'Ehemalige'] },
+            position: { required: true, type: 'string', enum: ['TH','LV','RV','IV','ZDM','ZM','ZOM','LM','RM','LF','RF','ST'] },
+            value: { required: true, type: 'number', min: 0, max: 999999999 }
+        };
         return {
-            players: {
-                name: { required: true, type: 'string', minLength: 1, maxLength: 50 },
-                team: { required: true, type: 'string', enum: ['AEK', 'Real', 'Ehemalige'] },
-                position: { required: true, type: 'string', enum: ['TH','LV','RV','IV','ZDM','ZM','ZOM','LM','RM','LF','RF','ST'] },
-                value: { required: true, type: 'number', min: 0, max: 999999999 }
-            },
+            // Optionale Attribute (Stärke, Geburtsjahr, ...) kommen aus playerAttributes.js
+            players: { ...players, ...attributeValidationRules(players) },
             matches: {
                 team1: { required: true, type: 'string' },
                 team2: { required: true, type: 'string' },
@@ -70,6 +73,16 @@ class DataManager {
                 errors.push(`${field} muss ein Text sein`);
             } else if (rule.type === 'number' && (typeof value !== 'number' || isNaN(value))) {
                 errors.push(`${field} muss eine Zahl sein`);
+            } else if (rule.type === 'array' && !Array.isArray(value)) {
+                errors.push(`${field} muss eine Liste sein`);
+            }
+
+            // Allowed values of list entries
+            if (rule.type === 'array' && Array.isArray(value) && rule.items) {
+                const invalid = value.filter(item => !rule.items.includes(item));
+                if (invalid.length) {
+                    errors.push(`${field} enthält ungültige Werte: ${invalid.join(', ')}`);
+                }
             }
             
             // String length validation
@@ -329,6 +342,92 @@ class DataManager {
         return result;
     }
 
+    // Atomic operations run as Postgres functions (see SUPABASE_SETUP.md).
+    // No retries: a failed call has already been rolled back by the database.
+    async rpc(fnName, params = {}, affectedTables = []) {
+        const result = await this.executeWithRetry(async () => {
+            return await supabase.rpc(fnName, params);
+        }, 1);
+
+        affectedTables.forEach(table => this.invalidateCache(table));
+
+        return result;
+    }
+
+    // Match, goals, SdS, served and new bans, transactions and finances in one transaction
+    async recordMatch(plan) {
+        return this.rpc('record_match', { plan }, [
+            'matches', 'players', 'spieler_des_spiels', 'bans', 'ban_servings', 'transactions', 'finances'
+        ]);
+    }
+
+    // Replaces the settlement and card bans of an existing match, goals and SdS as deltas
+    async updateMatch(plan) {
+        return this.rpc('update_match', { plan }, [
+            'matches', 'players', 'spieler_des_spiels', 'bans', 'transactions', 'finances'
+        ]);
+    }
+
+    // Reverses goals, SdS, served games, card bans, transactions and finances of a match and deletes it
+    async deleteMatch(plan) {
+        return this.rpc('delete_match', { plan }, [
+            'matches', 'players', 'spieler_des_spiels', 'bans', 'ban_servings', 'transactions', 'finances'
+        ]);
+    }
+
+    // Overwrites goal and SdS counters with the values derived from the match history
+    async applyStatCorrections(plan) {
+        return this.rpc('apply_stat_corrections', { plan }, ['players', 'spieler_des_spiels']);
+    }
+
+    // Writes player ids into matches that still reference players by name
+    async backfillMatchPlayerIds(plan) {
+        return this.rpc('backfill_match_player_ids', { plan }, ['matches']);
+    }
+
+    // Closes the running season with its final standings, opens the next one and applies the chosen resets
+    async startSeason(plan) {
+        return this.rpc('start_season', { plan }, ['seasons', 'finances', 'players', 'spieler_des_spiels']);
+    }
+
+    // Moves players (transfer, swap, loan) and books fees, balances and transfer records in one transaction
+    async transferPlayer(plan) {
+        return this.rpc('transfer_player', { plan }, ['players', 'transactions', 'finances', 'transfers']);
+    }
+
+    // New player from outside: player row and purchase (transfer, booking, balance) in one transaction
+    async signPlayer(player, transferPlan) {
+        const sanitized = this.sanitizeData(player);
+        const validation = this.validateData('players', sanitized);
+        if (!validation.valid) {
+            throw new Error(`Validierungsfehler: ${validation.errors.join(', ')}`);
+        }
+        return this.rpc('sign_player', { plan: { player: sanitized, transfer: transferPlan } }, [
+            'players', 'transactions', 'finances', 'transfers', 'player_value_history'
+        ]);
+    }
+
+    // Real-money payments or a netting: settlement rows, "Echtgeld-Zahlung" bookings and lower debts in one transaction;
+    // a plan with `reverse` takes payments back and writes the audit entries
+    async settleDebt(plan) {
+        return this.rpc('settle_debt', { plan }, ['settlements', 'transactions', 'finances', 'transaction_audit']);
+    }
+
+    // Books a manual transaction, a Fehlbetrag linked to it if needed and the team's new finances in one transaction
+    async bookTransaction(plan) {
+        return this.rpc('book_transaction', { plan }, ['transactions', 'finances']);
+    }
+
+    // Edits, deletes or reverses a manual booking, adjusts finances and writes the audit entry in one transaction
+    async changeTransaction(plan) {
+        return this.rpc('change_transaction', { plan }, ['transactions', 'finances', 'transaction_audit']);
+    }
+
+    // Restore steps recorded by undo.js (insert, update, increment, delete), applied in one transaction
+    async applyUndo(steps) {
+        return this.rpc('apply_undo', { plan: { steps } }, [...new Set(steps.map(step => step.table))]);
+    }
+
     // Convenience methods for common operations
     async getPlayersByTeam(team) {
         return this.select('players', '*', { eq: { team } });
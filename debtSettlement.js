@@ -0,0 +1,102 @@
+/**
+ * Debt Settlement
+ * Real-money payments that clear Echtgeld debts (`finances.debt`). A payment from one player to the
+ * other is stored in `settlements` and booked as an "Echtgeld-Zahlung" through `settle_debt`; when
+ * both sides owe money, the common part can be netted without any money changing hands.
+ * `debtSummary` turns the two debts into the IOU shown in Finanzen ("Real schuldet AEK 17 €").
+ * A payment entered by mistake is taken back with `buildReversalPlan`; the two rows of a netting point
+ * to each other (`counterpart_id`) and are only taken back as a pair.
+ */
+import { TEAMS } from './standings.js';
+import { ledgerRule } from './ledger.js';
+
+export const SETTLEMENT_TYPE = "Echtgeld-Zahlung";
+export const NETTING_METHOD = "Verrechnung";
+export const PAYMENT_METHODS = ["Bar", "PayPal", "Überweisung", "Sonstiges"];
+
+function otherTeam(team) {
+    return team === "AEK" ? "Real" : "AEK";
+}
+
+function formatEuro(amount) {
+    return `${(amount || 0).toLocaleString('de-DE')} €`;
+}
+
+/**
+ * Offene Echtgeldschulden nach gegenseitiger Verrechnung.
+ * @param {Object} debts - { AEK, Real } Echtgeldschulden
+ * @returns {Object} { debtor, creditor, amount, nettable } – debtor null, wenn sich alles aufhebt;
+ *   nettable = Betrag, den beide Seiten gegeneinander verrechnen können
+ */
+export function debtSummary(debts = {}) {
+    const aek = Math.max(0, debts.AEK || 0);
+    const real = Math.max(0, debts.Real || 0);
+    const nettable = Math.min(aek, real);
+    if (aek === real) return { debtor: null, creditor: null, amount: 0, nettable };
+    const debtor = aek > real ? "AEK" : "Real";
+    return { debtor, creditor: otherTeam(debtor), amount: Math.abs(aek - real), nettable };
+}
+
+export function debtSummaryText({ debtor, creditor, amount }) {
+    return debtor ? `${debtor} schuldet ${creditor} ${formatEuro(amount)}` : "Keine offenen Echtgeldschulden";
+}
+
+// Datum der letzten Buchung auf die Echtgeldschulden eines Teams (null, wenn es keine gibt)
+export function latestDebtDate(team, transactions = []) {
+    return transactions
+        .filter(t => t.team === team && ledgerRule(t.type).account === "debt" && t.date)
+        .reduce((latest, t) => (latest && latest >= t.date ? latest : t.date), null);
+}
+
+/**
+ * Prüft eine Zahlung gegen die Schulden des zahlenden Teams (Teil- oder Komplettzahlung).
+ * Die Schulden sind der Stand nach der letzten Buchung; eine Zahlung davor würde im Ledger an
+ * einem anderen Stand gemessen und ist deshalb nicht erlaubt.
+ * @param {Array} transactions - alle Transaktionen
+ * @returns {Array<string>} Fehlermeldungen, leer wenn die Zahlung gültig ist
+ */
+export function settlementErrors({ team, amount, date, method }, debts = {}, transactions = []) {
+    const errors = [];
+    if (!TEAMS.includes(team)) errors.push("Bitte das zahlende Team wählen");
+    if (!(amount > 0)) errors.push("Der Betrag muss größer als 0 sein");
+    else if (TEAMS.includes(team) && amount > (debts[team] || 0)) {
+        errors.push(`${team} schuldet nur ${formatEuro(debts[team])}`);
+    }
+    if (!date) errors.push("Bitte ein Datum angeben");
+    else {
+        const latest = latestDebtDate(team, transactions);
+        if (latest && date < latest) {
+            errors.push(`Die Zahlung darf nicht vor der letzten Schuldbuchung von ${team} (${new Date(latest).toLocaleDateString('de-DE')}) liegen`);
+        }
+    }
+    if (!PAYMENT_METHODS.includes(method)) errors.push("Bitte eine Zahlungsart wählen");
+    return errors;
+}
+
+function payment(team, amount, method, note) {
+    const info = method === NETTING_METHOD
+        ? `Verrechnet mit ${otherTeam(team)}`
+        : `${method} an ${otherTeam(team)}${note ? `: ${note}` : ""}`;
+    return { team, amount, method, note: note || null, info };
+}
+
+// Plan für `settle_debt`: eine Zahlung an das andere Team
+export function buildSettlementPlan({ team, amount, date, method, note }) {
+    return { date, payments: [payment(team, amount, method, note)] };
+}
+
+// Plan für `settle_debt`: beide Seiten tilgen den gemeinsamen Teil ihrer Schulden
+export function buildNettingPlan(debts, date) {
+    const { nettable } = debtSummary(debts);
+    return { date, netting: true, payments: nettable > 0 ? TEAMS.map(team => payment(team, nettable, NETTING_METHOD)) : [] };
+}
+
+// Plan für `settle_debt`, der eine Zahlung zurücknimmt; bei einer Verrechnung mit ihrer Gegenzeile
+export function buildReversalPlan(settlement) {
+    return { reverse: [settlement.id, ...(settlement.counterpart_id ? [settlement.counterpart_id] : [])] };
+}
+
+// Verlauf der Zahlungen, neueste zuerst
+export function settlementHistory(settlements = []) {
+    return [...settlements].sort((a, b) => (b.date || "").localeCompare(a.date || "") || b.id - a.id);
+}
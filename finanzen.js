@@ -1,67 +1,93 @@
 import { showModal, hideModal, showSuccessAndCloseModal } from './modal.js';
 import { supabase } from './supabaseClient.js';
 import { matches } from './matches.js';
+import { seasonPickerHtml, attachSeasonPicker, filterBySeason, inSelectedSeason, balanceResetSeasonIds, ledgerResets } from './seasons.js';
+import { lineChartSvg, dateRangeHtml, attachDateRange, formatMillions } from './charts.js';
+import { balanceSeries } from './timeSeries.js';
+import { floorsByDate, overdraftStatus, ACCOUNT_LABELS } from './ledger.js';
+import { ledgerBalances, storedDifferences } from './balances.js';
+import { getLeagueRules, getRulesForDate } from './leagueRules.js';
+import { dataManager } from './dataManager.js';
+import { ErrorHandler, DOM } from './utils.js';
+import { TEAMS } from './standings.js';
+import {
+    PAYMENT_METHODS,
+    NETTING_METHOD,
+    debtSummary,
+    debtSummaryText,
+    settlementErrors,
+    buildSettlementPlan,
+    buildNettingPlan,
+    buildReversalPlan,
+    settlementHistory
+} from './debtSettlement.js';
+import { CHANGE_LABELS, transactionActions, linkedShortfall, buildTransactionBooking, buildTransactionChange, transactionChangeErrors } from './transactionEdits.js';
+import { TRANSACTION_CATEGORIES, filterTransactions, categoryTotals } from './transactionFilters.js';
+import { getListState, isListFiltered, renderListToolbar } from './listToolbar.js';
 
 let finances = {
     aekAthen: { balance: 0, debt: 0 },
     realMadrid: { balance: 0, debt: 0 }
 };
 let transactions = [];
+let settlements = [];
+let auditEntries = [];
+// Wo die gespeicherte Kopie in `finances` vom Ledger abweicht (Abgleich in den Einstellungen)
+let storedFinanceDifferences = [];
+let balanceRange = { from: "", to: "" };
+
+const INPUT_CLASS = "border border-slate-600 bg-slate-700 text-slate-100 rounded-lg p-3 w-full text-base placeholder-slate-400 focus:ring-2 focus:ring-sky-500 focus:border-transparent";
+const SETTLEMENT_HISTORY_LIMIT = 10;
+const AUDIT_LIMIT = 20;
+const LIST_TAB = "finanzen";
+// Gefiltert werden alle Treffer auf einmal gezeigt, höchstens so viele
+const FILTERED_LIMIT = 200;
+const TRANSACTION_TYPES = ["Sonstiges", "Spielerkauf", "Spielerverkauf", "Echtgeld-Ausgleich"];
 
 // Lädt alle Finanzen und Transaktionen und ruft das Rendern auf
 async function loadFinancesAndTransactions(renderFn = renderFinanzenTabInner) {
+    const { data: transData, error: transError } = await supabase.from('transactions').select('*').order('id', { ascending: false });
+    if (transError) {
+        alert("Fehler beim Laden der Transaktionen: " + transError.message);
+    }
+    transactions = transData || [];
+    console.log('Loaded transactions:', transactions.length, transactions);
+
+    // Kontostände und Schulden aus dem Ledger; die Tabelle finances ist nur die gespeicherte Kopie
+    const balances = ledgerBalances(transactions);
+    finances = { aekAthen: balances.AEK, realMadrid: balances.Real };
     const { data: finData, error: finError } = await supabase.from('finances').select('*');
     if (finError) {
         alert("Fehler beim Laden der Finanzen: " + finError.message);
     }
-    if (finData && finData.length) {
-        finances = {
-            aekAthen: finData.find(f => f.team === "AEK") || { balance: 0, debt: 0 },
-            realMadrid: finData.find(f => f.team === "Real") || { balance: 0, debt: 0 }
-        };
-    } else {
-        finances = {
-            aekAthen: { balance: 0, debt: 0 },
-            realMadrid: { balance: 0, debt: 0 }
-        };
+    storedFinanceDifferences = finData ? storedDifferences(finData, balances) : [];
+
+    // Ohne Tabelle settlements (SUPABASE_SETUP.md, Abschnitt 20) bleibt der Verlauf leer
+    const { data: settlementData, error: settlementError } = await supabase.from('settlements').select('*');
+    if (settlementError) {
+        console.warn('Echtgeld-Zahlungen konnten nicht geladen werden:', settlementError.message);
     }
+    settlements = settlementData || [];
 
-    const { data: transData, error: transError } = await supabase.from('transactions').select('*').order('id', { ascending: false });
-    if (transError) {
-        alert("Fehler beim Laden der Transaktionen: " + transError.message);
+    // Ohne Tabelle transaction_audit (Abschnitt 21) bleibt das Änderungsprotokoll leer
+    const { data: auditData, error: auditError } = await supabase.from('transaction_audit').select('*').order('id', { ascending: false });
+    if (auditError) {
+        console.warn('Änderungsprotokoll konnte nicht geladen werden:', auditError.message);
     }
-    transactions = transData || [];
-    console.log('Loaded transactions:', transactions.length, transactions);
+    auditEntries = auditData || [];
     renderFn("app");
 }
 
-// Transaktion in die DB schreiben und Finanzen aktualisieren
+// Transaktion in die DB schreiben und Finanzen aktualisieren; ein nötiger Fehlbetrag wird mit ihr gebucht
 async function saveTransaction(trans) {
     trans.amount = parseInt(trans.amount, 10) || 0;
-    const { error: insertError } = await supabase.from('transactions').insert([{
-        date: trans.date,
-        type: trans.type,
-        team: trans.team,
-        amount: trans.amount,
-        info: trans.info || null,
-        match_id: trans.match_id || null
-    }]);
-    if (insertError) {
-        alert("Fehler beim Speichern der Transaktion: " + insertError.message);
-        return;
-    }
     const teamKey = trans.team === "AEK" ? "aekAthen" : "realMadrid";
-    let updateObj = {};
-    if (trans.type === "Echtgeld-Ausgleich") {
-        updateObj.debt = (finances[teamKey].debt || 0) + trans.amount;
-    } else {
-        let newBalance = (finances[teamKey].balance || 0) + trans.amount;
-        if (newBalance < 0) newBalance = 0;
-        updateObj.balance = newBalance;
-    }
-    const { error: updateError } = await supabase.from('finances').update(updateObj).eq('team', trans.team);
-    if (updateError) {
-        alert("Fehler beim Aktualisieren der Finanzen: " + updateError.message);
+    try {
+        await dataManager.bookTransaction(buildTransactionBooking(trans, finances[teamKey], getLeagueRules()));
+        return true;
+    } catch (error) {
+        ErrorHandler.handleDatabaseError(error, 'Transaktion speichern');
+        return false;
     }
 }
 
@@ -79,31 +105,309 @@ function renderFinanzenTabInner(containerId = "app") {
         <div class="flex flex-col sm:flex-row sm:space-x-8 space-y-2 sm:space-y-0 mb-6">
             <div class="bg-blue-700 text-blue-100 rounded-lg p-4 flex-1 min-w-0 border border-blue-600 shadow-lg">
                 <b>AEK</b><br>
-                Kontostand: <span class="font-bold text-blue-200">${(finances.aekAthen.balance || 0).toLocaleString('de-DE')} €</span><br>
+                Kontostand: <span class="font-bold ${finances.aekAthen.balance < 0 ? "text-amber-300" : "text-blue-200"}">${(finances.aekAthen.balance || 0).toLocaleString('de-DE')} €</span><br>
                 Echtgeldschulden: <span class="font-bold text-blue-200">${(finances.aekAthen.debt || 0).toLocaleString('de-DE')} €</span>
+                ${overdraftHtml(finances.aekAthen.balance)}
             </div>
             <div class="bg-red-700 text-red-100 rounded-lg p-4 flex-1 min-w-0 border border-red-600 shadow-lg">
                 <b>Real</b><br>
-                Kontostand: <span class="font-bold text-red-200">${(finances.realMadrid.balance || 0).toLocaleString('de-DE')} €</span><br>
+                Kontostand: <span class="font-bold ${finances.realMadrid.balance < 0 ? "text-amber-300" : "text-red-200"}">${(finances.realMadrid.balance || 0).toLocaleString('de-DE')} €</span><br>
                 Echtgeldschulden: <span class="font-bold text-red-200">${(finances.realMadrid.debt || 0).toLocaleString('de-DE')} €</span>
+                ${overdraftHtml(finances.realMadrid.balance)}
             </div>
         </div>
+        ${storedFinanceDifferences.length ? `
+            <div class="bg-amber-900 text-amber-100 border border-amber-600 rounded-lg p-3 mb-6 text-sm">
+                Der gespeicherte Stand weicht von den Buchungen ab (${storedFinanceDifferences.map(d => `${d.team} ${ACCOUNT_LABELS[d.account]}: ${d.stored.toLocaleString('de-DE')} € gespeichert`).join(", ")}).
+                Angezeigt werden die nachgerechneten Werte; abgleichen unter Einstellungen › Kontostände & Echtgeldschulden.
+            </div>
+        ` : ""}
+        ${echtgeldHtml()}
+        <div class="bg-slate-800 rounded-lg p-4 border border-slate-600 mb-6">
+            <div class="flex flex-wrap items-center gap-2 mb-2">
+                <h3 class="text-md font-semibold text-slate-100 mr-auto">Kontoverlauf</h3>
+                ${dateRangeHtml("balance", balanceRange)}
+            </div>
+            <div id="balance-chart"></div>
+        </div>
         <div class="mb-4 flex flex-col sm:flex-row sm:justify-between items-stretch gap-2">
-            <h3 class="text-md font-semibold text-slate-100">Transaktionen</h3>
+            <div class="flex items-center justify-between sm:justify-start gap-3">
+                <h3 class="text-md font-semibold text-slate-100">Transaktionen</h3>
+                ${seasonPickerHtml("finanzen")}
+            </div>
             <button id="add-trans-btn" class="bg-green-600 hover:bg-green-700 text-white w-full sm:w-auto px-4 py-3 rounded-lg text-base flex items-center justify-center gap-2 font-semibold transition shadow">
                 <svg class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 4v16m8-8H4"/></svg>
                 <span>Transaktion hinzufügen</span>
             </button>
         </div>
+        <div id="transactions-toolbar"></div>
+        <div id="transactions-summary" class="mb-4"></div>
         <div class="overflow-x-auto w-full" style="max-width:100vw;">
           <div id="transactions-list" class="space-y-2"></div>
         </div>
+        ${auditLogHtml()}
     `;
 
-    document.getElementById("add-trans-btn").onclick = openTransForm;
+    document.getElementById("add-trans-btn").onclick = () => openTransForm();
+    document.getElementById("add-settlement-btn").onclick = openSettlementForm;
+    const netButton = document.getElementById("net-debts-btn");
+    if (netButton) netButton.onclick = netDebts;
+    app.querySelectorAll("[data-settlement-id]").forEach(btn => {
+        btn.onclick = () => reverseSettlement(parseInt(btn.dataset.settlementId, 10));
+    });
+    attachSeasonPicker("finanzen", () => {
+        selectedDateIdx = 0;
+        renderBalanceChart();
+        renderTransactions();
+    });
+    renderListToolbar(document.getElementById("transactions-toolbar"), LIST_TAB, {
+        search: "Info durchsuchen…",
+        filters: [
+            { name: "team", label: "Alle Teams", options: TEAMS.map(t => [t, t]) },
+            { name: "category", label: "Alle Typen", options: Object.keys(TRANSACTION_CATEGORIES).map(c => [c, c]) }
+        ],
+        inputs: [
+            { name: "minAmount", type: "number", label: "Betrag ab (€)" },
+            { name: "maxAmount", type: "number", label: "Betrag bis (€)" },
+            { name: "from", type: "date", label: "Von" },
+            { name: "to", type: "date", label: "Bis" }
+        ]
+    }, () => {
+        selectedDateIdx = 0;
+        renderTransactions();
+    });
+    attachDateRange("balance", balanceRange, range => {
+        balanceRange = range;
+        renderFinanzenTabInner(containerId);
+    });
+    renderBalanceChart();
     renderTransactions();
 }
 
+function currentDebts() {
+    return { AEK: finances.aekAthen.debt || 0, Real: finances.realMadrid.debt || 0 };
+}
+
+// Wer wem wie viel Echtgeld schuldet, Aktionen und die letzten Zahlungen
+function echtgeldHtml() {
+    const summary = debtSummary(currentDebts());
+    const history = settlementHistory(settlements);
+    const openDebt = Object.values(currentDebts()).some(debt => debt > 0);
+    return `
+        <div class="bg-slate-800 rounded-lg p-4 border border-slate-600 mb-6">
+            <div class="flex flex-wrap items-center gap-2 mb-2">
+                <h3 class="text-md font-semibold text-slate-100 mr-auto">Echtgeld</h3>
+                ${summary.nettable ? `
+                    <button id="net-debts-btn" class="bg-slate-600 hover:bg-slate-700 text-slate-100 px-3 py-2 rounded-lg text-sm font-semibold transition">
+                        Verrechnen (je ${summary.nettable.toLocaleString('de-DE')} €)
+                    </button>
+                ` : ""}
+                <button id="add-settlement-btn" class="bg-sky-600 hover:bg-sky-700 text-white px-3 py-2 rounded-lg text-sm font-semibold transition disabled:opacity-50"${openDebt ? "" : " disabled"}>
+                    Zahlung erfassen
+                </button>
+            </div>
+            <div class="text-base font-semibold ${summary.debtor ? "text-amber-300" : "text-green-400"}">${debtSummaryText(summary)}</div>
+            ${summary.nettable ? `<div class="text-xs text-slate-400">nach Verrechnung der beidseitigen Schulden von je ${summary.nettable.toLocaleString('de-DE')} €</div>` : ""}
+            ${history.length ? `
+                <div class="mt-3 space-y-1 text-sm text-slate-300">
+                    ${history.slice(0, SETTLEMENT_HISTORY_LIMIT).map(settlementRowHtml).join('')}
+                    ${history.length > SETTLEMENT_HISTORY_LIMIT ? `<div class="text-xs text-slate-500">… und ${history.length - SETTLEMENT_HISTORY_LIMIT} ältere</div>` : ""}
+                </div>
+            ` : ""}
+        </div>
+    `;
+}
+
+function settlementRowHtml(settlement) {
+    const to = settlement.team === "AEK" ? "Real" : "AEK";
+    const what = settlement.method === NETTING_METHOD ? `${settlement.team} verrechnet` : `${settlement.team} → ${to} · ${DOM.sanitizeForHTML(settlement.method)}`;
+    return `
+        <div class="flex flex-wrap gap-x-3 border-t border-slate-700 pt-1">
+            <span class="text-slate-400">${new Date(settlement.date).toLocaleDateString('de-DE')}</span>
+            <span>${what}</span>
+            <span class="font-semibold text-green-400">${(settlement.amount || 0).toLocaleString('de-DE')} €</span>
+            ${settlement.note ? `<span class="text-slate-400">${DOM.sanitizeForHTML(settlement.note)}</span>` : ""}
+            <button type="button" data-settlement-id="${settlement.id}" class="ml-auto text-xs text-amber-300 hover:text-amber-200 underline">Zurücknehmen</button>
+        </div>
+    `;
+}
+
+// Echtgeld-Zahlung an das andere Team erfassen, ganz oder teilweise
+function openSettlementForm() {
+    const debts = currentDebts();
+    const payers = TEAMS.filter(team => debts[team] > 0);
+    const today = new Date().toISOString().slice(0, 10);
+    showModal(`
+        <form id="settlement-form" class="space-y-4 w-full">
+            <div class="text-lg font-semibold">Echtgeld-Zahlung</div>
+            <select name="team" class="${INPUT_CLASS}">
+                ${payers.map(team => `<option value="${team}">${team} zahlt an ${team === "AEK" ? "Real" : "AEK"} (offen: ${debts[team].toLocaleString('de-DE')} €)</option>`).join('')}
+            </select>
+            <input type="number" min="0.01" step="0.01" name="amount" class="${INPUT_CLASS}" placeholder="Betrag (€)" value="${debts[payers[0]] || ""}" required>
+            <input type="date" name="date" class="${INPUT_CLASS}" value="${today}" required>
+            <select name="method" class="${INPUT_CLASS}">
+                ${PAYMENT_METHODS.map(method => `<option value="${method}">${method}</option>`).join('')}
+            </select>
+            <input type="text" name="note" class="${INPUT_CLASS}" placeholder="Notiz (optional)">
+            <div class="flex gap-3 pt-4">
+                <button type="submit" class="bg-gradient-to-r from-sky-500 to-sky-600 hover:from-sky-600 hover:to-sky-700 text-white w-full px-4 py-3 rounded-lg text-base font-semibold transition-all duration-200 shadow-lg hover:shadow-xl active:scale-95">Speichern</button>
+                <button type="button" class="bg-slate-600 hover:bg-slate-700 text-slate-100 w-full px-4 py-3 rounded-lg text-base font-medium transition-all duration-200 active:scale-95" onclick="window.hideModal()">Abbrechen</button>
+            </div>
+        </form>
+    `);
+
+    const form = document.getElementById("settlement-form");
+    // Vorschlag: die kompletten Schulden des gewählten Teams
+    form.team.onchange = () => { form.amount.value = debts[form.team.value] || ""; };
+    form.onsubmit = async (e) => {
+        e.preventDefault();
+        const payment = {
+            team: form.team.value,
+            amount: Math.round((parseFloat(form.amount.value) || 0) * 100) / 100,
+            date: form.date.value,
+            method: form.method.value,
+            note: form.note.value.trim()
+        };
+        const errors = settlementErrors(payment, debts, transactions);
+        if (errors.length) {
+            alert(errors.join("\n"));
+            return;
+        }
+        try {
+            await dataManager.settleDebt(buildSettlementPlan(payment));
+            showSuccessAndCloseModal(payment.amount === debts[payment.team] ? `Schulden von ${payment.team} beglichen` : "Teilzahlung erfasst");
+        } catch (error) {
+            ErrorHandler.handleDatabaseError(error, 'Echtgeld-Zahlung');
+        }
+    };
+}
+
+// Beidseitige Schulden gegeneinander aufheben
+async function netDebts() {
+    const plan = buildNettingPlan(currentDebts(), new Date().toISOString().slice(0, 10));
+    if (!plan.payments.length) return;
+    if (!confirm(`Schulden von je ${plan.payments[0].amount.toLocaleString('de-DE')} € gegeneinander verrechnen?`)) return;
+    try {
+        await dataManager.settleDebt(plan);
+        ErrorHandler.showSuccessMessage("Schulden verrechnet");
+    } catch (error) {
+        ErrorHandler.handleDatabaseError(error, 'Verrechnen');
+    }
+}
+
+// Irrtümlich erfasste Zahlung zurücknehmen: Zahlung und Buchung verschwinden, die Schulden sind wieder offen
+async function reverseSettlement(id) {
+    const settlement = settlements.find(s => s.id === id);
+    if (!settlement) return;
+    const plan = buildReversalPlan(settlement);
+    const what = plan.reverse.length > 1
+        ? `Verrechnung vom ${new Date(settlement.date).toLocaleDateString('de-DE')} (je ${settlement.amount.toLocaleString('de-DE')} €)`
+        : `Zahlung von ${settlement.team} über ${settlement.amount.toLocaleString('de-DE')} €`;
+    if (!confirm(`${what} zurücknehmen? Die Echtgeldschulden werden wieder erhöht.`)) return;
+    try {
+        await dataManager.settleDebt(plan);
+        ErrorHandler.showSuccessMessage("Zahlung zurückgenommen");
+    } catch (error) {
+        ErrorHandler.handleDatabaseError(error, 'Zahlung zurücknehmen');
+    }
+}
+
+// Überziehungsrahmen und Folgen unter dem Kontostand eines Teams
+function overdraftHtml(balance) {
+    const status = overdraftStatus(balance || 0, getLeagueRules().finance);
+    if (!status.limit && !status.overdrawn) return "";
+    return `
+        <div class="mt-2 text-sm">
+            ${status.overdrawn ? `<span class="inline-block bg-amber-500 text-slate-900 font-semibold rounded px-2 py-0.5 mr-1">Überzogen</span>` : ""}
+            Noch verfügbar: <b>${status.available.toLocaleString('de-DE')} €</b> (Rahmen ${status.limit.toLocaleString('de-DE')} €)
+            ${status.transferBan ? `<div class="mt-1 font-semibold text-amber-300">Transfersperre, bis der Kontostand wieder im Plus ist</div>` : ""}
+        </div>
+    `;
+}
+
+// Letzte Änderungen an Buchungen (bearbeitet, gelöscht, storniert)
+function auditLogHtml() {
+    if (!auditEntries.length) return "";
+    const describe = row => row ? `${row.team} · ${DOM.sanitizeForHTML(row.type)} · ${(row.amount || 0).toLocaleString('de-DE')} €${row.info ? ` · ${DOM.sanitizeForHTML(row.info)}` : ""}` : "";
+    return `
+        <details class="bg-slate-800 rounded-lg p-4 border border-slate-600 mt-6">
+            <summary class="text-md font-semibold text-slate-100 cursor-pointer">Änderungsprotokoll (${auditEntries.length})</summary>
+            <div class="mt-3 space-y-1 text-sm text-slate-300">
+                ${auditEntries.slice(0, AUDIT_LIMIT).map(entry => `
+                    <div class="border-t border-slate-700 pt-1">
+                        <span class="text-slate-400">${entry.created_at ? new Date(entry.created_at).toLocaleString('de-DE') : ""}</span>
+                        <span class="font-semibold">${CHANGE_LABELS[entry.action] || entry.action} #${entry.transaction_id}</span>
+                        <div class="text-xs text-slate-400">${describe(entry.before)}${entry.action === "edit" ? ` → ${describe(entry.after)}` : ""}</div>
+                    </div>
+                `).join('')}
+                ${auditEntries.length > AUDIT_LIMIT ? `<div class="text-xs text-slate-500">… und ${auditEntries.length - AUDIT_LIMIT} ältere</div>` : ""}
+            </div>
+        </details>
+    `;
+}
+
+// Buttons je Buchung; gesperrte Buchungen zeigen stattdessen den Grund
+function transactionActionsHtml(t) {
+    const actions = transactionActions(t, transactions);
+    const button = (action, label, color) => actions[action]
+        ? `<button type="button" data-trans-action="${action}" data-id="${t.id}" class="${color} text-white px-2 py-1 rounded text-xs font-semibold transition">${label}</button>`
+        : "";
+    return `
+        <div class="flex flex-wrap items-center gap-1">
+            ${button("edit", "Bearbeiten", "bg-sky-600 hover:bg-sky-700")}
+            ${button("reverse", "Stornieren", "bg-amber-600 hover:bg-amber-700")}
+            ${button("delete", "Löschen", "bg-red-600 hover:bg-red-700")}
+            ${actions.reason ? `<span class="text-xs text-slate-300" title="${DOM.sanitizeForAttribute(actions.reason)}"><i class="fas fa-lock mr-1"></i>${DOM.sanitizeForHTML(actions.reason)}</span>` : ""}
+        </div>
+    `;
+}
+
+// Bearbeiten, Löschen oder Stornieren einer Buchung; Finanzen und Protokoll passt change_transaction an
+async function changeTransaction(action, id) {
+    const original = transactions.find(t => t.id === id);
+    if (!original || !transactionActions(original, transactions)[action]) return;
+    if (action === "edit") {
+        openTransForm(original);
+        return;
+    }
+    const shortfall = linkedShortfall(original, transactions);
+    const label = `Buchung #${id} (${original.type}, ${(original.amount || 0).toLocaleString('de-DE')} €)${shortfall ? ` samt Fehlbetrag #${shortfall.id}` : ""}`;
+    const question = action === "delete"
+        ? `${label} wirklich löschen?`
+        : `${label} durch eine Gegenbuchung stornieren?`;
+    if (!confirm(question)) return;
+    const plan = buildTransactionChange(action, original);
+    await submitTransactionChange(plan, action === "delete" ? "Buchung gelöscht" : "Buchung storniert");
+}
+
+async function submitTransactionChange(plan, successMessage) {
+    // Nachgespielt wie das Ledger: auch spätere Buchungen dürfen nicht an die Untergrenze stoßen
+    const errors = transactionChangeErrors(plan, transactions, ledgerResets(), floorsByDate(getRulesForDate));
+    if (errors.length) {
+        alert(errors.join("\n"));
+        return false;
+    }
+    try {
+        await dataManager.changeTransaction(plan);
+        ErrorHandler.showSuccessMessage(successMessage);
+        return true;
+    } catch (error) {
+        ErrorHandler.handleDatabaseError(error, 'Transaktion ändern');
+        return false;
+    }
+}
+
+// Kontostände aus allen Transaktionen nachgerechnet; angezeigt werden Saison und Zeitraum
+function renderBalanceChart() {
+    const container = document.getElementById('balance-chart');
+    if (!container) return;
+    const include = t => inSelectedSeason(t) && (!balanceRange.from || t.date >= balanceRange.from) && (!balanceRange.to || t.date <= balanceRange.to);
+    container.innerHTML = lineChartSvg({
+        series: balanceSeries(transactions, balanceResetSeasonIds(), include, floorsByDate(getRulesForDate)),
+        formatY: formatMillions
+    });
+}
+
 let transactionGroups = [];
 let selectedDateIdx = 0;
 
@@ -129,15 +433,56 @@ function groupTransactionsByDate(transactions) {
     }));
 }
 
+// Zwischensummen je Kategorie über alle gefilterten Buchungen der Saison
+function renderCategorySummary(filtered, filtering) {
+    const container = document.getElementById('transactions-summary');
+    if (!container) return;
+    const totals = categoryTotals(filtered);
+    if (!totals.length) {
+        container.innerHTML = "";
+        return;
+    }
+    const amount = value => `<span class="${value >= 0 ? 'text-green-400' : 'text-red-400'}">${value >= 0 ? '+' : ''}${value.toLocaleString('de-DE')} €</span>`;
+    container.innerHTML = `
+        <div class="bg-slate-800 rounded-lg p-3 border border-slate-600 overflow-x-auto">
+            <div class="text-sm font-semibold text-slate-200 mb-2">Zwischensummen${filtering ? " (gefiltert)" : ""}</div>
+            <table class="w-full text-sm text-slate-200">
+                <thead>
+                    <tr class="text-slate-400 text-left">
+                        <th class="pr-3 font-medium">Kategorie</th>
+                        ${TEAMS.map(team => `<th class="pr-3 font-medium text-right">${team}</th>`).join('')}
+                        <th class="pr-3 font-medium text-right">Summe</th>
+                        <th class="font-medium text-right">Buchungen</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${totals.map(row => `
+                        <tr class="border-t border-slate-700">
+                            <td class="pr-3 py-1">${row.category}</td>
+                            ${TEAMS.map(team => `<td class="pr-3 py-1 text-right">${amount(row.teams[team])}</td>`).join('')}
+                            <td class="pr-3 py-1 text-right font-semibold">${amount(row.total)}</td>
+                            <td class="py-1 text-right text-slate-400">${row.count}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
 function renderTransactions() {
     const container = document.getElementById('transactions-list');
     console.log('renderTransactions called with:', transactions.length, 'transactions');
-    if (!transactions.length) {
-        container.innerHTML = `<div class="text-gray-400 text-sm">Keine Transaktionen vorhanden.</div>`;
+    const listState = getListState(LIST_TAB);
+    const filtering = isListFiltered(listState);
+    const filtered = filterTransactions(filterBySeason(transactions), listState);
+    renderCategorySummary(filtered, filtering);
+    if (!filtered.length) {
+        container.innerHTML = `<div class="text-gray-400 text-sm">${filtering ? "Keine Transaktionen für diese Filter." : "Keine Transaktionen vorhanden."}</div>`;
         return;
     }
 
-    transactionGroups = groupTransactionsByDate(transactions);
+    transactionGroups = groupTransactionsByDate(filtered);
     console.log('Transaction groups created:', transactionGroups.length, transactionGroups);
     if (selectedDateIdx >= transactionGroups.length) selectedDateIdx = 0;
     if (selectedDateIdx < 0) selectedDateIdx = 0;
@@ -148,7 +493,9 @@ function renderTransactions() {
         return;
     }
 
-    const { date, items } = transactionGroups[selectedDateIdx];
+    // Ohne Filter ein Tag pro Seite, gefiltert alle Treffer (Match-Gruppen über mehrere Tage)
+    const allItems = transactionGroups.flatMap(group => group.items);
+    const items = filtering ? allItems.slice(0, FILTERED_LIMIT) : transactionGroups[selectedDateIdx].items;
 
     // Matches sortieren wie Übersicht (neueste oben)
     let matchOrder = [];
@@ -179,6 +526,14 @@ function renderTransactions() {
 
     let html = "";
 
+    // Storno und Original verweisen aufeinander
+    function reversalBadgeHtml(t) {
+        const reversal = transactions.find(r => r.reversal_of === t.id);
+        if (reversal) return ` <span class="inline-block bg-amber-500 text-slate-900 text-xs font-semibold rounded px-2 py-0.5">storniert (#${reversal.id})</span>`;
+        if (t.reversal_of) return ` <span class="inline-block bg-slate-400 text-slate-900 text-xs font-semibold rounded px-2 py-0.5">Storno von #${t.reversal_of}</span>`;
+        return "";
+    }
+
     function getCellBgClass(team) {
         if (team === "AEK") return "bg-blue-700 text-blue-100 border-l-4 border-blue-400 shadow-sm";
         if (team === "Real") return "bg-red-700 text-red-100 border-l-4 border-red-400 shadow-sm";
@@ -353,6 +708,7 @@ function renderTransactions() {
                             <th class="p-3 text-left font-semibold text-slate-200">Team</th>
                             <th class="p-3 text-left font-semibold text-slate-200">Info</th>
                             <th class="p-3 text-left font-semibold text-slate-200">Betrag (€)</th>
+                            <th class="p-3 text-left font-semibold text-slate-200">Aktionen</th>
                         </tr>
                     </thead>
                     <tbody>
@@ -363,10 +719,11 @@ function renderTransactions() {
                     <td class="p-3 ${getCellBgClass(t.team)}">${new Date(t.date).toLocaleDateString('de-DE')}</td>
                     <td class="p-3 ${getCellBgClass(t.team)}">${t.type}</td>
                     <td class="p-3 ${getCellBgClass(t.team)} font-semibold">${t.team}</td>
-                    <td class="p-3 ${getCellBgClass(t.team)}">${t.info || '-'}</td>
+                    <td class="p-3 ${getCellBgClass(t.team)}">${t.info || '-'}${reversalBadgeHtml(t)}</td>
                     <td class="p-3 font-bold ${getCellBgClass(t.team)} ${t.amount >= 0 ? 'text-green-400 dark:text-green-400' : 'text-red-400 dark:text-red-400'}">
                         ${t.amount >= 0 ? '+' : ''}${t.amount.toLocaleString('de-DE')}
                     </td>
+                    <td class="p-3 ${getCellBgClass(t.team)}">${transactionActionsHtml(t)}</td>
                 </tr>
             `;
         });
@@ -388,7 +745,8 @@ function renderTransactions() {
                     </div>
                     <div class="text-base font-semibold text-slate-100 mb-1">${t.type}</div>
                     <div class="text-sm text-slate-200 mb-1">Team: <span class="font-semibold ${t.team === 'AEK' ? 'text-blue-300' : t.team === 'Real' ? 'text-red-300' : 'text-slate-300'}">${t.team}</span></div>
-                    ${t.info ? `<div class="text-sm text-slate-200">${t.info}</div>` : ''}
+                    ${t.info ? `<div class="text-sm text-slate-200">${t.info}${reversalBadgeHtml(t)}</div>` : ''}
+                    <div class="mt-2">${transactionActionsHtml(t)}</div>
                 </div>
             `;
         });
@@ -398,14 +756,18 @@ function renderTransactions() {
         </div>`;
     }
 
+    if (filtering && allItems.length > FILTERED_LIMIT) {
+        html += `<div class="text-sm text-slate-400">… und ${allItems.length - FILTERED_LIMIT} weitere Buchungen – Filter eingrenzen</div>`;
+    }
+
     // Navigation Buttons
     html += `<div class="flex gap-3 mt-6 justify-center">`;
-    if (selectedDateIdx < transactionGroups.length - 1) {
+    if (!filtering && selectedDateIdx < transactionGroups.length - 1) {
         html += `<button id="older-trans-btn" class="bg-gray-600 hover:bg-gray-700 dark:bg-gray-700 dark:hover:bg-gray-600 text-white px-6 py-3 rounded-lg font-semibold shadow-lg transition-colors">
             <i class="fas fa-chevron-left mr-2"></i>Ältere Transaktionen
         </button>`;
     }
-    if (selectedDateIdx > 0) {
+    if (!filtering && selectedDateIdx > 0) {
         html += `<button id="newer-trans-btn" class="bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-600 text-white px-6 py-3 rounded-lg font-semibold shadow-lg transition-colors">
             Neuere Transaktionen<i class="fas fa-chevron-right ml-2"></i>
         </button>`;
@@ -414,13 +776,16 @@ function renderTransactions() {
 
     container.innerHTML = html;
 
-    if (selectedDateIdx < transactionGroups.length - 1) {
+    container.querySelectorAll('[data-trans-action]').forEach(btn => {
+        btn.onclick = () => changeTransaction(btn.dataset.transAction, parseInt(btn.dataset.id, 10));
+    });
+    if (!filtering && selectedDateIdx < transactionGroups.length - 1) {
         document.getElementById('older-trans-btn').onclick = () => {
             selectedDateIdx++;
             renderTransactions();
         };
     }
-    if (selectedDateIdx > 0) {
+    if (!filtering && selectedDateIdx > 0) {
         document.getElementById('newer-trans-btn').onclick = () => {
             selectedDateIdx--;
             renderTransactions();
@@ -428,23 +793,25 @@ function renderTransactions() {
     }
 }
 
-function openTransForm() {
+// Neue Buchung oder – mit `existing` – Bearbeiten einer vorhandenen
+function openTransForm(existing = null) {
+    const types = existing && !TRANSACTION_TYPES.includes(existing.type) ? [...TRANSACTION_TYPES, existing.type] : TRANSACTION_TYPES;
+    const selected = (value, current) => existing && value === current ? " selected" : "";
     showModal(`
         <form id="trans-form" class="space-y-6 w-full">
             <div class="space-y-4">
+                ${existing ? `<div class="text-lg font-semibold">Buchung #${existing.id} bearbeiten</div>` : ""}
                 <select name="team" class="border border-slate-600 bg-slate-700 text-slate-100 rounded-lg p-3 w-full text-base focus:ring-2 focus:ring-sky-500 focus:border-transparent" required>
                     <option value="">Team wählen</option>
-                    <option value="AEK">AEK</option>
-                    <option value="Real">Real</option>
+                    <option value="AEK"${selected("AEK", existing?.team)}>AEK</option>
+                    <option value="Real"${selected("Real", existing?.team)}>Real</option>
                 </select>
                 <select name="type" class="border border-slate-600 bg-slate-700 text-slate-100 rounded-lg p-3 w-full text-base focus:ring-2 focus:ring-sky-500 focus:border-transparent" required>
-                    <option value="Sonstiges">Sonstiges</option>
-                    <option value="Spielerkauf">Spielerkauf</option>
-                    <option value="Spielerverkauf">Spielerverkauf</option>
-                    <option value="Echtgeld-Ausgleich">Echtgeld-Ausgleich</option>
+                    ${types.map(type => `<option value="${DOM.sanitizeForAttribute(type)}"${selected(type, existing?.type)}>${DOM.sanitizeForHTML(type)}</option>`).join('')}
                 </select>
-                <input type="number" step="any" name="amount" class="border border-slate-600 bg-slate-700 text-slate-100 rounded-lg p-3 w-full text-base placeholder-slate-400 focus:ring-2 focus:ring-sky-500 focus:border-transparent" required placeholder="Betrag (negativ für Abzug)">
-                <input type="text" name="info" class="border border-slate-600 bg-slate-700 text-slate-100 rounded-lg p-3 w-full text-base placeholder-slate-400 focus:ring-2 focus:ring-sky-500 focus:border-transparent" placeholder="Zusatzinfo (Spielername, Kommentar)">
+                ${existing ? `<input type="date" name="date" class="${INPUT_CLASS}" value="${existing.date || ""}" required>` : ""}
+                <input type="number" step="any" name="amount" class="border border-slate-600 bg-slate-700 text-slate-100 rounded-lg p-3 w-full text-base placeholder-slate-400 focus:ring-2 focus:ring-sky-500 focus:border-transparent" required placeholder="Betrag (negativ für Abzug)"${existing ? ` value="${existing.amount || 0}"` : ""}>
+                <input type="text" name="info" class="border border-slate-600 bg-slate-700 text-slate-100 rounded-lg p-3 w-full text-base placeholder-slate-400 focus:ring-2 focus:ring-sky-500 focus:border-transparent" placeholder="Zusatzinfo (Spielername, Kommentar)"${existing?.info ? ` value="${DOM.sanitizeForAttribute(existing.info)}"` : ""}>
             </div>
             <div class="flex gap-3 pt-4">
                 <button type="submit" class="bg-gradient-to-r from-green-500 to-green-600 hover:from-green-600 hover:to-green-700 text-white w-full px-4 py-3 rounded-lg text-base font-semibold transition-all duration-200 flex gap-2 items-center justify-center shadow-lg hover:shadow-xl active:scale-95">
@@ -465,10 +832,17 @@ function openTransForm() {
         const now = new Date().toISOString().slice(0,10);
         const info = f.info.value?.trim() || "";
 
-        await saveTransaction({
+        if (existing) {
+            const plan = buildTransactionChange("edit", existing, { date: f.date.value, type, team, amount, info: info || null });
+            if (await submitTransactionChange(plan, "Buchung geändert")) hideModal();
+            return;
+        }
+
+        const saved = await saveTransaction({
             date: now,
             type, team, amount, info
         });
+        if (!saved) return;
 
         const transactionText = amount >= 0 ? "Einnahme" : "Ausgabe";
         showSuccessAndCloseModal(`${transactionText} erfolgreich hinzugefügt`);
@@ -481,4 +855,8 @@ export function resetFinanzenState() {
         realMadrid: { balance: 0, debt: 0 }
     };
     transactions = [];
+    settlements = [];
+    auditEntries = [];
+    storedFinanceDifferences = [];
+    balanceRange = { from: "", to: "" };
 }
\ No newline at end of file
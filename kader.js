@@ -1,7 +1,19 @@
 import { POSITIONEN, savePlayer as dataSavePlayer, deletePlayer as dataDeletePlayer } from './data.js';
 import { showModal, hideModal, showSuccessAndCloseModal } from './modal.js';
-import { supabaseDb, supabase } from './supabaseClient.js';
+import { supabaseDb } from './supabaseClient.js';
 import { isDatabaseAvailable } from './connectionMonitor.js';
+import { dataManager } from './dataManager.js';
+import { ErrorHandler, DOM } from './utils.js';
+import { attachProfileLinks } from './playerProfile.js';
+import { transferFee, buildTransferPlan, buildLoanReturnPlan, activeLoan, valueTrend, transferShortfalls } from './transfers.js';
+import { openTransferDialog } from './transferDialog.js';
+import { getLeagueRules } from './leagueRules.js';
+import { positionGroup, squadViolations, worsenedViolations, checkTransferPlan } from './squadRules.js';
+import { PLAYER_ATTRIBUTES, PLAYER_SORTS, FEET, readAttributes, comparePlayers, playsPosition, attributeSummary } from './playerAttributes.js';
+import { getListState, applyListState, isListFiltered, renderListToolbar } from './listToolbar.js';
+import { undoManager, playerRestoreSteps, transferWithUndo } from './undo.js';
+import { overdraftStatus } from './ledger.js';
+import { ledgerBalances } from './balances.js';
 
 let aekAthen = [];
 let realMadrid = [];
@@ -11,6 +23,8 @@ let finances = {
     realMadrid: { balance: 0 }
 };
 let transactions = [];
+let valueHistory = [];
+let transfers = [];
 
 const POSITION_ORDER = {
     "TH": 0, "IV": 1, "LV": 2, "RV": 3, "ZDM": 4, "ZM": 5,
@@ -22,11 +36,8 @@ let openPanel = null; // "aek", "real", "ehemalige" oder null
 
 // --- Positions-Badge Klasse (für Redesign) ---
 function getPositionBadgeClass(pos) {
-    if (pos === "TH") return "badge-th";
-    if (["IV", "LV", "RV", "ZDM"].includes(pos)) return "badge-def";
-    if (["ZM", "ZOM", "LM", "RM"].includes(pos)) return "badge-mid";
-    if (["LF", "RF", "ST"].includes(pos)) return "badge-att";
-    return "bg-gray-700 text-gray-200 border-gray-600";
+    const group = positionGroup(pos);
+    return group ? `badge-${group}` : "bg-gray-700 text-gray-200 border-gray-600";
 }
 
 async function loadPlayersAndFinances(renderFn = renderPlayerLists) {
@@ -36,12 +47,13 @@ async function loadPlayersAndFinances(renderFn = renderPlayerLists) {
         const appDiv = document.getElementById('app');
         if (appDiv) appDiv.appendChild(loadingDiv);
 
-        const [playersResult, finResult, transResult] = await Promise.allSettled([
+        const [playersResult, transResult, historyResult, transfersResult] = await Promise.allSettled([
             supabaseDb.select('players', '*'),
-            supabaseDb.select('finances', '*'),
             supabaseDb.select('transactions', '*', { 
                 order: { column: 'id', ascending: false } 
-            })
+            }),
+            supabaseDb.select('player_value_history', '*'),
+            supabaseDb.select('transfers', '*')
         ]);
 
         if (playersResult.status === 'fulfilled' && playersResult.value.data) {
@@ -50,15 +62,17 @@ async function loadPlayersAndFinances(renderFn = renderPlayerLists) {
             realMadrid = players.filter(p => p.team === "Real");
             ehemalige = players.filter(p => p.team === "Ehemalige");
         }
-        if (finResult.status === 'fulfilled' && finResult.value.data) {
-            const finData = finResult.value.data;
-            finances = {
-                aekAthen: finData.find(f => f.team === "AEK") || { balance: 0 },
-                realMadrid: finData.find(f => f.team === "Real") || { balance: 0 }
-            };
-        }
         if (transResult.status === 'fulfilled' && transResult.value.data) {
             transactions = transResult.value.data;
+            // Kontostände für Kauf und Transfers aus dem Ledger, nicht aus der gespeicherten Kopie
+            const balances = ledgerBalances(transactions);
+            finances = { aekAthen: balances.AEK, realMadrid: balances.Real };
+        }
+        if (historyResult.status === 'fulfilled' && historyResult.value.data) {
+            valueHistory = historyResult.value.data;
+        }
+        if (transfersResult.status === 'fulfilled' && transfersResult.value.data) {
+            transfers = transfersResult.value.data;
         }
 
         if (loadingDiv.parentNode) {
@@ -112,6 +126,7 @@ function accordionPanelHtml(team, key, bgClass, textClass) {
         <div class="${bgClass} rounded-lg border border-gray-300">
             <button id="panel-toggle-${key}" class="flex justify-between items-center w-full px-3 py-3 ${textClass} font-medium transition" style="font-size:1.1rem;">
                 <span>${team}</span>
+                <span id="squad-warning-${key}" class="ml-auto mr-2 text-xs font-semibold text-amber-500"></span>
                 <span class="ml-2">${isOpen ? "▼" : "▶"}</span>
             </button>
             <div id="panel-content-${key}" class="transition-all duration-200" style="${isOpen ? '' : 'display:none;'}">
@@ -120,6 +135,8 @@ function accordionPanelHtml(team, key, bgClass, textClass) {
                         <svg class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 4v16m8-8H4"/></svg>
                         <span>Spieler hinzufügen</span>
                     </button>
+                    ${team !== 'Ehemalige' ? `<div id="squad-violations-${key}" class="text-sm text-amber-500"></div>` : ''}
+                    <div id="list-toolbar-${key}"></div>
                     <div id="team-${key}-players" class="space-y-2 mt-2"></div>
                     ${team !== 'Ehemalige' ? `<div class="text-xs mt-2 ${textClass}">Gesamter Marktwert: <span id="${key}-marktwert"></span></div>` : ''}
                 </div>
@@ -128,7 +145,70 @@ function accordionPanelHtml(team, key, bgClass, textClass) {
     `;
 }
 
+// Verstöße gegen die Kaderregeln im Panel-Kopf (auch zugeklappt) und in der Liste
+function renderSquadViolations(key, squad) {
+    const violations = squadViolations(squad, getLeagueRules().squad);
+    const badge = document.getElementById(`squad-warning-${key}`);
+    if (badge) badge.innerText = violations.length ? `⚠ ${violations.length} Kaderregel${violations.length > 1 ? 'n' : ''}` : "";
+    const list = document.getElementById(`squad-violations-${key}`);
+    if (list) list.innerHTML = violations.map(v => `<div>⚠ ${v.message}</div>`).join('');
+}
+
+// Suche, Filter und Sortierung gelten für alle drei Panels
+const LIST_TAB = "kader";
+
+function comparePosition(a, b) {
+    return (POSITION_ORDER[a.position] ?? 99) - (POSITION_ORDER[b.position] ?? 99);
+}
+
+function renderKaderToolbar(key) {
+    const nationalities = [...new Set([...aekAthen, ...realMadrid, ...ehemalige].map(p => p.nationality).filter(Boolean))].sort();
+    getListState(LIST_TAB, { sort: "position" });
+    renderListToolbar(document.getElementById(`list-toolbar-${key}`), LIST_TAB, {
+        search: "Spieler suchen…",
+        filters: [
+            { name: "position", label: "Alle Positionen", options: POSITIONEN.map(pos => [pos, pos]) },
+            { name: "preferred_foot", label: "Jeder Fuß", options: FEET.map(foot => [foot, foot]) },
+            { name: "nationality", label: "Alle Nationen", options: nationalities.map(n => [n, n]) }
+        ],
+        sorts: PLAYER_SORTS
+    }, renderOpenPanelList);
+}
+
+function sortedForList(arr) {
+    const sorts = Object.fromEntries(Object.keys(PLAYER_SORTS).map(key => [key, comparePlayers(key)]));
+    sorts.position = comparePosition;
+    return applyListState(arr, getListState(LIST_TAB, { sort: "position" }), {
+        text: p => `${p.name} ${p.nationality || ""}`,
+        filters: {
+            position: playsPosition,
+            preferred_foot: (p, foot) => p.preferred_foot === foot,
+            nationality: (p, nationality) => p.nationality === nationality
+        },
+        sorts
+    });
+}
+
+// Zweite Zeile der Spielerkarte mit den optionalen Attributen
+function attributeLineHtml(player) {
+    const summary = attributeSummary(player);
+    if (!summary) return "";
+    return `<p class="text-xs text-slate-300 mt-1"${player.notes ? ` title="${DOM.sanitizeForAttribute(player.notes)}"` : ""}>${DOM.sanitizeForHTML(summary)}${player.notes ? " 📝" : ""}</p>`;
+}
+
 function renderPlayerLists() {
+    renderSquadViolations('aek', aekAthen);
+    renderSquadViolations('real', realMadrid);
+    if (openPanel) renderKaderToolbar(openPanel);
+    renderOpenPanelList();
+    // Add Player-Button Handler nur im offenen Panel
+    if (openPanel === 'aek' && document.getElementById('add-player-aek')) document.getElementById('add-player-aek').onclick = () => openPlayerForm('AEK');
+    if (openPanel === 'real' && document.getElementById('add-player-real')) document.getElementById('add-player-real').onclick = () => openPlayerForm('Real');
+    if (openPanel === 'ehemalige' && document.getElementById('add-player-ehemalige')) document.getElementById('add-player-ehemalige').onclick = () => openPlayerForm('Ehemalige');
+}
+
+// Nur die Liste des offenen Panels, z.B. nach einer Eingabe in der Toolbar
+function renderOpenPanelList() {
     if (openPanel === 'aek' && document.getElementById('team-aek-players')) {
         renderPlayerList('team-aek-players', aekAthen, "AEK");
         const mwSpan = document.getElementById('aek-marktwert');
@@ -142,21 +222,13 @@ function renderPlayerLists() {
     if (openPanel === 'ehemalige' && document.getElementById('team-ehemalige-players')) {
         renderEhemaligeList('team-ehemalige-players');
     }
-    // Add Player-Button Handler nur im offenen Panel
-    if (openPanel === 'aek' && document.getElementById('add-player-aek')) document.getElementById('add-player-aek').onclick = () => openPlayerForm('AEK');
-    if (openPanel === 'real' && document.getElementById('add-player-real')) document.getElementById('add-player-real').onclick = () => openPlayerForm('Real');
-    if (openPanel === 'ehemalige' && document.getElementById('add-player-ehemalige')) document.getElementById('add-player-ehemalige').onclick = () => openPlayerForm('Ehemalige');
 }
 
 function renderPlayerList(containerId, arr, team) {
     const c = document.getElementById(containerId);
     if (!c) return;
-    arr = arr.slice().sort((a, b) => {
-        const posA = POSITION_ORDER[a.position] ?? 99;
-        const posB = POSITION_ORDER[b.position] ?? 99;
-        return posA - posB;
-    });
-    c.innerHTML = "";
+    arr = sortedForList(arr);
+    c.innerHTML = !arr.length && isListFiltered(getListState(LIST_TAB)) ? `<div class="text-sm text-gray-400 text-center py-2">Keine Spieler für diese Filter.</div>` : "";
     arr.forEach(player => {
         const marktwert = typeof player.value === 'number'
             ? player.value
@@ -178,11 +250,13 @@ function renderPlayerList(containerId, arr, team) {
             </button>
           </div>
           <div class="flex-1 flex flex-col">
-            <p class="font-medium flex items-center">${posBadge}${player.name}</p>
-            <p class="font-bold text-sm mt-1">${marktwert}M</p>
+            <p class="font-medium flex items-center hover:underline" data-player-id="${player.id}" title="Profil öffnen">${posBadge}${player.name}</p>
+            <p class="font-bold text-sm mt-1">${marktwert}M${valueTrendHtml(player.id)}</p>
+            ${attributeLineHtml(player)}
+            ${loanBadgeHtml(player.id)}
           </div>
           <div class="flex flex-col gap-2 ml-3">
-            <button class="move-btn bg-gray-400 hover:bg-gray-7000 text-white p-2 rounded-lg flex items-center" title="Zu Ehemalige">
+            <button class="move-btn bg-gray-400 hover:bg-gray-7000 text-white p-2 rounded-lg flex items-center" title="Transfer, Tausch oder Leihe">
               <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17 8l4 4m0 0l-4 4m4-4H3" />
               </svg>
@@ -190,21 +264,19 @@ function renderPlayerList(containerId, arr, team) {
           </div>
         `;
         d.querySelector('.edit-btn').onclick = () => openPlayerForm(team, player.id);
-        d.querySelector('.move-btn').onclick = () => movePlayerWithTransaction(player.id, "Ehemalige");
+        d.querySelector('.move-btn').onclick = () => openTransfer(player, "Ehemalige");
+        d.querySelector('.loan-return-btn')?.addEventListener('click', () => returnLoan(player));
         c.appendChild(d);
     });
+    attachProfileLinks(c);
 }
 
 
 function renderEhemaligeList(containerId = "ehemalige-players") {
     const c = document.getElementById(containerId);
     if (!c) return;
-    const sorted = ehemalige.slice().sort((a, b) => {
-        const posA = POSITION_ORDER[a.position] ?? 99;
-        const posB = POSITION_ORDER[b.position] ?? 99;
-        return posA - posB;
-    });
-    c.innerHTML = "";
+    const sorted = sortedForList(ehemalige);
+    c.innerHTML = !sorted.length && isListFiltered(getListState(LIST_TAB)) ? `<div class="text-sm text-gray-400 text-center py-2">Keine Spieler für diese Filter.</div>` : "";
     sorted.forEach((player) => {
         const marktwert = typeof player.value === 'number'
             ? player.value
@@ -232,8 +304,9 @@ function renderEhemaligeList(containerId = "ehemalige-players") {
             </button>
           </div>
           <div class="flex-1 flex flex-col">
-            <p class="font-medium flex items-center">${posBadge}${player.name}</p>
-            <p class="font-bold text-sm mt-1">${marktwert ? marktwert + "M" : ""}</p>
+            <p class="font-medium flex items-center hover:underline" data-player-id="${player.id}" title="Profil öffnen">${posBadge}${player.name}</p>
+            <p class="font-bold text-sm mt-1">${marktwert ? marktwert + "M" : ""}${valueTrendHtml(player.id)}</p>
+            ${attributeLineHtml(player)}
           </div>
           <div class="flex flex-col gap-2 ml-3">
             <button class="move-aek-btn bg-blue-600 hover:bg-blue-700 text-white p-2 rounded-lg flex items-center" title="Zu AEK">
@@ -250,10 +323,33 @@ function renderEhemaligeList(containerId = "ehemalige-players") {
         `;
         d.querySelector('.edit-btn').onclick = () => openPlayerForm('Ehemalige', player.id);
         d.querySelector('.delete-btn').onclick = () => deletePlayerDb(player.id);
-        d.querySelector('.move-aek-btn').onclick = () => movePlayerWithTransaction(player.id, 'AEK');
-        d.querySelector('.move-real-btn').onclick = () => movePlayerWithTransaction(player.id, 'Real');
+        d.querySelector('.move-aek-btn').onclick = () => openTransfer(player, 'AEK');
+        d.querySelector('.move-real-btn').onclick = () => openTransfer(player, 'Real');
         c.appendChild(d);
     });
+    attachProfileLinks(c);
+}
+
+// Pfeil mit der letzten Marktwertänderung aus player_value_history
+function valueTrendHtml(playerId) {
+    const trend = valueTrend(valueHistory, playerId);
+    if (!trend || trend.delta === 0) return "";
+    const up = trend.delta > 0;
+    const delta = Math.round(Math.abs(trend.delta) * 10) / 10;
+    return `<span class="ml-2 text-xs font-semibold ${up ? 'text-green-400' : 'text-red-400'}" title="Vorher ${trend.previous}M, geändert am ${new Date(trend.date).toLocaleDateString('de-DE')}">${up ? '▲' : '▼'} ${delta}M</span>`;
+}
+
+// Hinweis auf eine laufende Leihe mit Rückgabe-Button; überfällige Leihen rot
+function loanBadgeHtml(playerId) {
+    const loan = activeLoan(transfers, playerId);
+    if (!loan) return "";
+    const overdue = loan.loan_until && loan.loan_until <= new Date().toISOString().slice(0, 10);
+    return `
+        <p class="text-xs mt-1 ${overdue ? 'text-red-400' : 'text-amber-300'}">
+            Leihe von ${loan.from_team} bis ${loan.loan_until ? new Date(loan.loan_until).toLocaleDateString('de-DE') : '?'}
+            <button class="loan-return-btn ml-2 underline" title="Leihe beenden">Zurück</button>
+        </p>
+    `;
 }
 
 function getKaderMarktwert(arr) {
@@ -265,7 +361,7 @@ function getKaderMarktwert(arr) {
 
 async function savePlayer(player) {
     try {
-        await dataSavePlayer(player);
+        return await dataSavePlayer(player);
     } catch (error) {
         alert(error.message);
         throw error;
@@ -274,78 +370,58 @@ async function savePlayer(player) {
 
 async function deletePlayerDb(id) {
     try {
+        // Alles festhalten, was beim Löschen mit verschwindet, damit es sich rückgängig machen lässt
+        const snapshot = await capturePlayer(id);
         await dataDeletePlayer(id);
+        undoManager.record({
+            label: `${snapshot.player.name} gelöscht`,
+            undo: () => dataManager.applyUndo(playerRestoreSteps(snapshot)),
+            redo: () => dataDeletePlayer(id)
+        });
     } catch (error) {
         alert(error.message);
         throw error;
     }
 }
 
-async function movePlayerWithTransaction(id, newTeam) {
-    let all = [...aekAthen, ...realMadrid, ...ehemalige];
-    const player = all.find(p => p.id === id);
-    if (!player) return;
-
-    const oldTeam = player.team;
-    const value = typeof player.value === "number" ? player.value : parseFloat(player.value) || 0;
-    const abloese = value * 1000000;
-    const now = new Date().toISOString().slice(0, 10);
-
-    // Von TEAM zu Ehemalige: VERKAUF
-    if ((oldTeam === "AEK" || oldTeam === "Real") && newTeam === "Ehemalige") {
-        await supabase.from('transactions').insert([{
-            date: now,
-            type: "Spielerverkauf",
-            team: oldTeam,
-            amount: abloese,
-            info: `Verkauf von ${player.name} (${player.position})`
-        }]);
-        let finKey = oldTeam === "AEK" ? "aekAthen" : "realMadrid";
-        await supabase.from('finances').update({
-            balance: (finances[finKey].balance || 0) + abloese
-        }).eq('team', oldTeam);
-        await movePlayerToTeam(id, newTeam);
-        return;
-    }
-
-    // Von Ehemalige zu TEAM: KAUF
-    if (oldTeam === "Ehemalige" && (newTeam === "AEK" || newTeam === "Real")) {
-        let finKey = newTeam === "AEK" ? "aekAthen" : "realMadrid";
-        const konto = finances[finKey].balance || 0;
-        if (konto < abloese) {
-            alert("Kontostand zu gering für diesen Transfer!");
-            return;
-        }
-        await supabase.from('transactions').insert([{
-            date: now,
-            type: "Spielerkauf",
-            team: newTeam,
-            amount: -abloese,
-            info: `Kauf von ${player.name} (${player.position})`
-        }]);
-        await supabase.from('finances').update({
-            balance: konto - abloese
-        }).eq('team', newTeam);
-        await movePlayerToTeam(id, newTeam);
-        return;
-    }
-
-    // Innerhalb Teams oder Ehemalige zu Ehemalige: Nur Move
-    await movePlayerToTeam(id, newTeam);
+async function capturePlayer(id) {
+    const player = [...aekAthen, ...realMadrid, ...ehemalige].find(p => p.id === id);
+    if (!player) throw new Error('Spieler nicht gefunden');
+    const { data: sdsMatches } = await supabaseDb.select('matches', 'id', { eq: { manofthematch_id: id } });
+    const playerTransfers = transfers.filter(t => t.player_id === id);
+    const transferIds = new Set(playerTransfers.map(t => t.id));
+    return {
+        player,
+        valueHistory: valueHistory.filter(h => h.player_id === id),
+        transfers: playerTransfers,
+        transferTransactions: transactions.filter(t => transferIds.has(t.transfer_id)),
+        sdsMatches: sdsMatches || []
+    };
 }
 
-async function movePlayerToTeam(id, newTeam) {
-    const { error } = await supabase.from('players').update({ team: newTeam }).eq('id', id);
-    if (error) alert('Fehler beim Verschieben: ' + error.message);
+function openTransfer(player, toTeam) {
+    openTransferDialog({
+        player,
+        players: [...aekAthen, ...realMadrid, ...ehemalige],
+        balances: { AEK: finances.aekAthen.balance || 0, Real: finances.realMadrid.balance || 0 },
+        toTeam
+    });
 }
 
-async function saveTransactionAndFinance(team, type, amount, info = "") {
-    const now = new Date().toISOString().slice(0, 10);
-    await supabase.from('transactions').insert([{ date: now, type, team, amount, info }]);
-    const finKey = team === "AEK" ? "aekAthen" : "realMadrid";
-    let updateObj = {};
-    updateObj.balance = (finances[finKey].balance || 0) + amount;
-    await supabase.from('finances').update(updateObj).eq('team', team);
+async function returnLoan(player) {
+    const loan = activeLoan(transfers, player.id);
+    if (!loan || !confirm(`${player.name} zu ${loan.from_team} zurückschicken?`)) return;
+    const plan = buildLoanReturnPlan(player, loan);
+    const violations = checkTransferPlan(plan, [...aekAthen, ...realMadrid, ...ehemalige], getLeagueRules().squad);
+    if (violations.length) {
+        alert("Kaderregeln verletzt:\n- " + violations.join("\n- "));
+        return;
+    }
+    try {
+        await transferWithUndo(plan, `${player.name} ist zurück bei ${loan.from_team}`);
+    } catch (error) {
+        ErrorHandler.handleDatabaseError(error, 'Leihe beenden');
+    }
 }
 
 function openPlayerForm(team, id) {
@@ -366,6 +442,12 @@ function openPlayerForm(team, id) {
                 </select>
                 <input type="number" min="0" step="0.1" name="value" class="border border-slate-600 bg-slate-700 text-slate-100 rounded-lg p-3 w-full text-base placeholder-slate-400 focus:ring-2 focus:ring-sky-500 focus:border-transparent" placeholder="Marktwert (M)" value="${player && player.value !== undefined ? player.value : ""}" required>
             </div>
+            <details class="bg-slate-800 rounded-lg border border-slate-600 p-3"${player && PLAYER_ATTRIBUTES.some(a => player[a.key] != null && String(player[a.key]) !== "") ? " open" : ""}>
+                <summary class="cursor-pointer font-semibold text-slate-200">Weitere Angaben</summary>
+                <div class="space-y-3 mt-3">
+                    ${PLAYER_ATTRIBUTES.map(attr => attributeFieldHtml(attr, player ? player[attr.key] : null)).join("")}
+                </div>
+            </details>
             <div class="flex gap-3 pt-4">
                 <button type="submit" class="bg-gradient-to-r from-sky-500 to-sky-600 hover:from-sky-600 hover:to-sky-700 text-white w-full px-4 py-3 rounded-lg text-base font-semibold transition-all duration-200 flex gap-2 items-center justify-center shadow-lg hover:shadow-xl active:scale-95">
                   <svg class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7"/></svg>
@@ -378,32 +460,95 @@ function openPlayerForm(team, id) {
     document.getElementById("player-form").onsubmit = (e) => submitPlayerForm(e, team, player ? player.id : null);
 }
 
+const attributeInputClass = "border border-slate-600 bg-slate-700 text-slate-100 rounded-lg p-3 w-full text-base placeholder-slate-400 focus:ring-2 focus:ring-sky-500 focus:border-transparent";
+
+// Formularfeld je Attribut-Typ (Zahl, Auswahl, Liste, Freitext)
+function attributeFieldHtml(attr, value) {
+    const current = value ?? "";
+    if (attr.type === "array") {
+        const selected = value || [];
+        return `
+            <div>
+                <div class="text-sm text-slate-300 mb-1">${attr.label}</div>
+                <div class="flex flex-wrap gap-2">
+                    ${POSITIONEN.map(pos => `
+                        <label class="inline-flex items-center gap-1 text-sm"><input type="checkbox" name="${attr.key}" value="${pos}"${selected.includes(pos) ? " checked" : ""}>${pos}</label>
+                    `).join("")}
+                </div>
+            </div>
+        `;
+    }
+    if (attr.enum) {
+        return `
+            <select name="${attr.key}" class="${attributeInputClass}">
+                <option value="">${attr.label}</option>
+                ${attr.enum.map(option => `<option${option === current ? " selected" : ""}>${option}</option>`).join("")}
+            </select>
+        `;
+    }
+    if (attr.type === "number") {
+        return `<input type="number" name="${attr.key}" min="${attr.min}" max="${attr.max}" step="1" class="${attributeInputClass}" placeholder="${attr.label}" value="${current}">`;
+    }
+    if (attr.maxLength > 100) {
+        return `<textarea name="${attr.key}" maxlength="${attr.maxLength}" rows="2" class="${attributeInputClass}" placeholder="${attr.label}">${DOM.sanitizeForHTML(String(current))}</textarea>`;
+    }
+    return `<input type="text" name="${attr.key}" maxlength="${attr.maxLength}" class="${attributeInputClass}" placeholder="${attr.label}" value="${DOM.sanitizeForAttribute(String(current))}">`;
+}
+
 async function submitPlayerForm(event, team, id) {
     event.preventDefault();
     const form = event.target;
     const name = form.name.value;
     const position = form.position.value;
     const value = parseFloat(form.value.value);
+    const attributes = readAttributes(form);
+    // Die Hauptposition ist keine Nebenposition
+    attributes.secondary_positions = attributes.secondary_positions.filter(pos => pos !== position);
+
+    if (attributes.shirt_number && team !== "Ehemalige") {
+        const taken = [...aekAthen, ...realMadrid].find(p => p.team === team && p.id !== id && p.shirt_number === attributes.shirt_number);
+        if (taken) {
+            alert(`Rückennummer ${attributes.shirt_number} ist bei ${team} schon an ${taken.name} vergeben!`);
+            return;
+        }
+    }
+
+    // Kaderregeln gelten nur für AEK und Real
+    if (team === "AEK" || team === "Real") {
+        const squad = team === "AEK" ? aekAthen : realMadrid;
+        const after = id
+            ? squad.map(p => (p.id === id ? { ...p, position, value } : p))
+            : [...squad, { name, position, value, team }];
+        const violations = worsenedViolations(squad, after, getLeagueRules().squad);
+        if (violations.length) {
+            alert(`Kaderregeln verletzt (${team}):\n- ` + violations.map(v => v.message).join("\n- "));
+            return;
+        }
+    }
 
     try {
-        if (!id && (team === "AEK" || team === "Real")) {
+        const kauf = !id && (team === "AEK" || team === "Real");
+        const transferPlan = kauf ? buildTransferPlan({ name, position }, null, team, transferFee({ value })) : null;
+        if (kauf) {
             let fin = team === "AEK" ? finances.aekAthen : finances.realMadrid;
-            if (fin.balance < value * 1000000) {
-                alert("Kontostand zu gering!");
+            if (overdraftStatus(fin.balance || 0, getLeagueRules().finance).transferBan) {
+                alert(`Transfersperre: ${team} ist überzogen und darf keine Spieler holen!`);
                 return;
             }
-            try {
-                await saveTransactionAndFinance(team, "Spielerkauf", -value * 1000000, `Kauf von ${name} (${position})`);
-            } catch (error) {
-                console.warn("Transaction save failed (demo mode):", error);
-                // Continue with player save even if transaction fails in demo mode
+            if (transferShortfalls(transferPlan, { [team]: fin.balance || 0 }).length) {
+                alert("Kontostand zu gering!");
+                return;
             }
         }
         if (id) {
-            await savePlayer({ id, name, position, value, team });
+            await savePlayer({ id, name, position, value, team, ...attributes });
             showSuccessAndCloseModal(`Spieler ${name} erfolgreich aktualisiert`);
+        } else if (kauf) {
+            // Neuzugang von außen: Spieler und Kauf (Transfer ohne abgebendes Team) in einer Transaktion
+            await dataManager.signPlayer({ name, position, value, team, ...attributes }, transferPlan);
+            showSuccessAndCloseModal(`Spieler ${name} erfolgreich hinzugefügt`);
         } else {
-            await savePlayer({ name, position, value, team });
+            await savePlayer({ name, position, value, team, ...attributes });
             showSuccessAndCloseModal(`Spieler ${name} erfolgreich hinzugefügt`);
         }
     } catch (error) {
@@ -420,5 +565,7 @@ export function resetKaderState() {
     ehemalige = [];
     finances = { aekAthen: { balance: 0 }, realMadrid: { balance: 0 } };
     transactions = [];
+    valueHistory = [];
+    transfers = [];
     openPanel = null;
 }
\ No newline at end of file
@@ -0,0 +1,184 @@
+/**
+ * League Rules
+ * Versioned rules (Preisgeld, SdS-Bonus, Echtgeld, Ablöse, Sperren, Kader, Überziehung) stored in the `settings` table.
+ * Every save creates a new version; matches remember the version they were played under.
+ */
+import { supabase } from './supabaseClient.js';
+
+// Version 0: die bisher fest eingebauten Regeln
+export const DEFAULT_RULES = {
+    prizes: {
+        win: 1000000,               // Grundbetrag für den Sieger
+        winPerGoalConceded: 50000,  // Abzug je Gegentor
+        winPerYellow: 20000,
+        winPerRed: 50000,
+        lossBase: 500000,           // Grundbetrag, den der Verlierer zahlt
+        lossPerGoalConceded: 50000,
+        lossPerYellow: 20000,
+        lossPerRed: 50000
+    },
+    sdsBonus: 100000,
+    echtgeld: {
+        base: 5,        // Euro pro Niederlage
+        step: 100000    // je 100.000 € Fehlbetrag (gerundet) ein weiterer Euro
+    },
+    transfer: {
+        valueMultiplier: 1000000  // Marktwert (in Mio.) × Faktor = Ablöse
+    },
+    bans: {
+        types: [
+            { value: "Gelb-Rote Karte", label: "Gelb-Rote Karte", duration: 1 },
+            { value: "Rote Karte", label: "Rote Karte", duration: 2 },
+            { value: "Verletzung", label: "Verletzung", duration: 3 },
+            { value: "Gelbsperre", label: "Gelbsperre", duration: 1 }
+        ],
+        allowedCounts: [1, 2, 3, 4, 5, 6],
+        yellowLimit: 5  // so viele Gelbe Karten führen zu einer Gelbsperre (0 = aus)
+    },
+    // Kaderregeln für AEK und Real (siehe squadRules.js), 0 = aus
+    squad: {
+        minSize: 0,
+        maxSize: 0,
+        minGoalkeepers: 0,
+        maxPerGroup: { def: 0, mid: 0, att: 0 },
+        maxValue: 0     // Gesamtmarktwert in Mio.
+    },
+    // Überziehung (siehe ledger.js): was unter den Rahmen fällt, wird als "Fehlbetrag" gebucht
+    finance: {
+        overdraftLimit: 0,  // so weit darf der Kontostand ins Minus (€)
+        transferBan: true   // im Minus keine Zugänge (Kauf, Leihe, Tausch)
+    }
+};
+
+let ruleVersions = [];
+
+function cloneRules(rules) {
+    return JSON.parse(JSON.stringify(rules));
+}
+
+// Später hinzugekommene Sperrtypen (z.B. Gelbsperre) auch in älteren Versionen anbieten
+function normalizeBanTypes(types, defaults) {
+    if (!Array.isArray(types) || !types.length) return defaults;
+    return [...types, ...defaults.filter(d => !types.some(t => t.value === d.value))];
+}
+
+// Fehlende Felder älterer Versionen mit den Standardwerten auffüllen
+export function normalizeRules(rules = {}) {
+    const base = cloneRules(DEFAULT_RULES);
+    return {
+        prizes: { ...base.prizes, ...(rules.prizes || {}) },
+        sdsBonus: rules.sdsBonus ?? base.sdsBonus,
+        echtgeld: { ...base.echtgeld, ...(rules.echtgeld || {}) },
+        transfer: { ...base.transfer, ...(rules.transfer || {}) },
+        bans: {
+            types: normalizeBanTypes(rules.bans?.types, base.bans.types),
+            allowedCounts: Array.isArray(rules.bans?.allowedCounts) && rules.bans.allowedCounts.length ? rules.bans.allowedCounts : base.bans.allowedCounts,
+            yellowLimit: rules.bans?.yellowLimit ?? base.bans.yellowLimit
+        },
+        squad: {
+            ...base.squad,
+            ...(rules.squad || {}),
+            maxPerGroup: { ...base.squad.maxPerGroup, ...(rules.squad?.maxPerGroup || {}) }
+        },
+        finance: { ...base.finance, ...(rules.finance || {}) }
+    };
+}
+
+export function validateRules(rules) {
+    const errors = [];
+    const nonNegative = (value, label) => {
+        if (typeof value !== 'number' || isNaN(value) || value < 0) {
+            errors.push(`${label} muss eine Zahl ≥ 0 sein`);
+        }
+    };
+
+    Object.entries(rules.prizes || {}).forEach(([key, value]) => nonNegative(value, `Preisgeld (${key})`));
+    nonNegative(rules.sdsBonus, 'SdS-Bonus');
+    nonNegative(rules.echtgeld?.base, 'Echtgeld-Grundbetrag');
+    if (!(rules.echtgeld?.step > 0)) errors.push('Echtgeld-Schrittweite muss größer als 0 sein');
+    if (!(rules.transfer?.valueMultiplier > 0)) errors.push('Ablöse-Faktor muss größer als 0 sein');
+
+    const counts = rules.bans?.allowedCounts || [];
+    if (!counts.length || counts.some(c => !Number.isInteger(c) || c < 1)) {
+        errors.push('Erlaubte Sperrlängen müssen ganze Zahlen ≥ 1 sein');
+    }
+    const yellowLimit = rules.bans?.yellowLimit;
+    if (!Number.isInteger(yellowLimit) || yellowLimit < 0) {
+        errors.push('Gelbsperre-Grenze muss eine ganze Zahl ≥ 0 sein');
+    }
+    (rules.bans?.types || []).forEach(t => {
+        if (!t.value) errors.push('Sperrtyp ohne Namen');
+        if (!Number.isInteger(t.duration) || t.duration < 1) errors.push(`Dauer für ${t.value || 'Sperrtyp'} muss ≥ 1 sein`);
+    });
+
+    const squad = rules.squad || {};
+    ['minSize', 'maxSize', 'minGoalkeepers', 'maxValue'].forEach(key => nonNegative(squad[key], `Kaderregel (${key})`));
+    Object.entries(squad.maxPerGroup || {}).forEach(([group, value]) => nonNegative(value, `Kaderregel (max. ${group})`));
+    if (squad.minSize && squad.maxSize && squad.minSize > squad.maxSize) {
+        errors.push('Mindestgröße des Kaders darf nicht über der Höchstgröße liegen');
+    }
+
+    nonNegative(rules.finance?.overdraftLimit, 'Überziehungsrahmen');
+
+    return { valid: errors.length === 0, errors };
+}
+
+export async function loadLeagueRules() {
+    const { data, error } = await supabase.from('settings').select('*').order('version', { ascending: true });
+    if (error) {
+        console.warn('Regeln konnten nicht geladen werden, Standardregeln aktiv:', error.message);
+        return getLeagueRules();
+    }
+    ruleVersions = (data || []).map(row => ({ ...row, rules: normalizeRules(row.rules) }));
+    return getLeagueRules();
+}
+
+export function getRuleVersions() {
+    return ruleVersions;
+}
+
+export function getCurrentRulesVersion() {
+    return ruleVersions.length ? ruleVersions[ruleVersions.length - 1].version : 0;
+}
+
+// Aktuell gültige Regeln
+export function getLeagueRules() {
+    return getRulesForVersion(getCurrentRulesVersion());
+}
+
+// Regeln einer bestimmten Version; Matches ohne Version wurden nach den Standardregeln gespielt
+export function getRulesForVersion(version) {
+    const entry = version ? ruleVersions.find(v => v.version === version) : null;
+    return entry ? entry.rules : normalizeRules(DEFAULT_RULES);
+}
+
+// Regeln, die an einem Datum galten: die letzte Version mit valid_from bis zu diesem Tag
+export function getRulesForDate(date) {
+    const entry = [...ruleVersions].reverse().find(v => v.valid_from && date && v.valid_from <= date);
+    return entry ? entry.rules : normalizeRules(DEFAULT_RULES);
+}
+
+// Speichert die Regeln als neue Version – bestehende Versionen bleiben unverändert
+export async function saveLeagueRules(rules, note = "") {
+    const normalized = normalizeRules(rules);
+    const validation = validateRules(normalized);
+    if (!validation.valid) {
+        throw new Error(`Validierungsfehler: ${validation.errors.join(', ')}`);
+    }
+
+    const version = getCurrentRulesVersion() + 1;
+    const { error } = await supabase.from('settings').insert([{
+        version,
+        rules: normalized,
+        note,
+        valid_from: new Date().toISOString().slice(0, 10)
+    }]);
+    if (error) throw error;
+
+    await loadLeagueRules();
+    return version;
+}
+
+export function resetLeagueRulesState() {
+    ruleVersions = [];
+}
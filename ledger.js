@@ -0,0 +1,253 @@
+/**
+ * Ledger
+ * Balances and Echtgeld debts as a pure function of the `transactions` table. Every transaction is
+ * booked by the rule for its type (`LEDGER_RULES`) as two postings – the team account and a counter
+ * account – and an account never drops below its floor (`ACCOUNT_FLOORS`); what a floor swallows is
+ * posted explicitly. The balance floor is the overdraft limit from the league rules (`ledgerFloors`);
+ * a replay applies to each transaction the limit in force on its date (`floorsByDate`), so history booked
+ * before a change keeps its old floor. New bookings never hit the floor, because `shortfallFor` books
+ * the part beyond the limit as a "Fehlbetrag"; a change to past bookings is checked with `newFloorHits`,
+ * which names every later booking the change would push onto a floor.
+ * `reconcileFinances` compares the stored `finances` rows with the replay and names the transactions
+ * that can explain a difference.
+ */
+import { TEAMS } from './standings.js';
+
+export const ACCOUNT_LABELS = {
+    balance: "Kontostand",
+    debt: "Echtgeldschulden"
+};
+
+// Untergrenze je Konto: ein Stand darunter wird auf die Grenze gesetzt (null = keine Grenze)
+export const ACCOUNT_FLOORS = {
+    balance: 0,
+    debt: 0
+};
+
+// Je Transaktionstyp: welches Konto des Teams sich ändert und wer die Gegenbuchung trägt
+export const LEDGER_RULES = {
+    "Preisgeld": { account: "balance", counter: "Liga" },
+    "Bonus SdS": { account: "balance", counter: "Liga" },
+    "Spielerkauf": { account: "balance", counter: "Transfermarkt" },
+    "Spielerverkauf": { account: "balance", counter: "Transfermarkt" },
+    "Echtgeld-Ausgleich": { account: "debt", counter: "Echtgeld" },
+    "Echtgeld-Ausgleich (getilgt)": { account: "debt", counter: "Echtgeld" },
+    "Echtgeld-Zahlung": { account: "debt", counter: "Echtgeld" },
+    "Sonstiges": { account: "balance", counter: "Sonstiges" },
+    "Fehlbetrag": { account: "balance", counter: "Fehlbeträge" }
+};
+
+// Ausgleich für den Teil einer Buchung, der unter den Überziehungsrahmen fallen würde
+export const SHORTFALL_TYPE = "Fehlbetrag";
+
+// Gegenkonten für Buchungen ohne eigene Transaktion
+const FLOOR_ACCOUNT = "Kappung";
+const RESET_ACCOUNT = "Saisonreset";
+
+const MAX_SUSPECTS = 5;
+
+// Unbekannte Typen werden wie "Sonstiges" gebucht
+export function ledgerRule(type) {
+    return LEDGER_RULES[type] || LEDGER_RULES.Sonstiges;
+}
+
+/**
+ * Bucht eine Transaktion auf den Stand eines Teams, ohne ihn zu verändern.
+ * @param {Object} state - { balance, debt } des Teams
+ * @returns {Object} { account, before, after, clamped } – clamped = Betrag, den die Untergrenze ausgeglichen hat
+ */
+export function applyTransaction(state, transaction, floors = ACCOUNT_FLOORS) {
+    const { account } = ledgerRule(transaction.type);
+    const before = state?.[account] || 0;
+    const raw = before + (transaction.amount || 0);
+    const floor = floors[account];
+    const after = floor == null ? raw : Math.max(floor, raw);
+    return { account, before, after, clamped: after - raw };
+}
+
+// Untergrenzen nach den Ligaregeln: der Kontostand darf bis zum Überziehungsrahmen ins Minus
+export function ledgerFloors(rules) {
+    return { ...ACCOUNT_FLOORS, balance: 0 - (rules?.finance?.overdraftLimit || 0) };
+}
+
+/**
+ * Untergrenzen je Transaktion nach den Regeln, die an ihrem Datum galten.
+ * @param {Function} rulesForDate - Datum → Ligaregeln (`getRulesForDate` aus leagueRules.js)
+ */
+export function floorsByDate(rulesForDate) {
+    return transaction => ledgerFloors(rulesForDate(transaction.date));
+}
+
+// `floors` ist entweder ein fester Satz Untergrenzen oder eine Funktion Transaktion → Untergrenzen
+function floorsFor(floors, transaction) {
+    return typeof floors === "function" ? floors(transaction) : floors;
+}
+
+/**
+ * Fehlbetrag-Buchung für eine Transaktion, die den Kontostand unter den Überziehungsrahmen drücken würde.
+ * Sie wird vor der Transaktion gebucht, damit der Stand danach genau auf dem Rahmen liegt.
+ * @param {Object} state - { balance, debt } des Teams vor der Transaktion
+ * @returns {Object|null} Transaktion vom Typ "Fehlbetrag" oder null, wenn der Rahmen reicht
+ */
+export function shortfallFor(state, transaction, overdraftLimit = 0) {
+    if (ledgerRule(transaction.type).account !== "balance") return null;
+    const missing = -overdraftLimit - ((state?.balance || 0) + (transaction.amount || 0));
+    if (missing <= 0) return null;
+    return {
+        ...transaction,
+        type: SHORTFALL_TYPE,
+        amount: missing,
+        info: `${transaction.type} über den Überziehungsrahmen${transaction.info ? ` (${transaction.info})` : ""}`
+    };
+}
+
+/**
+ * Überziehungsstatus eines Teams.
+ * @param {number} balance - aktueller Kontostand
+ * @param {Object} financeRules - `finance`-Teil der Ligaregeln
+ * @returns {Object} { overdrawn, limit, available, transferBan }; available = bis zum Rahmen verfügbar
+ */
+export function overdraftStatus(balance = 0, financeRules = {}) {
+    const limit = financeRules.overdraftLimit || 0;
+    const overdrawn = balance < 0;
+    return { overdrawn, limit, available: balance + limit, transferBan: overdrawn && !!financeRules.transferBan };
+}
+
+// Zwei Buchungszeilen, die sich zu 0 aufheben: Teamkonto und Gegenkonto
+function postings(team, account, amount, counter) {
+    return [
+        { account: `${team} ${ACCOUNT_LABELS[account]}`, amount },
+        { account: counter, amount: -amount }
+    ];
+}
+
+function orderTransactions(transactions) {
+    return [...transactions].sort((a, b) => (a.date || "").localeCompare(b.date || "") || a.id - b.id);
+}
+
+/**
+ * Spielt alle Transaktionen in Datumsreihenfolge nach.
+ * @param {Array} transactions - alle Transaktionen
+ * @param {Object} resets - { balance: Set, debt: Set } Saisons, zu deren Beginn das Konto auf 0 gesetzt wurde
+ * @param {Object|Function} floors - Untergrenzen, fest oder je Transaktion (`floorsByDate`)
+ * @returns {Object} finances ({ AEK: { balance, debt }, Real: ... }) und entries
+ *   ({ transaction, team, account, before, after, clamped, postings }; Saisonresets ohne transaction)
+ */
+export function replayLedger(transactions = [], resets = {}, floors = ACCOUNT_FLOORS) {
+    const finances = Object.fromEntries(TEAMS.map(team => [team, { balance: 0, debt: 0 }]));
+    const entries = [];
+    let season = null;
+
+    // Resets aller Saisons nach `from` bis einschließlich `to` (null = auch alle späteren)
+    const applyResets = (from, to) => {
+        Object.entries(resets).forEach(([account, seasonIds]) => {
+            const seasonId = [...(seasonIds || [])].find(id => id > from && (to === null || id <= to));
+            if (seasonId === undefined) return;
+            TEAMS.forEach(team => {
+                const before = finances[team][account] || 0;
+                if (!before) return;
+                finances[team][account] = 0;
+                entries.push({ transaction: null, seasonId, team, account, before, after: 0, clamped: 0, postings: postings(team, account, -before, RESET_ACCOUNT) });
+            });
+        });
+    };
+
+    orderTransactions(transactions).forEach(t => {
+        if (!TEAMS.includes(t.team)) return;
+        if (t.season_id != null && t.season_id !== season) {
+            if (season !== null) applyResets(season, t.season_id);
+            season = t.season_id;
+        }
+        const booking = applyTransaction(finances[t.team], t, floorsFor(floors, t));
+        finances[t.team][booking.account] = booking.after;
+        entries.push({
+            transaction: t,
+            team: t.team,
+            ...booking,
+            postings: [
+                ...postings(t.team, booking.account, t.amount || 0, ledgerRule(t.type).counter),
+                ...(booking.clamped ? postings(t.team, booking.account, booking.clamped, FLOOR_ACCOUNT) : [])
+            ]
+        });
+    });
+    // Saisons ohne eigene Transaktionen haben die gespeicherten Stände trotzdem zurückgesetzt
+    if (season !== null) applyResets(season, null);
+
+    return { finances, entries };
+}
+
+// Summe je Konto über alle Buchungszeilen; zusammen ergeben alle Konten 0
+export function accountTotals(entries = []) {
+    const totals = {};
+    entries.forEach(entry => entry.postings.forEach(({ account, amount }) => {
+        totals[account] = (totals[account] || 0) + amount;
+    }));
+    return totals;
+}
+
+// Transaktionen, die eine Differenz (gespeichert − nachgerechnet) erklären können, neueste zuerst
+function findSuspects(entries, stored, difference) {
+    const suspects = [];
+    const add = (entry, reason) => {
+        if (!entry?.transaction || suspects.some(s => s.transaction === entry.transaction)) return;
+        suspects.push({ transaction: entry.transaction, reason });
+    };
+    const newestFirst = [...entries].reverse();
+
+    newestFirst.forEach(entry => {
+        if (entry.clamped && entry.clamped === -difference) {
+            add(entry, `Stand hier auf die Untergrenze gesetzt (${entry.clamped.toLocaleString('de-DE')} € ausgeglichen)`);
+        }
+    });
+    newestFirst.forEach(entry => {
+        const amount = entry.transaction?.amount || 0;
+        if (amount && amount === -difference) add(entry, "Betrag fehlt im gespeicherten Stand");
+        else if (amount && amount === difference) add(entry, "Betrag im gespeicherten Stand doppelt gebucht");
+    });
+    // Die erste Buchung nach dem letzten Stand, der noch zum gespeicherten passte
+    const lastMatch = entries.map(e => e.after).lastIndexOf(stored);
+    if (lastMatch >= 0) add(entries[lastMatch + 1], "Erste Buchung nach dem letzten übereinstimmenden Stand");
+
+    return suspects.slice(0, MAX_SUSPECTS);
+}
+
+/**
+ * Vergleicht die gespeicherten Finanzen mit dem nachgerechneten Ledger.
+ * @param {Array} financeRows - Zeilen der Tabelle `finances`
+ * @returns {Object} finances, entries (wie `replayLedger`) und differences
+ *   ({ team, account, stored, derived, difference, suspects: [{ transaction, reason }] })
+ */
+export function reconcileFinances(financeRows = [], transactions = [], resets = {}, floors = ACCOUNT_FLOORS) {
+    const { finances, entries } = replayLedger(transactions, resets, floors);
+    const differences = [];
+
+    TEAMS.forEach(team => {
+        const row = financeRows.find(f => f.team === team) || {};
+        Object.keys(ACCOUNT_LABELS).forEach(account => {
+            const stored = row[account] || 0;
+            const derived = finances[team][account];
+            if (stored === derived) return;
+            const own = entries.filter(e => e.team === team && e.account === account);
+            differences.push({ team, account, stored, derived, difference: stored - derived, suspects: findSuspects(own, stored, stored - derived) });
+        });
+    });
+
+    return { finances, entries, differences };
+}
+
+/**
+ * Buchungen, die nach einer Änderung an der Untergrenze gekappt würden (vorher nicht oder mit anderem Betrag).
+ * Beide Listen werden vollständig nachgespielt, damit auch spätere Buchungen geprüft sind.
+ * @param {Array} before - Transaktionen wie gespeichert
+ * @param {Array} after - Transaktionen mit der Änderung; Zeilen ohne ID zählen als nach allen anderen gebucht
+ * @returns {Array} Einträge aus `replayLedger(after)` ({ transaction, team, account, clamped, ... })
+ */
+export function newFloorHits(before = [], after = [], resets = {}, floors = ACCOUNT_FLOORS) {
+    let nextId = before.reduce((max, t) => Math.max(max, t.id || 0), 0);
+    const withIds = after.map(t => (t.id == null ? { ...t, id: ++nextId } : t));
+    const clampedBefore = new Map(replayLedger(before, resets, floors).entries
+        .filter(e => e.transaction && e.clamped)
+        .map(e => [e.transaction.id, e.clamped]));
+    return replayLedger(withIds, resets, floors).entries
+        .filter(e => e.transaction && e.clamped && clampedBefore.get(e.transaction.id) !== e.clamped);
+}
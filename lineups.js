@@ -0,0 +1,122 @@
+/**
+ * Lineups
+ * Formation, starters and substitutes per match, stored as `lineupa`/`lineupb`:
+ * `{ formation, players: [{ player_id, position, starter, minutes }] }`.
+ * Appearances, minutes, clean sheets and goals per appearance are derived from these lineups.
+ */
+import { POSITIONEN } from './data.js';
+import { matchScorers } from './matchStats.js';
+
+export const MATCH_MINUTES = 90;
+export const MAX_SUBSTITUTES = 12;
+
+// Positionen der 11 Startplätze je Formation
+export const FORMATIONS = {
+    "4-4-2": ["TH", "LV", "IV", "IV", "RV", "LM", "ZM", "ZM", "RM", "ST", "ST"],
+    "4-3-3": ["TH", "LV", "IV", "IV", "RV", "ZM", "ZDM", "ZM", "LF", "ST", "RF"],
+    "4-2-3-1": ["TH", "LV", "IV", "IV", "RV", "ZDM", "ZDM", "LM", "ZOM", "RM", "ST"],
+    "3-5-2": ["TH", "IV", "IV", "IV", "LM", "ZDM", "ZM", "ZDM", "RM", "ST", "ST"],
+    "5-3-2": ["TH", "LV", "IV", "IV", "IV", "RV", "ZM", "ZM", "ZM", "ST", "ST"]
+};
+
+export const DEFAULT_FORMATION = "4-4-2";
+
+export function normalizeLineup(lineup) {
+    if (!lineup || !Array.isArray(lineup.players) || !lineup.players.length) return null;
+    return {
+        formation: lineup.formation || DEFAULT_FORMATION,
+        players: lineup.players.filter(p => p && p.player_id != null)
+    };
+}
+
+// Spieler-IDs mit Einsatz (Minuten > 0)
+export function lineupPlayerIds(lineup) {
+    const normalized = normalizeLineup(lineup);
+    if (!normalized) return [];
+    return normalized.players.filter(p => (p.minutes || 0) > 0).map(p => p.player_id);
+}
+
+/**
+ * Prüft eine Aufstellung gegen Formation, Positionsliste, Kader und Sperren.
+ * @param {Object} lineup - { formation, players }
+ * @param {Object} context - { team, players, suspensions: Map, involvedIds: Array }
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateLineup(lineup, { team, players = [], suspensions = new Map(), involvedIds = [] } = {}) {
+    const errors = [];
+    const slots = FORMATIONS[lineup.formation];
+    if (!slots) {
+        return { valid: false, errors: [`Unbekannte Formation ${lineup.formation}`] };
+    }
+
+    const starters = lineup.players.filter(p => p.starter);
+    const subs = lineup.players.filter(p => !p.starter);
+    if (starters.length !== slots.length) {
+        errors.push(`${team}: Es müssen genau ${slots.length} Startspieler aufgestellt sein (${starters.length})`);
+    }
+    if (subs.length > MAX_SUBSTITUTES) {
+        errors.push(`${team}: Höchstens ${MAX_SUBSTITUTES} Auswechselspieler erlaubt`);
+    }
+
+    // Startplätze müssen zur Formation passen
+    const open = [...slots];
+    starters.forEach(p => {
+        const idx = open.indexOf(p.position);
+        if (!POSITIONEN.includes(p.position) || idx === -1) {
+            errors.push(`${team}: Position ${p.position || "-"} passt nicht zur Formation ${lineup.formation}`);
+        } else {
+            open.splice(idx, 1);
+        }
+    });
+
+    const seen = new Set();
+    lineup.players.forEach(entry => {
+        const player = players.find(p => p.id === entry.player_id);
+        const name = player ? player.name : entry.player_id;
+        if (seen.has(entry.player_id)) errors.push(`${team}: ${name} ist doppelt aufgestellt`);
+        seen.add(entry.player_id);
+        if (!player || player.team !== team) errors.push(`${team}: ${name} gehört nicht zum Kader`);
+        if (suspensions.has(entry.player_id)) errors.push(`${team}: ${name} ist gesperrt`);
+        const minutes = entry.minutes ?? 0;
+        if (!Number.isInteger(minutes) || minutes < 0 || minutes > 120) {
+            errors.push(`${team}: Ungültige Minuten für ${name}`);
+        }
+    });
+
+    // Torschützen, Karten und SdS müssen auf dem Platz gestanden haben
+    const played = new Set(lineupPlayerIds(lineup));
+    [...new Set(involvedIds)].filter(id => !played.has(id)).forEach(id => {
+        const player = players.find(p => p.id === id);
+        errors.push(`${team}: ${player ? player.name : id} steht nicht in der Aufstellung`);
+    });
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Einsätze je Spieler-ID aus allen Aufstellungen.
+ * @param {Array} players - alle Spieler, um Torschützen aufzulösen
+ * @returns {Map} player_id → { games, starts, minutes, cleanSheets, goals } – goals nur aus diesen Einsätzen
+ */
+export function deriveAppearances(matches = [], players = []) {
+    const stats = new Map();
+    matches.forEach(m => {
+        const scorers = matchScorers(m, players);
+        [[m.lineupa, m.goalsb, "AEK"], [m.lineupb, m.goalsa, "Real"]].forEach(([lineup, conceded, team]) => {
+            const normalized = normalizeLineup(lineup);
+            if (!normalized) return;
+            normalized.players.filter(p => (p.minutes || 0) > 0).forEach(p => {
+                const entry = stats.get(p.player_id) || { games: 0, starts: 0, minutes: 0, cleanSheets: 0, goals: 0 };
+                entry.games += 1;
+                entry.minutes += p.minutes;
+                if (p.starter) entry.starts += 1;
+                // Zu-Null-Spiel für den Torhüter in der Startelf
+                if (p.starter && p.position === "TH" && (conceded || 0) === 0) entry.cleanSheets += 1;
+                // Tore nur aus Matches mit Aufstellung, damit Tore/Spiel zu den Einsätzen passt
+                entry.goals += scorers.filter(s => s.team === team && s.player?.id === p.player_id).reduce((sum, s) => sum + s.count, 0);
+                stats.set(p.player_id, entry);
+            });
+        });
+    });
+    return stats;
+}
@@ -0,0 +1,108 @@
+/**
+ * List Toolbar
+ * Reusable search / filter / sort bar for the in-memory lists in Kader, Spieler, Bans and Finanzen.
+ * Each tab keeps its own state for the session, so the last search survives switching tabs;
+ * the lists themselves are filtered and sorted with `applyListState`.
+ */
+import { DOM } from './utils.js';
+
+const listStates = new Map();
+
+const SELECT_CLASS = "border border-slate-600 bg-slate-700 text-slate-100 rounded-lg p-2 text-sm";
+const SEARCH_CLASS = "border border-slate-600 bg-slate-700 text-slate-100 rounded-lg p-2 text-sm placeholder-slate-400 flex-1 min-w-[8rem]";
+const INPUT_CLASS = "border border-slate-600 bg-slate-700 text-slate-100 rounded-lg p-2 text-sm placeholder-slate-400 w-36";
+
+/**
+ * Zustand der Liste eines Tabs, beim ersten Aufruf mit den Vorgaben angelegt.
+ * @returns {{ search: string, sort: string|null, filters: Object }}
+ */
+export function getListState(tab, defaults = {}) {
+    if (!listStates.has(tab)) {
+        listStates.set(tab, { search: "", sort: null, ...defaults, filters: { ...(defaults.filters || {}) } });
+    }
+    return listStates.get(tab);
+}
+
+// Ohne Tab werden alle Listen zurückgesetzt (Logout)
+export function resetListState(tab) {
+    if (tab) listStates.delete(tab);
+    else listStates.clear();
+}
+
+// true, sobald gesucht oder gefiltert wird
+export function isListFiltered(state) {
+    return !!(state.search || "").trim() || Object.values(state.filters).some(Boolean);
+}
+
+/**
+ * Filtert und sortiert eine Liste nach dem Zustand der Toolbar.
+ * @param {Object} options
+ * @param {Function} options.text - Suchtext eines Eintrags
+ * @param {Object} options.filters - Filtername → (item, value) => boolean; leere Filter gelten nicht
+ * @param {Object} options.sorts - Sortierschlüssel → Vergleichsfunktion
+ */
+export function applyListState(items = [], state, { text = () => "", filters = {}, sorts = {} } = {}) {
+    const query = (state.search || "").trim().toLowerCase();
+    const result = items.filter(item =>
+        (!query || (text(item) || "").toLowerCase().includes(query)) &&
+        Object.entries(state.filters).every(([name, value]) => !value || !filters[name] || filters[name](item, value))
+    );
+    const compare = sorts[state.sort];
+    return compare ? result.sort(compare) : result;
+}
+
+function selectHtml(name, options, selected, emptyLabel) {
+    return `
+        <select name="${name}" class="${SELECT_CLASS}">
+            ${emptyLabel ? `<option value="">${emptyLabel}</option>` : ""}
+            ${options.map(([value, label]) => `<option value="${DOM.sanitizeForAttribute(String(value))}"${String(selected) === String(value) ? " selected" : ""}>${DOM.sanitizeForHTML(String(label))}</option>`).join("")}
+        </select>
+    `;
+}
+
+/**
+ * Zeichnet die Toolbar in `container`. Änderungen landen im Zustand des Tabs, danach wird
+ * `onChange` aufgerufen – dort nur die Liste neu zeichnen, damit das Suchfeld den Fokus behält.
+ * @param {Object} config
+ * @param {string|false} config.search - Platzhalter des Suchfelds, false = kein Suchfeld
+ * @param {Array} config.filters - [{ name, label, options: [[value, label]] }]; label = Eintrag für "alle"
+ * @param {Array} config.inputs - freie Filterfelder [{ name, type: "number"|"date", label }], z. B. Bereiche
+ * @param {Object} config.sorts - Sortierschlüssel → Beschriftung
+ */
+export function renderListToolbar(container, tab, { search = "Suchen…", filters = [], inputs = [], sorts = {} } = {}, onChange = () => {}) {
+    if (!container) return;
+    const state = getListState(tab);
+    const sortKeys = Object.keys(sorts);
+    if (!sorts[state.sort]) state.sort = sortKeys[0] || null;
+
+    container.innerHTML = `
+        <div class="flex flex-wrap gap-2 mb-2">
+            ${search ? `<input type="search" name="search" class="${SEARCH_CLASS}" placeholder="${search}" value="${DOM.sanitizeForAttribute(state.search)}">` : ""}
+            ${filters.filter(f => f.options.length).map(f => selectHtml(f.name, f.options, state.filters[f.name] || "", f.label)).join("")}
+            ${inputs.map(input => `<input type="${input.type}" name="${input.name}" class="${INPUT_CLASS}" placeholder="${input.label}" title="${input.label}" value="${DOM.sanitizeForAttribute(state.filters[input.name] || "")}">`).join("")}
+            ${sortKeys.length > 1 ? selectHtml("sort", Object.entries(sorts).map(([key, label]) => [key, `Sortieren: ${label}`]), state.sort) : ""}
+        </div>
+    `;
+
+    container.querySelectorAll("select").forEach(el => {
+        el.onchange = () => {
+            if (el.name === "sort") state.sort = el.value;
+            else state.filters[el.name] = el.value;
+            onChange(state);
+        };
+    });
+    inputs.forEach(({ name }) => {
+        const el = container.querySelector(`input[name="${name}"]`);
+        el.onchange = () => {
+            state.filters[name] = el.value;
+            onChange(state);
+        };
+    });
+    const searchInput = container.querySelector('input[name="search"]');
+    if (searchInput) {
+        DOM.addDebouncedListener(searchInput, "input", () => {
+            state.search = searchInput.value;
+            onChange(state);
+        }, 200);
+    }
+}
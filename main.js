@@ -10,6 +10,12 @@ import { renderMatchesTab } from './matches.js';
 import { renderStatsTab } from './stats.js';
 import { renderFinanzenTab } from './finanzen.js';
 import { renderSpielerTab } from './spieler.js';
+import { renderSettingsTab } from './settings.js';
+import { loadLeagueRules } from './leagueRules.js';
+import { loadSeasons, resetSeasonsState } from './seasons.js';
+import { renderPlayerProfile, parsePlayerProfileHash } from './playerProfile.js';
+import { resetListState } from './listToolbar.js';
+import { undoManager } from './undo.js';
 
 // --- NEU: Reset-Functions für alle Module importieren ---
 import { resetKaderState } from './kader.js';
@@ -19,8 +25,13 @@ import { resetMatchesState } from './matches.js';
 // Falls du sie hast:
 import { resetStatsState } from './stats.js';
 import { resetSpielerState } from './spieler.js';
+import { resetSettingsState } from './settings.js';
 
 let currentTab = "squad";
+// Deep Link #spieler/<id>: Profil statt Tab, beim Schließen zurück zum vorherigen Tab
+let profilePlayerId = parsePlayerProfileHash(window.location.hash);
+let tabBeforeProfile = "squad";
+if (profilePlayerId !== null) currentTab = "player";
 let liveSyncInitialized = false;
 let tabButtonsInitialized = false;
 let realtimeChannel = null;
@@ -310,6 +321,8 @@ function handleVisibilityChange() {
                 if (typeof resetMatchesState === "function") resetMatchesState();
                 if (typeof resetStatsState === "function") resetStatsState();
                 if (typeof resetSpielerState === "function") resetSpielerState();
+                if (typeof resetSettingsState === "function") resetSettingsState();
+                if (typeof resetSeasonsState === "function") resetSeasonsState();
                 setupTabButtons();
                 subscribeAllLiveSync();
                 renderCurrentTab(); // <-- erzwingt Daten-Reload!
@@ -362,6 +375,9 @@ function updateBottomNavActive(tab) {
 async function switchTab(tab) {
     try {
         currentTab = tab;
+        if (tab !== "player" && parsePlayerProfileHash(window.location.hash) !== null) {
+            history.replaceState(null, "", window.location.pathname + window.location.search);
+        }
         
         // Update bottom navigation only
         updateBottomNavActive(tab);
@@ -404,9 +420,14 @@ async function renderCurrentTab() {
             'matches': () => renderMatchesTab("app"),
             'stats': () => renderStatsTab("app"),
             'finanzen': () => renderFinanzenTab("app"),
-            'spieler': () => renderSpielerTab("app")
+            'spieler': () => renderSpielerTab("app"),
+            'settings': () => renderSettingsTab("app"),
+            'player': () => renderPlayerProfile("app", profilePlayerId)
         };
         
+        // Alle Tabs rechnen mit den aktuell gültigen Ligaregeln und kennen die Saisons
+        await Promise.all([loadLeagueRules(), loadSeasons()]);
+
         const renderer = tabRenderers[currentTab];
         if (renderer) {
             await renderer();
@@ -434,9 +455,34 @@ function setupBottomNav() {
     document.getElementById("nav-finanzen")?.addEventListener("click", e => { e.preventDefault(); switchTab("finanzen"); });
     document.getElementById("nav-stats")?.addEventListener("click", e => { e.preventDefault(); switchTab("stats"); });
     document.getElementById("nav-spieler")?.addEventListener("click", e => { e.preventDefault(); switchTab("spieler"); });
+    document.getElementById("nav-settings")?.addEventListener("click", e => { e.preventDefault(); switchTab("settings"); });
 }
 window.addEventListener('DOMContentLoaded', setupBottomNav);
 
+// Strg+Z / Strg+Y (bzw. Strg+Umschalt+Z) für die Rückgängig-Historie, außer beim Tippen in Formularen
+document.addEventListener('keydown', e => {
+    if (!(e.ctrlKey || e.metaKey) || e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoManager.undo();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        undoManager.redo();
+    }
+});
+
+window.addEventListener('hashchange', () => {
+    const playerId = parsePlayerProfileHash(window.location.hash);
+    if (playerId !== null) {
+        if (currentTab !== "player") tabBeforeProfile = currentTab;
+        profilePlayerId = playerId;
+        switchTab("player");
+    } else if (currentTab === "player") {
+        switchTab(tabBeforeProfile);
+    }
+});
+
 function subscribeAllLiveSync() {
 	cleanupRealtimeSubscriptions();
     liveSyncInitialized = false; // <-- redundantes Reset, schadet aber nicht!
@@ -449,6 +495,8 @@ function subscribeAllLiveSync() {
         .on('postgres_changes', { event: '*', schema: 'public', table: 'finances' }, () => renderCurrentTab())
         .on('postgres_changes', { event: '*', schema: 'public', table: 'bans' }, () => renderCurrentTab())
         .on('postgres_changes', { event: '*', schema: 'public', table: 'spieler_des_spiels' }, () => renderCurrentTab())
+        .on('postgres_changes', { event: '*', schema: 'public', table: 'settings' }, () => renderCurrentTab())
+        .on('postgres_changes', { event: '*', schema: 'public', table: 'seasons' }, () => renderCurrentTab())
         .subscribe((status) => {
             if (status === 'SUBSCRIBED') {
                 liveSyncInitialized = true;
@@ -472,6 +520,9 @@ function setupLogoutButton() {
         logoutBtn.onclick = async () => {
 			alert('Du wurdest ausgeloggt!');
             await signOut();
+            // Suche, Filter und Rückgängig-Historie gelten nur bis zum Logout
+            resetListState();
+            undoManager.clear();
             let tries = 0;
             while (tries < 20) {
                 const { data: { session } } = await supabase.auth.getSession();
@@ -0,0 +1,128 @@
+/**
+ * Match Cards
+ * Per-player cards (`cardslista`/`cardslistb` as `{ player_id, type }`) and the bans they cause.
+ * A red card and a yellow-red card each create a ban; every `rules.bans.yellowLimit` accumulated
+ * yellow cards create a "Gelbsperre". Bans carry the `match_id` of the match that caused them.
+ * A match only serves the bans of the teams that played it; those players are suspended for it.
+ */
+
+export const CARD_TYPES = [
+    { value: "Gelb", label: "🟨 Gelb" },
+    { value: "Gelb-Rot", label: "🟨🟥 Gelb-Rot" },
+    { value: "Rot", label: "🟥 Rot" }
+];
+
+// Karte → Sperrtyp aus den Ligaregeln
+const CARD_BAN_TYPES = {
+    "Gelb-Rot": "Gelb-Rote Karte",
+    "Rot": "Rote Karte"
+};
+
+export const YELLOW_BAN_TYPE = "Gelbsperre";
+
+export function normalizeCardsList(list) {
+    if (!Array.isArray(list)) return [];
+    return list.filter(c => c && c.player_id != null && CARD_TYPES.some(t => t.value === c.type));
+}
+
+// Gelbe und Rote Karten einer Liste; Gelb-Rot zählt als Rote Karte
+export function countCards(list) {
+    const cards = normalizeCardsList(list);
+    return {
+        yellow: cards.filter(c => c.type === "Gelb").length,
+        red: cards.filter(c => c.type !== "Gelb").length
+    };
+}
+
+// Karten eines Matches als { player_id, type, team }
+export function matchCards(match) {
+    return [
+        ...normalizeCardsList(match.cardslista).map(c => ({ ...c, team: "AEK" })),
+        ...normalizeCardsList(match.cardslistb).map(c => ({ ...c, team: "Real" }))
+    ];
+}
+
+// Gelbe Karten je Spieler-ID über alle Matches
+export function deriveYellowCounts(matches = []) {
+    const counts = new Map();
+    matches.forEach(m => {
+        matchCards(m).filter(c => c.type === "Gelb").forEach(c => {
+            counts.set(c.player_id, (counts.get(c.player_id) || 0) + 1);
+        });
+    });
+    return counts;
+}
+
+// Matches, die vor dem angegebenen Match gespielt wurden (neue Matches: alle vorhandenen)
+export function matchesBefore(matches = [], match = null) {
+    if (!match || match.id == null) return matches;
+    return matches.filter(m => m.id !== match.id &&
+        (m.date < match.date || (m.date === match.date && m.id < match.id)));
+}
+
+function banDuration(rules, type) {
+    return rules.bans.types.find(t => t.value === type)?.duration || 1;
+}
+
+/**
+ * Sperren, die ein Match auslöst.
+ * @param {Object} match - Match mit `cardslista`/`cardslistb`
+ * @param {Array} priorMatches - Matches vor diesem Match (für die Gelbsperre)
+ * @param {Object} rules - Ligaregeln der Match-Version
+ * @param {string} reason - Grund, z.B. "Match #12"
+ * @returns {Array} { player_id, team, type, totalgames, matchesserved, reason }
+ */
+export function calculateMatchBans(match, priorMatches, rules, reason = "") {
+    const bans = [];
+    const cards = matchCards(match);
+    const ban = (card, type) => ({
+        player_id: card.player_id,
+        team: card.team,
+        type,
+        totalgames: banDuration(rules, type),
+        matchesserved: 0,
+        reason: reason ? `${type} (${reason})` : type
+    });
+
+    cards.filter(c => CARD_BAN_TYPES[c.type]).forEach(c => bans.push(ban(c, CARD_BAN_TYPES[c.type])));
+
+    const limit = rules.bans.yellowLimit || 0;
+    if (limit > 0) {
+        const before = deriveYellowCounts(priorMatches);
+        const now = deriveYellowCounts([match]);
+        now.forEach((count, playerId) => {
+            const prior = before.get(playerId) || 0;
+            if (Math.floor((prior + count) / limit) > Math.floor(prior / limit)) {
+                bans.push(ban(cards.find(c => c.player_id === playerId), YELLOW_BAN_TYPE));
+            }
+        });
+    }
+
+    return bans;
+}
+
+export function remainingGames(ban) {
+    return (ban.totalgames || 1) - (ban.matchesserved || 0);
+}
+
+// Aktive Sperren der beteiligten Teams: player_id → verbleibende Spiele
+export function activeSuspensions(bans = [], teams = ["AEK", "Real"]) {
+    const suspensions = new Map();
+    bans.forEach(b => {
+        const rest = remainingGames(b);
+        if (rest <= 0 || b.player_id == null || !teams.includes(b.team)) return;
+        suspensions.set(b.player_id, Math.max(rest, suspensions.get(b.player_id) || 0));
+    });
+    return suspensions;
+}
+
+// Gesperrte Spieler unter den Torschützen, Karten, dem SdS und den Aufstellungen eines Matches
+export function findSuspendedSelections(match, suspensions) {
+    const ids = [
+        ...[...(match.goalslista || []), ...(match.goalslistb || [])].map(g => g.player_id),
+        ...matchCards(match).map(c => c.player_id),
+        match.manofthematch_id,
+        ...[match.lineupa, match.lineupb].flatMap(l => l?.players || []).map(p => p.player_id)
+    ].filter(id => id != null && suspensions.has(id));
+    return [...new Set(ids)];
+}
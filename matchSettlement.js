@@ -0,0 +1,152 @@
+/**
+ * Match Settlement
+ * Pure calculation of Preisgeld, SdS-Bonus and Echtgeld-Ausgleich for a match.
+ * No DOM, no database: takes a match and the current finances, returns the
+ * transactions to book and the resulting balance/debt state.
+ * Amounts come from the league rules the match was played under (see leagueRules.js).
+ */
+import { DEFAULT_RULES } from './leagueRules.js';
+import { TEAMS } from './standings.js';
+import { applyTransaction, ledgerFloors, shortfallFor, SHORTFALL_TYPE } from './ledger.js';
+
+// Transaction types created by a match
+export const MATCH_TRANSACTION_TYPES = ["Preisgeld", "Bonus SdS", SHORTFALL_TYPE, "Echtgeld-Ausgleich", "Echtgeld-Ausgleich (getilgt)"];
+
+// Types that change the balance (the Echtgeld ones only change the debt)
+const BALANCE_TYPES = ["Preisgeld", "Bonus SdS", SHORTFALL_TYPE];
+
+// Finanzzeilen aus der DB in die Form { AEK: { balance, debt }, Real: { balance, debt } } bringen
+export function financesFromRows(rows = []) {
+    const state = {};
+    TEAMS.forEach(team => {
+        const row = rows.find(f => f.team === team) || {};
+        state[team] = { balance: row.balance || 0, debt: row.debt || 0 };
+    });
+    return state;
+}
+
+function cloneFinances(finances) {
+    const state = {};
+    TEAMS.forEach(team => {
+        state[team] = { balance: finances?.[team]?.balance || 0, debt: finances?.[team]?.debt || 0 };
+    });
+    return state;
+}
+
+// Preisgelder aus Ergebnis und Karten; bei Unentschieden gibt es nichts
+export function calculateMatchPrizes({ goalsa, goalsb, yellowa = 0, reda = 0, yellowb = 0, redb = 0 }, rules = DEFAULT_RULES) {
+    const p = rules.prizes;
+    let prizeaek = 0, prizereal = 0;
+    let winner = null, loser = null;
+    if (goalsa > goalsb) { winner = "AEK"; loser = "Real"; }
+    else if (goalsa < goalsb) { winner = "Real"; loser = "AEK"; }
+
+    if (winner === "AEK") {
+        prizeaek = p.win - (goalsb*p.winPerGoalConceded) - (yellowa*p.winPerYellow) - (reda*p.winPerRed);
+        prizereal = - (p.lossBase + goalsa*p.lossPerGoalConceded + yellowb*p.lossPerYellow + redb*p.lossPerRed);
+    } else if (winner === "Real") {
+        prizereal = p.win - (goalsa*p.winPerGoalConceded) - (yellowb*p.winPerYellow) - (redb*p.winPerRed);
+        prizeaek = - (p.lossBase + goalsb*p.lossPerGoalConceded + yellowa*p.lossPerYellow + reda*p.lossPerRed);
+    }
+    return { prizeaek, prizereal, winner, loser };
+}
+
+// Echtgeldbetrag eines Teams nach Buchung von Bonus und Preisgeld
+export function calcEchtgeldbetrag(balance, preisgeld, sdsBonus, rules = DEFAULT_RULES) {
+    let konto = balance;
+    if (sdsBonus) konto += rules.sdsBonus;
+    let zwischenbetrag = (Math.abs(preisgeld) - konto) / rules.echtgeld.step;
+    if (zwischenbetrag < 0) zwischenbetrag = 0;
+    return rules.echtgeld.base + Math.round(zwischenbetrag);
+}
+
+/**
+ * Berechnet alle Buchungen eines Matches und den neuen Finanzstand.
+ * @param {Object} match - goalsa, goalsb, yellowa, reda, yellowb, redb
+ * @param {Object} finances - { AEK: { balance, debt }, Real: { balance, debt } }
+ * @param {string|null} sdsTeam - Team des Spielers des Spiels ("AEK", "Real" oder null)
+ * @param {Object} rules - Ligaregeln der Version, unter der das Match gespielt wurde
+ * @returns {Object} prizeaek, prizereal, transactions (ohne Datum/Info) und finances
+ */
+export function calculateMatchSettlement(match, finances, sdsTeam = null, rules = DEFAULT_RULES) {
+    const { prizeaek, prizereal, winner, loser } = calculateMatchPrizes(match, rules);
+    const prizes = { AEK: prizeaek, Real: prizereal };
+    const sdsBonus = { AEK: sdsTeam === "AEK" ? rules.sdsBonus : 0, Real: sdsTeam === "Real" ? rules.sdsBonus : 0 };
+    const state = cloneFinances(finances);
+    const transactions = [];
+
+    // Bucht wie das Ledger, damit gespeicherter und nachgerechneter Stand gleich bleiben;
+    // was unter den Überziehungsrahmen fallen würde, wird vorher als Fehlbetrag gebucht
+    const floors = ledgerFloors(rules);
+    const book = (transaction) => {
+        const shortfall = shortfallFor(state[transaction.team], transaction, rules.finance?.overdraftLimit);
+        state[transaction.team].balance = applyTransaction(state[transaction.team], transaction, floors).after;
+        transactions.push(...(shortfall ? [shortfall] : []), transaction);
+    };
+
+    // 1. SdS Bonus
+    for (const team of TEAMS) {
+        if (!sdsBonus[team]) continue;
+        book({ type: "Bonus SdS", team, amount: sdsBonus[team] });
+    }
+
+    // 2. Preisgeld (Kontostand nicht unter den Überziehungsrahmen)
+    for (const team of TEAMS) {
+        if (prizes[team] === 0) continue;
+        book({ type: "Preisgeld", team, amount: prizes[team] });
+    }
+
+    // 3. Echtgeld-Ausgleich: Verlierer zahlt, offene Schulden des Gewinners werden verrechnet
+    if (winner && loser) {
+        // Ein überzogenes Konto zählt wie ein leeres
+        const verliererBetrag = calcEchtgeldbetrag(Math.max(0, state[loser].balance), prizes[loser], sdsBonus[loser], rules);
+        const verrechnet = Math.min(state[winner].debt, verliererBetrag);
+        const restVerliererBetrag = verliererBetrag - verrechnet;
+
+        state[winner].debt = Math.max(0, state[winner].debt - verrechnet);
+        if (restVerliererBetrag > 0) {
+            state[loser].debt += restVerliererBetrag;
+            transactions.push({ type: "Echtgeld-Ausgleich", team: loser, amount: restVerliererBetrag });
+        }
+        if (verrechnet > 0) {
+            transactions.push({ type: "Echtgeld-Ausgleich (getilgt)", team: winner, amount: -verrechnet });
+        }
+    }
+
+    return { prizeaek, prizereal, transactions, finances: state };
+}
+
+/**
+ * Nimmt die Buchungen eines Matches zurück.
+ * Gebuchte Beträge werden gegengerechnet: Preisgeld, Bonus und Fehlbetrag auf dem Konto,
+ * Echtgeld-Ausgleich und getilgte Schulden auf den Echtgeldschulden.
+ * @param {Array} matchTransactions - alle Transaktionen mit der match_id des Matches
+ * @param {Object} finances - aktueller Stand { AEK: { balance, debt }, Real: { balance, debt } }
+ * @param {Object} rules - Ligaregeln, die am Tag der Buchungen galten (Überziehungsrahmen als Untergrenze)
+ * @returns {Object} finances nach der Rückbuchung
+ */
+export function reverseMatchSettlement(matchTransactions, finances, rules = DEFAULT_RULES) {
+    const state = cloneFinances(finances);
+
+    (matchTransactions || []).forEach(t => {
+        const team = state[t.team];
+        if (!team || !MATCH_TRANSACTION_TYPES.includes(t.type)) return;
+        const amount = t.amount || 0;
+
+        if (BALANCE_TYPES.includes(t.type)) {
+            team.balance -= amount;
+        } else {
+            // Echtgeld-Ausgleich erhöhte die Schulden, "(getilgt)" hat sie mit negativem Betrag gesenkt
+            team.debt -= amount;
+        }
+    });
+
+    // Kontostand und Schulden nicht unter ihre Untergrenzen
+    const floors = ledgerFloors(rules);
+    TEAMS.forEach(team => {
+        state[team].balance = Math.max(floors.balance, state[team].balance);
+        state[team].debt = Math.max(floors.debt, state[team].debt);
+    });
+
+    return { finances: state };
+}
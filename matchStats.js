@@ -0,0 +1,181 @@
+/**
+ * Match Stats
+ * Derives player goals and Spieler-des-Spiels counts from the match history.
+ * Matches reference players by id (`{ player_id, count }`, `manofthematch_id`); names are always
+ * resolved through the players table. Older matches that still carry names are resolved by name
+ * until `buildPlayerIdBackfill` has migrated them.
+ * `players.goals` and `spieler_des_spiels.count` are only stored copies of these values;
+ * `findStatDiscrepancies` shows where they drifted and `buildStatCorrections` fixes them.
+ */
+
+// Ältere Einträge speichern Torschützen teils nur als Namen
+export function normalizeGoalsList(list) {
+    if (!Array.isArray(list)) return [];
+    return list
+        .map(g => typeof g === "string" ? { player: g, count: 1 } : g)
+        .filter(g => g && (g.player_id != null || g.player));
+}
+
+/**
+ * Spieler zu einem Match-Eintrag: per id, ältere Einträge per Name.
+ * Bei mehreren gleichnamigen Spielern entscheidet das Team, sonst bleibt der Eintrag offen.
+ */
+export function resolveMatchPlayer(players, playerId, name, team) {
+    if (playerId != null) return players.find(p => p.id === playerId) || null;
+    if (!name) return null;
+    const byName = players.filter(p => p.name === name);
+    if (byName.length <= 1) return byName[0] || null;
+    const inTeam = byName.filter(p => p.team === team);
+    return inTeam.length === 1 ? inTeam[0] : null;
+}
+
+// Torschützen eines Matches als { player, team, count, name }; `player` ist null, wenn nicht auflösbar
+export function matchScorers(match, players = []) {
+    const side = (list, team) => normalizeGoalsList(list).map(g => {
+        const player = resolveMatchPlayer(players, g.player_id, g.player, team);
+        return { player, team, count: g.count || 1, name: player ? player.name : (g.player || null) };
+    });
+    return [...side(match.goalslista, "AEK"), ...side(match.goalslistb, "Real")];
+}
+
+// Spieler des Spiels eines Matches, null wenn keiner gesetzt oder nicht auflösbar
+export function matchSdsPlayer(match, players = []) {
+    if (match.manofthematch_id != null) return resolveMatchPlayer(players, match.manofthematch_id);
+    if (!match.manofthematch) return null;
+    const scorer = matchScorers(match, players).find(s => s.name === match.manofthematch);
+    return resolveMatchPlayer(players, null, match.manofthematch, scorer?.team);
+}
+
+// Anzeigename des SdS; ältere, nicht auflösbare Einträge behalten ihren gespeicherten Namen
+export function matchSdsName(match, players = []) {
+    const player = matchSdsPlayer(match, players);
+    if (player) return player.name;
+    return match.manofthematch_id != null ? null : (match.manofthematch || null);
+}
+
+// Tore je Spieler-ID über alle Matches
+export function deriveGoalCounts(matches = [], players = []) {
+    const counts = new Map();
+    matches.forEach(m => {
+        matchScorers(m, players).forEach(s => {
+            if (!s.player) return;
+            counts.set(s.player.id, (counts.get(s.player.id) || 0) + s.count);
+        });
+    });
+    return counts;
+}
+
+// SdS-Auszeichnungen je Spieler-ID über alle Matches
+export function deriveSdsCounts(matches = [], players = []) {
+    const counts = new Map();
+    matches.forEach(m => {
+        const player = matchSdsPlayer(m, players);
+        if (!player) return;
+        counts.set(player.id, (counts.get(player.id) || 0) + 1);
+    });
+    return counts;
+}
+
+// Spieler mit aus der Match-Historie abgeleiteten Toren
+export function withDerivedGoals(players = [], matches = []) {
+    const goals = deriveGoalCounts(matches, players);
+    return players.map(p => ({ ...p, goals: goals.get(p.id) || 0 }));
+}
+
+// SdS-Liste { id, name, team, count }; Name und Team kommen aus dem aktuellen Kader
+export function deriveSdsList(matches = [], players = []) {
+    const counts = deriveSdsCounts(matches, players);
+    return players
+        .filter(p => counts.has(p.id))
+        .map(p => ({ id: p.id, name: p.name, team: p.team, count: counts.get(p.id) }));
+}
+
+/**
+ * Vergleicht gespeicherte Zähler mit den abgeleiteten Werten.
+ * @returns {Array} { kind: 'goals'|'sds', name, team, stored, derived }
+ */
+export function findStatDiscrepancies(players = [], sdsRows = [], matches = []) {
+    const discrepancies = [];
+
+    const goals = deriveGoalCounts(matches, players);
+    players.forEach(p => {
+        const derived = goals.get(p.id) || 0;
+        const stored = p.goals || 0;
+        if (stored !== derived) {
+            discrepancies.push({ kind: 'goals', id: p.id, name: p.name, team: p.team, stored, derived });
+        }
+    });
+
+    // spieler_des_spiels ist nach Namen gespeichert: umbenannte Spieler tauchen unter altem und neuem Namen auf
+    const sds = new Map(deriveSdsList(matches, players).map(s => [s.name, s]));
+    const storedSds = new Map();
+    sdsRows.forEach(row => storedSds.set(row.name, (storedSds.get(row.name) || 0) + (row.count || 0)));
+    const names = new Set([...sds.keys(), ...storedSds.keys()]);
+    names.forEach(name => {
+        const derived = sds.get(name)?.count || 0;
+        const stored = storedSds.get(name) || 0;
+        if (stored !== derived) {
+            const row = sdsRows.find(r => r.name === name);
+            discrepancies.push({ kind: 'sds', name, team: sds.get(name)?.team || row?.team || null, stored, derived });
+        }
+    });
+
+    return discrepancies;
+}
+
+// Schreibplan für `apply_stat_corrections` aus den gefundenen Abweichungen
+export function buildStatCorrections(discrepancies = []) {
+    return {
+        goals: discrepancies
+            .filter(d => d.kind === 'goals')
+            .map(d => ({ id: d.id, goals: d.derived })),
+        sds: discrepancies
+            .filter(d => d.kind === 'sds')
+            .map(d => ({ name: d.name, team: d.team, count: d.derived }))
+    };
+}
+
+/**
+ * Migration: ersetzt Spielernamen in älteren Matches durch Spieler-IDs.
+ * Nicht eindeutig auflösbare Namen bleiben stehen und werden in `unresolved` gemeldet.
+ * @returns {{ matches: Array<{ id, goalslista, goalslistb, manofthematch_id, manofthematch }>, unresolved: Array<{ match_id, name }> }}
+ */
+export function buildPlayerIdBackfill(matches = [], players = []) {
+    const updates = [];
+    const unresolved = [];
+
+    matches.forEach(m => {
+        let changed = false;
+        const migrate = (list, team) => normalizeGoalsList(list).map(g => {
+            if (g.player_id != null) return { player_id: g.player_id, count: g.count || 1 };
+            const player = resolveMatchPlayer(players, null, g.player, team);
+            if (!player) {
+                unresolved.push({ match_id: m.id, name: g.player });
+                return { player: g.player, count: g.count || 1 };
+            }
+            changed = true;
+            return { player_id: player.id, count: g.count || 1 };
+        });
+        const goalslista = migrate(m.goalslista, "AEK");
+        const goalslistb = migrate(m.goalslistb, "Real");
+
+        let manofthematchId = m.manofthematch_id ?? null;
+        let manofthematch = m.manofthematch || null;
+        if (manofthematchId == null && manofthematch) {
+            const player = matchSdsPlayer(m, players);
+            if (player) {
+                manofthematchId = player.id;
+                manofthematch = null;
+                changed = true;
+            } else {
+                unresolved.push({ match_id: m.id, name: manofthematch });
+            }
+        }
+
+        if (changed) {
+            updates.push({ id: m.id, goalslista, goalslistb, manofthematch_id: manofthematchId, manofthematch });
+        }
+    });
+
+    return { matches: updates, unresolved };
+}
@@ -1,13 +1,24 @@
 import { showModal, hideModal, showSuccessAndCloseModal } from './modal.js';
-import { decrementBansAfterMatch } from './bans.js';
 import { dataManager } from './dataManager.js';
 import { loadingManager, ErrorHandler, Performance, DOM } from './utils.js';
 import { supabase } from './supabaseClient.js';
+import { calculateMatchSettlement, reverseMatchSettlement } from './matchSettlement.js';
+import { getLeagueRules, getRulesForVersion, getRulesForDate, getCurrentRulesVersion } from './leagueRules.js';
+import { deriveSdsCounts, deriveGoalCounts, matchScorers, matchSdsPlayer, matchSdsName } from './matchStats.js';
+import {
+    CARD_TYPES, normalizeCardsList, countCards, matchCards, matchesBefore, calculateMatchBans,
+    activeSuspensions, findSuspendedSelections
+} from './matchCards.js';
+import { FORMATIONS, DEFAULT_FORMATION, MATCH_MINUTES, normalizeLineup, validateLineup } from './lineups.js';
+import { seasonPickerHtml, attachSeasonPicker, filterBySeason } from './seasons.js';
+import { undoManager, matchRestoreSteps } from './undo.js';
+import { loadLedgerBalances } from './balances.js';
 
 // Optimized data management with caching
 class MatchesDataManager {
     constructor() {
         this.matches = [];
+        this.players = [];
         this.aekAthen = [];
         this.realMadrid = [];
         this.bans = [];
@@ -48,6 +59,7 @@ class MatchesDataManager {
             
             // Filter players by team
             const allPlayers = data.players || [];
+            this.players = allPlayers;
             this.aekAthen = allPlayers.filter(p => p.team === "AEK");
             this.realMadrid = allPlayers.filter(p => p.team === "Real");
             
@@ -106,6 +118,7 @@ class MatchesDataManager {
 
     reset() {
         this.matches = [];
+        this.players = [];
         this.aekAthen = [];
         this.realMadrid = [];
         this.bans = [];
@@ -141,7 +154,10 @@ export async function renderMatchesTab(containerId = "app") {
 
     app.innerHTML = `
         <div class="flex flex-col sm:flex-row sm:justify-between mb-4 gap-2">
-            <h2 class="text-lg font-semibold">Matches</h2>
+            <div class="flex items-center justify-between sm:justify-start gap-3">
+                <h2 class="text-lg font-semibold">Matches</h2>
+                ${seasonPickerHtml("matches")}
+            </div>
             <button id="add-match-btn" class="bg-green-600 text-white w-full sm:w-auto px-4 py-2 rounded-lg text-base flex items-center justify-center gap-2 active:scale-95 transition">
                 <i class="fas fa-plus"></i> <span>Match hinzufügen</span>
             </button>
@@ -159,6 +175,10 @@ export async function renderMatchesTab(containerId = "app") {
     if (addMatchBtn) {
         addMatchBtn.onclick = () => openMatchForm();
     }
+    attachSeasonPicker("matches", () => {
+        matchViewDate = null;
+        renderMatchesList();
+    });
 
     // Subscribe to real-time changes
     matchesData.subscribeToChanges(renderMatchesList);
@@ -178,13 +198,15 @@ function renderMatchesList() {
     }
 
     try {
-        if (!matchesData.matches.length) {
+        // Nur Matches der gewählten Saison; die Nummerierung bleibt durchgehend
+        const seasonMatches = filterBySeason(matchesData.matches);
+        if (!seasonMatches.length) {
             container.innerHTML = `<div class="text-gray-400 text-sm text-center py-4">Noch keine Matches eingetragen.</div>`;
             return;
         }
 
         // Alle Daten nach Datum gruppieren - optimized
-        const uniqueDates = [...new Set(matchesData.matches.map(m => m.date))].sort((a, b) => b.localeCompare(a));
+        const uniqueDates = [...new Set(seasonMatches.map(m => m.date))].sort((a, b) => b.localeCompare(a));
         
         // matchViewDate initialisieren, falls leer
         if (!matchViewDate && uniqueDates.length) {
@@ -192,7 +214,7 @@ function renderMatchesList() {
         }
 
         // Nur Matches des aktuellen Tages anzeigen
-        const filteredMatches = matchesData.matches.filter(m => m.date === matchViewDate);
+        const filteredMatches = seasonMatches.filter(m => m.date === matchViewDate);
 
         // Überschrift mit Datum, schön formatiert
         const dateStr = matchViewDate ? matchViewDate.split('-').reverse().join('.') : '';
@@ -308,25 +330,27 @@ function attachMatchEventListeners(uniqueDates) {
 }
 
 function matchHtml(match, nr) {
-    function goalsHtml(goals) {
-        if (!goals || !goals.length) return `<span class="text-gray-400 text-sm italic">Keine Torschützen</span>`;
-        return goals
-            .map(g => {
-                // Handle both string array format (legacy) and object format (new)
-                if (typeof g === 'string') {
-                    return `<span class="inline-flex items-center gap-2 bg-gradient-to-r from-green-600 to-green-500 text-green-100 rounded-lg px-3 py-1 text-sm font-medium shadow-md">
-                        ${g} 
-                        <span class="inline-block rounded-md px-2 py-1 border font-bold text-xs bg-green-700 border-green-600 text-green-100">1</span>
-                    </span>`;
-                } else {
-                    return `<span class="inline-flex items-center gap-2 bg-gradient-to-r from-green-600 to-green-500 text-green-100 rounded-lg px-3 py-1 text-sm font-medium shadow-md">
-                        ${g.player} 
+    // Namen immer aus der Spielerliste (ältere Matches speichern noch Namen)
+    function goalsHtml(scorers) {
+        if (!scorers.length) return `<span class="text-gray-400 text-sm italic">Keine Torschützen</span>`;
+        return scorers
+            .map(g => `<span class="inline-flex items-center gap-2 bg-gradient-to-r from-green-600 to-green-500 text-green-100 rounded-lg px-3 py-1 text-sm font-medium shadow-md">
+                        ${DOM.sanitizeForHTML(g.name || "Unbekannt")} 
                         <span class="inline-block rounded-md px-2 py-1 border font-bold text-xs bg-green-700 border-green-600 text-green-100">${g.count}</span>
-                    </span>`;
-                }
-            })
+                    </span>`)
             .join(' ');
     }
+    const scorers = matchScorers(match, matchesData.players);
+    const sdsName = matchSdsName(match, matchesData.players);
+    function playerCardsHtml(team) {
+        const cards = matchCards(match).filter(c => c.team === team);
+        if (!cards.length) return '';
+        return `<div class="flex flex-wrap gap-2 mt-2">${cards.map(c => {
+            const type = CARD_TYPES.find(t => t.value === c.type);
+            const player = findPlayer(c.player_id);
+            return `<span class="inline-flex items-center gap-1 bg-gray-700 text-gray-100 rounded-lg px-2 py-1 text-xs font-medium">${type ? type.label.split(' ')[0] : ''} ${DOM.sanitizeForHTML(player ? player.name : "Unbekannt")}</span>`;
+        }).join('')}</div>`;
+    }
     function prizeHtml(amount, team) {
         const isPos = amount >= 0;
         const tClass = team === "AEK" ? "bg-blue-800 dark:bg-blue-900" : "bg-red-800 dark:bg-red-900";
@@ -391,14 +415,14 @@ function matchHtml(match, nr) {
               <i class="fas fa-futbol"></i>
               ${match.teama} Torschützen:
             </div>
-            <div class="flex flex-wrap gap-2">${goalsHtml(match.goalslista || [])}</div>
+            <div class="flex flex-wrap gap-2">${goalsHtml(scorers.filter(g => g.team === "AEK"))}</div>
           </div>
           <div class="bg-gradient-to-r from-red-900/30 to-red-800/30 border border-red-700/50 rounded-xl p-3">
             <div class="text-sm font-bold text-red-300 mb-2 flex items-center gap-2">
               <i class="fas fa-futbol"></i>
               ${match.teamb} Torschützen:
             </div>
-            <div class="flex flex-wrap gap-2">${goalsHtml(match.goalslistb || [])}</div>
+            <div class="flex flex-wrap gap-2">${goalsHtml(scorers.filter(g => g.team === "Real"))}</div>
           </div>
         </div>
         
@@ -413,6 +437,7 @@ function matchHtml(match, nr) {
               <span class="inline-flex items-center gap-1 bg-yellow-600 text-yellow-100 rounded-lg px-3 py-1 text-sm font-medium shadow-md">🟨 ${match.yellowa || 0}</span>
               <span class="inline-flex items-center gap-1 bg-red-600 text-red-100 rounded-lg px-3 py-1 text-sm font-medium shadow-md">🟥 ${match.reda || 0}</span>
             </div>
+            ${playerCardsHtml("AEK")}
           </div>
           <div class="bg-gradient-to-r from-red-900/30 to-red-800/30 border border-red-700/50 rounded-xl p-3">
             <div class="text-sm font-bold text-red-300 mb-2 flex items-center gap-2">
@@ -423,6 +448,7 @@ function matchHtml(match, nr) {
               <span class="inline-flex items-center gap-1 bg-yellow-600 text-yellow-100 rounded-lg px-3 py-1 text-sm font-medium shadow-md">🟨 ${match.yellowb || 0}</span>
               <span class="inline-flex items-center gap-1 bg-red-600 text-red-100 rounded-lg px-3 py-1 text-sm font-medium shadow-md">🟥 ${match.redb || 0}</span>
             </div>
+            ${playerCardsHtml("Real")}
           </div>
         </div>
         
@@ -438,21 +464,15 @@ function matchHtml(match, nr) {
               ${prizeHtml(match.prizereal ?? 0, "Real")}
             </div>
           </div>
-          ${match.manofthematch ? `
+          ${sdsName ? `
           <div>
             <div class="text-sm font-bold text-gray-300 mb-2 flex items-center gap-2">
               <i class="fas fa-star"></i>
               Spieler des Spiels:
             </div>
             <span class="inline-flex items-center gap-2 bg-gradient-to-r from-yellow-600 to-yellow-500 text-yellow-100 px-3 py-2 rounded-lg text-sm font-bold shadow-lg">
-              ⭐ ${match.manofthematch}
-              <span class="text-xs font-medium opacity-90">(${(() => {
-                // Determine team from match data
-                if (match.goalslista && match.goalslista.some(g => g.player === match.manofthematch)) return 'AEK';
-                if (match.goalslistb && match.goalslistb.some(g => g.player === match.manofthematch)) return 'Real';
-                // Fallback: check if player is in AEK or Real team
-                return matchesData.aekAthen.find(p => p.name === match.manofthematch) ? 'AEK' : 'Real';
-              })()})</span>
+              ⭐ ${DOM.sanitizeForHTML(sdsName)}
+              <span class="text-xs font-medium opacity-90">(${getMatchSdsTeam(match) || 'Real'})</span>
             </span>
           </div>
           ` : ''}
@@ -463,11 +483,8 @@ function matchHtml(match, nr) {
 }
 
 // Helper function to get SdS count for a player - moved outside for global access
-function getSdsCount(playerName, team) {
-    const sdsEntry = matchesData.spielerDesSpiels.find(sds => 
-        sds.name === playerName && sds.team === team
-    );
-    return sdsEntry ? (sdsEntry.count || 0) : 0;
+function getSdsCount(playerId) {
+    return deriveSdsCounts(matchesData.matches, matchesData.players).get(playerId) || 0;
 }
 
 // --- MODERNES, KOMPAKTES POPUP, ABER MIT ALLER ALTER LOGIK ---
@@ -487,37 +504,36 @@ function openMatchForm(id) {
             return;
         }
 
-        // Spieler-Optionen SORTIERT nach SdS-Anzahl (absteigend), dann nach Toren (absteigend) - safely
-        const aekSorted = [...matchesData.aekAthen].sort((a, b) => {
-            const aSdsCount = getSdsCount(a.name, "AEK");
-            const bSdsCount = getSdsCount(b.name, "AEK");
+        // Spieler-Optionen SORTIERT nach SdS-Anzahl (absteigend), dann nach Toren (absteigend) - aus der Match-Historie
+        const goalCounts = deriveGoalCounts(matchesData.matches, matchesData.players);
+        const bySdsThenGoals = (a, b) => {
+            const aSdsCount = getSdsCount(a.id);
+            const bSdsCount = getSdsCount(b.id);
             if (aSdsCount !== bSdsCount) return bSdsCount - aSdsCount; // Sort by SdS count first
-            const aGoals = a.goals || 0;
-            const bGoals = b.goals || 0;
-            return bGoals - aGoals; // Then by goals
-        });
-        const realSorted = [...matchesData.realMadrid].sort((a, b) => {
-            const aSdsCount = getSdsCount(a.name, "Real");
-            const bSdsCount = getSdsCount(b.name, "Real");
-            if (aSdsCount !== bSdsCount) return bSdsCount - aSdsCount; // Sort by SdS count first
-            const aGoals = a.goals || 0;
-            const bGoals = b.goals || 0;
-            return bGoals - aGoals; // Then by goals
-        });
+            return (goalCounts.get(b.id) || 0) - (goalCounts.get(a.id) || 0); // Then by goals
+        };
+        const aekSorted = [...matchesData.aekAthen].sort(bySdsThenGoals);
+        const realSorted = [...matchesData.realMadrid].sort(bySdsThenGoals);
+
+        // Gesperrte Spieler sitzen ein neues Match ab; beim Bearbeiten gilt der heutige Stand nicht
+        const suspensions = edit ? new Map() : activeSuspensions(matchesData.bans, ["AEK", "Real"]);
         
         const aekSpieler = aekSorted.map(p => {
-            const goals = p.goals || 0;
-            return `<option value="${DOM.sanitizeForAttribute(p.name)}">${DOM.sanitizeForHTML(p.name)} (${goals} Tore)</option>`;
+            const goals = goalCounts.get(p.id) || 0;
+            return `<option value="${p.id}"${suspendedAttr(p, suspensions)}>${DOM.sanitizeForHTML(p.name)} (${goals} Tore)${suspendedLabel(p, suspensions)}</option>`;
         }).join('');
         
         const realSpieler = realSorted.map(p => {
-            const goals = p.goals || 0;
-            return `<option value="${DOM.sanitizeForAttribute(p.name)}">${DOM.sanitizeForHTML(p.name)} (${goals} Tore)</option>`;
+            const goals = goalCounts.get(p.id) || 0;
+            return `<option value="${p.id}"${suspendedAttr(p, suspensions)}>${DOM.sanitizeForHTML(p.name)} (${goals} Tore)${suspendedLabel(p, suspensions)}</option>`;
         }).join('');
 
-        const goalsListA = match?.goalslista || [];
-        const goalsListB = match?.goalslistb || [];
-        const manofthematch = match?.manofthematch || "";
+        // Vorbelegung per Spieler-ID; nicht auflösbare Altnamen bleiben leer
+        const scorers = match ? matchScorers(match, matchesData.players) : [];
+        const toFormEntry = s => ({ player_id: s.player ? s.player.id : "", count: s.count });
+        const goalsListA = scorers.filter(s => s.team === "AEK").map(toFormEntry);
+        const goalsListB = scorers.filter(s => s.team === "Real").map(toFormEntry);
+        const manofthematch = match ? (matchSdsPlayer(match, matchesData.players)?.id ?? null) : null;
         const dateVal = match ? match.date : (new Date()).toISOString().slice(0,10);
 
         // Validate date
@@ -527,11 +543,11 @@ function openMatchForm(id) {
         }
 
         // Show modal with enhanced form
-        showModal(generateMatchFormHTML(edit, dateVal, match, aekSpieler, realSpieler, aekSorted, realSorted, goalsListA, goalsListB, manofthematch));
+        showModal(generateMatchFormHTML(edit, dateVal, match, aekSpieler, realSpieler, aekSorted, realSorted, goalsListA, goalsListB, manofthematch, suspensions));
         
         // Attach event handlers safely with a small delay to ensure DOM is ready
         setTimeout(() => {
-            attachMatchFormEventHandlers(edit, match?.id, aekSpieler, realSpieler);
+            attachMatchFormEventHandlers(edit, match?.id, aekSpieler, realSpieler, suspensions);
         }, 50);
         
     } catch (error) {
@@ -541,9 +557,16 @@ function openMatchForm(id) {
 }
 
 // Helper function to generate form HTML
-function generateMatchFormHTML(edit, dateVal, match, aekSpieler, realSpieler, aekSorted, realSorted, goalsListA, goalsListB, manofthematch) {
+function generateMatchFormHTML(edit, dateVal, match, aekSpieler, realSpieler, aekSorted, realSorted, goalsListA, goalsListB, manofthematch, suspensions) {
+    const suspendedPlayers = [...aekSorted, ...realSorted].filter(p => suspensions.has(p.id));
     return `
     <form id="match-form" class="space-y-6 w-full">
+        ${suspendedPlayers.length ? `
+        <div class="bg-rose-900/40 border border-rose-700 text-rose-100 p-3 rounded-lg text-sm">
+            <b>Gesperrt für dieses Match:</b>
+            ${suspendedPlayers.map(p => `${DOM.sanitizeForHTML(p.name)} (${p.team}, noch ${suspensions.get(p.id)})`).join(', ')}
+        </div>
+        ` : ''}
         <div class="space-y-4">
             <div class="flex justify-center">
                 <button type="button" id="show-date" class="flex items-center gap-2 text-sm font-semibold text-slate-300 hover:text-sky-400 border border-slate-600 rounded-lg px-4 py-3 bg-slate-700 focus:outline-none transition-all focus:ring-2 focus:ring-sky-500" tabindex="0">
@@ -567,6 +590,9 @@ function generateMatchFormHTML(edit, dateVal, match, aekSpieler, realSpieler, ae
             </div>
         </div>
         
+        ${lineupBlockHtml("A", "lineupa", "AEK", normalizeLineup(match?.lineupa), matchesData.aekAthen, suspensions)}
+        ${lineupBlockHtml("B", "lineupb", "Real", normalizeLineup(match?.lineupb), matchesData.realMadrid, suspensions)}
+
         <div id="scorersA-block" class="bg-gray-700 border border-gray-600 p-3 rounded-lg">
             <b class="text-blue-400 text-sm">Torschützen AEK</b>
             <div id="scorersA" class="mt-2">${scorerFields("goalslista", goalsListA, aekSpieler)}</div>
@@ -607,6 +633,11 @@ function generateMatchFormHTML(edit, dateVal, match, aekSpieler, realSpieler, ae
                     </div>
                 </div>
             </div>
+            <div id="cardsA" class="mt-3">${cardFields("cardslista", normalizeCardsList(match?.cardslista), matchesData.aekAthen, suspensions)}</div>
+            <button type="button" id="addCardA" class="w-full mt-2 flex items-center justify-center gap-2 bg-slate-600 hover:bg-slate-500 text-white font-semibold py-2 px-3 rounded-lg text-sm shadow transition active:scale-95 min-h-[40px] touch-manipulation">
+                <i class="fas fa-id-card text-xs"></i>
+                <span>Karte einem Spieler zuordnen</span>
+            </button>
         </div>
         
         <div class="bg-gray-700 border border-gray-600 p-3 rounded-lg">
@@ -629,6 +660,11 @@ function generateMatchFormHTML(edit, dateVal, match, aekSpieler, realSpieler, ae
                     </div>
                 </div>
             </div>
+            <div id="cardsB" class="mt-3">${cardFields("cardslistb", normalizeCardsList(match?.cardslistb), matchesData.realMadrid, suspensions)}</div>
+            <button type="button" id="addCardB" class="w-full mt-2 flex items-center justify-center gap-2 bg-slate-600 hover:bg-slate-500 text-white font-semibold py-2 px-3 rounded-lg text-sm shadow transition active:scale-95 min-h-[40px] touch-manipulation">
+                <i class="fas fa-id-card text-xs"></i>
+                <span>Karte einem Spieler zuordnen</span>
+            </button>
         </div>
         
         <div class="bg-gray-700 border border-gray-600 p-3 rounded-lg">
@@ -649,12 +685,12 @@ function generateMatchFormHTML(edit, dateVal, match, aekSpieler, realSpieler, ae
             <select name="manofthematch" id="manofthematch-select" class="border border-gray-600 bg-gray-700 text-gray-100 rounded-lg p-2 w-full min-h-[40px] text-sm">
                 <option value="">Keiner</option>
                 ${aekSorted.map(p => {
-                    const sdsCount = getSdsCount(p.name, "AEK");
-                    return `<option value="${DOM.sanitizeForAttribute(p.name)}" data-team="AEK"${manofthematch===p.name?' selected':''}>${DOM.sanitizeForHTML(p.name)} (AEK, ${sdsCount} SdS)</option>`;
+                    const sdsCount = getSdsCount(p.id);
+                    return `<option value="${p.id}" data-team="AEK"${manofthematch===p.id?' selected':''}${suspendedAttr(p, suspensions)}>${DOM.sanitizeForHTML(p.name)} (AEK, ${sdsCount} SdS)${suspendedLabel(p, suspensions)}</option>`;
                 }).join('')}
                 ${realSorted.map(p => {
-                    const sdsCount = getSdsCount(p.name, "Real");
-                    return `<option value="${DOM.sanitizeForAttribute(p.name)}" data-team="Real"${manofthematch===p.name?' selected':''}>${DOM.sanitizeForHTML(p.name)} (Real, ${sdsCount} SdS)</option>`;
+                    const sdsCount = getSdsCount(p.id);
+                    return `<option value="${p.id}" data-team="Real"${manofthematch===p.id?' selected':''}${suspendedAttr(p, suspensions)}>${DOM.sanitizeForHTML(p.name)} (Real, ${sdsCount} SdS)${suspendedLabel(p, suspensions)}</option>`;
                 }).join('')}
             </select>
         </div>
@@ -685,7 +721,7 @@ DOM.sanitizeForAttribute = function(str) {
 };
 
 // Helper function to attach event handlers to the match form
-function attachMatchFormEventHandlers(edit, id, aekSpieler, realSpieler) {
+function attachMatchFormEventHandlers(edit, id, aekSpieler, realSpieler, suspensions) {
     // Datum-Show/Hide (wie gehabt)
     document.getElementById('show-date').onclick = function() {
         document.getElementById('date-input').classList.toggle('hidden');
@@ -734,6 +770,40 @@ function attachMatchFormEventHandlers(edit, id, aekSpieler, realSpieler) {
     document.getElementById("addScorerA").onclick = () => addScorerHandler("scorersA", "goalslista", aekSpieler);
     document.getElementById("addScorerB").onclick = () => addScorerHandler("scorersB", "goalslistb", realSpieler);
 
+    // Karten einzelner Spieler: Zeilen dürfen auch ganz entfernt werden
+    function addCardHandler(cardsId, name, players) {
+        const container = document.getElementById(cardsId);
+        container.insertAdjacentHTML('beforeend', cardFields(name, [{ player_id: "", type: "Gelb" }], players, suspensions));
+    }
+    ["cardsA", "cardsB"].forEach(cardsId => {
+        document.getElementById(cardsId).addEventListener('click', e => {
+            const btn = e.target.closest('.remove-card-btn');
+            if (btn) btn.closest('.card-row').remove();
+        });
+    });
+    document.getElementById("addCardA").onclick = () => addCardHandler("cardsA", "cardslista", matchesData.aekAthen);
+    document.getElementById("addCardB").onclick = () => addCardHandler("cardsB", "cardslistb", matchesData.realMadrid);
+
+    // Aufstellung: Formationswechsel baut die Startplätze neu auf, gewählte Spieler bleiben in Reihenfolge
+    [["A", "lineupa", matchesData.aekAthen], ["B", "lineupb", matchesData.realMadrid]].forEach(([suffix, name, players]) => {
+        const starters = document.getElementById(`lineup${suffix}-starters`);
+        const subs = document.getElementById(`lineup${suffix}-subs`);
+        document.querySelector(`select[name="${name}-formation"]`).onchange = function() {
+            const current = Array.from(starters.querySelectorAll('.lineup-row')).map(row => ({
+                player_id: parseInt(row.querySelector('select').value, 10),
+                minutes: parseInt(row.querySelector('input').value, 10)
+            }));
+            starters.innerHTML = lineupStarterFields(name, this.value, current, players, suspensions);
+        };
+        document.getElementById(`addSub${suffix}`).onclick = () => {
+            subs.insertAdjacentHTML('beforeend', lineupSubFields(name, [{ player_id: "", minutes: 0 }], players, suspensions));
+        };
+        subs.addEventListener('click', e => {
+            const btn = e.target.closest('.remove-sub-btn');
+            if (btn) btn.closest('.lineup-sub-row').remove();
+        });
+    });
+
     function toggleScorerFields() {
         const goalsA = parseInt(document.querySelector('input[name="goalsa"]').value) || 0;
         const goalsB = parseInt(document.querySelector('input[name="goalsb"]').value) || 0;
@@ -797,7 +867,8 @@ function attachMatchFormEventHandlers(edit, id, aekSpieler, realSpieler) {
             value: opt.value,
             text: opt.textContent,
             team: opt.getAttribute('data-team'),
-            selected: opt.selected
+            selected: opt.selected,
+            disabled: opt.disabled
         }));
         
         // Clear and rebuild options for mobile compatibility
@@ -821,6 +892,7 @@ function attachMatchFormEventHandlers(edit, id, aekSpieler, realSpieler) {
                 option.value = optData.value;
                 option.textContent = optData.text;
                 option.setAttribute('data-team', optData.team);
+                option.disabled = optData.disabled;
                 if (selectedValue === optData.value) option.selected = true;
                 select.appendChild(option);
             }
@@ -922,12 +994,12 @@ function attachMatchFormEventHandlers(edit, id, aekSpieler, realSpieler) {
 }
 
 function scorerFields(name, arr, spielerOpts) {
-    if (!arr.length) arr = [{ player: "", count: 1 }];
+    if (!arr.length) arr = [{ player_id: "", count: 1 }];
     return arr.map((g, i) => `
         <div class="flex gap-2 mb-2 scorer-row items-center">
             <select name="${name}-player" class="border border-gray-600 bg-gray-700 text-gray-100 rounded-lg p-2 min-h-[40px] text-sm flex-1" style="min-width:100px;">
                 <option value="">Spieler wählen</option>
-                ${spielerOpts.replace(`value="${g.player}"`, `value="${g.player}" selected`)}
+                ${g.player_id !== "" ? spielerOpts.replace(`value="${g.player_id}"`, `value="${g.player_id}" selected`) : spielerOpts}
             </select>
             <input type="number" min="1" name="${name}-count" placeholder="Tore" class="border border-gray-600 bg-gray-700 text-gray-100 rounded-lg p-2 w-16 min-h-[40px] text-sm text-center flex-shrink-0" value="${g.count||1}">
             <button type="button" class="remove-goal-btn bg-red-600 hover:bg-red-700 text-white px-2 py-2 rounded-lg min-h-[40px] w-10 flex items-center justify-center transition-all duration-200 flex-shrink-0 ${arr.length===1 ? 'opacity-50 cursor-not-allowed' : 'hover:scale-105'} touch-manipulation" title="Torschütze entfernen" ${arr.length===1 ? 'disabled' : ''}>
@@ -937,17 +1009,128 @@ function scorerFields(name, arr, spielerOpts) {
     `).join('');
 }
 
-async function updatePlayersGoals(goalslist, team) {
-    for (const scorer of goalslist) {
-        if (!scorer.player) continue;
-        // Spieler laden, aktueller Stand
-        const { data: player } = await supabase.from('players').select('goals').eq('name', scorer.player).eq('team', team).single();
-        let newGoals = scorer.count;
-        if (player && typeof player.goals === 'number') {
-            newGoals = player.goals + scorer.count;
-        }
-        await supabase.from('players').update({ goals: newGoals }).eq('name', scorer.player).eq('team', team);
-    }
+// Spielerauswahl für Aufstellungszeilen
+function lineupPlayerOptions(players, selectedId, suspensions) {
+    return `<option value="">Spieler wählen</option>` + players.map(p =>
+        `<option value="${p.id}"${p.id === selectedId ? ' selected' : ''}${suspendedAttr(p, suspensions)}>${DOM.sanitizeForHTML(p.name)} (${p.position || '-'})${suspendedLabel(p, suspensions)}</option>`
+    ).join('');
+}
+
+// Startplätze der Formation; `entries` belegt die Plätze der Reihe nach
+function lineupStarterFields(name, formation, entries, players, suspensions) {
+    return (FORMATIONS[formation] || FORMATIONS[DEFAULT_FORMATION]).map((position, i) => {
+        const entry = entries[i] || {};
+        return `
+        <div class="flex gap-2 mb-2 lineup-row items-center" data-position="${position}">
+            <span class="w-12 text-xs font-bold text-gray-300 flex-shrink-0">${position}</span>
+            <select name="${name}-player" class="border border-gray-600 bg-gray-700 text-gray-100 rounded-lg p-2 min-h-[40px] text-sm flex-1" style="min-width:100px;">
+                ${lineupPlayerOptions(players, isNaN(entry.player_id) ? null : entry.player_id, suspensions)}
+            </select>
+            <input type="number" min="0" max="120" name="${name}-minutes" title="Minuten" class="border border-gray-600 bg-gray-700 text-gray-100 rounded-lg p-2 w-16 min-h-[40px] text-sm text-center flex-shrink-0" value="${Number.isInteger(entry.minutes) ? entry.minutes : MATCH_MINUTES}">
+        </div>`;
+    }).join('');
+}
+
+function lineupSubFields(name, entries, players, suspensions) {
+    return entries.map(entry => `
+        <div class="flex gap-2 mb-2 lineup-sub-row items-center">
+            <select name="${name}-sub" class="border border-gray-600 bg-gray-700 text-gray-100 rounded-lg p-2 min-h-[40px] text-sm flex-1" style="min-width:100px;">
+                ${lineupPlayerOptions(players, entry.player_id, suspensions)}
+            </select>
+            <input type="number" min="0" max="120" name="${name}-sub-minutes" title="Minuten" class="border border-gray-600 bg-gray-700 text-gray-100 rounded-lg p-2 w-16 min-h-[40px] text-sm text-center flex-shrink-0" value="${entry.minutes || 0}">
+            <button type="button" class="remove-sub-btn bg-red-600 hover:bg-red-700 text-white px-2 py-2 rounded-lg min-h-[40px] w-10 flex items-center justify-center transition-all duration-200 flex-shrink-0 hover:scale-105 touch-manipulation" title="Auswechselspieler entfernen">
+                <i class="fas fa-minus text-xs"></i>
+            </button>
+        </div>
+    `).join('');
+}
+
+// Aufklappbarer Aufstellungsblock je Team; leer gelassen wird keine Aufstellung gespeichert
+function lineupBlockHtml(suffix, name, team, lineup, players, suspensions) {
+    const formation = lineup?.formation || DEFAULT_FORMATION;
+    const starters = lineup ? lineup.players.filter(p => p.starter) : [];
+    const subs = lineup ? lineup.players.filter(p => !p.starter) : [];
+    // Startspieler passend zu den Plätzen der Formation einsortieren
+    const open = [...starters];
+    const ordered = (FORMATIONS[formation] || []).map(position => {
+        const idx = open.findIndex(p => p.position === position);
+        return idx >= 0 ? open.splice(idx, 1)[0] : {};
+    });
+    const color = team === "AEK" ? "text-blue-400" : "text-red-400";
+    return `
+        <details id="lineup${suffix}-block" class="bg-gray-700 border border-gray-600 p-3 rounded-lg"${lineup ? ' open' : ''}>
+            <summary class="cursor-pointer"><b class="${color} text-sm">Aufstellung ${team}</b> <span class="text-xs text-gray-400">(optional)</span></summary>
+            <div class="flex items-center gap-2 mt-3">
+                <label class="text-sm text-gray-300">Formation</label>
+                <select name="${name}-formation" class="border border-gray-600 bg-gray-700 text-gray-100 rounded-lg p-2 min-h-[40px] text-sm">
+                    ${Object.keys(FORMATIONS).map(f => `<option value="${f}"${f === formation ? ' selected' : ''}>${f}</option>`).join('')}
+                </select>
+            </div>
+            <div id="lineup${suffix}-starters" class="mt-2">${lineupStarterFields(name, formation, ordered, players, suspensions)}</div>
+            <div class="text-xs text-gray-400 mt-2 mb-1">Auswechselspieler (Minuten 0 = nicht eingesetzt)</div>
+            <div id="lineup${suffix}-subs">${lineupSubFields(name, subs, players, suspensions)}</div>
+            <button type="button" id="addSub${suffix}" class="w-full mt-2 flex items-center justify-center gap-2 bg-slate-600 hover:bg-slate-500 text-white font-semibold py-2 px-3 rounded-lg text-sm shadow transition active:scale-95 min-h-[40px] touch-manipulation">
+                <i class="fas fa-user-plus text-xs"></i>
+                <span>Auswechselspieler hinzufügen</span>
+            </button>
+        </details>
+    `;
+}
+
+// Gesperrte Spieler sind in allen Auswahllisten deaktiviert
+function suspendedAttr(player, suspensions) {
+    return suspensions.has(player.id) ? ' disabled' : '';
+}
+
+function suspendedLabel(player, suspensions) {
+    return suspensions.has(player.id) ? ` – gesperrt (noch ${suspensions.get(player.id)})` : '';
+}
+
+// Zeilen für Karten einzelner Spieler: Spieler + Kartentyp
+function cardFields(name, cards, players, suspensions) {
+    return cards.map(c => `
+        <div class="flex gap-2 mb-2 card-row items-center">
+            <select name="${name}-player" class="border border-gray-600 bg-gray-700 text-gray-100 rounded-lg p-2 min-h-[40px] text-sm flex-1" style="min-width:100px;">
+                <option value="">Spieler wählen</option>
+                ${players.map(p => `<option value="${p.id}"${p.id === c.player_id ? ' selected' : ''}${suspendedAttr(p, suspensions)}>${DOM.sanitizeForHTML(p.name)}${suspendedLabel(p, suspensions)}</option>`).join('')}
+            </select>
+            <select name="${name}-type" class="border border-gray-600 bg-gray-700 text-gray-100 rounded-lg p-2 min-h-[40px] text-sm flex-shrink-0">
+                ${CARD_TYPES.map(t => `<option value="${t.value}"${t.value === c.type ? ' selected' : ''}>${t.label}</option>`).join('')}
+            </select>
+            <button type="button" class="remove-card-btn bg-red-600 hover:bg-red-700 text-white px-2 py-2 rounded-lg min-h-[40px] w-10 flex items-center justify-center transition-all duration-200 flex-shrink-0 hover:scale-105 touch-manipulation" title="Karte entfernen">
+                <i class="fas fa-minus text-xs"></i>
+            </button>
+        </div>
+    `).join('');
+}
+
+function findPlayer(playerId) {
+    return matchesData.players.find(p => p.id === playerId) || null;
+}
+
+// Torschützen eines Matches als { player_id, count } für die Schreibpläne
+function scorerEntries(match) {
+    return matchScorers(match, matchesData.players)
+        .filter(s => s.player)
+        .map(s => ({ player_id: s.player.id, count: s.count }));
+}
+
+// Tor-Änderungen je Spieler zwischen altem und neuem Match (nur Einträge ≠ 0)
+export function diffScorerCounts(oldEntries, newEntries) {
+    const deltas = new Map();
+    const add = (entry, sign) => {
+        const current = deltas.get(entry.player_id) || { player_id: entry.player_id, count: 0 };
+        current.count += sign * (entry.count || 0);
+        deltas.set(entry.player_id, current);
+    };
+    oldEntries.forEach(e => add(e, -1));
+    newEntries.forEach(e => add(e, 1));
+    return [...deltas.values()].filter(d => d.count !== 0);
+}
+
+// spieler_des_spiels ist nach Name und Team gespeichert – beides kommt aus der Spielerliste
+function sdsEntry(player, team) {
+    return player && team ? { name: player.name, team } : null;
 }
 
 async function submitMatchForm(event, id) {
@@ -962,13 +1145,13 @@ async function submitMatchForm(event, id) {
     const reda = parseInt(form.reda.value) || 0;
     const yellowb = parseInt(form.yellowb.value) || 0;
     const redb = parseInt(form.redb.value) || 0;
-    const manofthematch = form.manofthematch.value || "";
+    const manofthematchId = form.manofthematch.value ? parseInt(form.manofthematch.value, 10) : null;
 
     function getScorers(group, name) {
         return Array.from(group.querySelectorAll('.scorer-row')).map(d => ({
-            player: d.querySelector(`select[name="${name}-player"]`).value,
+            player_id: parseInt(d.querySelector(`select[name="${name}-player"]`).value, 10),
             count: parseInt(d.querySelector(`input[name="${name}-count"]`).value) || 1
-        })).filter(g => g.player);
+        })).filter(g => !isNaN(g.player_id));
     }
 
     let goalslista = [];
@@ -992,50 +1175,75 @@ async function submitMatchForm(event, id) {
         }
     }
 
-    // Preisgeld-Berechnung
-    let prizeaek = 0, prizereal = 0;
-    let winner = null, loser = null;
-    if (goalsa > goalsb) { winner = "AEK"; loser = "Real"; }
-    else if (goalsa < goalsb) { winner = "Real"; loser = "AEK"; }
+    function getCards(group, name) {
+        return Array.from(group.querySelectorAll('.card-row')).map(d => ({
+            player_id: parseInt(d.querySelector(`select[name="${name}-player"]`).value, 10),
+            type: d.querySelector(`select[name="${name}-type"]`).value
+        })).filter(c => !isNaN(c.player_id));
+    }
 
-    if (winner && loser) {
-        if (winner === "AEK") {
-            prizeaek = 1000000 - (goalsb*50000) - (yellowa*20000) - (reda*50000);
-            prizereal = - (500000 + goalsa*50000 + yellowb*20000 + redb*50000);
-        } else {
-            prizereal = 1000000 - (goalsa*50000) - (yellowb*20000) - (redb*50000);
-            prizeaek = - (500000 + goalsb*50000 + yellowa*20000 + reda*50000);
+    // Zugeordnete Karten dürfen die Team-Summen nicht übersteigen (Gelb-Rot zählt als Rot)
+    const cardslista = getCards(form.querySelector("#cardsA"), "cardslista");
+    const cardslistb = getCards(form.querySelector("#cardsB"), "cardslistb");
+    for (const [team, cards, yellow, red] of [[teama, cardslista, yellowa, reda], [teamb, cardslistb, yellowb, redb]]) {
+        const counted = countCards(cards);
+        if (counted.yellow > yellow || counted.red > red) {
+            alert(`Die zugeordneten Karten für ${team} (${counted.yellow} Gelb, ${counted.red} Rot) dürfen die Gesamtanzahl (${yellow} Gelb, ${red} Rot) nicht übersteigen!`);
+            return;
         }
     }
-    // SdS Bonus
-    let sdsBonusAek = 0, sdsBonusReal = 0;
-    if (manofthematch) {
-        if (matchesData.aekAthen.find(p => p.name === manofthematch)) sdsBonusAek = 100000;
-        if (matchesData.realMadrid.find(p => p.name === manofthematch)) sdsBonusReal = 100000;
-    }
 
-    // Spieler des Spiels-Statistik (Tabelle spieler_des_spiels)
-    if (manofthematch) {
-        let t = matchesData.aekAthen.find(p => p.name === manofthematch) ? "AEK" : "Real";
-        const { data: existing } = await supabase.from('spieler_des_spiels').select('*').eq('name', manofthematch).eq('team', t);
-        if (existing && existing.length > 0) {
-            await supabase.from('spieler_des_spiels').update({ count: existing[0].count + 1 }).eq('id', existing[0].id);
-        } else {
-            await supabase.from('spieler_des_spiels').insert([{ name: manofthematch, team: t, count: 1 }]);
+    // Aufstellung ist optional: ohne gewählte Spieler wird keine gespeichert
+    function getLineup(suffix, name) {
+        const rows = (selector, starter) => Array.from(form.querySelectorAll(selector)).map(d => ({
+            player_id: parseInt(d.querySelector('select').value, 10),
+            position: starter ? d.dataset.position : null,
+            starter,
+            minutes: parseInt(d.querySelector('input').value, 10)
+        })).filter(p => !isNaN(p.player_id));
+        const players = [
+            ...rows(`#lineup${suffix}-starters .lineup-row`, true),
+            ...rows(`#lineup${suffix}-subs .lineup-sub-row`, false)
+        ].map(p => ({ ...p, position: p.position || findPlayer(p.player_id)?.position || null }));
+        if (!players.length) return null;
+        return { formation: form.querySelector(`select[name="${name}-formation"]`).value, players };
+    }
+    const lineupa = getLineup("A", "lineupa");
+    const lineupb = getLineup("B", "lineupb");
+
+    const oldMatch = id ? matchesData.matches.find(m => m.id === id) : null;
+    const edit = !!oldMatch;
+    const suspensions = edit ? new Map() : activeSuspensions(matchesData.bans, [teama, teamb]);
+
+    // Gesperrte Spieler dürfen in einem neuen Match weder spielen, treffen noch Karten oder SdS bekommen
+    if (!edit) {
+        const suspended = findSuspendedSelections({ goalslista, goalslistb, cardslista, cardslistb, manofthematch_id: manofthematchId, lineupa, lineupb }, suspensions);
+        if (suspended.length) {
+            const names = suspended.map(pid => `${findPlayer(pid)?.name || pid} (noch ${suspensions.get(pid)})`).join(', ');
+            alert(`Gesperrte Spieler können in diesem Match nicht eingesetzt werden: ${names}`);
+            return;
         }
     }
-
-    // Edit-Modus: Vorherigen Match löschen (und zugehörige Transaktionen an diesem Tag!)
-    if (id && matches.find(m => m.id === id)) {
-        const { data: matchOld } = await supabase.from('matches').select('date').eq('id', id).single();
-        if (matchOld && matchOld.date) {
-            await supabase.from('transactions').delete().or(`type.eq.Preisgeld,type.eq.Bonus SdS,type.eq.Echtgeld-Ausgleich`).eq('date', matchOld.date);
+    const sdsPlayer = manofthematchId != null ? findPlayer(manofthematchId) : null;
+    const sdsTeam = sdsPlayer ? sdsPlayer.team : null;
+
+    // Wer trifft, Karten oder SdS bekommt, muss in der Aufstellung stehen
+    for (const [team, lineup, goals, cards] of [[teama, lineupa, goalslista, cardslista], [teamb, lineupb, goalslistb, cardslistb]]) {
+        if (!lineup) continue;
+        const involvedIds = [...goals.map(g => g.player_id), ...cards.map(c => c.player_id)];
+        if (sdsTeam === team) involvedIds.push(manofthematchId);
+        const { valid, errors } = validateLineup(lineup, { team, players: matchesData.players, suspensions, involvedIds });
+        if (!valid) {
+            alert(`Aufstellung ungültig:\n${errors.join('\n')}`);
+            return;
         }
-        await supabase.from('matches').delete().eq('id', id);
     }
 
-    // Save Match (JSON für goalslista/goalslistb)
-    const insertObj = {
+    // Bearbeitete Matches behalten die Regeln, unter denen sie gespielt wurden
+    const rulesVersion = edit ? (oldMatch.rules_version || 0) : getCurrentRulesVersion();
+    const rules = edit ? getRulesForVersion(rulesVersion) : getLeagueRules();
+
+    const matchRow = {
         date,
         teama,
         teamb,
@@ -1047,258 +1255,169 @@ async function submitMatchForm(event, id) {
         reda,
         yellowb,
         redb,
-        manofthematch,
-        prizeaek,
-        prizereal
+        cardslista,
+        cardslistb,
+        lineupa,
+        lineupb,
+        manofthematch_id: manofthematchId,
+        // Der Name wird nicht mehr gespeichert, sondern über die Spielerliste aufgelöst
+        manofthematch: null
     };
-
-    // Insert Match und ID zurückgeben
-    const { data: inserted, error } = await supabase
-        .from('matches')
-        .insert([insertObj])
-        .select('id')
-        .single();
-    if (error) {
-        alert('Fehler beim Insert: ' + error.message);
-        console.error(error);
-        return;
-    }
-    const matchId = inserted?.id;
-
-    // Nach Insert: ALLE Daten laden (damit matches aktuell ist)
-    await loadAllData(() => {});
-
-    // Hole App-Matchnummer (laufende Nummer)
-    const appMatchNr = getAppMatchNumber(matchId);
-
-    // Spieler-Tore aufaddieren!
-    if (goalsa > 0) await updatePlayersGoals(goalslista, "AEK");
-    if (goalsb > 0) await updatePlayersGoals(goalslistb, "Real");
-
-    await decrementBansAfterMatch();
-
-    // Transaktionen buchen (Preisgelder & SdS Bonus, inkl. Finanzen update)
+    const newGoals = [...goalslista, ...goalslistb];
+    const newSds = sdsEntry(sdsPlayer, sdsTeam);
     const now = new Date().toISOString().slice(0,10);
 
-    async function getTeamFinance(team) {
-        const { data } = await supabase.from('finances').select('balance').eq('team', team).single();
-        return (data && typeof data.balance === "number") ? data.balance : 0;
-    }
-
-    // Preisgelder buchen & neuen Kontostand berechnen (niemals unter 0)
-    let aekOldBalance = await getTeamFinance("AEK");
-    let realOldBalance = await getTeamFinance("Real");
-    let aekNewBalance = aekOldBalance + (prizeaek || 0) + (sdsBonusAek || 0);
-    let realNewBalance = realOldBalance + (prizereal || 0) + (sdsBonusReal || 0);
-
-    // 1. SdS Bonus
-    if (sdsBonusAek) {
-        aekOldBalance += sdsBonusAek;
-        await supabase.from('transactions').insert([{
-            date: now,
-            type: "Bonus SdS",
-            team: "AEK",
-            amount: sdsBonusAek,
-            match_id: matchId,
-            info: `Match #${appMatchNr}`
-        }]);
-        await supabase.from('finances').update({ balance: aekOldBalance }).eq('team', "AEK");
-    }
-    if (sdsBonusReal) {
-        realOldBalance += sdsBonusReal;
-        await supabase.from('transactions').insert([{
-            date: now,
-            type: "Bonus SdS",
-            team: "Real",
-            amount: sdsBonusReal,
-            match_id: matchId,
-            info: `Match #${appMatchNr}`
-        }]);
-        await supabase.from('finances').update({ balance: realOldBalance }).eq('team', "Real");
-    }
-
-    // 2. Preisgeld
-    if (prizeaek !== 0) {
-        aekOldBalance += prizeaek;
-        if (aekOldBalance < 0) aekOldBalance = 0;
-        await supabase.from('transactions').insert([{
-            date: now,
-            type: "Preisgeld",
-            team: "AEK",
-            amount: prizeaek,
-            match_id: matchId,
-            info: `Match #${appMatchNr}`
-        }]);
-        await supabase.from('finances').update({ balance: aekOldBalance }).eq('team', "AEK");
-    }
-    if (prizereal !== 0) {
-        realOldBalance += prizereal;
-        if (realOldBalance < 0) realOldBalance = 0;
-        await supabase.from('transactions').insert([{
-            date: now,
-            type: "Preisgeld",
-            team: "Real",
-            amount: prizereal,
-            match_id: matchId,
-            info: `Match #${appMatchNr}`
-        }]);
-        await supabase.from('finances').update({ balance: realOldBalance }).eq('team', "Real");
-    }
-
-    // --- Berechne für beide Teams den Echtgeldbetrag nach deiner Formel ---
-    function calcEchtgeldbetrag(balance, preisgeld, sdsBonus) {
-        let konto = balance;
-        if (sdsBonus) konto += 100000;
-        let zwischenbetrag = (Math.abs(preisgeld) - konto) / 100000;
-        if (zwischenbetrag < 0) zwischenbetrag = 0;
-        return 5 + Math.round(zwischenbetrag);
-    }
-
-    if (winner && loser) {
-        const debts = {
-            AEK: finances.aekAthen.debt || 0,
-            Real: finances.realMadrid.debt || 0,
-        };
-        const aekSds = manofthematch && matchesData.aekAthen.find(p => p.name === manofthematch) ? 1 : 0;
-        const realSds = manofthematch && matchesData.realMadrid.find(p => p.name === manofthematch) ? 1 : 0;
-
-        const aekBetrag = calcEchtgeldbetrag(aekOldBalance, prizeaek, aekSds);
-        const realBetrag = calcEchtgeldbetrag(realOldBalance, prizereal, realSds);
-
-        let gewinner = winner === "AEK" ? "AEK" : "Real";
-        let verlierer = loser === "AEK" ? "AEK" : "Real";
-        let gewinnerBetrag = gewinner === "AEK" ? aekBetrag : realBetrag;
-        let verliererBetrag = verlierer === "AEK" ? aekBetrag : realBetrag;
-
-        let gewinnerDebt = debts[gewinner];
-        let verliererDebt = debts[verlierer];
-
-        let verrechnet = Math.min(gewinnerDebt, verliererBetrag * 1);
-        let neuerGewinnerDebt = Math.max(0, gewinnerDebt - verrechnet);
-        let restVerliererBetrag = verliererBetrag * 1 - verrechnet;
-
-        let neuerVerliererDebt = verliererDebt + Math.max(0, restVerliererBetrag);
-
-        await supabase.from('finances').update({ debt: neuerGewinnerDebt }).eq('team', gewinner);
-
-        if (restVerliererBetrag > 0) {
-            await supabase.from('transactions').insert([{
-                date: now,
-                type: "Echtgeld-Ausgleich",
-                team: verlierer,
-                amount: Math.max(0, restVerliererBetrag),
-                match_id: matchId,
-                info: `Match #${appMatchNr}`
-            }]);
-            await supabase.from('finances').update({ debt: neuerVerliererDebt }).eq('team', verlierer);
-        }
-
-        if (verrechnet > 0) {
-            await supabase.from('transactions').insert([{
-                date: now,
-                type: "Echtgeld-Ausgleich (getilgt)",
-                team: gewinner,
-                amount: -verrechnet,
-                match_id: matchId,
-                info: `Match #${appMatchNr}`
-            }]);
+    try {
+        if (edit) {
+            // Alte Abrechnung über die match_id zurücknehmen und das Match neu abrechnen
+            const { data: oldTransactions, error: txError } = await supabase
+                .from('transactions')
+                .select('*')
+                .eq('match_id', id);
+            if (txError) throw txError;
+
+            // Untergrenze der Rückbuchung: Überziehungsrahmen am Tag der alten Buchungen, wie im Ledger
+            const reversal = reverseMatchSettlement(oldTransactions || [], await loadLedgerBalances(), getRulesForDate(oldTransactions?.[0]?.date));
+            const settlement = calculateMatchSettlement(matchRow, reversal.finances, sdsTeam, rules);
+            const oldGoals = scorerEntries(oldMatch);
+            const oldSds = sdsEntry(matchSdsPlayer(oldMatch, matchesData.players), getMatchSdsTeam(oldMatch));
+            const sdsChanged = !oldSds || !newSds || oldSds.name !== newSds.name || oldSds.team !== newSds.team;
+            const txDate = oldTransactions?.[0]?.date || now;
+            const matchLabel = `Match #${getAppMatchNumber(id)}`;
+
+            // Durch Karten ausgelöste Sperren neu bestimmen; update_match behält bereits abgesessene Spiele
+            const cardBans = calculateMatchBans(matchRow, matchesBefore(matchesData.matches, { ...matchRow, id }), rules, matchLabel);
+
+            // Andere Sperren bleiben unverändert: das Match wurde bereits gezählt
+            await dataManager.updateMatch({
+                match_id: id,
+                match: { ...matchRow, prizeaek: settlement.prizeaek, prizereal: settlement.prizereal, rules_version: rulesVersion },
+                goals: diffScorerCounts(oldGoals, newGoals),
+                sds_remove: sdsChanged ? oldSds : null,
+                sds: sdsChanged ? newSds : null,
+                bans: cardBans,
+                transactions: settlement.transactions.map(t => ({ ...t, date: txDate, info: t.info ? `${matchLabel}: ${t.info}` : matchLabel })),
+                finances: Object.entries(settlement.finances).map(([team, f]) => ({ team, balance: f.balance, debt: f.debt }))
+            });
+        } else {
+            const settlement = calculateMatchSettlement(matchRow, await loadLedgerBalances(), sdsTeam, rules);
+            // Laufende App-Matchnummer: neue Matches landen hinten
+            const appMatchNr = matchesData.matches.length + 1;
+
+            // Alle Schreibvorgänge als ein Plan – die DB führt ihn ganz oder gar nicht aus
+            await dataManager.recordMatch({
+                match: { ...matchRow, prizeaek: settlement.prizeaek, prizereal: settlement.prizereal, rules_version: rulesVersion },
+                goals: newGoals,
+                sds: newSds,
+                // Nur die Sperren der beiden beteiligten Teams gelten als abgesessen
+                serve_bans: [teama, teamb],
+                // Neue Sperren aus Karten gelten erst ab dem nächsten Match
+                bans: calculateMatchBans(matchRow, matchesData.matches, rules, `Match #${appMatchNr}`),
+                transactions: settlement.transactions.map(t => ({ ...t, date: now, info: t.info ? `Match #${appMatchNr}: ${t.info}` : `Match #${appMatchNr}` })),
+                finances: Object.entries(settlement.finances).map(([team, f]) => ({ team, balance: f.balance, debt: f.debt }))
+            });
         }
+    } catch (error) {
+        ErrorHandler.handleDatabaseError(error, 'Match speichern');
+        return;
     }
 
-    const matchDisplayText = id ? "Match erfolgreich aktualisiert" : `Match ${teama} vs ${teamb} (${goalsa}:${goalsb}) erfolgreich hinzugefügt`;
+    const matchDisplayText = edit ? "Match erfolgreich aktualisiert" : `Match ${teama} vs ${teamb} (${goalsa}:${goalsb}) erfolgreich hinzugefügt`;
     showSuccessAndCloseModal(matchDisplayText);
     // Kein manuelles Neuladen nötig – Live-Sync!
 }
 
 // ---------- DELETE ----------
 
-async function deleteMatch(id) {
-    // 1. Hole alle Infos des Matches
-    const { data: match } = await supabase
+// Team des Spielers des Spiels: zuerst aus den Torschützen, sonst aus dem Kader
+function getMatchSdsTeam(match) {
+    const player = matchSdsPlayer(match, matchesData.players);
+    if (!player) return null;
+    const scorer = matchScorers(match, matchesData.players).find(s => s.player && s.player.id === player.id);
+    if (scorer) return scorer.team;
+    return player.team === "AEK" || player.team === "Real" ? player.team : null;
+}
+
+// Schreibplan für delete_match und alles, was zum Wiederherstellen des Matches nötig ist
+async function prepareMatchDeletion(id) {
+    // 1. Match, seine Buchungen und Kartensperren holen
+    const { data: match, error: matchError } = await supabase
         .from('matches')
-        .select('date,prizeaek,prizereal,goalslista,goalslistb,manofthematch,yellowa,reda,yellowb,redb')
+        .select('*')
         .eq('id', id)
         .single();
-
-    if (!match) return;
-
-    // 2. Transaktionen zu diesem Match löschen (inkl. Echtgeld-Ausgleich)
-    await supabase
-        .from('transactions')
-        .delete()
-        .or(`type.eq.Preisgeld,type.eq.Bonus SdS,type.eq.Echtgeld-Ausgleich,type.eq.Echtgeld-Ausgleich (getilgt)`)
-        .eq('match_id', id);
-
-    // 3. Finanzen zurückrechnen (niemals unter 0!)
-    if (typeof match.prizeaek === "number" && match.prizeaek !== 0) {
-        const { data: aekFin } = await supabase.from('finances').select('balance').eq('team', 'AEK').single();
-        let newBal = (aekFin?.balance || 0) - match.prizeaek;
-        if (newBal < 0) newBal = 0;
-        await supabase.from('finances').update({
-            balance: newBal
-        }).eq('team', 'AEK');
-    }
-    if (typeof match.prizereal === "number" && match.prizereal !== 0) {
-        const { data: realFin } = await supabase.from('finances').select('balance').eq('team', 'Real').single();
-        let newBal = (realFin?.balance || 0) - match.prizereal;
-        if (newBal < 0) newBal = 0;
-        await supabase.from('finances').update({
-            balance: newBal
-        }).eq('team', 'Real');
-    }
-    // Bonus SdS rückrechnen
-    const { data: bonusTrans } = await supabase.from('transactions')
-        .select('team,amount')
-        .eq('match_id', id)
-        .eq('type', 'Bonus SdS');
-    if (bonusTrans) {
-        for (const t of bonusTrans) {
-            const { data: fin } = await supabase.from('finances').select('balance').eq('team', t.team).single();
-            let newBal = (fin?.balance || 0) - t.amount;
-            if (newBal < 0) newBal = 0;
-            await supabase.from('finances').update({
-                balance: newBal
-            }).eq('team', t.team);
-        }
-    }
-
-    // 4. Spieler-Tore abziehen
-    const removeGoals = async (goalslist, team) => {
-        if (!goalslist || !Array.isArray(goalslist)) return;
-        for (const scorer of goalslist) {
-            if (!scorer.player) continue;
-            const { data: player } = await supabase.from('players').select('goals').eq('name', scorer.player).eq('team', team).single();
-            let newGoals = (player?.goals || 0) - scorer.count;
-            if (newGoals < 0) newGoals = 0;
-            await supabase.from('players').update({ goals: newGoals }).eq('name', scorer.player).eq('team', team);
+    if (matchError) throw matchError;
+    if (!match) return null;
+
+    const [{ data: matchTransactions, error: txError }, { data: matchBans, error: bansError }] = await Promise.all([
+        supabase.from('transactions').select('*').eq('match_id', id),
+        supabase.from('bans').select('*').eq('match_id', id)
+    ]);
+    if (txError) throw txError;
+    if (bansError) throw bansError;
+
+    // Abgesessene Spiele in diesem Match und der Sperren aus diesem Match verschwinden mit
+    const ownBanIds = (matchBans || []).map(b => b.id);
+    const [{ data: servedHere }, { data: servedOwn }] = await Promise.all([
+        supabase.from('ban_servings').select('*').eq('match_id', id),
+        ownBanIds.length ? supabase.from('ban_servings').select('*').in('ban_id', ownBanIds) : Promise.resolve({ data: [] })
+    ]);
+    const servings = [...(servedHere || []), ...(servedOwn || []).filter(s => s.match_id !== id)];
+
+    // 2. Finanzen exakt aus den gebuchten Beträgen zurückrechnen
+    const before = await loadLedgerBalances();
+    const reversal = reverseMatchSettlement(matchTransactions || [], before, getRulesForDate(matchTransactions?.[0]?.date));
+
+    // 3. Spieler des Spiels samt Team bestimmen
+    const goals = scorerEntries(match);
+    const sds = sdsEntry(matchSdsPlayer(match, matchesData.players), getMatchSdsTeam(match));
+
+    return {
+        plan: {
+            match_id: id,
+            goals,
+            sds,
+            finances: Object.entries(reversal.finances).map(([team, f]) => ({ team, balance: f.balance, debt: f.debt }))
+        },
+        snapshot: {
+            match,
+            bans: matchBans || [],
+            servings,
+            transactions: matchTransactions || [],
+            goals,
+            sds,
+            financeDelta: Object.fromEntries(Object.entries(reversal.finances).map(([team, f]) => [
+                team,
+                { balance: before[team].balance - f.balance, debt: before[team].debt - f.debt }
+            ]))
         }
     };
-    await removeGoals(match.goalslista, "AEK");
-    await removeGoals(match.goalslistb, "Real");
-
-    // 5. Spieler des Spiels rückgängig machen
-    if (match.manofthematch) {
-        let sdsTeam = null;
-        if (match.goalslista && match.goalslista.find(g => g.player === match.manofthematch)) sdsTeam = "AEK";
-        else if (match.goalslistb && match.goalslistb.find(g => g.player === match.manofthematch)) sdsTeam = "Real";
-        else {
-            const { data: p } = await supabase.from('players').select('team').eq('name', match.manofthematch).single();
-            sdsTeam = p?.team;
-        }
-        if (sdsTeam) {
-            const { data: sds } = await supabase.from('spieler_des_spiels').select('count').eq('name', match.manofthematch).eq('team', sdsTeam).single();
-            if (sds) {
-                const newCount = Math.max(0, sds.count - 1);
-                await supabase.from('spieler_des_spiels').update({ count: newCount }).eq('name', match.manofthematch).eq('team', sdsTeam);
+}
+
+async function deleteMatch(id) {
+    try {
+        const prepared = await prepareMatchDeletion(id);
+        if (!prepared) return;
+        const label = `Match #${getAppMatchNumber(id)} gelöscht`;
+
+        // 4. Alles in einem Schritt zurücknehmen
+        await dataManager.deleteMatch(prepared.plan);
+
+        // Das Match kommt beim Rückgängigmachen mit derselben ID zurück, Wiederholen löscht es erneut
+        let snapshot = prepared.snapshot;
+        undoManager.record({
+            label,
+            undo: () => dataManager.applyUndo(matchRestoreSteps(snapshot)),
+            redo: async () => {
+                const again = await prepareMatchDeletion(id);
+                if (!again) return;
+                await dataManager.deleteMatch(again.plan);
+                snapshot = again.snapshot;
             }
-        }
+        });
+    } catch (error) {
+        ErrorHandler.handleDatabaseError(error, 'Match löschen');
     }
-
-    // 6. Karten zurücksetzen (Spieler-Kartenzähler updaten, falls du sowas hast)
-    // Falls du Karten pro Spieler speicherst, musst du analog zu removeGoals abziehen!
-
-    // 7. Match löschen
-    await supabase.from('matches').delete().eq('id', id);
     // Kein manuelles Neuladen nötig – Live-Sync!
 }
 
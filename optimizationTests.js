@@ -4,7 +4,27 @@
  */
 import { dataManager } from './dataManager.js';
 import { ErrorHandler, FormValidator, loadingManager, Performance } from './utils.js';
-import { supabase } from './supabaseClient.js';
+import { createFallbackClient } from './supabaseClient.js';
+import { calculateMatchSettlement, reverseMatchSettlement } from './matchSettlement.js';
+import { diffScorerCounts } from './matches.js';
+import { findStatDiscrepancies, buildStatCorrections, deriveGoalCounts, buildPlayerIdBackfill, matchSdsName } from './matchStats.js';
+import { DEFAULT_RULES, normalizeRules, validateRules, getRulesForVersion } from './leagueRules.js';
+import { calculateMatchBans, matchesBefore, activeSuspensions, findSuspendedSelections } from './matchCards.js';
+import { FORMATIONS, validateLineup, deriveAppearances } from './lineups.js';
+import { calculateStandings, filterByDateRange } from './standings.js';
+import { lineChartSvg } from './charts.js';
+import { rollingAverage, goalsPerMatchdaySeries, balanceSeries } from './timeSeries.js';
+import { parsePlayerProfileHash, playerTransfers, buildPlayerCareer, playerMatchHistory } from './playerProfile.js';
+import { positionGroup, squadViolations, worsenedViolations, checkTransferPlan } from './squadRules.js';
+import { buildTransferPlan, buildSwapPlan, buildLoanReturnPlan, activeLoan, transferShortfalls, transferBans, valueTrend, biggestTransfer, netTransferSpend } from './transfers.js';
+import { pickAttributes, readAttributes, sortPlayers, filterPlayers, playerAge, attributeSummary, comparePlayers, playsPosition } from './playerAttributes.js';
+import { getListState, resetListState, applyListState, isListFiltered } from './listToolbar.js';
+import { undoManager, playerRestoreSteps, matchRestoreSteps, transferUndoSteps } from './undo.js';
+import { replayLedger, applyTransaction, accountTotals, reconcileFinances, shortfallFor, overdraftStatus, floorsByDate } from './ledger.js';
+import { debtSummary, debtSummaryText, settlementErrors, buildSettlementPlan, buildNettingPlan, buildReversalPlan, settlementHistory } from './debtSettlement.js';
+import { transactionActions, linkedShortfall, buildTransactionBooking, buildTransactionChange, transactionChangeErrors } from './transactionEdits.js';
+import { ledgerBalances, storedDifferences } from './balances.js';
+import { transactionCategory, filterTransactions, categoryTotals } from './transactionFilters.js';
 
 class OptimizationTester {
     constructor() {
@@ -45,6 +65,12 @@ class OptimizationTester {
         }
     }
 
+    // Finanzzeile eines Teams aus einem Fallback-Client
+    async finance(client, team) {
+        const { data } = await client.from('finances').select('*').eq('team', team).single();
+        return data;
+    }
+
     async testDataManagerCaching() {
         // Test cache functionality
         const key = 'test-cache-key';
@@ -252,6 +278,1359 @@ class OptimizationTester {
         }
     }
 
+    async testMatchSettlement() {
+        // AEK gewinnt 2:1 mit einer Gelben Karte, SdS kommt von AEK
+        const result = calculateMatchSettlement(
+            { goalsa: 2, goalsb: 1, yellowa: 1, reda: 0, yellowb: 0, redb: 0 },
+            { AEK: { balance: 0, debt: 0 }, Real: { balance: 300000, debt: 0 } },
+            'AEK'
+        );
+
+        if (result.prizeaek !== 930000 || result.prizereal !== -600000) {
+            throw new Error(`Wrong prizes: ${result.prizeaek} / ${result.prizereal}`);
+        }
+        if (result.finances.AEK.balance !== 1030000 || result.finances.Real.balance !== 0) {
+            throw new Error('Balances not booked correctly (Real must stop at the overdraft limit of 0)');
+        }
+        if (result.finances.Real.debt !== 11) {
+            throw new Error(`Expected Echtgeld debt 11 for Real, got ${result.finances.Real.debt}`);
+        }
+        const types = result.transactions.map(t => `${t.team}:${t.type}`).join(',');
+        // Was über den Kontostand hinausgeht, wird vorher als Fehlbetrag gebucht
+        if (types !== 'AEK:Bonus SdS,AEK:Preisgeld,Real:Fehlbetrag,Real:Preisgeld,Real:Echtgeld-Ausgleich') {
+            throw new Error(`Unexpected transactions: ${types}`);
+        }
+    }
+
+    async testMatchSettlementEdgeCases() {
+        // Unentschieden: kein Preisgeld, kein Echtgeld, nur der SdS-Bonus
+        const draw = calculateMatchSettlement(
+            { goalsa: 1, goalsb: 1 },
+            { AEK: { balance: 200000, debt: 3 }, Real: { balance: 0, debt: 0 } },
+            'Real'
+        );
+        const drawTypes = draw.transactions.map(t => `${t.team}:${t.type}`).join(',');
+        if (drawTypes !== 'Real:Bonus SdS' || draw.finances.AEK.debt !== 3) {
+            throw new Error(`Draw booked unexpected transactions: ${drawTypes}`);
+        }
+
+        // Schulden des Gewinners werden mit dem Echtgeld des Verlierers verrechnet
+        const start = { AEK: { balance: 2000000, debt: 0 }, Real: { balance: 2000000, debt: 8 } };
+        const offset = calculateMatchSettlement({ goalsa: 0, goalsb: 1 }, start, null);
+        if (offset.finances.Real.debt !== 3 || offset.finances.AEK.debt !== 0) {
+            throw new Error('Winner debt was not offset against the loser amount');
+        }
+        const getilgt = offset.transactions.find(t => t.type === 'Echtgeld-Ausgleich (getilgt)');
+        if (!getilgt || getilgt.amount !== -5 || offset.transactions.some(t => t.type === 'Echtgeld-Ausgleich')) {
+            throw new Error('Offset must be booked as getilgt only');
+        }
+
+        // Rückbuchung stellt den Ausgangszustand wieder her
+        const reversed = reverseMatchSettlement(offset.transactions, offset.finances);
+        if (JSON.stringify(reversed.finances) !== JSON.stringify(start)) {
+            throw new Error(`Reversal mismatch: ${JSON.stringify(reversed.finances)}`);
+        }
+    }
+
+    async testLeagueRules() {
+        // Matches ohne Version werden nach den Standardregeln abgerechnet
+        if (getRulesForVersion(undefined).prizes.win !== DEFAULT_RULES.prizes.win) {
+            throw new Error('Matches without rules version must use the default rules');
+        }
+
+        // Ältere Versionen ohne neue Felder werden aufgefüllt
+        const rules = normalizeRules({ prizes: { win: 2000000 }, echtgeld: { base: 10 } });
+        if (rules.prizes.lossBase !== DEFAULT_RULES.prizes.lossBase || rules.bans.allowedCounts.length === 0) {
+            throw new Error('Missing rule fields were not filled with defaults');
+        }
+        if (!validateRules(rules).valid || validateRules({ ...rules, sdsBonus: -1 }).valid) {
+            throw new Error('Rule validation is wrong');
+        }
+
+        const result = calculateMatchSettlement(
+            { goalsa: 1, goalsb: 0 },
+            { AEK: { balance: 0, debt: 0 }, Real: { balance: 5000000, debt: 0 } },
+            null,
+            rules
+        );
+        const echtgeld = result.transactions.find(t => t.type === 'Echtgeld-Ausgleich');
+        if (result.prizeaek !== 2000000 || echtgeld?.amount !== 10) {
+            throw new Error(`Settlement ignored the given rules: ${result.prizeaek} / ${echtgeld?.amount}`);
+        }
+    }
+
+    async testAtomicMatchRecording() {
+        // Isolated in-memory client, so the test never touches real data
+        const client = createFallbackClient();
+        const plan = {
+            match: { date: '2024-08-20', teama: 'AEK', teamb: 'Real', goalsa: 1, goalsb: 0, goalslista: [{ player_id: 1, count: 1 }], goalslistb: [], manofthematch_id: 1, prizeaek: 1000000, prizereal: -550000 },
+            goals: [{ player_id: 1, count: 1 }],
+            sds: { name: 'Max Müller', team: 'AEK' },
+            serve_bans: ['AEK', 'Real'],
+            transactions: [{ date: '2024-08-20', type: 'Preisgeld', team: 'AEK', amount: 1000000, info: 'Match #5' }],
+            finances: [{ team: 'AEK', balance: 1000000, debt: 0 }]
+        };
+
+        const { data: matchId, error } = await client.rpc('record_match', { plan });
+        if (error || !matchId) {
+            throw new Error(`record_match failed: ${error?.message}`);
+        }
+        const { data: booked } = await client.from('transactions').select('*').eq('match_id', matchId);
+        if (booked.length !== 1) {
+            throw new Error('Transaction was not linked to the new match');
+        }
+
+        // A failing step must leave no trace of the whole plan
+        const { data: matchesBefore } = await client.from('matches').select('*');
+        const { data: playerBefore } = await client.from('players').select('*').eq('name', 'Max Müller').single();
+        const goalsBefore = playerBefore.goals;
+        const broken = { ...plan, goals: [...plan.goals, { player_id: 999, count: 1 }] };
+        const { error: brokenError } = await client.rpc('record_match', { plan: broken });
+        if (!brokenError) {
+            throw new Error('record_match should fail for an unknown scorer');
+        }
+
+        const { data: matchesAfter } = await client.from('matches').select('*');
+        const { data: playerAfter } = await client.from('players').select('*').eq('name', 'Max Müller').single();
+        if (matchesAfter.length !== matchesBefore.length || playerAfter.goals !== goalsBefore) {
+            throw new Error('Failed record_match was not rolled back');
+        }
+    }
+
+    async testMatchEdit() {
+        const client = createFallbackClient();
+        const match = { date: '2024-08-20', teama: 'AEK', teamb: 'Real', goalsa: 1, goalsb: 0, goalslista: [{ player_id: 1, count: 1 }], goalslistb: [], manofthematch_id: 1 };
+        const record = (m, amount) => client.rpc('record_match', { plan: {
+            match: m,
+            goals: [{ player_id: 1, count: 1 }],
+            transactions: [{ date: '2024-08-20', type: 'Preisgeld', team: 'AEK', amount, info: 'Match' }]
+        } });
+        const { data: firstId } = await record(match, 1000000);
+        const { data: secondId } = await record(match, 900000);
+        const { data: before } = await client.from('players').select('*').eq('name', 'Max Müller').single();
+        const goalsBefore = before.goals;
+
+        // Tor wandert von Max Müller (1) zu Tom Schmidt (2)
+        const goals = diffScorerCounts(
+            [{ player_id: 1, count: 1 }],
+            [{ player_id: 2, count: 1 }]
+        );
+        if (goals.length !== 2 || goals.find(g => g.player_id === 1).count !== -1) {
+            throw new Error(`Unexpected goal diff: ${JSON.stringify(goals)}`);
+        }
+
+        const { error } = await client.rpc('update_match', { plan: {
+            match_id: firstId,
+            match: { ...match, goalslista: [{ player_id: 2, count: 1 }] },
+            goals,
+            transactions: [{ date: '2024-08-20', type: 'Preisgeld', team: 'AEK', amount: 950000, info: 'Match' }]
+        } });
+        if (error) {
+            throw new Error(`update_match failed: ${error.message}`);
+        }
+
+        const { data: after } = await client.from('players').select('*').eq('name', 'Max Müller').single();
+        if (after.goals !== goalsBefore - 1) {
+            throw new Error('Goal diff was not applied');
+        }
+        // Die Buchungen des anderen Matches vom selben Tag bleiben erhalten
+        const { data: otherTx } = await client.from('transactions').select('*').eq('match_id', secondId);
+        const { data: editedTx } = await client.from('transactions').select('*').eq('match_id', firstId);
+        if (otherTx.length !== 1 || editedTx.length !== 1 || editedTx[0].amount !== 950000) {
+            throw new Error('Edit touched transactions of another match');
+        }
+    }
+
+    async testStatRecomputation() {
+        const client = createFallbackClient();
+        const load = async () => {
+            const [{ data: players }, { data: sds }, { data: matches }] = await Promise.all([
+                client.from('players').select('*'),
+                client.from('spieler_des_spiels').select('*'),
+                client.from('matches').select('*')
+            ]);
+            return { players, sds, matches };
+        };
+
+        // Ältere Matches speichern Torschützen als reine Namen
+        const goals = deriveGoalCounts(
+            [{ goalslista: ['Max Müller', { player: 'Max Müller', count: 2 }, { player_id: 1, count: 1 }], goalslistb: [] }],
+            [{ id: 1, name: 'Max Müller', team: 'AEK' }]
+        );
+        if (goals.get(1) !== 4) {
+            throw new Error('Legacy scorer entries were not counted');
+        }
+
+        // Die Demo-Daten sind absichtlich nicht synchron
+        const before = await load();
+        const discrepancies = findStatDiscrepancies(before.players, before.sds, before.matches);
+        if (!discrepancies.length) {
+            throw new Error('Expected discrepancies in the sample data');
+        }
+
+        const { error } = await client.rpc('apply_stat_corrections', { plan: buildStatCorrections(discrepancies) });
+        if (error) {
+            throw new Error(`apply_stat_corrections failed: ${error.message}`);
+        }
+        const after = await load();
+        const remaining = findStatDiscrepancies(after.players, after.sds, after.matches);
+        if (remaining.length) {
+            throw new Error(`Counters still differ: ${JSON.stringify(remaining)}`);
+        }
+    }
+
+    async testPlayerIdReferences() {
+        const players = [
+            { id: 1, name: 'Max Müller', team: 'AEK' },
+            { id: 2, name: 'Jan Becker', team: 'AEK' },
+            { id: 3, name: 'Jan Becker', team: 'Real' },
+            { id: 4, name: 'Paul Klein', team: 'Ehemalige' }
+        ];
+        const legacy = { id: 7, goalslista: ['Jan Becker', 'Max Müller'], goalslistb: [{ player: 'Jan Becker', count: 2 }, 'Ghost'], manofthematch: 'Paul Klein' };
+
+        // Gleichnamige Spieler werden über das Team getrennt, unbekannte Namen gemeldet
+        const backfill = buildPlayerIdBackfill([legacy], players);
+        const migrated = backfill.matches[0];
+        if (!migrated || migrated.goalslista[0].player_id !== 2 || migrated.goalslistb[0].player_id !== 3 || migrated.manofthematch_id !== 4) {
+            throw new Error(`Unexpected backfill: ${JSON.stringify(backfill)}`);
+        }
+        if (backfill.unresolved.length !== 1 || backfill.unresolved[0].name !== 'Ghost') {
+            throw new Error(`Unresolved names not reported: ${JSON.stringify(backfill.unresolved)}`);
+        }
+
+        // Nach einer Umbenennung zeigen alle Leser den neuen Namen
+        const renamed = players.map(p => p.id === 4 ? { ...p, name: 'Paul Groß' } : p);
+        const migratedMatch = { ...legacy, ...migrated };
+        if (matchSdsName(migratedMatch, renamed) !== 'Paul Groß' || deriveGoalCounts([migratedMatch], renamed).get(3) !== 2) {
+            throw new Error('Readers did not resolve players by id');
+        }
+
+        // Die Demo-Daten lassen sich vollständig umstellen
+        const client = createFallbackClient();
+        const [{ data: demoPlayers }, { data: demoMatches }] = await Promise.all([
+            client.from('players').select('*'),
+            client.from('matches').select('*')
+        ]);
+        const demo = buildPlayerIdBackfill(demoMatches, demoPlayers);
+        const { error } = await client.rpc('backfill_match_player_ids', { plan: { matches: demo.matches } });
+        if (error) {
+            throw new Error(`backfill_match_player_ids failed: ${error.message}`);
+        }
+        const { data: after } = await client.from('matches').select('*');
+        if (buildPlayerIdBackfill(after, demoPlayers).matches.length || after.some(m => m.manofthematch_id == null)) {
+            throw new Error('Demo matches still reference players by name');
+        }
+    }
+
+    async testCardBans() {
+        const rules = normalizeRules({ bans: { yellowLimit: 3 } });
+        const yellow = id => ({ id, date: `2024-08-0${id}`, cardslista: [{ player_id: 1, type: 'Gelb' }], cardslistb: [] });
+        const history = [yellow(1), yellow(2)];
+
+        // Rot, Gelb-Rot und die dritte Gelbe Karte lösen je eine Sperre aus
+        const match = {
+            id: 3, date: '2024-08-03',
+            cardslista: [{ player_id: 1, type: 'Gelb' }, { player_id: 2, type: 'Rot' }],
+            cardslistb: [{ player_id: 5, type: 'Gelb-Rot' }]
+        };
+        const bans = calculateMatchBans(match, matchesBefore([...history, match], match), rules, 'Match #3');
+        const types = bans.map(b => `${b.player_id}:${b.type}:${b.totalgames}`).sort();
+        if (JSON.stringify(types) !== JSON.stringify(['1:Gelbsperre:1', '2:Rote Karte:2', '5:Gelb-Rote Karte:1'])) {
+            throw new Error(`Unexpected bans: ${JSON.stringify(types)}`);
+        }
+        // Ältere Regelversionen ohne Gelbsperre bekommen den Standardtyp
+        if (!normalizeRules({ bans: { types: [{ value: 'Rote Karte', label: 'Rote Karte', duration: 3 }] } }).bans.types.some(t => t.value === 'Gelbsperre')) {
+            throw new Error('Missing ban types were not filled with defaults');
+        }
+
+        // Neue Sperren werden vom auslösenden Match nicht abgesessen und mit ihm gelöscht
+        const client = createFallbackClient();
+        const { data: matchId, error } = await client.rpc('record_match', { plan: {
+            match: { date: '2024-08-20', teama: 'AEK', teamb: 'Real', goalsa: 0, goalsb: 0, reda: 1, cardslista: [{ player_id: 2, type: 'Rot' }] },
+            serve_bans: ['AEK', 'Real'],
+            bans: bans.filter(b => b.player_id === 2)
+        } });
+        if (error) {
+            throw new Error(`record_match failed: ${error.message}`);
+        }
+        const { data: linked } = await client.from('bans').select('*').eq('match_id', matchId);
+        if (linked.length !== 1 || linked[0].matchesserved !== 0) {
+            throw new Error('Card ban was not linked to its match or was served immediately');
+        }
+        await client.rpc('delete_match', { plan: { match_id: matchId } });
+        const { data: afterDelete } = await client.from('bans').select('*').eq('match_id', matchId);
+        if (afterDelete.length) {
+            throw new Error('Card bans of a deleted match were kept');
+        }
+    }
+
+    async testBanAwareMatchEntry() {
+        const bans = [
+            { player_id: 1, team: 'AEK', totalgames: 2, matchesserved: 1 },
+            { player_id: 5, team: 'Real', totalgames: 1, matchesserved: 1 },
+            { player_id: 9, team: 'Ehemalige', totalgames: 3, matchesserved: 0 }
+        ];
+        const suspensions = activeSuspensions(bans, ['AEK', 'Real']);
+        if (suspensions.get(1) !== 1 || suspensions.has(5) || suspensions.has(9)) {
+            throw new Error(`Unexpected suspensions: ${JSON.stringify([...suspensions])}`);
+        }
+        const suspended = findSuspendedSelections({
+            goalslista: [{ player_id: 2, count: 1 }], goalslistb: [],
+            cardslista: [{ player_id: 1, type: 'Gelb' }], cardslistb: [], manofthematch_id: 1
+        }, suspensions);
+        if (suspended.length !== 1 || suspended[0] !== 1) {
+            throw new Error(`Suspended player not detected: ${JSON.stringify(suspended)}`);
+        }
+
+        // Nur Sperren der Teams, die gespielt haben, werden abgesessen
+        const client = createFallbackClient();
+        const { error } = await client.rpc('record_match', { plan: {
+            match: { date: '2024-08-20', teama: 'AEK', teamb: 'Real', goalsa: 0, goalsb: 0 },
+            serve_bans: ['AEK']
+        } });
+        if (error) {
+            throw new Error(`record_match failed: ${error.message}`);
+        }
+        const { data: after } = await client.from('bans').select('*');
+        if (after.find(b => b.team === 'AEK').matchesserved !== 1 || after.find(b => b.team === 'Real').matchesserved !== 0) {
+            throw new Error('Bans of a team that did not play were served');
+        }
+    }
+
+    async testBanServings() {
+        const client = createFallbackClient();
+        const servedGames = async () => {
+            const { data } = await client.from('bans').select('*');
+            return Object.fromEntries(data.map(b => [b.id, b.matchesserved]));
+        };
+        const before = await servedGames();
+        const match = { date: '2024-08-20', teama: 'AEK', teamb: 'Real', goalsa: 0, goalsb: 0 };
+
+        const { data: firstId } = await client.rpc('record_match', { plan: {
+            match, serve_bans: ['AEK', 'Real'],
+            bans: [{ player_id: 2, team: 'AEK', type: 'Rote Karte', totalgames: 2, matchesserved: 0, reason: 'Rote Karte' }]
+        } });
+        const { data: secondId } = await client.rpc('record_match', { plan: { match, serve_bans: ['AEK', 'Real'] } });
+        const { data: servings } = await client.from('ban_servings').select('*').eq('match_id', secondId);
+        if (!servings.length) {
+            throw new Error('No ban_servings were recorded');
+        }
+
+        // Bearbeiten des ersten Matches behält die im zweiten Match abgesessenen Spiele der Kartensperre
+        const { data: [cardBan] } = await client.from('bans').select('*').eq('match_id', firstId);
+        await client.rpc('update_match', { plan: {
+            match_id: firstId, match,
+            bans: [{ player_id: 2, team: 'AEK', type: 'Rote Karte', totalgames: 3, matchesserved: 0, reason: 'Rote Karte' }]
+        } });
+        const { data: [editedBan] } = await client.from('bans').select('*').eq('match_id', firstId);
+        if (editedBan.id !== cardBan.id || editedBan.matchesserved !== 1 || editedBan.totalgames !== 3) {
+            throw new Error(`Card ban lost its served games: ${JSON.stringify(editedBan)}`);
+        }
+
+        // Löschen gibt genau die Spiele zurück, die das Match abgesessen hat
+        await client.rpc('delete_match', { plan: { match_id: secondId } });
+        const afterDelete = await servedGames();
+        const { data: leftover } = await client.from('ban_servings').select('*').eq('match_id', secondId);
+        if (leftover.length || afterDelete[cardBan.id] !== 0) {
+            throw new Error('Servings of the deleted match were not reversed');
+        }
+        await client.rpc('delete_match', { plan: { match_id: firstId } });
+        const restored = await servedGames();
+        if (JSON.stringify(restored) !== JSON.stringify(before)) {
+            throw new Error(`Bans not restored: ${JSON.stringify(restored)} vs ${JSON.stringify(before)}`);
+        }
+    }
+
+    async testLineups() {
+        const players = FORMATIONS['4-4-2'].map((position, i) => ({ id: i + 1, name: `Spieler ${i + 1}`, team: 'AEK', position }));
+        players.push({ id: 12, name: 'Joker', team: 'AEK', position: 'ST' }, { id: 20, name: 'Gegner', team: 'Real', position: 'ST' });
+        const lineup = {
+            formation: '4-4-2',
+            players: [
+                ...FORMATIONS['4-4-2'].map((position, i) => ({ player_id: i + 1, position, starter: true, minutes: i === 10 ? 70 : 90 })),
+                { player_id: 12, position: 'ST', starter: false, minutes: 20 }
+            ]
+        };
+
+        const ok = validateLineup(lineup, { team: 'AEK', players, involvedIds: [12, 11] });
+        if (!ok.valid) {
+            throw new Error(`Valid lineup rejected: ${ok.errors.join(', ')}`);
+        }
+
+        // Falsche Position, fremder, gesperrter und nicht aufgestellter Spieler
+        const broken = {
+            formation: '4-4-2',
+            players: [
+                ...lineup.players.slice(0, 9),
+                { player_id: 10, position: 'TH', starter: true, minutes: 90 },
+                { player_id: 20, position: 'ST', starter: true, minutes: 90 }
+            ]
+        };
+        const { valid, errors } = validateLineup(broken, { team: 'AEK', players, suspensions: new Map([[1, 1]]), involvedIds: [12] });
+        const expected = ['passt nicht zur Formation', 'gehört nicht zum Kader', 'ist gesperrt', 'steht nicht in der Aufstellung'];
+        if (valid || expected.some(text => !errors.some(e => e.includes(text)))) {
+            throw new Error(`Invalid lineup not fully reported: ${errors.join(', ')}`);
+        }
+        if (!findSuspendedSelections({ lineupa: lineup }, new Map([[12, 1]])).includes(12)) {
+            throw new Error('Suspended substitute not detected');
+        }
+
+        // Einsätze, Minuten und Zu-Null-Spiele des Torhüters
+        const appearances = deriveAppearances([
+            { goalsa: 2, goalsb: 0, lineupa: lineup, goalslista: [{ player_id: 12, count: 2 }] },
+            { goalsa: 1, goalsb: 1, lineupa: lineup },
+            { goalsa: 3, goalsb: 0, lineupa: null, goalslista: [{ player_id: 12, count: 3 }] }
+        ], players);
+        const keeper = appearances.get(1);
+        const joker = appearances.get(12);
+        if (keeper.games !== 2 || keeper.minutes !== 180 || keeper.cleanSheets !== 1) {
+            throw new Error(`Unexpected keeper stats: ${JSON.stringify(keeper)}`);
+        }
+        if (joker.games !== 2 || joker.starts !== 0 || joker.minutes !== 40 || joker.cleanSheets !== 0 || joker.goals !== 2) {
+            throw new Error(`Unexpected substitute stats: ${JSON.stringify(joker)}`);
+        }
+    }
+
+    async testSeasons() {
+        const standings = calculateStandings([
+            { goalsa: 2, goalsb: 1 }, { goalsa: 0, goalsb: 0 }, { goalsa: 1, goalsb: 3 }, { goalsa: 0, goalsb: 1 }
+        ]);
+        const real = standings.find(r => r.team === 'Real');
+        if (standings[0].team !== 'Real' || real.points !== 7 || real.wins !== 2 || real.draws !== 1 || real.goalsFor !== 5) {
+            throw new Error(`Unexpected standings: ${JSON.stringify(standings)}`);
+        }
+
+        const client = createFallbackClient();
+        const match = { date: '2024-09-01', teama: 'AEK', teamb: 'Real', goalsa: 1, goalsb: 0 };
+        const { data: firstId } = await client.rpc('record_match', { plan: {
+            match, transactions: [{ date: '2024-09-01', type: 'Preisgeld', team: 'AEK', amount: 1000 }]
+        } });
+
+        const { data: seasonId, error } = await client.rpc('start_season', { plan: {
+            name: 'Saison 2', start_date: '2024-09-02', close_season_id: 1, standings,
+            reset: { balances: true, debts: false, goals: true }
+        } });
+        if (error) {
+            throw new Error(`start_season failed: ${error.message}`);
+        }
+        const { data: seasons } = await client.from('seasons').select('*');
+        const closed = seasons.find(s => s.id === 1);
+        if (closed.end_date !== '2024-09-02' || closed.standings !== standings || seasons.find(s => s.id === seasonId).end_date) {
+            throw new Error(`Season not closed correctly: ${JSON.stringify(seasons)}`);
+        }
+
+        // Neue Matches und Transaktionen gehören zur neuen Saison, Bearbeitungen behalten die alte
+        const { data: secondId } = await client.rpc('record_match', { plan: { match } });
+        await client.rpc('update_match', { plan: {
+            match_id: firstId, match, transactions: [{ date: '2024-09-01', type: 'Preisgeld', team: 'AEK', amount: 900 }]
+        } });
+        const { data: matches } = await client.from('matches').select('*');
+        const { data: transactions } = await client.from('transactions').select('*').eq('match_id', firstId);
+        if (matches.find(m => m.id === firstId).season_id !== 1 || matches.find(m => m.id === secondId).season_id !== seasonId) {
+            throw new Error('Matches were not tagged with their season');
+        }
+        if (transactions.some(t => t.season_id !== 1)) {
+            throw new Error('Edited match transactions moved to the new season');
+        }
+
+        const { data: players } = await client.from('players').select('*');
+        const { data: sds } = await client.from('spieler_des_spiels').select('*');
+        const { data: finances } = await client.from('finances').select('*');
+        if (players.some(p => p.goals) || sds.length || finances.some(f => f.balance !== 0)) {
+            throw new Error('Season resets were not applied');
+        }
+    }
+
+    async testStandings() {
+        // Absichtlich unsortiert: die Reihenfolge ergibt sich aus Datum und ID
+        const matches = [
+            { id: 5, date: '2024-09-05', goalsa: 0, goalsb: 2 },
+            { id: 1, date: '2024-09-01', goalsa: 2, goalsb: 0 },
+            { id: 2, date: '2024-09-02', goalsa: 3, goalsb: 1 },
+            { id: 3, date: '2024-09-02', goalsa: 1, goalsb: 0 },
+            { id: 4, date: '2024-09-04', goalsa: 1, goalsb: 1 },
+            { id: 6, date: '2024-09-06', goalsa: 0, goalsb: 1 }
+        ];
+        const [aek, real] = calculateStandings(matches);
+        if (aek.team !== 'AEK' || aek.points !== 10 || aek.goalDiff !== 2 || aek.longestWinStreak !== 3) {
+            throw new Error(`Unexpected AEK row: ${JSON.stringify({ ...aek, form: undefined })}`);
+        }
+        if (aek.streak.result !== 'N' || aek.streak.count !== 2 || real.streak.result !== 'S' || real.streak.count !== 2) {
+            throw new Error('Current streak not computed from the latest matches');
+        }
+        if (aek.form.map(f => f.result).join('') !== 'SSSUNN') {
+            throw new Error(`Unexpected form: ${aek.form.map(f => f.result).join('')}`);
+        }
+        if (filterByDateRange(matches, '2024-09-02', '2024-09-04').length !== 3) {
+            throw new Error('Date range filter is not inclusive');
+        }
+    }
+
+    async testTimeSeriesCharts() {
+        if (rollingAverage([2, 4, 6, 8], 3).join(',') !== '2,3,4,6') {
+            throw new Error(`Unexpected rolling average: ${rollingAverage([2, 4, 6, 8], 3)}`);
+        }
+
+        const goals = goalsPerMatchdaySeries([
+            { id: 1, date: '2024-09-01', goalsa: 2, goalsb: 1 },
+            { id: 2, date: '2024-09-01', goalsa: 0, goalsb: 3 },
+            { id: 3, date: '2024-09-02', goalsa: 1, goalsb: 1 }
+        ]);
+        if (goals[0].points.length !== 2 || goals[0].points[0].y !== 2 || goals[1].points[0].y !== 4) {
+            throw new Error('Goals were not grouped per matchday');
+        }
+
+        // Echtgeld zählt nicht zum Kontostand, der Stand fällt nicht unter 0 und wird bei einem Saison-Reset genullt
+        const [aek, real] = balanceSeries([
+            { id: 1, date: '2024-09-01', team: 'AEK', type: 'Preisgeld', amount: 500, season_id: 1 },
+            { id: 2, date: '2024-09-02', team: 'AEK', type: 'Spielerkauf', amount: -800, season_id: 1 },
+            { id: 3, date: '2024-09-02', team: 'AEK', type: 'Echtgeld-Ausgleich', amount: 5, season_id: 1 },
+            { id: 4, date: '2024-09-03', team: 'Real', type: 'Preisgeld', amount: 300, season_id: 1 },
+            { id: 5, date: '2024-09-10', team: 'AEK', type: 'Preisgeld', amount: 100, season_id: 2 }
+        ], new Set([2]));
+        if (aek.points.map(p => p.y).join(',') !== '500,0,0,100' || real.points.map(p => p.y).join(',') !== '0,0,300,0') {
+            throw new Error(`Unexpected balances: ${aek.points.map(p => p.y)} / ${real.points.map(p => p.y)}`);
+        }
+
+        const svg = lineChartSvg({ series: [aek, real] });
+        if (!svg.includes('<svg') || (svg.match(/<title>/g) || []).length !== 8) {
+            throw new Error('Chart does not render one hover detail per point');
+        }
+        if (lineChartSvg({ series: [] }).includes('<svg')) {
+            throw new Error('Empty chart should render a hint instead of an SVG');
+        }
+    }
+
+    async testPlayerProfile() {
+        if (parsePlayerProfileHash('#spieler/12') !== 12 || parsePlayerProfileHash('#stats') !== null) {
+            throw new Error('Profile deep link should be parsed from #spieler/<id>');
+        }
+
+        const player = { id: 3, name: 'Max', team: 'Ehemalige', created_at: '2024-01-01T10:00:00Z' };
+        const transfers = playerTransfers(player, [
+            { id: 2, player_id: 3, date: '2024-03-01', from_team: 'AEK', to_team: 'Ehemalige', fee: 4000000 },
+            { id: 1, player_id: 3, date: '2024-01-11', from_team: 'Ehemalige', to_team: 'AEK', fee: 5000000 },
+            { id: 3, player_id: 4, date: '2024-02-01', from_team: 'Ehemalige', to_team: 'Real', fee: 1000000 }
+        ]);
+        if (transfers.map(t => t.id).join(',') !== '1,2') {
+            throw new Error('Only transfers of the player itself should be listed, oldest first');
+        }
+
+        const career = buildPlayerCareer(player, transfers, '2024-03-11');
+        if (career.stints.map(s => s.team).join(',') !== 'Ehemalige,AEK,Ehemalige') {
+            throw new Error('Career should follow the transfers from Ehemalige to AEK and back');
+        }
+        if (career.days.AEK !== 50 || career.days.Ehemalige !== 20 || career.days.Real !== 0) {
+            throw new Error('Days per team should sum up the stints up to today');
+        }
+
+        const players = [player, { id: 4, name: 'Tom', team: 'Real' }];
+        const matches = [
+            { id: 1, date: '2024-02-01', goalsa: 2, goalsb: 0, goalslista: [{ player_id: 3, count: 2 }], goalslistb: [], manofthematch_id: 3 },
+            { id: 2, date: '2024-02-05', goalsa: 0, goalsb: 1, goalslista: [], goalslistb: [{ player_id: 4, count: 1 }], manofthematch_id: 4 }
+        ];
+        const history = playerMatchHistory(player, matches, players);
+        if (history.length !== 1 || history[0].goals !== 2 || !history[0].sds) {
+            throw new Error('Match history should list only matches with goals or SdS of the player');
+        }
+
+        // Neuzugang von außen: keine Station vor dem ersten Transfer
+        const signing = buildPlayerCareer(player, [{ id: 5, player_id: 3, date: '2024-01-01', from_team: null, to_team: 'Real', fee: 0 }], '2024-01-31');
+        if (signing.stints.length !== 1 || signing.days.Real !== 30) {
+            throw new Error('A signing from outside should start the career at the buying team');
+        }
+    }
+
+    async testTransfers() {
+        const player = { id: 9, name: 'Alex Weber', position: 'ST', team: 'Ehemalige', value: 2 };
+        const purchase = buildTransferPlan(player, 'Ehemalige', 'AEK', 2000000, '2024-09-01');
+        if (purchase.transactions.length !== 1 || purchase.transactions[0].amount !== -2000000 || purchase.transactions[0].type !== 'Spielerkauf') {
+            throw new Error('A purchase from Ehemalige should only charge the buying team');
+        }
+        const direct = buildTransferPlan(player, 'Real', 'AEK', 3000000, '2024-09-01');
+        if (direct.transactions.map(t => `${t.team}:${t.amount}`).join(',') !== 'AEK:-3000000,Real:3000000') {
+            throw new Error('A direct move should charge the buyer and credit the seller');
+        }
+
+        const history = [
+            { id: 1, player_id: 9, value: 2, date: '2024-01-01' },
+            { id: 3, player_id: 9, value: 3.5, date: '2024-05-01' },
+            { id: 2, player_id: 9, value: 2.5, date: '2024-03-01' },
+            { id: 4, player_id: 1, value: 8, date: '2024-05-01' }
+        ];
+        const trend = valueTrend(history, 9);
+        if (!trend || trend.previous !== 2.5 || trend.delta !== 1) {
+            throw new Error('Value trend should compare the last two values of the player');
+        }
+        if (valueTrend(history, 1) !== null) {
+            throw new Error('A single value should not show a trend');
+        }
+
+        const transfers = [
+            { id: 1, from_team: 'Ehemalige', to_team: 'AEK', fee: 5000000 },
+            { id: 2, from_team: 'AEK', to_team: 'Ehemalige', fee: 2000000 },
+            { id: 3, from_team: 'AEK', to_team: 'Real', fee: 7000000 },
+            { id: 4, from_team: null, to_team: 'Real', fee: 1000000 }
+        ];
+        if (biggestTransfer(transfers)?.id !== 3) {
+            throw new Error('Biggest transfer should be the one with the highest fee');
+        }
+        const spend = netTransferSpend(transfers);
+        if (spend.AEK !== -4000000 || spend.Real !== 8000000) {
+            throw new Error(`Net transfer spend wrong: ${JSON.stringify(spend)}`);
+        }
+
+        // transfer_player: alles oder nichts
+        const client = createFallbackClient();
+        await client.from('finances').eq('team', 'AEK').update({ balance: 2500000 });
+        const { data: transferIds, error } = await client.rpc('transfer_player', { plan: purchase });
+        if (error || transferIds?.length !== 1) {
+            throw new Error(`transfer_player failed: ${error?.message}`);
+        }
+        const transferId = transferIds[0];
+        const { data: moved } = await client.from('players').select('*').eq('id', 9).single();
+        const aek = await this.finance(client, 'AEK');
+        const { data: booked } = await client.from('transactions').select('*').eq('transfer_id', transferId);
+        if (moved.team !== 'AEK' || aek.balance !== 500000 || booked.length !== 1) {
+            throw new Error('transfer_player should move the player and book fee and balance');
+        }
+
+        const tooExpensive = buildTransferPlan({ ...player, id: 10, name: 'Chris Meyer' }, 'Ehemalige', 'AEK', 1000000, '2024-09-02');
+        const { error: balanceError } = await client.rpc('transfer_player', { plan: tooExpensive });
+        const { data: notMoved } = await client.from('players').select('*').eq('id', 10).single();
+        const { data: transfersAfter } = await client.from('transfers').select('*');
+        if (!balanceError || notMoved.team !== 'Ehemalige' || transfersAfter.length !== 1) {
+            throw new Error('A transfer the buyer cannot afford should be rolled back completely');
+        }
+
+        // sign_player: Neuzugang und Kauf zusammen, ohne Geld auch kein neuer Spieler
+        const { data: playersBefore } = await client.from('players').select('*');
+        const signing = { name: 'Dana Roth', position: 'IV', value: 0.5, team: 'AEK' };
+        const { data: signedId, error: signError } = await client.rpc('sign_player', {
+            plan: { player: signing, transfer: buildTransferPlan(signing, null, 'AEK', 500000, '2024-09-03') }
+        });
+        const { data: [signedTransfer] } = await client.from('transfers').select('*').eq('player_id', signedId);
+        if (signError || signedTransfer?.from_team !== null || (await this.finance(client, 'AEK')).balance !== 0) {
+            throw new Error(`sign_player should create the player and book the purchase: ${signError?.message}`);
+        }
+        const { error: unaffordable } = await client.rpc('sign_player', {
+            plan: { player: { ...signing, name: 'Eli Brandt' }, transfer: buildTransferPlan(signing, null, 'AEK', 100000, '2024-09-03') }
+        });
+        const { data: playersAfter } = await client.from('players').select('*');
+        if (!unaffordable || playersAfter.length !== playersBefore.length + 1) {
+            throw new Error('A signing the team cannot afford should not leave a player behind');
+        }
+
+        // Jeder neue Marktwert landet im Verlauf
+        await client.from('players').eq('id', 9).update({ value: 3 });
+        await client.from('players').eq('id', 9).update({ value: 3 });
+        const { data: values } = await client.from('player_value_history').select('*').eq('player_id', 9);
+        if (values.length !== 1 || values[0].value !== 3) {
+            throw new Error('Only actual value changes should be recorded in the value history');
+        }
+    }
+
+    async testTransferNegotiation() {
+        const aekPlayer = { id: 1, name: 'Max Müller', position: 'ST', team: 'AEK', value: 12 };
+        const realPlayer = { id: 5, name: 'Jan Becker', position: 'ST', team: 'Real', value: 11 };
+
+        // Tausch mit Zuzahlung: Real zahlt, bekommt dafür Max Müller
+        const swap = buildSwapPlan(aekPlayer, realPlayer, 1500000, 'Real', '2024-09-01');
+        if (swap.moves.length !== 2 || swap.moves[0].to_team !== 'Real' || swap.moves[0].fee !== 1500000 || swap.moves[1].fee !== 0) {
+            throw new Error('The top-up should be the fee of the move towards the paying team');
+        }
+        if (swap.transactions.map(t => `${t.team}:${t.amount}:${t.move}`).join(',') !== 'Real:-1500000:0,AEK:1500000:0') {
+            throw new Error('The top-up should be booked to both teams');
+        }
+        if (buildSwapPlan(aekPlayer, realPlayer, 0, 'Real').transactions.length !== 0) {
+            throw new Error('A swap without top-up should not book anything');
+        }
+        if (transferShortfalls(swap, { AEK: 0, Real: 1000000 }).join(',') !== 'Real' || transferShortfalls(swap, { AEK: 0, Real: 1500000 }).length) {
+            throw new Error('Only the paying team needs enough balance');
+        }
+
+        const loan = buildTransferPlan(aekPlayer, 'AEK', 'Real', 500000, '2024-09-01', { kind: 'loan', loanUntil: '2024-12-31' });
+        if (loan.moves[0].kind !== 'loan' || loan.moves[0].loan_until !== '2024-12-31' || !loan.transactions[0].info.startsWith('Leihe von Max Müller')) {
+            throw new Error('A loan should carry its return date and a loan fee');
+        }
+
+        const client = createFallbackClient();
+        await client.from('finances').eq('team', 'Real').update({ balance: 2000000 });
+        const { error: swapError } = await client.rpc('transfer_player', { plan: swap });
+        const { data: players } = await client.from('players').select('*');
+        const real = await this.finance(client, 'Real');
+        if (swapError || players.find(p => p.id === 1).team !== 'Real' || players.find(p => p.id === 5).team !== 'AEK' || real.balance !== 500000) {
+            throw new Error(`Swap should move both players and book the top-up: ${swapError?.message}`);
+        }
+
+        // Leihe und Rückkehr
+        const loanPlan = buildTransferPlan({ ...realPlayer, team: 'AEK' }, 'AEK', 'Real', 0, '2024-09-02', { kind: 'loan', loanUntil: '2024-12-31' });
+        await client.rpc('transfer_player', { plan: loanPlan });
+        const { data: afterLoan } = await client.from('transfers').select('*');
+        const running = activeLoan(afterLoan, 5);
+        if (!running || running.from_team !== 'AEK' || loanPlan.transactions.length !== 0) {
+            throw new Error('A free loan should be recorded as running loan without bookings');
+        }
+        await client.rpc('transfer_player', { plan: buildLoanReturnPlan(realPlayer, running, '2024-12-31') });
+        const { data: afterReturn } = await client.from('transfers').select('*');
+        const { data: returned } = await client.from('players').select('*').eq('id', 5).single();
+        if (activeLoan(afterReturn, 5) || returned.team !== 'AEK') {
+            throw new Error('Returning a loan should bring the player back and end the loan');
+        }
+    }
+
+    async testSquadRules() {
+        if (positionGroup('ZDM') !== 'def' || positionGroup('TH') !== 'th' || positionGroup('XX') !== null) {
+            throw new Error('Positions should map to the badge groups');
+        }
+
+        const rules = normalizeRules({ squad: { minSize: 3, maxSize: 4, minGoalkeepers: 1, maxPerGroup: { att: 1 }, maxValue: 20 } }).squad;
+        if (rules.maxPerGroup.def !== 0 || rules.maxPerGroup.att !== 1) {
+            throw new Error('Missing position groups should fall back to "off"');
+        }
+        if (normalizeRules({}).squad.maxSize !== 0 || squadViolations([{ position: 'ST', value: 99 }], normalizeRules({}).squad).length) {
+            throw new Error('Squad rules should be off by default');
+        }
+        if (validateRules(normalizeRules({ squad: { minSize: 5, maxSize: 3 } })).valid) {
+            throw new Error('A minimum squad size above the maximum should be rejected');
+        }
+
+        const squad = [
+            { id: 1, team: 'AEK', position: 'TH', value: 5 },
+            { id: 2, team: 'AEK', position: 'ST', value: 8 },
+            { id: 3, team: 'AEK', position: 'IV', value: 4 }
+        ];
+        if (squadViolations(squad, rules).length) {
+            throw new Error('A squad within all limits should have no violations');
+        }
+        const withStriker = [...squad, { id: 4, team: 'AEK', position: 'LF', value: 6 }];
+        if (worsenedViolations(squad, withStriker, rules).map(v => v.key).sort().join(',') !== 'group:att,maxValue') {
+            throw new Error('A second attacker should break the group limit and the value cap');
+        }
+        // Ein Kader, der die Regel schon verletzt, darf sie verbessern
+        const oversized = [...squad, { id: 5, position: 'ZM', value: 1 }, { id: 6, position: 'ZM', value: 1 }];
+        if (worsenedViolations(oversized, oversized.slice(0, 4), rules).length) {
+            throw new Error('Reducing an oversized squad should not be blocked');
+        }
+
+        const players = [...squad, { id: 7, team: 'Real', position: 'TH', value: 5 }, { id: 8, team: 'Real', position: 'ZM', value: 5 }, { id: 9, team: 'Real', position: 'IV', value: 5 }];
+        const sellKeeper = buildTransferPlan({ id: 1, name: 'A', position: 'TH' }, 'AEK', 'Ehemalige', 0);
+        const messages = checkTransferPlan(sellKeeper, players, rules);
+        if (messages.length !== 2 || !messages.every(m => m.startsWith('AEK: '))) {
+            throw new Error(`Selling the only keeper should break min size and min keepers: ${messages.join('; ')}`);
+        }
+        const swap = buildSwapPlan({ id: 3, name: 'B', team: 'AEK' }, { id: 9, name: 'C', team: 'Real' });
+        if (checkTransferPlan(swap, players, rules).length) {
+            throw new Error('Swapping two defenders should keep both squads valid');
+        }
+    }
+
+    async testPlayerAttributes() {
+        const base = { name: 'Test', team: 'AEK', position: 'ST', value: 10 };
+        if (!dataManager.validateData('players', base).valid) {
+            throw new Error('Players without optional attributes should stay valid');
+        }
+        const full = { ...base, rating: 85, birth_year: 2000, nationality: 'Deutschland', preferred_foot: 'Links', secondary_positions: ['LF', 'RF'], shirt_number: 9, notes: 'Kopfballstark' };
+        if (!dataManager.validateData('players', full).valid) {
+            throw new Error('Valid attributes should pass validation');
+        }
+        const invalid = dataManager.validateData('players', { ...base, rating: 120, preferred_foot: 'Kopf', secondary_positions: ['XX'], notes: 'x'.repeat(501) });
+        if (invalid.valid || invalid.errors.length !== 4) {
+            throw new Error(`Out-of-range rating, unknown foot and position and long notes should fail: ${(invalid.errors || []).join('; ')}`);
+        }
+
+        const picked = pickAttributes({ ...base, rating: 70 });
+        if (picked.rating !== 70 || picked.nationality !== null || picked.secondary_positions.length !== 0 || 'name' in picked) {
+            throw new Error('pickAttributes should return only attribute fields with empty defaults');
+        }
+
+        // Formular-Attrappe mit den Feldern aus openPlayerForm
+        const fields = { rating: ' 80 ', birth_year: '', nationality: 'Spanien', preferred_foot: '', shirt_number: '7', notes: '' };
+        const form = {
+            elements: Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, { value }])),
+            querySelectorAll: selector => (selector.includes('secondary_positions') ? [{ value: 'ZOM' }] : [])
+        };
+        const read = readAttributes(form);
+        if (read.rating !== 80 || read.birth_year !== null || read.nationality !== 'Spanien' || read.shirt_number !== 7 || read.secondary_positions.join() !== 'ZOM') {
+            throw new Error('readAttributes should parse numbers and turn empty inputs into null');
+        }
+
+        const players = [
+            { name: 'Berta', position: 'ZM', value: 5, rating: 80, birth_year: 1995, preferred_foot: 'Links', secondary_positions: ['ST'] },
+            { name: 'Anton', position: 'ST', value: 12, rating: null, birth_year: 2003, nationality: 'Deutschland' },
+            { name: 'Cem', position: 'IV', value: 8, rating: 88 }
+        ];
+        const order = key => sortPlayers(players, key).map(p => p.name).join(',');
+        if (order('name') !== 'Anton,Berta,Cem' || order('value') !== 'Anton,Cem,Berta' || order('rating') !== 'Cem,Berta,Anton' || order('age') !== 'Anton,Berta,Cem') {
+            throw new Error('Players should sort by name, value, rating and age with missing values last');
+        }
+        if (filterPlayers(players, { position: 'ST' }).length !== 2 || filterPlayers(players, { preferred_foot: 'Links', nationality: '' }).length !== 1) {
+            throw new Error('Position filter should include secondary positions');
+        }
+
+        if (playerAge({ birth_year: 2000 }, 2024) !== 24 || playerAge({}) !== null) {
+            throw new Error('Age should be derived from the birth year');
+        }
+        if (attributeSummary({ shirt_number: 10, preferred_foot: 'Rechts' }) !== '#10 · Rechts' || attributeSummary({}) !== '') {
+            throw new Error('Summary should only list filled attributes');
+        }
+    }
+
+    async testListToolbar() {
+        resetListState();
+        const kader = getListState('test-kader', { sort: 'position' });
+        const bans = getListState('test-bans', { sort: 'newest' });
+        kader.search = 'an';
+        if (getListState('test-kader') !== kader || bans.search !== '' || bans.sort !== 'newest') {
+            throw new Error('Each tab should keep its own list state');
+        }
+        if (!isListFiltered(kader) || isListFiltered(bans)) {
+            throw new Error('Only a search or a set filter should count as filtered');
+        }
+
+        const players = [
+            { name: 'Anton', team: 'AEK', position: 'ST', value: 12 },
+            { name: 'Berta', team: 'Real', position: 'ZM', value: 5, secondary_positions: ['ST'] },
+            { name: 'Jan', team: 'AEK', position: 'IV', value: 8 },
+            { name: 'Cem', team: 'Real', position: 'TH', value: 3 }
+        ];
+        const options = {
+            text: p => p.name,
+            filters: { team: (p, team) => p.team === team, position: playsPosition },
+            sorts: { name: comparePlayers('name'), value: comparePlayers('value') }
+        };
+        const names = state => applyListState(players, state, options).map(p => p.name).join(',');
+
+        if (names({ search: ' AN ', sort: 'name', filters: {} }) !== 'Anton,Jan') {
+            throw new Error('Search should be case-insensitive and trimmed');
+        }
+        if (names({ search: '', sort: 'value', filters: { position: 'ST', team: '' } }) !== 'Anton,Berta') {
+            throw new Error('Position filter should match secondary positions and ignore empty filters');
+        }
+        if (names({ search: '', sort: 'unknown', filters: { team: 'Real' } }) !== 'Berta,Cem') {
+            throw new Error('An unknown sort should keep the original order');
+        }
+        if (players[0].name !== 'Anton' || applyListState(players, { search: '', sort: 'name', filters: {} }, options) === players) {
+            throw new Error('applyListState should not reorder the input array');
+        }
+
+        resetListState('test-kader');
+        if (getListState('test-kader', { sort: 'position' }).search !== '' || getListState('test-bans').sort !== 'newest') {
+            throw new Error('Resetting one tab should leave the others untouched');
+        }
+        resetListState();
+    }
+
+    async testUndo() {
+        // Historie: neueste Aktion zuerst, eine neue Aktion verwirft Wiederholen
+        undoManager.clear();
+        const log = [];
+        const entry = label => ({ label, undo: async () => log.push(`undo ${label}`), redo: async () => log.push(`redo ${label}`) });
+        undoManager.record(entry('A'));
+        undoManager.record(entry('B'));
+        await undoManager.undo();
+        await undoManager.undo();
+        await undoManager.redo();
+        if (log.join(',') !== 'undo B,undo A,redo A' || undoManager.history().join() !== 'A' || !undoManager.canRedo()) {
+            throw new Error(`Undo history out of order: ${log.join(',')}`);
+        }
+        undoManager.record(entry('C'));
+        if (undoManager.canRedo()) {
+            throw new Error('A new action should clear the redo stack');
+        }
+        undoManager.record({ label: 'X', undo: async () => { throw new Error('offline'); }, redo: async () => {} });
+        if (await undoManager.undo() || undoManager.history()[0] !== 'X') {
+            throw new Error('A failed undo should stay in the history');
+        }
+        undoManager.clear();
+
+        const client = createFallbackClient();
+        const rows = async (table, column, value) => (await client.from(table).select('*').eq(column, value)).data;
+        const balances = async () => Object.fromEntries((await client.from('finances').select('*')).data.map(f => [f.team, f.balance || 0]));
+        const applyUndo = async steps => {
+            const { error } = await client.rpc('apply_undo', { plan: { steps } });
+            if (error) throw error;
+        };
+
+        // Match löschen und mit derselben ID wiederherstellen
+        const match = { date: '2024-08-20', teama: 'AEK', teamb: 'Real', goalsa: 2, goalsb: 0 };
+        await client.rpc('record_match', { plan: {
+            match, serve_bans: ['AEK', 'Real'],
+            bans: [{ player_id: 2, team: 'AEK', type: 'Rote Karte', totalgames: 2, matchesserved: 0, reason: 'Rote Karte' }]
+        } });
+        const start = await balances();
+        const { data: matchId } = await client.rpc('record_match', { plan: {
+            match, serve_bans: ['AEK', 'Real'], goals: [{ player_id: 1, count: 2 }],
+            transactions: [{ date: '2024-08-20', type: 'Preisgeld', team: 'AEK', amount: 1000 }],
+            finances: [{ team: 'AEK', balance: start.AEK + 1000, debt: 0 }]
+        } });
+        const [matchRow] = await rows('matches', 'id', matchId);
+        const servings = await rows('ban_servings', 'match_id', matchId);
+        const transactions = await rows('transactions', 'match_id', matchId);
+        const [{ goals: goalsBefore }] = await rows('players', 'id', 1);
+        const [{ matchesserved: servedBefore, id: servedBanId }] = await rows('bans', 'id', servings[0].ban_id);
+        const snapshot = {
+            match: { ...matchRow }, bans: [], servings, transactions, goals: [{ player_id: 1, count: 2 }], sds: null,
+            financeDelta: { AEK: { balance: 1000, debt: 0 } }
+        };
+        await client.rpc('delete_match', { plan: { match_id: matchId, goals: snapshot.goals, finances: [{ team: 'AEK', balance: start.AEK, debt: 0 }] } });
+        // Eine spätere Buchung muss das Rückgängigmachen überstehen
+        await client.from('finances').eq('team', 'Real').update({ balance: start.Real + 500 });
+
+        await applyUndo(matchRestoreSteps(snapshot));
+        const restored = await balances();
+        const [{ goals: goalsAfter }] = await rows('players', 'id', 1);
+        const [{ matchesserved: servedAfter }] = await rows('bans', 'id', servedBanId);
+        if ((await rows('matches', 'id', matchId)).length !== 1 || (await rows('transactions', 'match_id', matchId)).map(t => t.id).join() !== transactions.map(t => t.id).join()) {
+            throw new Error('Match and its transactions should come back with their old ids');
+        }
+        if (goalsAfter !== goalsBefore || servedAfter !== servedBefore || (await rows('ban_servings', 'match_id', matchId)).length !== servings.length) {
+            throw new Error('Goals and served games should be restored');
+        }
+        if (restored.AEK !== start.AEK + 1000 || restored.Real !== start.Real + 500) {
+            throw new Error(`Balances should be corrected by the difference: ${JSON.stringify(restored)}`);
+        }
+
+        // Spielerwechsel zurücknehmen
+        const plan = buildTransferPlan({ id: 9, name: 'Alex Weber', position: 'ST' }, 'Ehemalige', 'AEK', 300, '2024-09-01');
+        const { data: transferIds } = await client.rpc('transfer_player', { plan });
+        await applyUndo(transferUndoSteps(plan, transferIds));
+        const [{ team }] = await rows('players', 'id', 9);
+        if (team !== 'Ehemalige' || (await balances()).AEK !== restored.AEK || (await rows('transfers', 'id', transferIds[0])).length || (await rows('transactions', 'transfer_id', transferIds[0])).length) {
+            throw new Error('Undoing a transfer should restore team, balance and remove its records');
+        }
+
+        // Gelöschten Spieler samt Verlauf wiederherstellen, ohne zusätzlichen Trigger-Eintrag
+        await client.from('players').eq('id', 10).update({ value: 80000 });
+        const [player] = await rows('players', 'id', 10);
+        const valueHistory = await rows('player_value_history', 'player_id', 10);
+        await client.from('players').eq('id', 10).delete();
+        await applyUndo(playerRestoreSteps({ player, valueHistory }));
+        const history = await rows('player_value_history', 'player_id', 10);
+        if ((await rows('players', 'id', 10))[0]?.name !== player.name || history.map(h => h.id).join() !== valueHistory.map(h => h.id).join()) {
+            throw new Error('A deleted player should come back with exactly its value history');
+        }
+
+        const { error } = await client.rpc('apply_undo', { plan: { steps: [{ op: 'delete', table: 'players', match: {} }] } });
+        if (!error || (await rows('players', 'id', 10)).length !== 1) {
+            throw new Error('apply_undo should refuse steps without a condition');
+        }
+    }
+
+    async testLedger() {
+        const transactions = [
+            { id: 1, date: '2024-09-01', team: 'AEK', type: 'Preisgeld', amount: 500, season_id: 1 },
+            { id: 2, date: '2024-09-02', team: 'AEK', type: 'Preisgeld', amount: -800, season_id: 1 },
+            { id: 3, date: '2024-09-02', team: 'Real', type: 'Echtgeld-Ausgleich', amount: 7, season_id: 1 },
+            { id: 4, date: '2024-09-03', team: 'Real', type: 'Echtgeld-Ausgleich (getilgt)', amount: -10, season_id: 1 },
+            { id: 5, date: '2024-09-03', team: 'Real', type: 'Spielerverkauf', amount: 300, season_id: 1 },
+            { id: 6, date: '2024-09-04', team: 'Ehemalige', type: 'Sonstiges', amount: 50, season_id: 1 }
+        ];
+
+        // Typen buchen auf ihr Konto, die Untergrenze wird als eigene Buchung sichtbar
+        const { finances, entries } = replayLedger(transactions);
+        if (finances.AEK.balance !== 0 || finances.Real.balance !== 300 || finances.Real.debt !== 0) {
+            throw new Error(`Unexpected ledger state: ${JSON.stringify(finances)}`);
+        }
+        const clamp = entries.find(e => e.transaction?.id === 2);
+        if (clamp.clamped !== 300 || !clamp.postings.some(p => p.account === 'Kappung' && p.amount === -300)) {
+            throw new Error('Clamping at the floor should be booked against its own account');
+        }
+        if (entries.some(e => e.transaction?.team === 'Ehemalige')) {
+            throw new Error('Only AEK and Real have accounts');
+        }
+        const totals = accountTotals(entries);
+        if (Object.values(totals).reduce((sum, v) => sum + v, 0) !== 0 || totals.Liga !== 300 || totals['AEK Kontostand'] !== 0) {
+            throw new Error(`Postings should balance out: ${JSON.stringify(totals)}`);
+        }
+        if (applyTransaction({ balance: 100, debt: 0 }, { type: 'Unbekannt', amount: -30 }).after !== 70) {
+            throw new Error('Unknown types should be booked like Sonstiges');
+        }
+
+        // Saisonreset auch ohne Transaktionen in der neuen Saison
+        const reset = replayLedger(transactions, { balance: new Set([2]) });
+        if (reset.finances.Real.balance !== 0 || reset.entries[reset.entries.length - 1].postings[1].account !== 'Saisonreset') {
+            throw new Error('A balance reset should zero the account after the season change');
+        }
+
+        // Abgleich: fehlende Buchung und gekappter Stand werden als Ursache genannt
+        const report = reconcileFinances([
+            { team: 'AEK', balance: -300, debt: 0 },
+            { team: 'Real', balance: 0, debt: 0 }
+        ], transactions);
+        const aek = report.differences.find(d => d.team === 'AEK');
+        const real = report.differences.find(d => d.team === 'Real');
+        if (report.differences.length !== 2 || aek.difference !== -300 || real.difference !== -300) {
+            throw new Error(`Unexpected differences: ${JSON.stringify(report.differences)}`);
+        }
+        if (aek.suspects[0]?.transaction.id !== 2 || !aek.suspects[0].reason.includes('Untergrenze')) {
+            throw new Error('The clamped transaction should be the first suspect');
+        }
+        if (real.suspects[0]?.transaction.id !== 5 || !real.suspects[0].reason.includes('fehlt')) {
+            throw new Error('A booking missing from the stored balance should be named');
+        }
+        if (reconcileFinances([{ team: 'AEK', balance: 0, debt: 0 }, { team: 'Real', balance: 300, debt: 0 }], transactions).differences.length) {
+            throw new Error('Matching finances should not be reported');
+        }
+
+        // Ein später eingeführter Überziehungsrahmen gilt nicht rückwirkend
+        const legacy = [
+            { id: 1, date: '2024-08-01', team: 'AEK', type: 'Preisgeld', amount: 200 },
+            { id: 2, date: '2024-08-02', team: 'AEK', type: 'Preisgeld', amount: -500 }
+        ];
+        const rulesForDate = date => ({ finance: { overdraftLimit: date >= '2024-09-01' ? 300 : 0 } });
+        const stored = [{ team: 'AEK', balance: 0, debt: 0 }, { team: 'Real', balance: 0, debt: 0 }];
+        if (reconcileFinances(stored, legacy, {}, floorsByDate(rulesForDate)).differences.length) {
+            throw new Error('History before a limit change should keep its old floor');
+        }
+        const later = replayLedger(legacy.concat({ id: 3, date: '2024-09-02', team: 'AEK', type: 'Preisgeld', amount: -250 }), {}, floorsByDate(rulesForDate));
+        if (later.finances.AEK.balance !== -250) {
+            throw new Error('Bookings after the change should use the new limit');
+        }
+
+        // Angezeigte Stände kommen aus dem Ledger, Abweichungen der gespeicherten Kopie werden benannt
+        const balances = ledgerBalances(transactions);
+        const drift = storedDifferences([{ team: 'AEK', balance: 0, debt: 0 }, { team: 'Real', balance: 250, debt: 0 }], balances);
+        if (balances.Real.balance !== 300 || drift.length !== 1 || drift[0].team !== 'Real' || drift[0].derived !== 300) {
+            throw new Error(`Unexpected derived balances or drift: ${JSON.stringify(drift)}`);
+        }
+
+        // Die Abrechnung eines Matches bucht wie das Ledger
+        const settlement = calculateMatchSettlement({ goalsa: 0, goalsb: 3 }, { AEK: { balance: 100, debt: 0 }, Real: { balance: 0, debt: 0 } });
+        const replayed = replayLedger(settlement.transactions.map((t, i) => ({ ...t, id: i + 2, date: '2024-09-01' })).concat({ id: 1, date: '2024-09-01', team: 'AEK', type: 'Sonstiges', amount: 100 }));
+        ['AEK', 'Real'].forEach(team => {
+            if (replayed.finances[team].balance !== settlement.finances[team].balance || replayed.finances[team].debt !== settlement.finances[team].debt) {
+                throw new Error(`Settlement and ledger disagree for ${team}`);
+            }
+        });
+    }
+
+    async testOverdraft() {
+        // Fehlbetrag nur für den Teil unter dem Rahmen, Echtgeld ist nicht betroffen
+        const penalty = { type: 'Preisgeld', team: 'AEK', amount: -300 };
+        const shortfall = shortfallFor({ balance: 100, debt: 0 }, penalty, 0);
+        if (shortfall?.type !== 'Fehlbetrag' || shortfall.amount !== 200 || shortfall.team !== 'AEK') {
+            throw new Error(`Unexpected shortfall: ${JSON.stringify(shortfall)}`);
+        }
+        if (shortfallFor({ balance: 100 }, penalty, 500) || shortfallFor({ debt: 0 }, { type: 'Echtgeld-Ausgleich (getilgt)', amount: -5 }, 0)) {
+            throw new Error('No shortfall within the limit or for debt bookings');
+        }
+
+        // Ohne Rahmen: Fehlbetrag wird vor dem Preisgeld gebucht und das Ledger kommt ohne Kappung aus
+        const start = { AEK: { balance: 100000, debt: 0 }, Real: { balance: 0, debt: 0 } };
+        const strict = calculateMatchSettlement({ goalsa: 0, goalsb: 2 }, start, null, DEFAULT_RULES);
+        const types = strict.transactions.filter(t => t.team === 'AEK').map(t => t.type).join(',');
+        if (types !== 'Fehlbetrag,Preisgeld,Echtgeld-Ausgleich' || strict.finances.AEK.balance !== 0) {
+            throw new Error(`Shortfall should precede the prize: ${types}`);
+        }
+        const replay = replayLedger([{ id: 1, date: '2024-09-01', team: 'AEK', type: 'Sonstiges', amount: 100000 },
+            ...strict.transactions.map((t, i) => ({ ...t, id: i + 2, date: '2024-09-02' }))]);
+        if (replay.finances.AEK.balance !== 0 || replay.entries.some(e => e.clamped)) {
+            throw new Error('Explicit shortfalls should make clamping unnecessary');
+        }
+
+        // Mit Rahmen: der Kontostand geht ins Minus, das Echtgeld bleibt gleich
+        const rules = normalizeRules({ finance: { overdraftLimit: 1000000 } });
+        const overdrawn = calculateMatchSettlement({ goalsa: 0, goalsb: 2 }, start, null, rules);
+        const echtgeld = t => t.type === 'Echtgeld-Ausgleich' && t.team === 'AEK';
+        if (overdrawn.finances.AEK.balance !== 100000 + strict.prizeaek || overdrawn.transactions.some(t => t.type === 'Fehlbetrag')) {
+            throw new Error('Within the limit the balance should go negative without a shortfall');
+        }
+        if (overdrawn.transactions.find(echtgeld).amount !== strict.transactions.find(echtgeld).amount) {
+            throw new Error('An overdrawn account should count as empty for the Echtgeld amount');
+        }
+        const reversed = reverseMatchSettlement(strict.transactions, strict.finances, DEFAULT_RULES);
+        if (JSON.stringify(reversed.finances) !== JSON.stringify(start)) {
+            throw new Error('Reversing a match should also reverse its shortfall');
+        }
+
+        // Transfersperre nur für Zugänge überzogener Teams
+        const status = overdraftStatus(-200, rules.finance);
+        if (!status.overdrawn || !status.transferBan || status.available !== 999800) {
+            throw new Error(`Unexpected overdraft status: ${JSON.stringify(status)}`);
+        }
+        const player = { id: 5, name: 'Alex Weber', position: 'ST', value: 1 };
+        const balances = { AEK: -200, Real: 500 };
+        if (transferBans(buildTransferPlan(player, 'Ehemalige', 'AEK', 0), balances, rules.finance).join() !== 'AEK') {
+            throw new Error('An overdrawn team should not be allowed to sign players');
+        }
+        if (transferBans(buildTransferPlan(player, 'AEK', 'Ehemalige', 0), balances, rules.finance).length ||
+            transferBans(buildTransferPlan(player, 'Ehemalige', 'AEK', 0), balances, { ...rules.finance, transferBan: false }).length) {
+            throw new Error('Sales and disabled bans should not be blocked');
+        }
+
+        // Verkäufe sind auch mit überzogenem Konto möglich
+        const client = createFallbackClient();
+        await client.from('finances').eq('team', 'AEK').update({ balance: -100000 });
+        const { data: players } = await client.from('players').select('*');
+        const seller = players.find(p => p.team === 'AEK');
+        const { error } = await client.rpc('transfer_player', { plan: buildTransferPlan(seller, 'AEK', 'Ehemalige', 50000, '2024-09-01') });
+        const aek = await this.finance(client, 'AEK');
+        if (error || aek.balance !== -50000) {
+            throw new Error(`An overdrawn team should still be able to sell: ${error?.message}`);
+        }
+
+        // Käufe dürfen bis zum Rahmen der Regeln am Transfertag ins Minus gehen
+        const purchase = buildTransferPlan(players.find(p => p.team === 'Real'), 'Real', 'AEK', 400000, '2024-09-01');
+        if (!transferShortfalls(purchase, { AEK: -50000 }).length || transferShortfalls(purchase, { AEK: -50000 }, rules.finance).length ||
+            !transferShortfalls(purchase, { AEK: -700000 }, rules.finance).length) {
+            throw new Error('Purchases should be covered by the balance plus the overdraft limit');
+        }
+        const { error: strictError } = await client.rpc('transfer_player', { plan: purchase });
+        await client.from('settings').insert([{ version: 1, rules, valid_from: '2024-08-01' }]);
+        const { error: limitError } = await client.rpc('transfer_player', { plan: purchase });
+        if (!strictError || limitError || (await this.finance(client, 'AEK')).balance !== -450000) {
+            throw new Error(`transfer_player should allow purchases within the overdraft limit: ${limitError?.message}`);
+        }
+    }
+
+    async testDebtSettlement() {
+        // IOU nach Verrechnung beider Seiten
+        const summary = debtSummary({ AEK: 5, Real: 22 });
+        if (summary.debtor !== 'Real' || summary.creditor !== 'AEK' || summary.amount !== 17 || summary.nettable !== 5) {
+            throw new Error(`Unexpected summary: ${JSON.stringify(summary)}`);
+        }
+        if (debtSummaryText(summary) !== 'Real schuldet AEK 17 €' || debtSummary({ AEK: 3, Real: 3 }).debtor !== null) {
+            throw new Error('IOU text or balanced debts are wrong');
+        }
+
+        const debts = { AEK: 0, Real: 22 };
+        const payment = { team: 'Real', amount: 10, date: '2024-09-01', method: 'PayPal', note: 'Hinrunde' };
+        if (settlementErrors(payment, debts).length || !settlementErrors({ ...payment, amount: 30 }, debts).length ||
+            !settlementErrors({ ...payment, team: 'AEK' }, debts).length || !settlementErrors({ ...payment, method: '' }, debts).length) {
+            throw new Error('Payments must be positive, covered by the debt and have a method');
+        }
+        const debtBooked = [{ id: 1, date: '2024-03-01', team: 'Real', type: 'Echtgeld-Ausgleich', amount: 22 }];
+        if (!settlementErrors({ ...payment, date: '2024-02-01' }, debts, debtBooked).length || settlementErrors(payment, debts, debtBooked).length) {
+            throw new Error('A payment must not be dated before the last debt booking');
+        }
+
+        // settle_debt: Teilzahlung, Verrechnung und Überzahlung
+        const client = createFallbackClient();
+        await client.from('finances').eq('team', 'AEK').update({ debt: 5 });
+        await client.from('finances').eq('team', 'Real').update({ debt: 22 });
+        const { data: ids, error } = await client.rpc('settle_debt', { plan: buildSettlementPlan(payment) });
+        const { data: booked } = await client.from('transactions').select('*').eq('settlement_id', ids?.[0]);
+        if (error || booked?.length !== 1 || booked[0].type !== 'Echtgeld-Zahlung' || booked[0].amount !== -10 || booked[0].info !== 'PayPal an AEK: Hinrunde') {
+            throw new Error(`settle_debt should store the payment and book it: ${error?.message}`);
+        }
+        const netting = buildNettingPlan({ AEK: 5, Real: 12 }, '2024-09-02');
+        await client.rpc('settle_debt', { plan: netting });
+        if ((await this.finance(client, 'AEK')).debt !== 0 || (await this.finance(client, 'Real')).debt !== 7 || netting.payments[1].method !== 'Verrechnung') {
+            throw new Error('Netting should clear the common part on both sides');
+        }
+        const { error: tooMuch } = await client.rpc('settle_debt', { plan: buildSettlementPlan({ ...payment, amount: 8 }) });
+        const { data: history } = await client.from('settlements').select('*');
+        await client.from('transactions').insert([{ date: '2024-09-03', team: 'Real', type: 'Echtgeld-Ausgleich', amount: 1, info: 'Nachtrag' }]);
+        const { error: backdated } = await client.rpc('settle_debt', { plan: buildSettlementPlan({ ...payment, amount: 1 }) });
+        await client.from('transactions').eq('info', 'Nachtrag').delete();
+        if (!tooMuch || !backdated || (await this.finance(client, 'Real')).debt !== 7 || history.length !== 3) {
+            throw new Error('A payment above the debt should be rolled back completely');
+        }
+        if (settlementHistory(history)[0].date !== '2024-09-02') {
+            throw new Error('Newest payments should come first');
+        }
+
+        // Das Ledger bucht Zahlungen auf die Schulden
+        const { data: all } = await client.from('transactions').select('*');
+        if (replayLedger(all.filter(t => t.type === 'Echtgeld-Zahlung').concat([
+            { id: 100, date: '2024-08-01', team: 'Real', type: 'Echtgeld-Ausgleich', amount: 22 }
+        ])).finances.Real.debt !== 7) {
+            throw new Error('Echtgeld payments should lower the debt in the ledger');
+        }
+
+        // Zurücknehmen: Verrechnung nur als Paar, Schulden kehren zurück, Buchungen landen im Protokoll
+        const nettingRows = history.filter(s => s.method === 'Verrechnung');
+        if (nettingRows[0].counterpart_id !== nettingRows[1].id || nettingRows[1].counterpart_id !== nettingRows[0].id ||
+            buildReversalPlan(nettingRows[0]).reverse.length !== 2 || buildReversalPlan(history[0]).reverse.length !== 1) {
+            throw new Error('The two rows of a netting should point to each other');
+        }
+        // Auch nur eine Zeile im Plan nimmt die ganze Verrechnung zurück
+        const { error: reverseError } = await client.rpc('settle_debt', { plan: { reverse: [nettingRows[1].id] } });
+        const { data: left } = await client.from('transactions').select('*').eq('type', 'Echtgeld-Zahlung');
+        const { data: audit } = await client.from('transaction_audit').select('*');
+        if (reverseError || (await this.finance(client, 'AEK')).debt !== 5 || (await this.finance(client, 'Real')).debt !== 12 || left.length !== 1 ||
+            audit.length !== 2 || audit.some(a => a.action !== 'delete' || a.before.settlement.method !== 'Verrechnung')) {
+            throw new Error(`Reversing a netting should restore both debts and log the bookings: ${reverseError?.message}`);
+        }
+        const { error: missing } = await client.rpc('settle_debt', { plan: { reverse: [nettingRows[0].id] } });
+        if (!missing || (await this.finance(client, 'AEK')).debt !== 5) {
+            throw new Error('Reversing a payment twice should fail');
+        }
+        await client.from('settlements').insert([{ date: '2024-09-03', team: 'AEK', amount: 1, method: 'Verrechnung' }]);
+        const { data: [unlinked] } = await client.from('settlements').select('*').eq('date', '2024-09-03');
+        const { error: unlinkedError } = await client.rpc('settle_debt', { plan: buildReversalPlan(unlinked) });
+        if (!unlinkedError) {
+            throw new Error('A netting row without its counterpart must not be reversed alone');
+        }
+    }
+
+    async testTransactionEdits() {
+        // Gesperrt: Match- und Zahlungsbuchungen, bereits stornierte; Transfers nur per Storno
+        const manual = { id: 1, date: '2024-09-01', team: 'AEK', type: 'Sonstiges', amount: 500, info: 'Sponsor' };
+        const reversal = { id: 2, date: '2024-09-02', team: 'AEK', type: 'Sonstiges', amount: -500, reversal_of: 1 };
+        const all = [manual, reversal];
+        if (transactionActions({ ...manual, match_id: 3 }).delete || transactionActions({ ...manual, settlement_id: 3 }).edit ||
+            transactionActions(manual, all).reverse || transactionActions(reversal, all).edit || !transactionActions(reversal, all).delete ||
+            transactionActions({ ...manual, transfer_id: 4 }).edit || !transactionActions({ ...manual, transfer_id: 4 }).reverse ||
+            !transactionActions(manual).edit) {
+            throw new Error('Protected bookings should not offer edit or delete');
+        }
+
+        const edit = buildTransactionChange('edit', manual, { team: 'Real', type: 'Echtgeld-Ausgleich', amount: 3 });
+        if (edit.values.team !== 'Real' || edit.values.info !== 'Sponsor' || edit.deltas) {
+            throw new Error('The edit plan should carry the full new row and nothing the server recomputes');
+        }
+        const reverse = buildTransactionChange('reverse', manual, {}, '2024-09-05');
+        if (reverse.reversal.amount !== -500 || reverse.reversal.reversal_of !== 1 || reverse.reversal.info !== 'Storno #1: Sponsor') {
+            throw new Error('The reversal should book the opposite amount and point to the original');
+        }
+
+        // Geprüft wird der ganze Verlauf: auch eine spätere Buchung darf nicht an die Untergrenze stoßen
+        const spent = [manual, { id: 3, date: '2024-09-03', team: 'AEK', type: 'Sonstiges', amount: -300 }];
+        if (!transactionChangeErrors(reverse, spent).length || transactionChangeErrors(reverse, spent, {}, { balance: -300, debt: 0 }).length) {
+            throw new Error('Changes must respect the overdraft limit');
+        }
+        const history = [
+            { id: 1, date: '2024-09-01', team: 'AEK', type: 'Sonstiges', amount: 100000 },
+            { id: 2, date: '2024-09-02', team: 'AEK', type: 'Sonstiges', amount: -100000 },
+            { id: 3, date: '2024-09-03', team: 'AEK', type: 'Sonstiges', amount: 500000 }
+        ];
+        const earlier = buildTransactionChange('edit', history[0], { amount: 0 });
+        if (!transactionChangeErrors(earlier, history).length || transactionChangeErrors(buildTransactionChange('delete', history[1]), history).length) {
+            throw new Error('An edit that clamps a later booking should be refused, even if today\'s balance stays positive');
+        }
+
+        // change_transaction: bearbeiten, stornieren, löschen – mit Finanzen und Protokoll
+        const client = createFallbackClient();
+        await client.from('finances').eq('team', 'AEK').update({ balance: 1000 });
+        await client.from('transactions').insert([{ date: '2024-09-01', team: 'AEK', type: 'Sonstiges', amount: 500, info: 'Sponsor' }]);
+        const { data: [stored] } = await client.from('transactions').select('*').eq('info', 'Sponsor');
+        const { error: editError } = await client.rpc('change_transaction', { plan: buildTransactionChange('edit', stored, { amount: 300 }) });
+        const edited = { ...stored, amount: 300 };
+        const { data: reversalId, error: reverseError } = await client.rpc('change_transaction', { plan: buildTransactionChange('reverse', edited, {}, '2024-09-05') });
+        if (editError || reverseError || (await this.finance(client, 'AEK')).balance !== 500) {
+            throw new Error(`Edit and reversal should adjust the balance: ${(editError || reverseError)?.message}`);
+        }
+        const { error: twice } = await client.rpc('change_transaction', { plan: buildTransactionChange('delete', edited) });
+        if (!twice || (await this.finance(client, 'AEK')).balance !== 500) {
+            throw new Error('A reversed booking must not be deleted');
+        }
+        const { data: [storno] } = await client.from('transactions').select('*').eq('id', reversalId);
+        await client.rpc('change_transaction', { plan: buildTransactionChange('delete', storno) });
+        const { data: [matchTx] } = await client.from('transactions').select('*').eq('id', 5);
+        const { error: protectedError } = await client.rpc('change_transaction', { plan: buildTransactionChange('delete', matchTx) });
+        const { data: audit } = await client.from('transaction_audit').select('*');
+        if ((await this.finance(client, 'AEK')).balance !== 800 || !protectedError || audit.map(a => a.action).join(',') !== 'edit,reverse,delete') {
+            throw new Error(`Unexpected audit or balance after deleting the reversal: ${audit.map(a => a.action).join(',')}`);
+        }
+
+        // Auch der Server spielt den Verlauf nach
+        const { data: [sponsorNow] } = await client.from('transactions').select('*').eq('id', stored.id);
+        const { data: sofar } = await client.from('transactions').select('*');
+        const spendAll = -replayLedger(sofar).finances.AEK.balance;
+        await client.from('transactions').insert([{ date: '2024-09-02', team: 'AEK', type: 'Sonstiges', amount: spendAll, info: 'Ausgabe' }]);
+        const { error: clampError } = await client.rpc('change_transaction', { plan: buildTransactionChange('edit', sponsorNow, { amount: 0 }) });
+        await client.from('transactions').eq('info', 'Ausgabe').delete();
+        if (!clampError || (await this.finance(client, 'AEK')).balance !== 800) {
+            throw new Error('change_transaction should refuse a change that clamps a later booking');
+        }
+
+        // Differenzen und alter Stand kommen aus der gespeicherten Zeile, nicht aus dem Plan
+        const forged = { ...buildTransactionChange('delete', { ...stored, amount: 10 }), deltas: [{ team: 'AEK', balance: 5000, debt: 0 }] };
+        await client.rpc('change_transaction', { plan: forged });
+        const { data: [lastAudit] } = await client.from('transaction_audit').select('*').order('id', { ascending: false });
+        if ((await this.finance(client, 'AEK')).balance !== 500 || lastAudit.before.amount !== 300) {
+            throw new Error('change_transaction should ignore the deltas and the audit entry sent by the browser');
+        }
+        await client.from('transactions').insert([{ date: '2024-09-06', team: 'AEK', type: 'Spielerkauf', amount: -200, info: 'Kauf', transfer_id: 1 }]);
+        const { data: [transferTx] } = await client.from('transactions').select('*').eq('info', 'Kauf');
+        const { error: editTransfer } = await client.rpc('change_transaction', { plan: buildTransactionChange('edit', transferTx, { amount: -100 }) });
+        const { error: deleteTransfer } = await client.rpc('change_transaction', { plan: buildTransactionChange('delete', transferTx) });
+        const { data: transferReversalId } = await client.rpc('change_transaction', { plan: buildTransactionChange('reverse', transferTx, {}, '2024-09-07') });
+        const { data: [transferReversal] } = await client.from('transactions').select('*').eq('id', transferReversalId);
+        const { error: editReversal } = await client.rpc('change_transaction', { plan: buildTransactionChange('edit', transferReversal, { amount: 1 }) });
+        if (!editTransfer || !deleteTransfer || !editReversal || transferReversal.amount !== 200) {
+            throw new Error('Transfer bookings may only be reversed and reversals only deleted');
+        }
+
+        // Fehlbetrag: mit der Buchung gespeichert, verknüpft und nur mit ihr gelöscht oder storniert
+        const penalty = { date: '2024-09-08', team: 'Real', type: 'Sonstiges', amount: -700, info: 'Strafe' };
+        const booking = buildTransactionBooking(penalty, { balance: 100, debt: 0 }, DEFAULT_RULES);
+        if (booking.shortfall?.amount !== 600 || booking.finances[0].balance !== 0) {
+            throw new Error('A booking below the overdraft limit should bring its shortfall along');
+        }
+        await client.from('finances').eq('team', 'Real').update({ balance: 100 });
+        const { data: penaltyId } = await client.rpc('book_transaction', { plan: booking });
+        const { data: linked } = await client.from('transactions').select('*');
+        const penaltyTx = linked.find(t => t.id === penaltyId);
+        const shortfallTx = linkedShortfall(penaltyTx, linked);
+        if (!shortfallTx || shortfallTx.id >= penaltyId || transactionActions(shortfallTx, linked).delete ||
+            transactionActions(penaltyTx, linked).edit || !transactionActions(penaltyTx, linked).reverse) {
+            throw new Error('The shortfall should point to its booking and be locked');
+        }
+        const { error: shortfallEdit } = await client.rpc('change_transaction', { plan: buildTransactionChange('delete', shortfallTx) });
+        const { error: penaltyEdit } = await client.rpc('change_transaction', { plan: buildTransactionChange('edit', penaltyTx, { amount: -50 }) });
+        if (!shortfallEdit || !penaltyEdit) {
+            throw new Error('Neither the shortfall nor a booking with one may be changed on its own');
+        }
+        const { data: penaltyReversalId } = await client.rpc('change_transaction', {
+            plan: buildTransactionChange('reverse', penaltyTx, {}, '2024-09-09')
+        });
+        const { data: reversed } = await client.from('transactions').select('*');
+        const shortfallReversal = linkedShortfall({ id: penaltyReversalId }, reversed);
+        if ((await this.finance(client, 'Real')).balance !== 100 || shortfallReversal?.reversal_of !== shortfallTx.id || shortfallReversal.amount !== -600) {
+            throw new Error('Reversing a booking should reverse its shortfall too');
+        }
+        const penaltyReversal = reversed.find(t => t.id === penaltyReversalId);
+        await client.rpc('change_transaction', { plan: buildTransactionChange('delete', penaltyReversal) });
+        await client.rpc('change_transaction', { plan: buildTransactionChange('delete', penaltyTx) });
+        const { data: rest } = await client.from('transactions').select('*');
+        if ((await this.finance(client, 'Real')).balance !== 100 || rest.some(t => t.type === 'Fehlbetrag' && t.team === 'Real' && t.date >= '2024-09-08')) {
+            throw new Error('Deleting a booking should delete its shortfall');
+        }
+    }
+
+    async testTransactionFilters() {
+        const txs = [
+            { id: 1, date: '2024-08-10', team: 'AEK', type: 'Preisgeld', amount: 5000, info: 'Match 1', match_id: 1 },
+            { id: 2, date: '2024-08-10', team: 'AEK', type: 'SdS Bonus', amount: 1500, info: 'SdS: Max Müller', match_id: 1 },
+            { id: 3, date: '2024-08-11', team: 'Real', type: 'Spielerkauf', amount: -45000, info: 'Spielerkauf: Jan Becker' },
+            { id: 4, date: '2024-08-12', team: 'Real', type: 'Strafe', amount: -1000, info: 'Kartenstrafe' },
+            { id: 5, date: '2024-08-12', team: 'AEK', type: 'Sonstiges', amount: 2000, info: 'Liga-Bonus' },
+            { id: 6, date: '2024-08-13', team: 'Real', type: 'Echtgeld-Zahlung', amount: -5, info: 'Bar an AEK' }
+        ];
+        if (transactionCategory(txs[1]) !== 'Bonus SdS' || transactionCategory(txs[3]) !== 'Manuell' || transactionCategory(txs[5]) !== 'Echtgeld-Ausgleich') {
+            throw new Error('Legacy and unknown types should map to their categories');
+        }
+        if (transactionCategory({ type: 'Fehlbetrag', amount: 300 }) !== 'Fehlbetrag') {
+            throw new Error('Automatic shortfall bookings should not count as manual bookings');
+        }
+
+        const ids = filters => filterTransactions(txs, { search: '', filters }).map(t => t.id).join(',');
+        if (ids({}) !== '6,5,4,3,2,1') {
+            throw new Error('Without filters all transactions should be listed, newest first');
+        }
+        if (ids({ team: 'Real', category: 'Manuell' }) !== '4' || ids({ category: 'Manuell' }) !== '5,4') {
+            throw new Error('Team and category filters should combine');
+        }
+        if (ids({ minAmount: '-1000', maxAmount: '2000' }) !== '6,5,4,2' || ids({ minAmount: '0' }) !== '5,2,1') {
+            throw new Error('Amount range should include its bounds and accept 0');
+        }
+        if (ids({ from: '2024-08-11', to: '2024-08-12' }) !== '5,4,3') {
+            throw new Error('Date range should include both days');
+        }
+        if (filterTransactions(txs, { search: ' BONUS ', filters: {} }).map(t => t.id).join(',') !== '5') {
+            throw new Error('Search should look only at info, case-insensitive');
+        }
+
+        const totals = categoryTotals(txs);
+        const summary = totals.map(r => `${r.category}:${r.count}:${r.total}:${r.teams.AEK}/${r.teams.Real}`).join(',');
+        if (summary !== 'Preisgeld:1:5000:5000/0,Bonus SdS:1:1500:1500/0,Spielerkauf:1:-45000:0/-45000,Echtgeld-Ausgleich:1:-5:0/-5,Manuell:2:1000:2000/-1000') {
+            throw new Error(`Unexpected subtotals: ${summary}`);
+        }
+    }
+
     async runAllTests() {
         this.log('🚀 Starting comprehensive optimization tests', 'info');
         
@@ -264,7 +1643,33 @@ class OptimizationTester {
             ['Performance Utilities', () => this.testPerformanceUtilities()],
             ['Database Operations', () => this.testDatabaseOperations()],
             ['Input Sanitization', () => this.testSanitization()],
-            ['Cache Invalidation', () => this.testCacheInvalidation()]
+            ['Cache Invalidation', () => this.testCacheInvalidation()],
+            ['Match Settlement', () => this.testMatchSettlement()],
+            ['Match Settlement Edge Cases', () => this.testMatchSettlementEdgeCases()],
+            ['League Rules', () => this.testLeagueRules()],
+            ['Atomic Match Recording', () => this.testAtomicMatchRecording()],
+            ['Match Edit', () => this.testMatchEdit()],
+            ['Stat Recomputation', () => this.testStatRecomputation()],
+            ['Player Id References', () => this.testPlayerIdReferences()],
+            ['Card Bans', () => this.testCardBans()],
+            ['Ban-Aware Match Entry', () => this.testBanAwareMatchEntry()],
+            ['Ban Servings', () => this.testBanServings()],
+            ['Lineups', () => this.testLineups()],
+            ['Seasons', () => this.testSeasons()],
+            ['Standings', () => this.testStandings()],
+            ['Time Series Charts', () => this.testTimeSeriesCharts()],
+            ['Player Profile', () => this.testPlayerProfile()],
+            ['Transfers', () => this.testTransfers()],
+            ['Transfer Negotiation', () => this.testTransferNegotiation()],
+            ['Squad Rules', () => this.testSquadRules()],
+            ['Player Attributes', () => this.testPlayerAttributes()],
+            ['List Toolbar', () => this.testListToolbar()],
+            ['Undo', () => this.testUndo()],
+            ['Ledger', () => this.testLedger()],
+            ['Overdraft', () => this.testOverdraft()],
+            ['Debt Settlement', () => this.testDebtSettlement()],
+            ['Transaction Edits', () => this.testTransactionEdits()],
+            ['Transaction Filters', () => this.testTransactionFilters()]
         ];
         
         let passed = 0;
@@ -0,0 +1,116 @@
+/**
+ * Player Attributes
+ * Optional player fields beyond name, team, position and value. Each entry in `PLAYER_ATTRIBUTES`
+ * drives the form field in Kader, the validation rule in `dataManager` and the sort/filter options,
+ * so a new attribute only needs a column (SUPABASE_SETUP.md) and one entry here.
+ */
+export const FEET = ["Links", "Rechts", "Beidfüßig"];
+
+export const PLAYER_ATTRIBUTES = [
+    { key: "rating", label: "Gesamtstärke", type: "number", min: 1, max: 99 },
+    { key: "birth_year", label: "Geburtsjahr", type: "number", min: 1950, max: new Date().getFullYear() },
+    { key: "nationality", label: "Nationalität", type: "string", maxLength: 40 },
+    { key: "preferred_foot", label: "Starker Fuß", type: "string", enum: FEET },
+    { key: "secondary_positions", label: "Nebenpositionen", type: "array", itemsFrom: "position" },
+    { key: "shirt_number", label: "Rückennummer", type: "number", min: 1, max: 99 },
+    { key: "notes", label: "Notizen", type: "string", maxLength: 500 }
+];
+
+// Sortierungen für die Kader-Listen; "position" ist die bisherige Reihenfolge
+export const PLAYER_SORTS = {
+    position: "Position",
+    name: "Name",
+    value: "Marktwert",
+    rating: "Gesamtstärke",
+    age: "Alter",
+    shirt_number: "Rückennummer"
+};
+
+/**
+ * Validierungsregeln für `dataManager` (alle Attribute sind optional).
+ * @param {Object} baseRules - bestehende Regeln der Tabelle; `itemsFrom` übernimmt deren erlaubte Werte
+ */
+export function attributeValidationRules(baseRules = {}) {
+    return Object.fromEntries(PLAYER_ATTRIBUTES.map(({ key, type, min, max, maxLength, enum: values, itemsFrom }) => [
+        key,
+        { required: false, type, min, max, maxLength, enum: values, items: itemsFrom ? baseRules[itemsFrom]?.enum : undefined }
+    ]));
+}
+
+export function playerAge(player, year = new Date().getFullYear()) {
+    return player.birth_year ? year - player.birth_year : null;
+}
+
+// Nur die Attribut-Felder eines Spielers, fehlende Werte als null
+export function pickAttributes(player = {}) {
+    return Object.fromEntries(PLAYER_ATTRIBUTES.map(({ key, type }) => [
+        key,
+        player[key] ?? (type === "array" ? [] : null)
+    ]));
+}
+
+// Liest die Attribut-Felder aus dem Spieler-Formular; leere Eingaben werden zu null
+export function readAttributes(form) {
+    return Object.fromEntries(PLAYER_ATTRIBUTES.map(({ key, type }) => {
+        if (type === "array") {
+            return [key, [...form.querySelectorAll(`input[name="${key}"]:checked`)].map(input => input.value)];
+        }
+        const raw = (form.elements[key]?.value || "").trim();
+        if (!raw) return [key, null];
+        return [key, type === "number" ? parseInt(raw, 10) : raw];
+    }));
+}
+
+// Vergleichsfunktion für eine Sortierung aus PLAYER_SORTS (außer "position"), sonst null
+export function comparePlayers(sortKey = "name") {
+    const valueOf = {
+        name: p => (p.name || "").toLowerCase(),
+        value: p => -(typeof p.value === "number" ? p.value : parseFloat(p.value) || 0),
+        rating: p => -(p.rating ?? -Infinity),
+        // Jüngste zuerst
+        age: p => playerAge(p) ?? Infinity,
+        shirt_number: p => p.shirt_number ?? Infinity
+    }[sortKey];
+    if (!valueOf) return null;
+    return (a, b) => {
+        const x = valueOf(a);
+        const y = valueOf(b);
+        if (x === y) return (a.name || "").localeCompare(b.name || "");
+        return typeof x === "string" ? x.localeCompare(y) : x - y;
+    };
+}
+
+export function sortPlayers(players = [], sortKey = "name") {
+    const compare = comparePlayers(sortKey);
+    return compare ? [...players].sort(compare) : [...players];
+}
+
+// Haupt- oder Nebenposition
+export function playsPosition(player, position) {
+    return player.position === position || (player.secondary_positions || []).includes(position);
+}
+
+/**
+ * @param {Object} filters - { position, preferred_foot, nationality }; leere Filter gelten nicht.
+ * `position` trifft Haupt- und Nebenpositionen.
+ */
+export function filterPlayers(players = [], filters = {}) {
+    return players.filter(p =>
+        (!filters.position || playsPosition(p, filters.position)) &&
+        (!filters.preferred_foot || p.preferred_foot === filters.preferred_foot) &&
+        (!filters.nationality || p.nationality === filters.nationality)
+    );
+}
+
+// Kurzinfo für Spielerkarten und Profil, z.B. "#10 · 85 · 24 J. · Deutschland · Links"
+export function attributeSummary(player) {
+    const age = playerAge(player);
+    return [
+        player.shirt_number ? `#${player.shirt_number}` : null,
+        player.rating ? `⭐ ${player.rating}` : null,
+        age !== null ? `${age} J.` : null,
+        player.nationality,
+        player.preferred_foot,
+        (player.secondary_positions || []).length ? `auch ${player.secondary_positions.join(", ")}` : null
+    ].filter(Boolean).join(" · ");
+}
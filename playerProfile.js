@@ -0,0 +1,255 @@
+/**
+ * Player Profile
+ * Detail view of one player reachable by the deep link `#spieler/<id>`: goals per match, SdS awards,
+ * bans and the games they were served in, market value history, transfers and time spent at AEK, Real
+ * and Ehemalige. Transfers and values come from the `transfers` and `player_value_history` tables.
+ */
+import { supabase } from './supabaseClient.js';
+import { DOM } from './utils.js';
+import { matchScorers, matchSdsPlayer } from './matchStats.js';
+import { sortChronologically } from './standings.js';
+import { lineChartSvg, formatMillions } from './charts.js';
+import { EXTERNAL_TEAM, TRANSFER_KINDS, playerValueHistory } from './transfers.js';
+import { attributeSummary } from './playerAttributes.js';
+
+const PROFILE_HASH = /^#spieler\/(\d+)$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function playerProfileHash(playerId) {
+    return `#spieler/${playerId}`;
+}
+
+// Spieler-ID aus einem Deep Link, sonst null
+export function parsePlayerProfileHash(hash = "") {
+    const match = PROFILE_HASH.exec(hash);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+// Öffnet das Profil über den Hash; main.js rendert es bei `hashchange`
+export function openPlayerProfile(playerId) {
+    window.location.hash = playerProfileHash(playerId);
+}
+
+// Macht alle Elemente mit `data-player-id` in einem Container zu Profil-Links
+export function attachProfileLinks(container) {
+    if (!container) return;
+    container.querySelectorAll('[data-player-id]').forEach(el => {
+        el.classList.add('cursor-pointer');
+        el.onclick = () => openPlayerProfile(parseInt(el.dataset.playerId, 10));
+    });
+}
+
+// Transfers eines Spielers, älteste zuerst
+export function playerTransfers(player, transfers = []) {
+    return transfers
+        .filter(t => t.player_id === player.id)
+        .sort((a, b) => (a.date || "").localeCompare(b.date || "") || a.id - b.id);
+}
+
+/**
+ * Stationen eines Spielers aus seinen Transfers; jeder Transfer beginnt eine Station beim neuen Team.
+ * Ein Neuzugang von außen (`from_team` leer) hat vor seinem ersten Transfer keine Station.
+ * @returns {{ stints: Array<{ team, from, to }>, days: { AEK, Real, Ehemalige } }}
+ */
+export function buildPlayerCareer(player, transfers = [], today = new Date().toISOString().slice(0, 10)) {
+    const start = (player.created_at || "").slice(0, 10) || transfers[0]?.date || today;
+    const first = transfers[0];
+    let team = first ? first.from_team : player.team;
+    let from = start;
+    const stints = [];
+
+    transfers.forEach(t => {
+        if (team && t.date > from) stints.push({ team, from, to: t.date });
+        team = t.to_team;
+        from = t.date > from ? t.date : from;
+    });
+    stints.push({ team, from, to: null });
+
+    const days = { AEK: 0, Real: 0, Ehemalige: 0 };
+    stints.forEach(s => {
+        const span = Math.max(0, Math.round((new Date(s.to || today) - new Date(s.from)) / DAY_MS));
+        days[s.team] = (days[s.team] || 0) + span;
+    });
+    return { stints, days };
+}
+
+// Tore und SdS eines Spielers je Match, neueste zuerst
+export function playerMatchHistory(player, matches = [], players = []) {
+    return sortChronologically(matches).reverse().map(m => {
+        const goals = matchScorers(m, players)
+            .filter(s => s.player?.id === player.id)
+            .reduce((sum, s) => sum + s.count, 0);
+        const sds = matchSdsPlayer(m, players)?.id === player.id;
+        return { match: m, goals, sds };
+    }).filter(entry => entry.goals > 0 || entry.sds);
+}
+
+function formatDate(date) {
+    return date ? new Date(date).toLocaleDateString('de-DE') : "-";
+}
+
+function teamClass(team) {
+    if (team === "AEK") return "text-blue-400";
+    if (team === "Real") return "text-red-400";
+    return "text-slate-300";
+}
+
+export async function renderPlayerProfile(containerId = "app", playerId) {
+    console.log("renderPlayerProfile aufgerufen!", { containerId, playerId });
+    const app = document.getElementById(containerId);
+
+    const [
+        { data: players, error: errP },
+        { data: matches, error: errM },
+        { data: bans, error: errB },
+        { data: servings, error: errS },
+        { data: transfers, error: errT },
+        { data: history, error: errH }
+    ] = await Promise.all([
+        supabase.from('players').select('*'),
+        supabase.from('matches').select('*'),
+        supabase.from('bans').select('*').eq('player_id', playerId),
+        supabase.from('ban_servings').select('*'),
+        supabase.from('transfers').select('*').eq('player_id', playerId),
+        supabase.from('player_value_history').select('*').eq('player_id', playerId)
+    ]);
+    const error = errP || errM || errB || errS || errT || errH;
+    if (error) {
+        app.innerHTML = `<div class="text-red-700 dark:text-red-300 p-4">Fehler beim Laden des Spielerprofils: ${error.message}</div>`;
+        return;
+    }
+
+    const player = (players || []).find(p => p.id === playerId);
+    if (!player) {
+        app.innerHTML = `
+            <div class="text-gray-400 text-center py-6">Spieler nicht gefunden.</div>
+            <div class="text-center"><button id="profile-back" class="text-sky-400 hover:underline">Zurück</button></div>
+        `;
+        document.getElementById("profile-back").onclick = () => { window.location.hash = ""; };
+        return;
+    }
+
+    // Durchgehende Match-Nummern wie im Matches-Tab
+    const ordered = sortChronologically(matches || []);
+    const matchNumber = id => ordered.findIndex(m => m.id === id) + 1;
+    const matchHistory = playerMatchHistory(player, matches || [], players || []);
+    const totalGoals = matchHistory.reduce((sum, e) => sum + e.goals, 0);
+    const sdsCount = matchHistory.filter(e => e.sds).length;
+    const playerTransferList = playerTransfers(player, transfers || []);
+    const career = buildPlayerCareer(player, playerTransferList);
+    const values = playerValueHistory(history || [], player.id);
+    const name = DOM.sanitizeForHTML(player.name);
+
+    const banRows = (bans || []).map(b => {
+        const served = (servings || []).filter(s => s.ban_id === b.id)
+            .map(s => (matches || []).find(m => m.id === s.match_id))
+            .filter(Boolean)
+            .map(m => `Match #${matchNumber(m.id)} (${formatDate(m.date)})`);
+        return `
+            <tr class="border-t border-gray-700">
+                <td class="py-1 pr-2">${b.type || "-"}</td>
+                <td class="py-1 pr-2">${b.matchesserved || 0}/${b.totalgames || 1}</td>
+                <td class="py-1 text-xs text-gray-400">${served.join(', ') || "–"}</td>
+            </tr>
+        `;
+    }).join('');
+
+    app.innerHTML = `
+        <div class="flex items-center gap-3 mb-4">
+            <button id="profile-back" class="bg-gray-700 hover:bg-gray-600 text-gray-100 px-3 py-2 rounded-lg text-sm"><i class="fas fa-arrow-left"></i></button>
+            <div>
+                <h2 class="text-xl font-bold">${name}</h2>
+                <div class="text-sm ${teamClass(player.team)}">${player.team} · ${player.position || "-"} · ${player.value || 0}M</div>
+                ${attributeSummary(player) ? `<div class="text-xs text-gray-400">${DOM.sanitizeForHTML(attributeSummary(player))}</div>` : ""}
+            </div>
+            <button id="profile-copy-link" class="ml-auto text-xs text-sky-400 hover:underline" title="Link kopieren">Link teilen</button>
+        </div>
+        <div class="flex flex-col gap-4">
+            <div class="rounded-xl shadow border bg-gray-800 p-4 flex flex-wrap gap-4 text-sm">
+                <span>⚽ <b>${totalGoals}</b> Tore</span>
+                <span>⭐ <b>${sdsCount}</b>× Spieler des Spiels</span>
+                <span>🚫 <b>${(bans || []).length}</b> Sperren</span>
+                <span>💶 Marktwert <b>${player.value || 0}M</b></span>
+            </div>
+            ${player.notes ? `<div class="rounded-xl shadow border bg-gray-800 p-4 text-sm whitespace-pre-line">📝 ${DOM.sanitizeForHTML(player.notes)}</div>` : ""}
+
+            <div class="rounded-xl shadow border bg-gray-800 p-4">
+                <div class="font-bold text-lg mb-2">Zeit bei den Teams</div>
+                <div class="flex flex-wrap gap-4 text-sm mb-2">
+                    ${Object.entries(career.days).map(([team, days]) => `<span class="${teamClass(team)}">${team}: <b>${days}</b> Tage</span>`).join('')}
+                </div>
+                <div class="text-xs text-gray-400">
+                    ${career.stints.map(s => `<div><span class="${teamClass(s.team)}">${s.team}</span> ${formatDate(s.from)} – ${s.to ? formatDate(s.to) : "heute"}</div>`).join('')}
+                </div>
+            </div>
+
+            <div class="rounded-xl shadow border bg-gray-800 p-4">
+                <div class="font-bold text-lg mb-2">Marktwertverlauf</div>
+                ${values.length > 1
+                    ? lineChartSvg({
+                        series: [{ label: "Marktwert", color: "#38bdf8", points: values.map(v => ({ x: formatDate(v.date), y: v.value })) }],
+                        formatY: v => `${v.toLocaleString('de-DE')}M`,
+                        height: 180
+                    })
+                    : `<div class="text-sm text-gray-400">Noch keine Marktwertänderungen erfasst.</div>`}
+            </div>
+
+            <div class="rounded-xl shadow border bg-gray-800 p-4">
+                <div class="font-bold text-lg mb-2">Transfers</div>
+                ${playerTransferList.length ? `
+                    <table class="w-full text-sm">
+                        <tbody>
+                            ${playerTransferList.map(t => `
+                                <tr class="border-t border-gray-700">
+                                    <td class="py-1 pr-2">${formatDate(t.date)}</td>
+                                    <td class="py-1 pr-2">${TRANSFER_KINDS[t.kind] || TRANSFER_KINDS.transfer}${t.loan_until ? ` bis ${formatDate(t.loan_until)}` : ""}</td>
+                                    <td class="py-1 pr-2"><span class="${teamClass(t.from_team)}">${t.from_team || EXTERNAL_TEAM}</span> → <span class="${teamClass(t.to_team)}">${t.to_team}</span></td>
+                                    <td class="py-1 text-right">${formatMillions(t.fee || 0)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : `<div class="text-sm text-gray-400">Keine Transfers erfasst.</div>`}
+            </div>
+
+            <div class="rounded-xl shadow border bg-gray-800 p-4">
+                <div class="font-bold text-lg mb-2">Tore & SdS je Match</div>
+                ${matchHistory.length ? `
+                    <table class="w-full text-sm">
+                        <tbody>
+                            ${matchHistory.map(e => `
+                                <tr class="border-t border-gray-700">
+                                    <td class="py-1 pr-2">Match #${matchNumber(e.match.id)}</td>
+                                    <td class="py-1 pr-2 text-gray-400">${formatDate(e.match.date)}</td>
+                                    <td class="py-1 pr-2">AEK ${e.match.goalsa || 0}:${e.match.goalsb || 0} Real</td>
+                                    <td class="py-1 pr-2">${e.goals ? `${e.goals} ⚽` : ""}</td>
+                                    <td class="py-1">${e.sds ? "⭐" : ""}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : `<div class="text-sm text-gray-400">Noch keine Tore oder SdS-Auszeichnungen.</div>`}
+            </div>
+
+            <div class="rounded-xl shadow border bg-gray-800 p-4">
+                <div class="font-bold text-lg mb-2">Sperren</div>
+                ${banRows ? `
+                    <table class="w-full text-sm">
+                        <thead><tr class="text-left text-gray-400"><th class="py-1 pr-2">Typ</th><th class="py-1 pr-2">Abgesessen</th><th class="py-1">In</th></tr></thead>
+                        <tbody>${banRows}</tbody>
+                    </table>
+                ` : `<div class="text-sm text-gray-400">Keine Sperren.</div>`}
+            </div>
+        </div>
+    `;
+
+    document.getElementById("profile-back").onclick = () => { window.location.hash = ""; };
+    document.getElementById("profile-copy-link").onclick = async () => {
+        const url = `${window.location.origin}${window.location.pathname}${playerProfileHash(player.id)}`;
+        try {
+            await navigator.clipboard.writeText(url);
+        } catch (e) {
+            window.prompt("Link zum Spielerprofil:", url);
+        }
+    };
+}
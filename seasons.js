@@ -0,0 +1,125 @@
+/**
+ * Seasons
+ * League periods stored in the `seasons` table. Matches and transactions carry a `season_id`
+ * (set by the database default to the running season); rows from before seasons existed
+ * belong to the first season. Starting a season closes the running one with its final standings.
+ * The season picker state is shared by the Matches, Stats, Spieler and Finanzen tabs.
+ */
+import { supabase } from './supabaseClient.js';
+import { calculateStandings } from './standings.js';
+
+export const ALL_SEASONS = "all";
+
+let seasons = [];
+let selectedSeasonId = null;
+
+export async function loadSeasons() {
+    const { data, error } = await supabase.from('seasons').select('*').order('id', { ascending: true });
+    if (error) {
+        console.warn('Saisons konnten nicht geladen werden:', error.message);
+        return seasons;
+    }
+    seasons = data || [];
+    return seasons;
+}
+
+export function getSeasons() {
+    return seasons;
+}
+
+// Laufende Saison: die jüngste ohne Enddatum
+export function getCurrentSeason() {
+    return [...seasons].reverse().find(s => !s.end_date) || null;
+}
+
+export function getSelectedSeasonId() {
+    if (selectedSeasonId === ALL_SEASONS) return ALL_SEASONS;
+    if (selectedSeasonId != null && seasons.some(s => s.id === selectedSeasonId)) return selectedSeasonId;
+    return getCurrentSeason()?.id ?? ALL_SEASONS;
+}
+
+export function setSelectedSeasonId(id) {
+    selectedSeasonId = id;
+}
+
+// Saison eines Matches oder einer Transaktion; Zeilen ohne Saison gehören zur ersten
+export function rowSeasonId(row) {
+    return row.season_id ?? seasons[0]?.id ?? null;
+}
+
+export function filterBySeason(rows = [], seasonId = getSelectedSeasonId()) {
+    if (seasonId === ALL_SEASONS || !seasons.length) return rows;
+    return rows.filter(row => rowSeasonId(row) === seasonId);
+}
+
+// Matches, die die gespeicherten Zähler (players.goals, spieler_des_spiels) abbilden:
+// alle seit der letzten Saison, die die Torzähler zurückgesetzt hat
+export function matchesSinceStatReset(matches = []) {
+    const reset = [...seasons].reverse().find(s => s.reset?.goals);
+    if (!reset) return matches;
+    return matches.filter(m => (rowSeasonId(m) ?? 0) >= reset.id);
+}
+
+// Saisons, zu deren Beginn die Kontostände auf 0 gesetzt wurden
+export function balanceResetSeasonIds() {
+    return new Set(seasons.filter(s => s.reset?.balances).map(s => s.id));
+}
+
+// Saisonresets je Konto für `replayLedger` (ledger.js)
+export function ledgerResets() {
+    return {
+        balance: balanceResetSeasonIds(),
+        debt: new Set(seasons.filter(s => s.reset?.debts).map(s => s.id))
+    };
+}
+
+// Filter für Zeilen der gewählten Saison (für Auswertungen, die alle Zeilen durchlaufen müssen)
+export function inSelectedSeason(row) {
+    const seasonId = getSelectedSeasonId();
+    return seasonId === ALL_SEASONS || !seasons.length || rowSeasonId(row) === seasonId;
+}
+
+/**
+ * Plan für `start_season`: schließt die laufende Saison mit ihrer Abschlusstabelle ab.
+ * @param {Object} options - { name, start_date, reset: { balances, debts, goals } }
+ * @param {Array} matches - alle Matches (für die Abschlusstabelle)
+ */
+export function buildSeasonStart({ name, start_date, reset = {} }, matches = []) {
+    const current = getCurrentSeason();
+    return {
+        name,
+        start_date,
+        reset: { balances: !!reset.balances, debts: !!reset.debts, goals: !!reset.goals },
+        close_season_id: current ? current.id : null,
+        // Die Form wird nur als Ergebnisfolge archiviert, nicht mit den ganzen Matches
+        standings: current
+            ? calculateStandings(filterBySeason(matches, current.id)).map(row => ({ ...row, form: row.form.map(f => f.result) }))
+            : null
+    };
+}
+
+// Auswahlliste für die Saison; `idPrefix` hält die IDs je Tab eindeutig
+export function seasonPickerHtml(idPrefix) {
+    if (!seasons.length) return "";
+    const selected = getSelectedSeasonId();
+    return `
+        <select id="${idPrefix}-season-picker" class="border border-gray-600 bg-gray-700 text-gray-100 rounded-lg p-2 text-sm min-h-[40px]">
+            ${[...seasons].reverse().map(s => `<option value="${s.id}"${s.id === selected ? ' selected' : ''}>${s.name}${s.end_date ? '' : ' (laufend)'}</option>`).join('')}
+            <option value="${ALL_SEASONS}"${selected === ALL_SEASONS ? ' selected' : ''}>Alle Saisons</option>
+        </select>
+    `;
+}
+
+export function attachSeasonPicker(idPrefix, onChange) {
+    const picker = document.getElementById(`${idPrefix}-season-picker`);
+    if (!picker) return;
+    picker.onchange = () => {
+        setSelectedSeasonId(picker.value === ALL_SEASONS ? ALL_SEASONS : parseInt(picker.value, 10));
+        onChange();
+    };
+}
+
+export function resetSeasonsState() {
+    seasons = [];
+    selectedSeasonId = null;
+}
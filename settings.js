@@ -0,0 +1,496 @@
+import { ErrorHandler, DOM } from './utils.js';
+import { supabase } from './supabaseClient.js';
+import { dataManager } from './dataManager.js';
+import { findStatDiscrepancies, buildStatCorrections, buildPlayerIdBackfill } from './matchStats.js';
+import {
+    loadLeagueRules,
+    saveLeagueRules,
+    getLeagueRules,
+    getRulesForDate,
+    getRuleVersions,
+    getCurrentRulesVersion,
+    resetLeagueRulesState
+} from './leagueRules.js';
+import { loadSeasons, getSeasons, getCurrentSeason, buildSeasonStart, matchesSinceStatReset, ledgerResets } from './seasons.js';
+import { reconcileFinances, accountTotals, floorsByDate, ACCOUNT_LABELS } from './ledger.js';
+import { TEAMS } from './standings.js';
+import { GROUP_LABELS } from './squadRules.js';
+
+const PRIZE_FIELDS = [
+    { key: "win", label: "Sieg: Grundbetrag" },
+    { key: "winPerGoalConceded", label: "Sieg: Abzug je Gegentor" },
+    { key: "winPerYellow", label: "Sieg: Abzug je Gelbe Karte" },
+    { key: "winPerRed", label: "Sieg: Abzug je Rote Karte" },
+    { key: "lossBase", label: "Niederlage: Grundbetrag" },
+    { key: "lossPerGoalConceded", label: "Niederlage: je Gegentor" },
+    { key: "lossPerYellow", label: "Niederlage: je Gelbe Karte" },
+    { key: "lossPerRed", label: "Niederlage: je Rote Karte" }
+];
+
+const inputClass = "border border-slate-600 bg-slate-700 text-slate-100 rounded-lg p-3 w-full text-base focus:ring-2 focus:ring-sky-500 focus:border-transparent";
+
+export async function renderSettingsTab(containerId = "app") {
+	console.log("renderSettingsTab aufgerufen!", { containerId });
+    await Promise.all([loadLeagueRules(), loadSeasons()]);
+    renderSettingsTabInner(containerId);
+}
+
+function numberField(name, label, value) {
+    return `
+        <div>
+            <label class="block font-semibold text-slate-200 mb-2" for="rule-${name}">${label}</label>
+            <input type="number" min="0" step="1" id="rule-${name}" name="${name}" value="${value}" class="${inputClass}">
+        </div>
+    `;
+}
+
+function renderSettingsTabInner(containerId = "app") {
+    const app = document.getElementById(containerId);
+    const rules = getLeagueRules();
+    const currentVersion = getCurrentRulesVersion();
+
+    app.innerHTML = `
+        <div class="mb-4">
+            <h2 class="text-lg font-semibold text-slate-100">Ligaregeln</h2>
+            <p class="text-sm text-slate-400 mt-1">Aktuelle Version: ${currentVersion === 0 ? "Standard (v0)" : `v${currentVersion}`}. Änderungen gelten nur für neue Matches.</p>
+        </div>
+        <form id="rules-form" class="space-y-6">
+            <div class="bg-slate-800 rounded-lg p-4 border border-slate-600 space-y-4">
+                <h3 class="font-bold text-base text-slate-100">Preisgeld (€)</h3>
+                <div class="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    ${PRIZE_FIELDS.map(f => numberField(`prizes.${f.key}`, f.label, rules.prizes[f.key])).join('')}
+                    ${numberField("sdsBonus", "Bonus Spieler des Spiels", rules.sdsBonus)}
+                </div>
+            </div>
+            <div class="bg-slate-800 rounded-lg p-4 border border-slate-600 space-y-4">
+                <h3 class="font-bold text-base text-slate-100">Echtgeld & Transfers</h3>
+                <div class="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    ${numberField("echtgeld.base", "Echtgeld-Grundbetrag (€)", rules.echtgeld.base)}
+                    ${numberField("echtgeld.step", "Echtgeld: +1 € je Fehlbetrag von", rules.echtgeld.step)}
+                    ${numberField("transfer.valueMultiplier", "Ablöse = Marktwert ×", rules.transfer.valueMultiplier)}
+                </div>
+            </div>
+            <div class="bg-slate-800 rounded-lg p-4 border border-slate-600 space-y-4">
+                <h3 class="font-bold text-base text-slate-100">Sperren</h3>
+                <div class="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    ${rules.bans.types.map((t, i) => numberField(`banType.${i}`, `Dauer ${t.label}`, t.duration)).join('')}
+                    ${numberField("bans.yellowLimit", "Gelbsperre nach Gelben Karten (0 = aus)", rules.bans.yellowLimit)}
+                    <div>
+                        <label class="block font-semibold text-slate-200 mb-2" for="rule-allowedCounts">Erlaubte Sperrlängen (kommagetrennt)</label>
+                        <input type="text" id="rule-allowedCounts" name="allowedCounts" value="${rules.bans.allowedCounts.join(', ')}" class="${inputClass}">
+                    </div>
+                </div>
+            </div>
+            <div class="bg-slate-800 rounded-lg p-4 border border-slate-600 space-y-4">
+                <h3 class="font-bold text-base text-slate-100">Kader (0 = aus)</h3>
+                <div class="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    ${numberField("squad.minSize", "Mindestgröße Kader", rules.squad.minSize)}
+                    ${numberField("squad.maxSize", "Höchstgröße Kader", rules.squad.maxSize)}
+                    ${numberField("squad.minGoalkeepers", "Mindestens Torhüter", rules.squad.minGoalkeepers)}
+                    ${Object.keys(rules.squad.maxPerGroup).map(group => numberField(`squad.maxPerGroup.${group}`, `Höchstens Spieler ${GROUP_LABELS[group]}`, rules.squad.maxPerGroup[group])).join('')}
+                    ${numberField("squad.maxValue", "Kaderwert höchstens (Mio.)", rules.squad.maxValue)}
+                </div>
+            </div>
+            <div class="bg-slate-800 rounded-lg p-4 border border-slate-600 space-y-4">
+                <h3 class="font-bold text-base text-slate-100">Überziehung</h3>
+                <p class="text-sm text-slate-400">Der Kontostand darf bis zum Rahmen ins Minus fallen. Was darüber hinausgeht, wird als Fehlbetrag gebucht. Ein geänderter Rahmen gilt ab dem Tag der Änderung, ältere Buchungen behalten den alten.</p>
+                <div class="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    ${numberField("finance.overdraftLimit", "Überziehungsrahmen (€)", rules.finance.overdraftLimit)}
+                    <label class="flex items-center gap-2 text-slate-200 font-semibold sm:mt-8">
+                        <input type="checkbox" name="finance.transferBan" ${rules.finance.transferBan ? "checked" : ""}>
+                        Transfersperre, solange ein Team im Minus ist
+                    </label>
+                </div>
+            </div>
+            <div>
+                <label class="block font-semibold text-slate-200 mb-2" for="rule-note">Notiz zur Änderung (optional)</label>
+                <input type="text" id="rule-note" name="note" class="${inputClass}" placeholder="z.B. Neue Saison">
+            </div>
+            <button type="submit" class="bg-gradient-to-r from-sky-500 to-sky-600 hover:from-sky-600 hover:to-sky-700 text-white w-full sm:w-auto px-4 py-3 rounded-lg text-base font-semibold transition-all duration-200 shadow-lg">
+                Als neue Version speichern
+            </button>
+        </form>
+        <div class="mt-8">
+            <h3 class="font-bold text-base mb-2 text-slate-100">Versionen</h3>
+            <div id="rules-versions" class="space-y-2"></div>
+        </div>
+        <div class="mt-8 bg-slate-800 rounded-lg p-4 border border-slate-600">
+            <h3 class="font-bold text-base mb-1 text-slate-100">Tore & Spieler des Spiels</h3>
+            <p class="text-sm text-slate-400 mb-3">Vergleicht die gespeicherten Zähler mit der Match-Historie.</p>
+            <button id="recompute-stats-btn" type="button" class="bg-slate-600 hover:bg-slate-700 text-slate-100 w-full sm:w-auto px-4 py-3 rounded-lg text-base font-semibold transition">
+                Neu berechnen
+            </button>
+            <div id="recompute-report" class="mt-4"></div>
+        </div>
+        <div class="mt-8 bg-slate-800 rounded-lg p-4 border border-slate-600">
+            <h3 class="font-bold text-base mb-1 text-slate-100">Kontostände & Echtgeldschulden</h3>
+            <p class="text-sm text-slate-400 mb-3">Rechnet die Finanzen aus allen Transaktionen nach und zeigt, wo der gespeicherte Stand abweicht.</p>
+            <button id="reconcile-finances-btn" type="button" class="bg-slate-600 hover:bg-slate-700 text-slate-100 w-full sm:w-auto px-4 py-3 rounded-lg text-base font-semibold transition">
+                Abgleichen
+            </button>
+            <div id="reconcile-report" class="mt-4"></div>
+        </div>
+        <div class="mt-8 bg-slate-800 rounded-lg p-4 border border-slate-600">
+            <h3 class="font-bold text-base mb-1 text-slate-100">Spieler-IDs in Matches</h3>
+            <p class="text-sm text-slate-400 mb-3">Ältere Matches speichern Torschützen und SdS noch als Namen. Hier werden sie auf Spieler-IDs umgestellt.</p>
+            <button id="backfill-ids-btn" type="button" class="bg-slate-600 hover:bg-slate-700 text-slate-100 w-full sm:w-auto px-4 py-3 rounded-lg text-base font-semibold transition">
+                IDs nachtragen
+            </button>
+            <div id="backfill-report" class="mt-4"></div>
+        </div>
+        <div class="mt-8 bg-slate-800 rounded-lg p-4 border border-slate-600">
+            <h3 class="font-bold text-base mb-1 text-slate-100">Saisons</h3>
+            ${seasonSectionHtml()}
+        </div>
+    `;
+
+    renderVersionList();
+    document.getElementById("recompute-stats-btn").onclick = checkStatCounters;
+    document.getElementById("reconcile-finances-btn").onclick = checkFinances;
+    document.getElementById("backfill-ids-btn").onclick = backfillMatchPlayerIds;
+    const seasonForm = document.getElementById("season-form");
+    if (seasonForm) seasonForm.onsubmit = submitSeasonForm;
+    document.getElementById("rules-form").onsubmit = e => submitRulesForm(e, rules);
+}
+
+function standingsTableHtml(standings = []) {
+    return `
+        <table class="w-full text-sm text-slate-200 mt-2">
+            <thead>
+                <tr class="text-left text-slate-400">
+                    <th class="p-1">Team</th><th class="p-1">Sp</th><th class="p-1">S</th><th class="p-1">U</th><th class="p-1">N</th><th class="p-1">Tore</th><th class="p-1">Pkt</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${standings.map(row => `
+                    <tr class="border-t border-slate-700">
+                        <td class="p-1 font-semibold">${row.team}</td>
+                        <td class="p-1">${row.games}</td>
+                        <td class="p-1">${row.wins}</td>
+                        <td class="p-1">${row.draws}</td>
+                        <td class="p-1">${row.losses}</td>
+                        <td class="p-1">${row.goalsFor}:${row.goalsAgainst}</td>
+                        <td class="p-1 font-bold">${row.points}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Laufende Saison, Formular für die nächste und Archiv der abgeschlossenen Saisons
+function seasonSectionHtml() {
+    const seasons = getSeasons();
+    if (!seasons.length) {
+        return `<p class="text-sm text-slate-400">Noch keine Saisons angelegt – bitte Abschnitt 14 aus SUPABASE_SETUP.md ausführen.</p>`;
+    }
+    const current = getCurrentSeason();
+    const archive = seasons.filter(s => s.end_date).reverse();
+    const formatDate = date => date ? new Date(date).toLocaleDateString('de-DE') : "-";
+    const checkbox = (name, label) => `
+        <label class="flex items-center gap-2 text-sm text-slate-200">
+            <input type="checkbox" name="${name}" class="h-4 w-4"> ${label}
+        </label>
+    `;
+    return `
+        <p class="text-sm text-slate-400 mb-3">Laufend: <b class="text-slate-200">${current ? current.name : "–"}</b>${current ? ` seit ${formatDate(current.start_date)}` : ""}</p>
+        <form id="season-form" class="space-y-3">
+            <div class="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <input type="text" name="name" required class="${inputClass}" placeholder="Name, z.B. Saison ${seasons.length + 1}" value="Saison ${seasons.length + 1}">
+                <input type="date" name="start_date" required class="${inputClass}" value="${new Date().toISOString().slice(0, 10)}">
+            </div>
+            ${checkbox("reset_balances", "Kontostände auf 0 setzen")}
+            ${checkbox("reset_debts", "Echtgeldschulden auf 0 setzen")}
+            ${checkbox("reset_goals", "Tore und SdS-Zähler zurücksetzen")}
+            <button type="submit" class="bg-amber-600 hover:bg-amber-700 text-white w-full sm:w-auto px-4 py-3 rounded-lg text-base font-semibold transition">
+                Neue Saison starten
+            </button>
+        </form>
+        <h4 class="font-semibold text-sm text-slate-200 mt-6">Archiv</h4>
+        ${archive.length ? archive.map(s => `
+            <div class="bg-slate-700 rounded-lg p-3 mt-2 border border-slate-600">
+                <div class="text-sm text-slate-100"><b>${s.name}</b> <span class="text-slate-400">${formatDate(s.start_date)} – ${formatDate(s.end_date)}</span></div>
+                ${Array.isArray(s.standings) && s.standings.length ? standingsTableHtml(s.standings) : `<div class="text-xs text-slate-400 mt-1">Keine Abschlusstabelle gespeichert.</div>`}
+            </div>
+        `).join('') : `<div class="text-sm text-slate-400 mt-1">Noch keine abgeschlossenen Saisons.</div>`}
+    `;
+}
+
+async function submitSeasonForm(event) {
+    event.preventDefault();
+    const form = event.target;
+    const name = form.name.value.trim();
+    const current = getCurrentSeason();
+    if (!name) return;
+    if (current && form.start_date.value < current.start_date) {
+        alert(`Die neue Saison kann nicht vor dem Start von ${current.name} beginnen.`);
+        return;
+    }
+    if (!confirm(`${current ? `${current.name} abschließen und ` : ""}${name} starten?`)) return;
+
+    const { data: matches, error } = await supabase.from('matches').select('*');
+    if (error) {
+        ErrorHandler.handleDatabaseError(error, 'Saison starten');
+        return;
+    }
+
+    try {
+        await dataManager.startSeason(buildSeasonStart({
+            name,
+            start_date: form.start_date.value,
+            reset: {
+                balances: form.reset_balances.checked,
+                debts: form.reset_debts.checked,
+                goals: form.reset_goals.checked
+            }
+        }, matches || []));
+        await loadSeasons();
+        ErrorHandler.showSuccessMessage(`${name} gestartet`);
+        renderSettingsTabInner();
+    } catch (error) {
+        ErrorHandler.handleDatabaseError(error, 'Saison starten');
+    }
+}
+
+function renderVersionList() {
+    const list = document.getElementById("rules-versions");
+    if (!list) return;
+    const versions = [...getRuleVersions()].reverse();
+    if (!versions.length) {
+        list.innerHTML = `<div class="text-slate-400 text-sm">Noch keine eigenen Regeln gespeichert – es gelten die Standardregeln (v0).</div>`;
+        return;
+    }
+    list.innerHTML = versions.map(v => `
+        <div class="bg-slate-800 rounded-lg p-3 border border-slate-600 text-sm text-slate-200 flex justify-between gap-2">
+            <span><b>v${v.version}</b>${v.note ? ` – ${v.note}` : ""}</span>
+            <span class="text-slate-400">gültig ab ${v.valid_from ? new Date(v.valid_from).toLocaleDateString('de-DE') : "-"}</span>
+        </div>
+    `).join('');
+}
+
+async function submitRulesForm(event, baseRules) {
+    event.preventDefault();
+    const form = event.target;
+    const num = name => parseInt(form.elements[name].value, 10);
+
+    const rules = {
+        prizes: Object.fromEntries(PRIZE_FIELDS.map(f => [f.key, num(`prizes.${f.key}`)])),
+        sdsBonus: num("sdsBonus"),
+        echtgeld: { base: num("echtgeld.base"), step: num("echtgeld.step") },
+        transfer: { valueMultiplier: num("transfer.valueMultiplier") },
+        bans: {
+            types: baseRules.bans.types.map((t, i) => ({ ...t, duration: num(`banType.${i}`) })),
+            allowedCounts: form.allowedCounts.value.split(',').map(v => parseInt(v.trim(), 10)).filter(v => !isNaN(v)),
+            yellowLimit: num("bans.yellowLimit")
+        },
+        squad: {
+            minSize: num("squad.minSize"),
+            maxSize: num("squad.maxSize"),
+            minGoalkeepers: num("squad.minGoalkeepers"),
+            maxPerGroup: Object.fromEntries(Object.keys(baseRules.squad.maxPerGroup).map(group => [group, num(`squad.maxPerGroup.${group}`)])),
+            maxValue: num("squad.maxValue")
+        },
+        finance: {
+            overdraftLimit: num("finance.overdraftLimit"),
+            transferBan: form.elements["finance.transferBan"].checked
+        }
+    };
+
+    try {
+        const version = await saveLeagueRules(rules, form.note.value.trim());
+        ErrorHandler.showSuccessMessage(`Regeln als Version ${version} gespeichert`);
+        renderSettingsTabInner();
+    } catch (error) {
+        ErrorHandler.handleDatabaseError(error, 'Regeln speichern');
+    }
+}
+
+// Schritt 1: Abweichungen nur anzeigen
+async function checkStatCounters() {
+    const report = document.getElementById("recompute-report");
+    report.innerHTML = `<div class="text-slate-400 text-sm">Prüfe...</div>`;
+
+    const [{ data: players, error: errP }, { data: sdsRows, error: errS }, { data: matches, error: errM }] = await Promise.all([
+        supabase.from('players').select('*'),
+        supabase.from('spieler_des_spiels').select('*'),
+        supabase.from('matches').select('*')
+    ]);
+    const error = errP || errS || errM;
+    if (error) {
+        report.innerHTML = "";
+        ErrorHandler.handleDatabaseError(error, 'Zähler prüfen');
+        return;
+    }
+
+    // Nach einem Saisonwechsel mit zurückgesetzten Torzählern zählen nur die Matches seitdem
+    const discrepancies = findStatDiscrepancies(players || [], sdsRows || [], matchesSinceStatReset(matches || []));
+    if (!discrepancies.length) {
+        report.innerHTML = `<div class="text-green-400 text-sm">Alle Zähler stimmen mit der Match-Historie überein.</div>`;
+        return;
+    }
+
+    report.innerHTML = `
+        <div class="text-amber-300 text-sm mb-2">${discrepancies.length} Abweichung(en) gefunden:</div>
+        <div class="overflow-x-auto">
+            <table class="w-full text-sm text-slate-200">
+                <thead>
+                    <tr class="text-left text-slate-400">
+                        <th class="p-1">Spieler</th><th class="p-1">Zähler</th><th class="p-1">Gespeichert</th><th class="p-1">Aus Matches</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${discrepancies.map(d => `
+                        <tr class="border-t border-slate-700">
+                            <td class="p-1">${d.name}${d.team ? ` (${d.team})` : ""}</td>
+                            <td class="p-1">${d.kind === 'goals' ? "Tore" : "SdS"}</td>
+                            <td class="p-1">${d.stored}</td>
+                            <td class="p-1 font-bold">${d.derived}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        <button id="apply-corrections-btn" type="button" class="mt-3 bg-amber-600 hover:bg-amber-700 text-white w-full sm:w-auto px-4 py-3 rounded-lg text-base font-semibold transition">
+            Abweichungen korrigieren
+        </button>
+    `;
+    document.getElementById("apply-corrections-btn").onclick = () => applyStatCorrections(discrepancies);
+}
+
+// Schritt 2: gespeicherte Zähler überschreiben
+async function applyStatCorrections(discrepancies) {
+    if (!confirm(`${discrepancies.length} Zähler mit den Werten aus der Match-Historie überschreiben?`)) return;
+    try {
+        await dataManager.applyStatCorrections(buildStatCorrections(discrepancies));
+        ErrorHandler.showSuccessMessage("Zähler wurden neu berechnet");
+        await checkStatCounters();
+    } catch (error) {
+        ErrorHandler.handleDatabaseError(error, 'Zähler korrigieren');
+    }
+}
+
+function formatEuro(amount) {
+    return `${(amount || 0).toLocaleString('de-DE')} €`;
+}
+
+// Gespeicherte Finanzen gegen das Ledger aus allen Transaktionen
+async function checkFinances() {
+    const report = document.getElementById("reconcile-report");
+    report.innerHTML = `<div class="text-slate-400 text-sm">Prüfe...</div>`;
+
+    const [{ data: financeRows, error: errF }, { data: transactions, error: errT }] = await Promise.all([
+        supabase.from('finances').select('*'),
+        supabase.from('transactions').select('*')
+    ]);
+    if (errF || errT) {
+        report.innerHTML = "";
+        ErrorHandler.handleDatabaseError(errF || errT, 'Finanzen abgleichen');
+        return;
+    }
+
+    const { entries, differences } = reconcileFinances(financeRows || [], transactions || [], ledgerResets(), floorsByDate(getRulesForDate));
+    const totals = Object.entries(accountTotals(entries))
+        .filter(([account, amount]) => amount && !TEAMS.some(team => account.startsWith(`${team} `)))
+        .map(([account, amount]) => `${account} ${formatEuro(amount)}`)
+        .join(" · ");
+    const totalsHtml = totals ? `<div class="text-xs text-slate-400 mt-2">Gegenkonten: ${totals}</div>` : "";
+
+    if (!differences.length) {
+        report.innerHTML = `<div class="text-green-400 text-sm">Kontostände und Schulden stimmen mit den Transaktionen überein.</div>${totalsHtml}`;
+        return;
+    }
+
+    report.innerHTML = `
+        <div class="text-amber-300 text-sm mb-2">${differences.length} Abweichung(en) gefunden:</div>
+        <div class="space-y-3">
+            ${differences.map(d => `
+                <div class="border-t border-slate-700 pt-2 text-sm text-slate-200">
+                    <div class="flex flex-wrap gap-x-4">
+                        <span class="font-semibold">${d.team} · ${ACCOUNT_LABELS[d.account]}</span>
+                        <span>Gespeichert: ${formatEuro(d.stored)}</span>
+                        <span>Aus Transaktionen: <b>${formatEuro(d.derived)}</b></span>
+                        <span class="text-amber-300">Differenz: ${d.difference > 0 ? "+" : ""}${formatEuro(d.difference)}</span>
+                    </div>
+                    ${d.suspects.length ? `
+                        <ul class="mt-1 text-xs text-slate-400 list-disc list-inside">
+                            ${d.suspects.map(({ transaction: t, reason }) => `
+                                <li>#${t.id} ${new Date(t.date).toLocaleDateString('de-DE')} ${t.type} ${formatEuro(t.amount)}${t.info ? ` (${DOM.sanitizeForHTML(t.info)})` : ""}: ${reason}</li>
+                            `).join('')}
+                        </ul>
+                    ` : `<div class="mt-1 text-xs text-slate-400">Keine einzelne Transaktion erklärt die Differenz.</div>`}
+                </div>
+            `).join('')}
+        </div>
+        ${totalsHtml}
+        <button id="apply-ledger-btn" type="button" class="mt-3 bg-amber-600 hover:bg-amber-700 text-white w-full sm:w-auto px-4 py-3 rounded-lg text-base font-semibold transition">
+            Nachgerechnete Stände übernehmen
+        </button>
+    `;
+    document.getElementById("apply-ledger-btn").onclick = () => applyLedgerFinances(differences);
+}
+
+// Gespeicherte Finanzen mit den Werten aus dem Ledger überschreiben
+async function applyLedgerFinances(differences) {
+    if (!confirm(`${differences.length} Stand/Stände mit den Werten aus den Transaktionen überschreiben?`)) return;
+    const updates = {};
+    differences.forEach(d => {
+        updates[d.team] = { ...updates[d.team], [d.account]: d.derived };
+    });
+    try {
+        const results = await Promise.all(Object.entries(updates).map(([team, values]) =>
+            supabase.from('finances').update(values).eq('team', team)
+        ));
+        const failed = results.find(r => r.error);
+        if (failed) throw failed.error;
+        ErrorHandler.showSuccessMessage("Finanzen wurden aus den Transaktionen übernommen");
+        await checkFinances();
+    } catch (error) {
+        ErrorHandler.handleDatabaseError(error, 'Finanzen abgleichen');
+    }
+}
+
+// Namen in älteren Matches per Spielerliste auf IDs umstellen
+async function backfillMatchPlayerIds() {
+    const report = document.getElementById("backfill-report");
+    report.innerHTML = `<div class="text-slate-400 text-sm">Prüfe...</div>`;
+
+    const [{ data: players, error: errP }, { data: matches, error: errM }] = await Promise.all([
+        supabase.from('players').select('*'),
+        supabase.from('matches').select('*')
+    ]);
+    if (errP || errM) {
+        report.innerHTML = "";
+        ErrorHandler.handleDatabaseError(errP || errM, 'Spieler-IDs prüfen');
+        return;
+    }
+
+    const backfill = buildPlayerIdBackfill(matches || [], players || []);
+    const unresolvedHtml = backfill.unresolved.length ? `
+        <div class="text-amber-300 text-sm mt-2">Nicht eindeutig zuordenbar (bitte manuell im Match korrigieren):</div>
+        <ul class="text-sm text-slate-200 list-disc ml-5">
+            ${backfill.unresolved.map(u => `<li>Match ${u.match_id}: ${u.name}</li>`).join('')}
+        </ul>
+    ` : "";
+
+    if (!backfill.matches.length) {
+        report.innerHTML = `<div class="text-green-400 text-sm">Keine Matches mit umstellbaren Namen gefunden.</div>${unresolvedHtml}`;
+        return;
+    }
+    if (!confirm(`${backfill.matches.length} Match(es) auf Spieler-IDs umstellen?`)) {
+        report.innerHTML = unresolvedHtml;
+        return;
+    }
+
+    try {
+        await dataManager.backfillMatchPlayerIds({ matches: backfill.matches });
+        ErrorHandler.showSuccessMessage(`${backfill.matches.length} Match(es) umgestellt`);
+        report.innerHTML = unresolvedHtml;
+    } catch (error) {
+        report.innerHTML = "";
+        ErrorHandler.handleDatabaseError(error, 'Spieler-IDs nachtragen');
+    }
+}
+
+export function resetSettingsState() {
+    resetLeagueRulesState();
+}
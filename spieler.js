@@ -1,11 +1,22 @@
 import { supabase } from './supabaseClient.js';
+import { withDerivedGoals, deriveSdsList } from './matchStats.js';
+import { seasonPickerHtml, attachSeasonPicker, filterBySeason } from './seasons.js';
+import { attachProfileLinks } from './playerProfile.js';
+import { POSITIONS, TEAMS } from './utils.js';
+import { getListState, applyListState, isListFiltered, renderListToolbar } from './listToolbar.js';
+import { comparePlayers, playsPosition } from './playerAttributes.js';
+
+const LIST_TAB = "spieler";
 
 export async function renderSpielerTab(containerId = "app") {
 	console.log("renderSpielerTab aufgerufen!", { containerId });
     const app = document.getElementById(containerId);
     app.innerHTML = `
     <div class="mb-4">
-        <h2 class="text-lg font-semibold mb-3">Spieler-Übersicht</h2>
+        <div class="flex items-center justify-between gap-3 mb-3">
+            <h2 class="text-lg font-semibold">Spieler-Übersicht</h2>
+            ${seasonPickerHtml("spieler")}
+        </div>
         <div class="flex flex-col sm:flex-row gap-3 sm:gap-3">
             <button id="show-tore" class="flex-1 transition-all duration-150 bg-gradient-to-r from-blue-400 to-blue-600 text-white font-bold rounded-xl px-4 py-3 sm:py-2 shadow-lg hover:from-fuchsia-500 hover:to-blue-400 hover:scale-105 focus:ring-2 focus:ring-blue-300 focus:outline-none min-h-[48px] text-sm sm:text-base">
                 <i class="fas fa-futbol mr-2"></i> Torschützen
@@ -15,11 +26,15 @@ export async function renderSpielerTab(containerId = "app") {
             </button>
         </div>
     </div>
+    <div id="spieler-toolbar"></div>
     <div id="spieler-content"></div>
     `;
 
-    document.getElementById('show-tore').onclick = () => renderTorschuetzen();
-    document.getElementById('show-sds').onclick = () => renderSdS();
+    // Aktuelle Ansicht merken, damit ein Saisonwechsel sie neu lädt
+    let currentView = renderTorschuetzen;
+    document.getElementById('show-tore').onclick = () => (currentView = renderTorschuetzen)();
+    document.getElementById('show-sds').onclick = () => (currentView = renderSdS)();
+    attachSeasonPicker("spieler", () => currentView());
 
     // Initialanzeige
     renderTorschuetzen();
@@ -85,42 +100,98 @@ export async function renderSpielerTab(containerId = "app") {
     }
 
     async function renderTorschuetzen() {
-        // Spieler laden
-        const { data: players, error: errP } = await supabase.from('players').select('*');
-        if (errP) {
+        // Spieler und Matches laden – Tore werden aus der Match-Historie abgeleitet
+        const [{ data: players, error: errP }, { data: matches, error: errM }] = await Promise.all([
+            supabase.from('players').select('*'),
+            supabase.from('matches').select('*')
+        ]);
+        if (errP || errM) {
             document.getElementById('spieler-content').innerHTML =
-                `<div class="text-red-700 dark:text-red-300 p-4">Fehler beim Laden der Daten: ${errP?.message || ''}</div>`;
+                `<div class="text-red-700 dark:text-red-300 p-4">Fehler beim Laden der Daten: ${errP?.message || errM?.message || ''}</div>`;
             return;
         }
 
-        let scorerArr = (players || [])
+        const scorerArr = withDerivedGoals(players || [], filterBySeason(matches || []))
             .filter(p => p.goals && p.goals > 0)
-            .map(p => ({
-                team: p.team,
-                name: p.name,
-                goals: p.goals || 0
-            }));
-        scorerArr.sort((a, b) => b.goals - a.goals);
+            .map(p => ({ ...p, count: p.goals || 0 }));
+
+        renderRanking(scorerArr, {
+            countLabel: "Tore",
+            top3Title: "🏆 Top 3 Torschützen",
+            icon: "⚽",
+            emptyText: "Noch keine Tore"
+        });
+    }
+
+    async function renderSdS() {
+        // SdS-Anzahl aus der Match-Historie, Team immer aktuell aus players
+        const [{ data: matches, error }, { data: players }] = await Promise.all([
+            supabase.from('matches').select('*'),
+            supabase.from('players').select('*')
+        ]);
+        if (error) {
+            document.getElementById('spieler-content').innerHTML =
+                `<div class="text-red-700 dark:text-red-300 p-4">Fehler beim Laden der Spieler des Spiels: ${error.message}</div>`;
+            return;
+        }
+        // Position und Marktwert für Filter und Sortierung ergänzen
+        const arr = deriveSdsList(filterBySeason(matches || []), players || [])
+            .map(s => ({ ...(players || []).find(p => p.id === s.id), ...s }));
+
+        renderRanking(arr, {
+            countLabel: "Anzahl SdS",
+            top3Title: "⭐ Top 3 Spieler des Spiels",
+            icon: "⭐",
+            emptyText: "Noch kein Spieler des Spiels vergeben"
+        });
+    }
+
+    // Rangliste mit Toolbar; Platzierung immer nach Anzahl, auch wenn gefiltert oder anders sortiert wird
+    function renderRanking(rows, labels) {
+        const ranked = rows.slice().sort((a, b) => b.count - a.count).map((s, idx) => ({ ...s, rank: idx + 1 }));
+        const renderList = () => renderRankingList(ranked, labels);
+        getListState(LIST_TAB, { sort: "count" });
+        renderListToolbar(document.getElementById('spieler-toolbar'), LIST_TAB, {
+            search: "Spieler suchen…",
+            filters: [
+                { name: "team", label: "Alle Teams", options: TEAMS.map(t => [t, t]) },
+                { name: "position", label: "Alle Positionen", options: POSITIONS.map(pos => [pos, pos]) }
+            ],
+            sorts: { count: labels.countLabel, name: "Name", value: "Marktwert" }
+        }, renderList);
+        renderList();
+    }
 
-        // Top 3 mit Abzeichen
-        const top3 = scorerArr.slice(0, 3);
-        const rest = scorerArr.slice(3);
+    function renderRankingList(ranked, { countLabel, top3Title, icon, emptyText }) {
+        const state = getListState(LIST_TAB);
+        const list = applyListState(ranked, state, {
+            text: s => s.name,
+            filters: {
+                team: (s, team) => s.team === team,
+                position: playsPosition
+            },
+            sorts: { count: (a, b) => a.rank - b.rank, name: comparePlayers("name"), value: comparePlayers("value") }
+        });
+        // Top 3 als Cards nur in der unveränderten Rangliste
+        const showTop3 = !isListFiltered(state) && state.sort === "count";
+        const top3 = showTop3 ? list.slice(0, 3) : [];
+        const rest = showTop3 ? list.slice(3) : list;
 
 		// Card-Ansicht Top 3 - alle in einer Reihe, responsive mit Team-Farben
 		let top3Html = '';
 		if (top3.length) {
 			top3Html = `
 			<div class="mb-4">
-				<div class="text-md font-semibold mb-2 text-gray-200">🏆 Top 3 Torschützen</div>
+				<div class="text-md font-semibold mb-2 text-gray-200">${top3Title}</div>
 				<div class="flex flex-row gap-3 w-full overflow-x-auto pb-2">
 					${top3.map((s, idx) => `
-						<div class="flex-1 min-w-0 w-full p-4 rounded-2xl shadow-lg flex flex-col items-center border-4 border-opacity-90 ${getTeamCardBackground(s.team, idx)}">
+						<div class="flex-1 min-w-0 w-full p-4 rounded-2xl shadow-lg flex flex-col items-center border-4 border-opacity-90 ${getTeamCardBackground(s.team, idx)}" data-player-id="${s.id}">
 							<div class="text-2xl font-extrabold mb-1">${getBadge(idx)}</div>
 							<div class="font-bold mb-0.5 text-base truncate w-full text-center ${getCardClassForTop3(s.team, idx)}">${s.name}</div>
 							<div class="text-xs text-base mb-1 ${getCardClassForTop3(s.team, idx)} flex items-center justify-center">
 								${getTeamIndicator(s.team)}${s.team}
 							</div>
-							<div class="text-2xl text-base font-bold ${getCardClassForTop3(s.team, idx)}">${s.goals} ⚽</div>
+							<div class="text-2xl text-base font-bold ${getCardClassForTop3(s.team, idx)}">${s.count} ${icon}</div>
 						</div>
 					`).join('')}
 				</div>
@@ -139,108 +210,11 @@ export async function renderSpielerTab(containerId = "app") {
                         <th class="p-3 text-left font-semibold text-gray-200">#</th>
                         <th class="p-3 text-left font-semibold text-gray-200">Spieler</th>
                         <th class="p-3 text-left font-semibold text-gray-200">Team</th>
-                        <th class="p-3 text-left font-semibold text-gray-200">Tore</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    ${rest.map((s, idx) => {
-                        let tClass = "";
-                        let borderClass = "";
-                        if (s.team === "Ehemalige") {
-                            tClass = "bg-slate-600 text-slate-200 shadow-sm";
-                            borderClass = "border-l-4 border-slate-400";
-                        }
-                        else if (s.team === "AEK") {
-                            tClass = "bg-blue-700 text-blue-100 shadow-sm";
-                            borderClass = "border-l-4 border-blue-400";
-                        }
-                        else {
-                            tClass = "bg-red-700 text-red-100 shadow-sm";
-                            borderClass = "border-l-4 border-red-400";
-                        }
-                        return `
-                            <tr class="${borderClass} hover:scale-[1.01] transition-transform">
-                                <td class="p-3 text-center font-bold ${tClass}">${idx + 4}</td>
-                                <td class="p-3 font-semibold ${tClass}">${s.name}</td>
-                                <td class="p-3 ${tClass} font-medium flex items-center">
-                                    ${getTeamIndicator(s.team)}${s.team}
-                                </td>
-                                <td class="p-3 font-bold ${tClass} text-center">${s.goals}</td>
-                            </tr>
-                        `;
-                    }).join('')}
-                </tbody>
-            </table>
-            </div>
-            `;
-        } else if (!top3.length) {
-            tableHtml = `<div class="text-gray-400 p-2">Noch keine Tore</div>`;
-        }
-
-        document.getElementById('spieler-content').innerHTML = top3Html + tableHtml;
-    }
-
-    async function renderSdS() {
-        const { data: sdsArr, error } = await supabase.from('spieler_des_spiels').select('*');
-        if (error) {
-            document.getElementById('spieler-content').innerHTML =
-                `<div class="text-red-700 dark:text-red-300 p-4">Fehler beim Laden der Spieler des Spiels: ${error.message}</div>`;
-            return;
-        }
-        // Hole alle Spieler für aktuelle Teams
-        const { data: players } = await supabase.from('players').select('name, team');
-        let arr = [...sdsArr].sort((a, b) => b.count - a.count);
-
-        // Team immer aktuell aus players, fallback auf SdS-Tabelle
-        arr = arr.map(s => {
-            const found = players?.find(p => p.name === s.name);
-            return {
-                ...s,
-                team: found ? found.team : s.team
-            };
-        });
-
-        // Top 3 Cards mit Abzeichen - alle in einer Reihe, responsive
-        const top3 = arr.slice(0, 3);
-        const rest = arr.slice(3);
-
-        let top3Html = '';
-        if (top3.length) {
-            top3Html = `
-            <div class="mb-4">
-                <div class="text-md font-semibold mb-2 text-gray-200">⭐ Top 3 Spieler des Spiels</div>
-                <div class="flex flex-row gap-3 w-full overflow-x-auto pb-2">
-                    ${top3.map((s, idx) => `
-					<div class="flex-1 min-w-0 w-full p-4 rounded-2xl shadow-lg flex flex-col items-center border-4 border-opacity-90 ${getTeamCardBackground(s.team, idx)}">
-                            <div class="text-2xl font-extrabold mb-1">${getBadge(idx)}</div>
-                            <div class="font-bold mb-0.5 text-base truncate w-full text-center ${getCardClassForTop3(s.team, idx)}">${s.name}</div>
-                            <div class="text-xs text-base mb-1 ${getCardClassForTop3(s.team, idx)} flex items-center justify-center">
-                                ${getTeamIndicator(s.team)}${s.team}
-                            </div>
-                            <div class="text-2xl text-base font-bold ${getCardClassForTop3(s.team, idx)}">${s.count} ⭐</div>
-                        </div>
-                    `).join('')}
-                </div>
-            </div>
-            `;
-        }
-
-        // Restliche als Tabelle mit verbessertem Team-Styling
-        let tableHtml = '';
-        if (rest.length) {
-            tableHtml = `
-            <div class="overflow-x-auto">
-            <table class="w-full text-sm bg-gray-800 rounded-lg overflow-hidden shadow-lg">
-                <thead class="bg-gray-700">
-                    <tr>
-                        <th class="p-3 text-left font-semibold text-gray-200">#</th>
-                        <th class="p-3 text-left font-semibold text-gray-200">Spieler</th>
-                        <th class="p-3 text-left font-semibold text-gray-200">Team</th>
-                        <th class="p-3 text-left font-semibold text-gray-200">Anzahl SdS</th>
+                        <th class="p-3 text-left font-semibold text-gray-200">${countLabel}</th>
                     </tr>
                 </thead>
                 <tbody>
-                    ${rest.map((s, idx) => {
+                    ${rest.map(s => {
                         let tClass = "";
                         let borderClass = "";
                         if (s.team === "Ehemalige") {
@@ -257,8 +231,8 @@ export async function renderSpielerTab(containerId = "app") {
                         }
                         return `
                             <tr class="${borderClass} hover:scale-[1.01] transition-transform">
-                                <td class="p-3 text-center font-bold ${tClass}">${idx + 4}</td>
-                                <td class="p-3 font-semibold ${tClass}">${s.name}</td>
+                                <td class="p-3 text-center font-bold ${tClass}">${s.rank}</td>
+                                <td class="p-3 font-semibold ${tClass} hover:underline" data-player-id="${s.id}">${s.name}</td>
                                 <td class="p-3 ${tClass} font-medium flex items-center">
                                     ${getTeamIndicator(s.team)}${s.team}
                                 </td>
@@ -271,10 +245,11 @@ export async function renderSpielerTab(containerId = "app") {
             </div>
             `;
         } else if (!top3.length) {
-            tableHtml = `<div class="text-gray-400 p-2">Noch kein Spieler des Spiels vergeben</div>`;
+            tableHtml = `<div class="text-gray-400 p-2">${ranked.length ? "Keine Spieler für diese Filter." : emptyText}</div>`;
         }
 
         document.getElementById('spieler-content').innerHTML = top3Html + tableHtml;
+        attachProfileLinks(document.getElementById('spieler-content'));
     }
 }
 export function resetSpielerState() {}
\ No newline at end of file
@@ -0,0 +1,81 @@
+/**
+ * Squad Rules
+ * Roster constraints from the league rules (`squad`): min/max squad size, minimum number of goalkeepers,
+ * maximum players per position group and a cap on the total market value (0 = rule off).
+ * A change is only blocked if it makes a rule worse, so a squad that already breaks a rule can still be fixed.
+ */
+import { TEAMS } from './standings.js';
+
+export const POSITION_GROUPS = {
+    th: ["TH"],
+    def: ["IV", "LV", "RV", "ZDM"],
+    mid: ["ZM", "ZOM", "LM", "RM"],
+    att: ["LF", "RF", "ST"]
+};
+
+export const GROUP_LABELS = {
+    th: "Tor",
+    def: "Abwehr",
+    mid: "Mittelfeld",
+    att: "Angriff"
+};
+
+export function positionGroup(position) {
+    return Object.keys(POSITION_GROUPS).find(group => POSITION_GROUPS[group].includes(position)) || null;
+}
+
+function playerValue(player) {
+    return typeof player.value === "number" ? player.value : parseFloat(player.value) || 0;
+}
+
+/**
+ * Verstöße eines Kaders gegen die Kaderregeln.
+ * @param {Array} squad - Spieler eines Teams
+ * @param {Object} rules - `squad`-Teil der Ligaregeln
+ * @returns {Array<{ key, message, excess }>} `excess` = wie weit die Regel verletzt ist
+ */
+export function squadViolations(squad = [], rules = {}) {
+    const violations = [];
+    const add = (key, excess, message) => {
+        if (excess > 0) violations.push({ key, excess, message });
+    };
+
+    const size = squad.length;
+    if (rules.minSize) add("minSize", rules.minSize - size, `mindestens ${rules.minSize} Spieler (aktuell ${size})`);
+    if (rules.maxSize) add("maxSize", size - rules.maxSize, `höchstens ${rules.maxSize} Spieler (aktuell ${size})`);
+
+    const keepers = squad.filter(p => positionGroup(p.position) === "th").length;
+    if (rules.minGoalkeepers) add("minGoalkeepers", rules.minGoalkeepers - keepers, `mindestens ${rules.minGoalkeepers} Torhüter (aktuell ${keepers})`);
+
+    Object.entries(rules.maxPerGroup || {}).forEach(([group, max]) => {
+        if (!max) return;
+        const count = squad.filter(p => positionGroup(p.position) === group).length;
+        add(`group:${group}`, count - max, `höchstens ${max} Spieler im ${GROUP_LABELS[group] || group} (aktuell ${count})`);
+    });
+
+    const total = Math.round(squad.reduce((sum, p) => sum + playerValue(p), 0) * 10) / 10;
+    if (rules.maxValue) add("maxValue", total - rules.maxValue, `Kaderwert höchstens ${rules.maxValue}M (aktuell ${total}M)`);
+
+    return violations;
+}
+
+// Verstöße, die durch eine Änderung neu entstehen oder schlimmer werden
+export function worsenedViolations(before = [], after = [], rules = {}) {
+    const previous = new Map(squadViolations(before, rules).map(v => [v.key, v.excess]));
+    return squadViolations(after, rules).filter(v => v.excess > (previous.get(v.key) || 0));
+}
+
+/**
+ * Prüft einen `transfer_player`-Plan gegen die Kaderregeln beider Teams.
+ * @param {Array} players - alle Spieler mit ihrem aktuellen Team
+ * @returns {Array<string>} Meldungen, leer wenn der Plan erlaubt ist
+ */
+export function checkTransferPlan(plan, players = [], rules = {}) {
+    const moved = new Map(plan.moves.map(m => [m.player_id, m.to_team]));
+    const after = players.map(p => (moved.has(p.id) ? { ...p, team: moved.get(p.id) } : p));
+    return TEAMS.flatMap(team => worsenedViolations(
+        players.filter(p => p.team === team),
+        after.filter(p => p.team === team),
+        rules
+    ).map(v => `${team}: ${v.message}`));
+}
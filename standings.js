@@ -0,0 +1,61 @@
+/**
+ * Standings
+ * Head-to-head table of AEK and Real computed from `matches`: W/D/L, goals, points,
+ * current streak, longest win streak and the form of the last matches.
+ */
+
+export const TEAMS = ["AEK", "Real"];
+export const FORM_LENGTH = 10;
+
+// Ergebnis aus Sicht eines Teams: S(ieg), U(nentschieden), N(iederlage)
+export function matchResult(match, team) {
+    const own = team === "AEK" ? match.goalsa || 0 : match.goalsb || 0;
+    const other = team === "AEK" ? match.goalsb || 0 : match.goalsa || 0;
+    if (own > other) return "S";
+    return own === other ? "U" : "N";
+}
+
+// Älteste zuerst, gleicher Tag nach Eingabereihenfolge
+export function sortChronologically(matches = []) {
+    return [...matches].sort((a, b) => (a.date || "").localeCompare(b.date || "") || a.id - b.id);
+}
+
+// Matches im Zeitraum (Grenzen inklusive, leere Grenzen sind offen)
+export function filterByDateRange(matches = [], from = "", to = "") {
+    return matches.filter(m => (!from || m.date >= from) && (!to || m.date <= to));
+}
+
+/**
+ * @returns {Array} { team, games, wins, draws, losses, goalsFor, goalsAgainst, goalDiff, points,
+ *                    streak: { result, count }, longestWinStreak, form: [{ result, match }] }
+ */
+export function calculateStandings(matches = []) {
+    const ordered = sortChronologically(matches);
+    const table = TEAMS.map(team => {
+        const row = {
+            team, games: 0, wins: 0, draws: 0, losses: 0, goalsFor: 0, goalsAgainst: 0, goalDiff: 0, points: 0,
+            streak: { result: null, count: 0 }, longestWinStreak: 0, form: []
+        };
+        let winRun = 0;
+        ordered.forEach(m => {
+            const result = matchResult(m, team);
+            row.games += 1;
+            row.goalsFor += team === "AEK" ? m.goalsa || 0 : m.goalsb || 0;
+            row.goalsAgainst += team === "AEK" ? m.goalsb || 0 : m.goalsa || 0;
+            if (result === "S") row.wins += 1;
+            else if (result === "U") row.draws += 1;
+            else row.losses += 1;
+
+            winRun = result === "S" ? winRun + 1 : 0;
+            row.longestWinStreak = Math.max(row.longestWinStreak, winRun);
+            row.streak = row.streak.result === result
+                ? { result, count: row.streak.count + 1 }
+                : { result, count: 1 };
+        });
+        row.goalDiff = row.goalsFor - row.goalsAgainst;
+        row.points = row.wins * 3 + row.draws;
+        row.form = ordered.slice(-FORM_LENGTH).map(m => ({ result: matchResult(m, team), match: m }));
+        return row;
+    });
+    return table.sort((x, y) => y.points - x.points || y.goalDiff - x.goalDiff || y.goalsFor - x.goalsFor);
+}
@@ -1,26 +1,120 @@
 import { supabase } from './supabaseClient.js';
+import { withDerivedGoals, matchScorers } from './matchStats.js';
+import { deriveAppearances } from './lineups.js';
+import { seasonPickerHtml, attachSeasonPicker, filterBySeason, inSelectedSeason, balanceResetSeasonIds } from './seasons.js';
+import { calculateStandings, filterByDateRange } from './standings.js';
+import { lineChartSvg, dateRangeHtml, attachDateRange, formatMillions } from './charts.js';
+import { cumulativeWinsSeries, goalsPerMatchdaySeries, balanceSeries } from './timeSeries.js';
+import { EXTERNAL_TEAM, biggestTransfer, netTransferSpend } from './transfers.js';
+import { floorsByDate } from './ledger.js';
+import { getRulesForDate } from './leagueRules.js';
+
+// Zeiträume der Tabelle und der Diagramme (leer = ganze Saison)
+let standingsRange = { from: "", to: "" };
+let chartsRange = { from: "", to: "" };
+
+const FORM_CLASSES = {
+    S: "bg-green-600 text-white",
+    U: "bg-gray-500 text-white",
+    N: "bg-red-600 text-white"
+};
+
+function streakLabel(streak) {
+    if (!streak.count) return "–";
+    const words = { S: "Sieg", U: "Remis", N: "Niederlage" };
+    return `${streak.count}× ${words[streak.result]}`;
+}
+
+function standingsHtml(standings) {
+    return `
+        <div class="overflow-x-auto">
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="text-left text-gray-400">
+                        <th class="py-1 pr-2">Team</th>
+                        <th class="py-1 pr-2">Sp</th>
+                        <th class="py-1 pr-2">S</th>
+                        <th class="py-1 pr-2">U</th>
+                        <th class="py-1 pr-2">N</th>
+                        <th class="py-1 pr-2">Tore</th>
+                        <th class="py-1 pr-2">Diff</th>
+                        <th class="py-1">Pkt</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${standings.map(row => `
+                        <tr class="border-t border-gray-700">
+                            <td class="py-1 pr-2 font-bold ${row.team === "AEK" ? "text-blue-400" : "text-red-400"}">${row.team}</td>
+                            <td class="py-1 pr-2">${row.games}</td>
+                            <td class="py-1 pr-2">${row.wins}</td>
+                            <td class="py-1 pr-2">${row.draws}</td>
+                            <td class="py-1 pr-2">${row.losses}</td>
+                            <td class="py-1 pr-2">${row.goalsFor}:${row.goalsAgainst}</td>
+                            <td class="py-1 pr-2">${row.goalDiff > 0 ? "+" : ""}${row.goalDiff}</td>
+                            <td class="py-1 font-bold">${row.points}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        <div class="flex flex-col gap-2 mt-3 text-sm">
+            ${standings.map(row => `
+                <div class="flex flex-wrap items-center gap-2">
+                    <span class="font-bold w-12 ${row.team === "AEK" ? "text-blue-400" : "text-red-400"}">${row.team}</span>
+                    <span class="flex gap-1">
+                        ${row.form.map(f => `<span class="inline-flex items-center justify-center w-6 h-6 rounded text-xs font-bold ${FORM_CLASSES[f.result]}" title="${f.match.goalsa || 0}:${f.match.goalsb || 0} am ${f.match.date ? new Date(f.match.date).toLocaleDateString('de-DE') : '-'}">${f.result}</span>`).join('') || '<span class="text-gray-400">–</span>'}
+                    </span>
+                    <span class="text-xs text-gray-400">Serie: ${streakLabel(row.streak)} · Längste Siegesserie: ${row.longestWinStreak}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
 
 export async function renderStatsTab(containerId = "app") {
 	console.log("renderStatsTab aufgerufen!", { containerId });
     // Lade Daten
     const [
         { data: bans = [], error: errorBans },
-        { data: matches = [], error: errorMatches },
-        { data: players = [], error: errorPlayers }
+        { data: allMatches = [], error: errorMatches },
+        { data: players = [], error: errorPlayers },
+        { data: transactions = [], error: errorTransactions },
+        { data: allTransfers = [], error: errorTransfers }
     ] = await Promise.all([
         supabase.from('bans').select('*'),
         supabase.from('matches').select('*'),
-        supabase.from('players').select('*')
+        supabase.from('players').select('*'),
+        supabase.from('transactions').select('*'),
+        supabase.from('transfers').select('*')
     ]);
-    if (errorBans || errorMatches || errorPlayers) {
+    if (errorBans || errorMatches || errorPlayers || errorTransactions || errorTransfers) {
         document.getElementById(containerId).innerHTML =
-            `<div class="text-red-700 dark:text-red-300 p-4">Fehler beim Laden der Statistiken: ${errorBans?.message || ''} ${errorMatches?.message || ''} ${errorPlayers?.message || ''}</div>`;
+            `<div class="text-red-700 dark:text-red-300 p-4">Fehler beim Laden der Statistiken: ${errorBans?.message || ''} ${errorMatches?.message || ''} ${errorPlayers?.message || ''} ${errorTransactions?.message || ''} ${errorTransfers?.message || ''}</div>`;
         return;
     }
 
-    // Spielerlisten
-    const aekPlayers = players.filter(p => p.team === "AEK");
-    const realPlayers = players.filter(p => p.team === "Real");
+    // Alle Auswertungen beziehen sich auf die gewählte Saison
+    const matches = filterBySeason(allMatches || []);
+
+    // Tabelle und Form, optional auf einen Zeitraum eingeschränkt
+    const standings = calculateStandings(filterByDateRange(matches, standingsRange.from, standingsRange.to));
+
+    // Verläufe im gewählten Zeitraum; der Kontostand wird aus allen Transaktionen nachgerechnet
+    const chartMatches = filterByDateRange(matches, chartsRange.from, chartsRange.to);
+    const inChartRange = t => inSelectedSeason(t) && (!chartsRange.from || t.date >= chartsRange.from) && (!chartsRange.to || t.date <= chartsRange.to);
+    const chartsHtml = `
+        <div class="text-sm font-semibold text-gray-300 mb-1">Siege (kumuliert)</div>
+        ${lineChartSvg({ series: cumulativeWinsSeries(chartMatches) })}
+        <div class="text-sm font-semibold text-gray-300 mt-4 mb-1">Tore je Spieltag</div>
+        ${lineChartSvg({ series: goalsPerMatchdaySeries(chartMatches) })}
+        <div class="text-sm font-semibold text-gray-300 mt-4 mb-1">Kontostand</div>
+        ${lineChartSvg({ series: balanceSeries(transactions || [], balanceResetSeasonIds(), inChartRange, floorsByDate(getRulesForDate)), formatY: formatMillions })}
+    `;
+
+    // Spielerlisten (Tore aus der Match-Historie)
+    const playersWithGoals = withDerivedGoals(players, matches);
+    const aekPlayers = playersWithGoals.filter(p => p.team === "AEK");
+    const realPlayers = playersWithGoals.filter(p => p.team === "Real");
 
     // Übersicht: Tore, Karten, etc.
     const totalMatches = matches.length;
@@ -133,36 +227,85 @@ export async function renderStatsTab(containerId = "app") {
     const avgGelbB = totalMatches ? (gelbB / totalMatches).toFixed(2) : "0.00";
     const avgRotB = totalMatches ? (rotB / totalMatches).toFixed(2) : "0.00";
 
-    // Meiste Tore eines Spielers
+    // Meiste Tore eines Spielers (Name immer aus der Spielerliste)
     let maxGoalsSingle = 0, maxGoalsPlayer = null;
     matches.forEach(m => {
-        if (m.goalslista) {
-            m.goalslista.forEach(g => {
-                if (g.count > maxGoalsSingle) {
-                    maxGoalsSingle = g.count;
-                    maxGoalsPlayer = aekPlayers.find(p => p.id === g.player_id) || { name: g.player };
-                }
-            });
-        }
-        if (m.goalslistb) {
-            m.goalslistb.forEach(g => {
-                if (g.count > maxGoalsSingle) {
-                    maxGoalsSingle = g.count;
-                    maxGoalsPlayer = realPlayers.find(p => p.id === g.player_id) || { name: g.player };
-                }
-            });
-        }
+        matchScorers(m, players).forEach(s => {
+            if (s.count > maxGoalsSingle) {
+                maxGoalsSingle = s.count;
+                maxGoalsPlayer = s.player || { name: s.name };
+            }
+        });
     });
 
+    // Einsätze aus den Aufstellungen (nur Matches mit erfasster Aufstellung)
+    const appearances = deriveAppearances(matches, players);
+    const appearanceRows = playersWithGoals
+        .filter(p => appearances.has(p.id))
+        .map(p => ({ ...p, ...appearances.get(p.id) }))
+        .sort((a, b) => b.games - a.games || b.minutes - a.minutes);
+    const appearancesHtml = appearanceRows.length ? `
+        <div class="overflow-x-auto">
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="text-left text-gray-400">
+                        <th class="py-1 pr-2">Spieler</th>
+                        <th class="py-1 pr-2">Spiele (Start)</th>
+                        <th class="py-1 pr-2">Minuten</th>
+                        <th class="py-1 pr-2">Tore/Spiel</th>
+                        <th class="py-1">Zu Null</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${appearanceRows.map(p => `
+                        <tr class="border-t border-gray-700">
+                            <td class="py-1 pr-2"><span class="${p.team === "AEK" ? "text-blue-400" : "text-red-400"}">${p.name}</span> <span class="text-xs text-gray-400">${p.position || ""}</span></td>
+                            <td class="py-1 pr-2">${p.games} (${p.starts})</td>
+                            <td class="py-1 pr-2">${p.minutes}</td>
+                            <td class="py-1 pr-2">${(p.goals / p.games).toFixed(2)}</td>
+                            <td class="py-1">${p.position === "TH" ? p.cleanSheets : "–"}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    ` : `<div class="text-sm text-gray-400">Noch keine Aufstellungen erfasst.</div>`;
+
+    // Transfers der Saison: größter Transfer und Transferbilanz je Team
+    const transfers = filterBySeason(allTransfers || []);
+    const topTransfer = biggestTransfer(transfers);
+    const topTransferPlayer = topTransfer && (players || []).find(p => p.id === topTransfer.player_id);
+    const transferSpend = netTransferSpend(transfers);
+    const spendHtml = team => `<span class="${transferSpend[team] > 0 ? 'text-red-400' : 'text-green-400'}">Netto-${transferSpend[team] > 0 ? 'Ausgaben' : 'Einnahmen'}: <b>${formatMillions(Math.abs(transferSpend[team]))}</b></span>`;
+
     // --- HTML ---
     const app = document.getElementById(containerId);
     app.innerHTML = `
         <div class="mb-4 flex items-center gap-2">
             <span class="text-3xl">📊</span>
             <h2 class="text-2xl font-bold">Statistiken</h2>
+            <span class="ml-auto">${seasonPickerHtml("stats")}</span>
         </div>
         <div class="flex flex-col gap-6">
 
+            <!-- Tabelle -->
+            <div class="rounded-xl shadow border bg-gray-800 p-4 mb-2">
+                <div class="flex flex-wrap items-center gap-2 mb-2">
+                    <div class="font-bold text-lg mr-auto">Tabelle</div>
+                    ${dateRangeHtml("standings", standingsRange)}
+                </div>
+                ${standings[0].games ? standingsHtml(standings) : `<div class="text-sm text-gray-400">Keine Matches im gewählten Zeitraum.</div>`}
+            </div>
+
+            <!-- Verlauf -->
+            <div class="rounded-xl shadow border bg-gray-800 p-4 mb-2">
+                <div class="flex flex-wrap items-center gap-2 mb-2">
+                    <div class="font-bold text-lg mr-auto">Verlauf</div>
+                    ${dateRangeHtml("charts", chartsRange)}
+                </div>
+                ${chartsHtml}
+            </div>
+
             <!-- Übersicht -->
             <div class="rounded-xl shadow border bg-gray-800 p-4 mb-2">
                 <div class="font-bold text-lg mb-1">Übersicht</div>
@@ -190,6 +333,22 @@ export async function renderStatsTab(containerId = "app") {
                 </div>
             </div>
 
+            <!-- Transfers -->
+            <div class="rounded-xl shadow border bg-gray-800 p-4 mb-2">
+                <div class="font-bold text-lg mb-2">Transfers</div>
+                ${transfers.length ? `
+                    <div class="text-sm mb-2">
+                        <span class="font-semibold">Größter Transfer:</span>
+                        ${topTransferPlayer?.name || "?"} (${topTransfer.from_team || EXTERNAL_TEAM} → ${topTransfer.to_team}) für <b>${formatMillions(topTransfer.fee || 0)}</b>
+                        <span class="text-gray-400">am ${new Date(topTransfer.date).toLocaleDateString('de-DE')}</span>
+                    </div>
+                    <div class="flex flex-col gap-1 text-sm">
+                        <div><span class="font-bold text-blue-400">AEK</span> ${spendHtml("AEK")} <span class="text-gray-400">(${transfers.filter(t => t.to_team === "AEK" || t.from_team === "AEK").length} Transfers)</span></div>
+                        <div><span class="font-bold text-red-400">Real</span> ${spendHtml("Real")} <span class="text-gray-400">(${transfers.filter(t => t.to_team === "Real" || t.from_team === "Real").length} Transfers)</span></div>
+                    </div>
+                ` : `<div class="text-sm text-gray-400">Noch keine Transfers in dieser Saison.</div>`}
+            </div>
+
             <!-- Sperren -->
             <div class="rounded-xl shadow border bg-gray-800 p-4 mb-2">
                 <div class="flex items-center gap-2 font-bold text-lg mb-2">
@@ -278,9 +437,25 @@ export async function renderStatsTab(containerId = "app") {
                     </div>
                 </div>
             </div>
+
+            <!-- Einsätze -->
+            <div class="rounded-xl shadow border bg-gray-800 p-4 mb-2">
+                <div class="font-bold text-lg mb-2">Einsätze</div>
+                ${appearancesHtml}
+            </div>
         </div>
     `;
 
+    attachSeasonPicker("stats", () => renderStatsTab(containerId));
+    attachDateRange("standings", standingsRange, range => {
+        standingsRange = range;
+        renderStatsTab(containerId);
+    });
+    attachDateRange("charts", chartsRange, range => {
+        chartsRange = range;
+        renderStatsTab(containerId);
+    });
+
     // Button-Logik für die Sperren-Tabelle
     if (bans.length) {
         setTimeout(() => {
@@ -295,4 +470,7 @@ export async function renderStatsTab(containerId = "app") {
         }, 0);
     }
 }
-export function resetStatsState() {}
\ No newline at end of file
+export function resetStatsState() {
+    standingsRange = { from: "", to: "" };
+    chartsRange = { from: "", to: "" };
+}
\ No newline at end of file
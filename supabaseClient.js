@@ -1,3 +1,5 @@
+import { ledgerRule, ledgerFloors, newFloorHits } from './ledger.js';
+
 // Enhanced Supabase configuration with better error handling and performance
 const supabaseConfig = {
   auth: {
@@ -53,8 +55,8 @@ const createFallbackClient = () => {
       { id: 4, teama: 'AEK', teamb: 'Real', goalsa: 2, goalsb: 2, date: '2024-08-05', created_at: '2024-08-05', manofthematch: 'Max Müller', goalslista: ['Max Müller', 'Tim Fischer'], goalslistb: ['Jan Becker', 'Paul Klein'] }
     ],
     bans: [
-      { id: 1, player_id: 1, matches_remaining: 2, reason: 'Gelb-Rot Karte', created_at: '2024-08-01' },
-      { id: 2, player_id: 5, matches_remaining: 1, reason: 'Unsportlichkeit', created_at: '2024-08-05' }
+      { id: 1, player_id: 1, team: 'AEK', type: 'Rote Karte', totalgames: 2, matchesserved: 0, reason: 'Gelb-Rot Karte', created_at: '2024-08-01' },
+      { id: 2, player_id: 5, team: 'Real', type: 'Gelb-Rote Karte', totalgames: 1, matchesserved: 0, reason: 'Unsportlichkeit', created_at: '2024-08-05' }
     ],
     transactions: [
       { id: 1, amount: -50000, info: 'Spielerkauf: Max Müller', team: 'AEK', date: '2024-08-10', type: 'Spielerkauf', match_id: null },
@@ -80,6 +82,15 @@ const createFallbackClient = () => {
       { id: 1, team: 'AEK', budget: 150000, created_at: '2024-01-01' },
       { id: 2, team: 'Real', budget: 175000, created_at: '2024-01-01' }
     ],
+    settings: [],
+    ban_servings: [],
+    player_value_history: [],
+    transfers: [],
+    settlements: [],
+    transaction_audit: [],
+    seasons: [
+      { id: 1, name: 'Saison 1', start_date: '2024-08-01', end_date: null, standings: null, reset: null, created_at: '2024-08-01' }
+    ],
     spieler_des_spiels: [
       { id: 1, name: 'Max Müller', team: 'AEK', count: 3, created_at: '2024-08-01' },
       { id: 2, name: 'Jan Becker', team: 'Real', count: 2, created_at: '2024-08-05' },
@@ -152,7 +163,592 @@ const createFallbackClient = () => {
     
     return data;
   };
-  
+
+  const nextId = (tableName) => Math.max(0, ...(sampleData[tableName] || []).map(item => item.id || 0)) + 1;
+
+  // Default of matches.season_id and transactions.season_id: the running season
+  const currentSeasonId = () => [...sampleData.seasons].reverse().find(s => !s.end_date)?.id ?? null;
+  const withSeason = (table, row) =>
+    ['matches', 'transactions', 'transfers'].includes(table) && row.season_id == null ? { ...row, season_id: currentSeasonId() } : row;
+
+  // Stand-in for the trigger on players.value: every new market value lands in player_value_history
+  const recordValueChange = (player, previousValue) => {
+    if (player.value == null || player.value === previousValue) return;
+    sampleData.player_value_history.push({
+      id: nextId('player_value_history'), player_id: player.id, value: player.value,
+      date: new Date().toISOString().slice(0, 10), created_at: new Date().toISOString()
+    });
+  };
+
+  // Shared steps of the match procedures
+  const addSds = (sds) => {
+    const entry = sampleData.spieler_des_spiels.find(s => s.name === sds.name && s.team === sds.team);
+    if (entry) {
+      entry.count = (entry.count || 0) + 1;
+    } else {
+      sampleData.spieler_des_spiels.push({
+        id: nextId('spieler_des_spiels'), name: sds.name, team: sds.team, count: 1, created_at: new Date().toISOString()
+      });
+    }
+  };
+
+  const removeSds = (sds) => {
+    const entry = sampleData.spieler_des_spiels.find(s => s.name === sds.name && s.team === sds.team);
+    if (entry) {
+      entry.count = Math.max(0, (entry.count || 0) - 1);
+    }
+  };
+
+  // Match transactions belong to the season of their match, also when an older match is edited
+  const insertMatchTransactions = (transactions, matchId) => {
+    const seasonId = sampleData.matches.find(m => m.id === matchId)?.season_id ?? currentSeasonId();
+    (transactions || []).forEach(tx => {
+      sampleData.transactions.push({ ...tx, season_id: seasonId, id: nextId('transactions'), match_id: matchId });
+    });
+  };
+
+  // Bans caused by cards are linked to their match; bans that stay keep their served games
+  const replaceMatchBans = (bans, matchId) => {
+    const sameBan = (a, b) => a.player_id === b.player_id && a.type === b.type;
+    sampleData.bans = sampleData.bans.filter(b => b.match_id !== matchId || (bans || []).some(n => sameBan(n, b)));
+    sampleData.ban_servings = sampleData.ban_servings.filter(s => sampleData.bans.some(b => b.id === s.ban_id));
+    (bans || []).forEach(ban => {
+      const existing = sampleData.bans.find(b => b.match_id === matchId && sameBan(b, ban));
+      if (existing) {
+        Object.assign(existing, {
+          team: ban.team,
+          totalgames: ban.totalgames,
+          reason: ban.reason,
+          matchesserved: Math.min(existing.matchesserved || 0, ban.totalgames)
+        });
+      } else {
+        sampleData.bans.push({ ...ban, id: nextId('bans'), matchesserved: 0, match_id: matchId, created_at: new Date().toISOString() });
+      }
+    });
+  };
+
+  // Gives back exactly the games a match served
+  const reverseBanServings = (matchId) => {
+    sampleData.ban_servings.filter(s => s.match_id === matchId).forEach(serving => {
+      const ban = sampleData.bans.find(b => b.id === serving.ban_id);
+      if (ban) {
+        ban.matchesserved = Math.max(0, (ban.matchesserved || 0) - 1);
+      }
+    });
+    sampleData.ban_servings = sampleData.ban_servings.filter(s => s.match_id !== matchId);
+  };
+
+  const setFinances = (finances) => {
+    (finances || []).forEach(fin => {
+      const row = sampleData.finances.find(f => f.team === fin.team);
+      if (!row) {
+        throw new Error(`Finanzen für ${fin.team} nicht gefunden`);
+      }
+      row.balance = fin.balance;
+      row.debt = fin.debt;
+    });
+  };
+
+  // Overdraft limit of the rules version valid on a date (as getRulesForDate in leagueRules.js)
+  const overdraftLimitOn = (date) => {
+    const version = sampleData.settings
+      .filter(v => v.valid_from && date && v.valid_from <= date)
+      .sort((a, b) => a.version - b.version)
+      .pop();
+    return version?.rules?.finance?.overdraftLimit || 0;
+  };
+
+  // Bookings a change would newly push onto a floor, replayed with season resets and the limit per date
+  // (as ledger_clamps in SUPABASE_SETUP.md)
+  const floorHits = (before, after) => {
+    const resets = {
+      balance: new Set(sampleData.seasons.filter(s => s.reset?.balances).map(s => s.id)),
+      debt: new Set(sampleData.seasons.filter(s => s.reset?.debts).map(s => s.id))
+    };
+    const floors = t => ledgerFloors({ finance: { overdraftLimit: overdraftLimitOn(t.date) } });
+    return newFloorHits(before, after, resets, floors);
+  };
+
+  // In-memory stand-ins for the Postgres functions from SUPABASE_SETUP.md.
+  // They mirror the SQL versions: every write happens or none does.
+  const procedures = {
+    record_match: ({ plan } = {}) => {
+      if (!plan || !plan.match) {
+        throw new Error('record_match: Match-Daten fehlen');
+      }
+
+      const matchId = nextId('matches');
+      sampleData.matches.push({ ...withSeason('matches', plan.match), id: matchId, created_at: new Date().toISOString() });
+
+      (plan.goals || []).forEach(goal => {
+        const player = sampleData.players.find(p => p.id === goal.player_id);
+        if (!player) {
+          throw new Error(`Spieler ${goal.player_id} nicht gefunden`);
+        }
+        player.goals = (player.goals || 0) + goal.count;
+      });
+
+      if (plan.sds) {
+        addSds(plan.sds);
+      }
+
+      // Only bans of the teams that played are served
+      if (Array.isArray(plan.serve_bans)) {
+        sampleData.bans.forEach(ban => {
+          if (plan.serve_bans.includes(ban.team) && (ban.totalgames || 1) - (ban.matchesserved || 0) > 0) {
+            ban.matchesserved = (ban.matchesserved || 0) + 1;
+            sampleData.ban_servings.push({
+              id: nextId('ban_servings'), ban_id: ban.id, match_id: matchId, created_at: new Date().toISOString()
+            });
+          }
+        });
+      }
+      replaceMatchBans(plan.bans, matchId);
+
+      insertMatchTransactions(plan.transactions, matchId);
+      setFinances(plan.finances);
+
+      return matchId;
+    },
+
+    // Edit: goals are deltas against the stored match, transactions are replaced by match_id
+    update_match: ({ plan } = {}) => {
+      const match = plan && sampleData.matches.find(m => m.id === plan.match_id);
+      if (!match) {
+        throw new Error(`Match ${plan?.match_id} nicht gefunden`);
+      }
+      Object.assign(match, plan.match);
+
+      (plan.goals || []).forEach(goal => {
+        const player = sampleData.players.find(p => p.id === goal.player_id);
+        if (!player) {
+          if (goal.count > 0) {
+            throw new Error(`Spieler ${goal.player_id} nicht gefunden`);
+          }
+          return;
+        }
+        player.goals = Math.max(0, (player.goals || 0) + goal.count);
+      });
+
+      if (plan.sds_remove) {
+        removeSds(plan.sds_remove);
+      }
+      if (plan.sds) {
+        addSds(plan.sds);
+      }
+
+      replaceMatchBans(plan.bans, plan.match_id);
+      sampleData.transactions = sampleData.transactions.filter(t => t.match_id !== plan.match_id);
+      insertMatchTransactions(plan.transactions, plan.match_id);
+      setFinances(plan.finances);
+
+      return plan.match_id;
+    },
+
+    // Overwrites stored goal and SdS counters with values derived from the match history
+    apply_stat_corrections: ({ plan } = {}) => {
+      (plan?.goals || []).forEach(fix => {
+        const player = sampleData.players.find(p => p.id === fix.id);
+        if (!player) {
+          throw new Error(`Spieler ${fix.id} nicht gefunden`);
+        }
+        player.goals = fix.goals;
+      });
+
+      (plan?.sds || []).forEach(fix => {
+        sampleData.spieler_des_spiels = sampleData.spieler_des_spiels.filter(s => s.name !== fix.name);
+        if (fix.count > 0) {
+          sampleData.spieler_des_spiels.push({
+            id: nextId('spieler_des_spiels'), name: fix.name, team: fix.team, count: fix.count, created_at: new Date().toISOString()
+          });
+        }
+      });
+
+      return (plan?.goals || []).length + (plan?.sds || []).length;
+    },
+
+    // Replaces legacy player names in matches with player ids
+    backfill_match_player_ids: ({ plan } = {}) => {
+      (plan?.matches || []).forEach(fix => {
+        const match = sampleData.matches.find(m => m.id === fix.id);
+        if (!match) {
+          throw new Error(`Match ${fix.id} nicht gefunden`);
+        }
+        Object.assign(match, {
+          goalslista: fix.goalslista,
+          goalslistb: fix.goalslistb,
+          manofthematch_id: fix.manofthematch_id,
+          manofthematch: fix.manofthematch
+        });
+      });
+
+      return (plan?.matches || []).length;
+    },
+
+    // Closes the running season and opens the next one, optionally resetting balances, debts and goal tallies
+    start_season: ({ plan } = {}) => {
+      if (!plan || !plan.name || !plan.start_date) {
+        throw new Error('start_season: Name und Startdatum fehlen');
+      }
+      const running = sampleData.seasons.find(s => s.id === plan.close_season_id);
+      if (running) {
+        running.end_date = plan.start_date;
+        running.standings = plan.standings;
+        ['matches', 'transactions'].forEach(table => {
+          sampleData[table].filter(row => row.season_id == null).forEach(row => { row.season_id = running.id; });
+        });
+      }
+
+      const seasonId = nextId('seasons');
+      sampleData.seasons.push({
+        id: seasonId, name: plan.name, start_date: plan.start_date, end_date: null,
+        standings: null, reset: plan.reset || null, created_at: new Date().toISOString()
+      });
+
+      if (plan.reset?.balances) sampleData.finances.forEach(f => { f.balance = 0; });
+      if (plan.reset?.debts) sampleData.finances.forEach(f => { f.debt = 0; });
+      if (plan.reset?.goals) {
+        sampleData.players.forEach(p => { p.goals = 0; });
+        sampleData.spieler_des_spiels = [];
+      }
+
+      return seasonId;
+    },
+
+    // Moves players, records the transfers and books fees and balances; returns the transfer ids
+    transfer_player: ({ plan } = {}) => {
+      if (!plan || !(plan.moves || []).length) {
+        throw new Error('transfer_player: Wechsel fehlen');
+      }
+      const transferIds = plan.moves.map(move => {
+        const player = sampleData.players.find(p => p.id === move.player_id);
+        if (!player) {
+          throw new Error(`Spieler ${move.player_id} nicht gefunden`);
+        }
+        player.team = move.to_team;
+
+        const transferId = nextId('transfers');
+        sampleData.transfers.push({
+          ...withSeason('transfers', {}), id: transferId, player_id: move.player_id, from_team: move.from_team,
+          to_team: move.to_team, fee: move.fee, date: plan.date, kind: move.kind || 'transfer',
+          loan_until: move.loan_until || null, created_at: new Date().toISOString()
+        });
+        return transferId;
+      });
+
+      (plan.transactions || []).forEach(({ move, ...tx }) => {
+        sampleData.transactions.push({
+          ...withSeason('transactions', tx), id: nextId('transactions'), match_id: null, transfer_id: transferIds[move || 0]
+        });
+        const fin = sampleData.finances.find(f => f.team === tx.team);
+        if (!fin) {
+          throw new Error(`Finanzen für ${tx.team} nicht gefunden`);
+        }
+        fin.balance = (fin.balance || 0) + tx.amount;
+        // Nur Zahlungen müssen gedeckt sein (bis zum Überziehungsrahmen), Einnahmen sind immer erlaubt
+        if (tx.amount < 0 && fin.balance < -overdraftLimitOn(tx.date || plan.date)) {
+          throw new Error(`Kontostand von ${tx.team} zu gering für diesen Transfer`);
+        }
+      });
+
+      return transferIds;
+    },
+
+    // New player from outside: creates the player and books the purchase through transfer_player; returns the player id
+    sign_player: ({ plan } = {}) => {
+      if (!plan?.player?.name) {
+        throw new Error('sign_player: Spieler fehlt');
+      }
+      const player = { ...plan.player, id: nextId('players'), created_at: new Date().toISOString() };
+      sampleData.players.push(player);
+      recordValueChange(player);
+      procedures.transfer_player({
+        plan: { ...plan.transfer, moves: (plan.transfer?.moves || []).map(move => ({ ...move, player_id: player.id })) }
+      });
+      return player.id;
+    },
+
+    // Records real-money payments (or a netting of both debts) and lowers the debts; returns the settlement ids.
+    // The two rows of a netting point to each other (counterpart_id).
+    // With plan.reverse, takes payments back instead: settlement and booking go, the debt returns
+    settle_debt: ({ plan } = {}) => {
+      if ((plan?.reverse || []).length) {
+        const requested = plan.reverse.map(settlementId => {
+          const settlement = sampleData.settlements.find(s => s.id === settlementId);
+          if (!settlement) {
+            throw new Error(`Zahlung ${settlementId} nicht gefunden`);
+          }
+          if (settlement.method === 'Verrechnung' && !settlement.counterpart_id) {
+            throw new Error(`Verrechnung ${settlementId} hat keine Gegenzeile`);
+          }
+          return settlement;
+        });
+        // A netting is always taken back together with its counterpart
+        const ids = [...new Set(requested.flatMap(s => [s.id, ...(s.counterpart_id ? [s.counterpart_id] : [])]))];
+        return ids.map(settlementId => {
+          const settlement = sampleData.settlements.find(s => s.id === settlementId);
+          const fin = sampleData.finances.find(f => f.team === settlement.team);
+          if (!fin) {
+            throw new Error(`Finanzen für ${settlement.team} nicht gefunden`);
+          }
+          fin.debt = (fin.debt || 0) + settlement.amount;
+
+          sampleData.transactions.filter(t => t.settlement_id === settlementId).forEach(t => {
+            sampleData.transaction_audit.push({
+              id: nextId('transaction_audit'), transaction_id: t.id, action: 'delete',
+              before: { date: t.date, type: t.type, team: t.team, amount: t.amount, info: t.info, settlement },
+              after: null, created_at: new Date().toISOString()
+            });
+          });
+          sampleData.transactions = sampleData.transactions.filter(t => t.settlement_id !== settlementId);
+          sampleData.settlements = sampleData.settlements.filter(s => s.id !== settlementId);
+          return settlementId;
+        });
+      }
+      if (!plan || !(plan.payments || []).length) {
+        throw new Error('settle_debt: Zahlungen fehlen');
+      }
+      if (plan.netting && plan.payments.length !== 2) {
+        throw new Error('settle_debt: eine Verrechnung braucht genau zwei Zahlungen');
+      }
+      const settlementIds = plan.payments.map(payment => {
+        if (!(payment.amount > 0)) {
+          throw new Error('settle_debt: Betrag muss größer als 0 sein');
+        }
+        // The debt is checked as it stands today; an earlier date would be measured elsewhere in the ledger
+        if (sampleData.transactions.some(t => t.team === payment.team && ledgerRule(t.type).account === 'debt' && t.date > plan.date)) {
+          throw new Error(`Zahlung von ${payment.team} liegt vor der letzten Schuldbuchung`);
+        }
+        const fin = sampleData.finances.find(f => f.team === payment.team);
+        if (!fin) {
+          throw new Error(`Finanzen für ${payment.team} nicht gefunden`);
+        }
+        fin.debt = (fin.debt || 0) - payment.amount;
+        if (fin.debt < 0) {
+          throw new Error(`Zahlung von ${payment.team} übersteigt die Echtgeldschulden`);
+        }
+
+        const settlementId = nextId('settlements');
+        sampleData.settlements.push({
+          id: settlementId, date: plan.date, team: payment.team, amount: payment.amount,
+          method: payment.method, note: payment.note || null, created_at: new Date().toISOString()
+        });
+        sampleData.transactions.push({
+          ...withSeason('transactions', {}), id: nextId('transactions'), date: plan.date, type: 'Echtgeld-Zahlung',
+          team: payment.team, amount: -payment.amount, info: payment.info || null, match_id: null, settlement_id: settlementId
+        });
+        return settlementId;
+      });
+      if (plan.netting) {
+        const [first, second] = settlementIds;
+        sampleData.settlements.find(s => s.id === first).counterpart_id = second;
+        sampleData.settlements.find(s => s.id === second).counterpart_id = first;
+      }
+      return settlementIds;
+    },
+
+    // Books a manual transaction; a shortfall is booked right before it and points to it (shortfall_of)
+    book_transaction: ({ plan } = {}) => {
+      if (!plan || !plan.transaction) {
+        throw new Error('book_transaction: Buchung fehlt');
+      }
+      const book = row => {
+        const id = nextId('transactions');
+        sampleData.transactions.push({ ...withSeason('transactions', row), id, match_id: null });
+        return id;
+      };
+      const shortfallId = plan.shortfall ? book(plan.shortfall) : null;
+      const transactionId = book(plan.transaction);
+      if (shortfallId) {
+        sampleData.transactions.find(t => t.id === shortfallId).shortfall_of = transactionId;
+      }
+      setFinances(plan.finances);
+      return transactionId;
+    },
+
+    // Edits, deletes or reverses one booking; the finance changes and the audit entry come from the
+    // stored row. A linked shortfall goes or is reversed with it. Refused if the replayed ledger would
+    // clamp any booking that was not clamped before.
+    change_transaction: ({ plan } = {}) => {
+      const original = sampleData.transactions.find(t => t.id === plan?.transaction_id);
+      if (!original) {
+        throw new Error(`Transaktion ${plan?.transaction_id} nicht gefunden`);
+      }
+      if (original.match_id || original.settlement_id) {
+        throw new Error('Diese Buchung wird über ihr Match bzw. ihre Zahlung verwaltet');
+      }
+      if (sampleData.transactions.some(t => t.reversal_of === original.id)) {
+        throw new Error(`Transaktion ${original.id} wurde bereits storniert`);
+      }
+      if (plan.action === 'edit' && (original.transfer_id || original.reversal_of)) {
+        throw new Error('Transfer- und Stornobuchungen lassen sich nicht bearbeiten');
+      }
+      if (plan.action === 'delete' && original.transfer_id) {
+        throw new Error('Transferbuchungen lassen sich nur stornieren');
+      }
+      if (original.shortfall_of) {
+        throw new Error('Ein Fehlbetrag ändert sich nur mit seiner Buchung');
+      }
+      const shortfall = sampleData.transactions.find(t => t.shortfall_of === original.id);
+      if (plan.action === 'edit' && shortfall) {
+        throw new Error('Buchungen mit Fehlbetrag lassen sich nur löschen oder stornieren');
+      }
+
+      const pick = row => Object.fromEntries(['date', 'type', 'team', 'amount', 'info'].map(key => [key, row[key] ?? null]));
+      const deltas = {};
+      const book = (row, sign) => {
+        const delta = deltas[row.team] || (deltas[row.team] = { balance: 0, debt: 0 });
+        delta[ledgerRule(row.type).account] += sign * (row.amount || 0);
+      };
+      const before = pick(original);
+      const previous = sampleData.transactions.map(t => ({ ...t }));
+      let after = null;
+      let resultId = original.id;
+      const audit = [];
+      if (plan.action === 'edit') {
+        after = pick({ ...before, ...plan.values });
+        book(before, -1);
+        book(after, 1);
+        Object.assign(original, after);
+      } else if (plan.action === 'delete') {
+        book(before, -1);
+        if (shortfall) {
+          book(shortfall, -1);
+          audit.push({ transaction_id: shortfall.id, action: 'delete', before: pick(shortfall), after: null });
+        }
+        sampleData.transactions = sampleData.transactions.filter(t => t.id !== original.id && t !== shortfall);
+      } else if (plan.action === 'reverse') {
+        if (original.reversal_of) {
+          throw new Error('Ein Storno kann nicht storniert werden');
+        }
+        after = { ...pick(plan.reversal || {}), type: original.type, team: original.team, amount: -(original.amount || 0) };
+        book(after, 1);
+        resultId = nextId('transactions');
+        sampleData.transactions.push({ ...withSeason('transactions', after), id: resultId, match_id: null, reversal_of: original.id });
+        // Der Fehlbetrag wird direkt nach dem Storno zurückgebucht und gehört zu ihm
+        if (shortfall) {
+          const shortfallReversal = {
+            date: after.date, type: shortfall.type, team: shortfall.team, amount: -(shortfall.amount || 0),
+            info: `Storno #${shortfall.id}${shortfall.info ? `: ${shortfall.info}` : ''}`
+          };
+          book(shortfallReversal, 1);
+          sampleData.transactions.push({
+            ...withSeason('transactions', shortfallReversal), id: nextId('transactions'), match_id: null,
+            reversal_of: shortfall.id, shortfall_of: resultId
+          });
+          audit.push({ transaction_id: shortfall.id, action: 'reverse', before: pick(shortfall), after: shortfallReversal });
+        }
+      } else {
+        throw new Error(`Unbekannte Aktion ${plan.action}`);
+      }
+
+      Object.entries(deltas).forEach(([team, delta]) => {
+        const fin = sampleData.finances.find(f => f.team === team);
+        if (!fin) {
+          throw new Error(`Finanzen für ${team} nicht gefunden`);
+        }
+        fin.balance = (fin.balance || 0) + delta.balance;
+        fin.debt = (fin.debt || 0) + delta.debt;
+      });
+
+      const hit = floorHits(previous, sampleData.transactions)[0];
+      if (hit) {
+        throw new Error(`Buchung ${hit.transaction.id} fiele nach der Änderung unter die Untergrenze`);
+      }
+
+      [...audit, { transaction_id: original.id, action: plan.action, before, after }].forEach(entry => {
+        sampleData.transaction_audit.push({ id: nextId('transaction_audit'), ...entry, created_at: new Date().toISOString() });
+      });
+      return resultId;
+    },
+
+    delete_match: ({ plan } = {}) => {
+      if (!plan || !plan.match_id) {
+        throw new Error('delete_match: Match-ID fehlt');
+      }
+
+      // Goals of players that no longer exist are simply skipped
+      (plan.goals || []).forEach(goal => {
+        const player = sampleData.players.find(p => p.id === goal.player_id);
+        if (player) {
+          player.goals = Math.max(0, (player.goals || 0) - goal.count);
+        }
+      });
+
+      if (plan.sds) {
+        removeSds(plan.sds);
+      }
+
+      reverseBanServings(plan.match_id);
+      replaceMatchBans([], plan.match_id);
+      sampleData.transactions = sampleData.transactions.filter(t => t.match_id !== plan.match_id);
+      setFinances(plan.finances);
+
+      sampleData.matches = sampleData.matches.filter(m => m.id !== plan.match_id);
+
+      return plan.match_id;
+    },
+
+    apply_undo: ({ plan } = {}) => {
+      const tables = ['players', 'matches', 'bans', 'ban_servings', 'transactions', 'finances',
+        'spieler_des_spiels', 'transfers', 'player_value_history'];
+      const matches = (row, match) => Object.entries(match || {}).every(([key, value]) => row[key] === value);
+
+      (plan?.steps || []).forEach(step => {
+        if (!tables.includes(step.table)) {
+          throw new Error(`Tabelle ${step.table} kann nicht wiederhergestellt werden`);
+        }
+        if (step.op !== 'insert' && !Object.keys(step.match || {}).length) {
+          throw new Error('apply_undo: Bedingung fehlt');
+        }
+        const rows = sampleData[step.table];
+        switch (step.op) {
+          case 'insert':
+            // Gelöschte Zeilen kommen mit ihrer alten ID zurück. Das Löschen im Demo-Modus
+            // kaskadiert nicht, übrig gebliebene Zeilen werden deshalb ersetzt.
+            sampleData[step.table] = rows.filter(r => r.id !== step.row.id).concat({ ...step.row });
+            if (step.table === 'players') {
+              recordValueChange(step.row);
+            }
+            break;
+          case 'update':
+            rows.filter(r => matches(r, step.match)).forEach(r => Object.assign(r, step.values));
+            break;
+          case 'increment':
+            rows.filter(r => matches(r, step.match)).forEach(r => {
+              Object.entries(step.values).forEach(([key, delta]) => { r[key] = (r[key] || 0) + delta; });
+            });
+            break;
+          case 'delete':
+            sampleData[step.table] = rows.filter(r => !matches(r, step.match));
+            break;
+          default:
+            throw new Error(`Unbekannter Schritt ${step.op}`);
+        }
+      });
+
+      return null;
+    }
+  };
+
+  // Run a procedure against the sample data, restoring the snapshot if it throws
+  const runProcedure = (fnName, params) => {
+    const procedure = procedures[fnName];
+    if (!procedure) {
+      return Promise.resolve({ data: null, error: new Error(`Funktion ${fnName} nicht verfügbar`) });
+    }
+
+    const snapshot = JSON.parse(JSON.stringify(sampleData));
+    try {
+      const data = procedure(params);
+      return Promise.resolve({ data, error: null });
+    } catch (error) {
+      Object.keys(sampleData).forEach(key => delete sampleData[key]);
+      Object.assign(sampleData, snapshot);
+      return Promise.resolve({ data: null, error });
+    }
+  };
+
   const mockClient = {
     auth: {
       getSession: () => {
@@ -387,12 +983,18 @@ const createFallbackClient = () => {
         insert: (data) => {
           console.warn('Supabase insert not available in demo mode - simulating success');
           // Simulate successful insert
-          const newId = Math.max(...(sampleData[table] || []).map(item => item.id || 0)) + 1;
-          const newItem = { id: newId, ...data, created_at: new Date().toISOString() };
-          if (sampleData[table]) {
-            sampleData[table].push(newItem);
-          }
-          return Promise.resolve({ data: [newItem], error: null });
+          const rows = Array.isArray(data) ? data : [data];
+          const newItems = rows.map(row => {
+            const newItem = { id: nextId(table), ...withSeason(table, row), created_at: new Date().toISOString() };
+            if (sampleData[table]) {
+              sampleData[table].push(newItem);
+            }
+            if (table === 'players') {
+              recordValueChange(newItem);
+            }
+            return newItem;
+          });
+          return Promise.resolve({ data: newItems, error: null });
         },
         update: (data) => {
           console.warn('Supabase update not available in demo mode - simulating success');
@@ -400,7 +1002,11 @@ const createFallbackClient = () => {
           queryState = {};
           // Update the sample data
           filteredData.forEach(item => {
+            const previousValue = item.value;
             Object.assign(item, data);
+            if (table === 'players') {
+              recordValueChange(item, previousValue);
+            }
           });
           return Promise.resolve({ data: filteredData, error: null });
         },
@@ -420,6 +1026,7 @@ const createFallbackClient = () => {
       
       return queryBuilder;
     },
+    rpc: (fnName, params = {}) => runProcedure(fnName, params),
     channel: (channelName = 'default') => {
       console.warn('⚠️ Supabase realtime not available - using enhanced fallback simulation');
       
@@ -686,7 +1293,7 @@ if (typeof window !== 'undefined') {
     }
 }
 
-export { supabase, usingFallback };
+export { supabase, usingFallback, createFallbackClient };
 
 // Enhanced wrapper with better connection handling and metrics
 class SupabaseWrapper {
@@ -10,6 +10,28 @@ const urlsToCache = [
   '/finanzen.js',
   '/spieler.js',
   '/stats.js',
+  '/settings.js',
+  '/leagueRules.js',
+  '/matchSettlement.js',
+  '/matchStats.js',
+  '/matchCards.js',
+  '/lineups.js',
+  '/seasons.js',
+  '/standings.js',
+  '/charts.js',
+  '/timeSeries.js',
+  '/playerProfile.js',
+  '/transfers.js',
+  '/transferDialog.js',
+  '/squadRules.js',
+  '/playerAttributes.js',
+  '/listToolbar.js',
+  '/undo.js',
+  '/ledger.js',
+  '/balances.js',
+  '/debtSettlement.js',
+  '/transactionEdits.js',
+  '/transactionFilters.js',
   '/modal.js',
   '/utils.js',
   '/supabaseClient.js',
@@ -0,0 +1,92 @@
+/**
+ * Time Series
+ * Chart series derived from `matches` and `transactions`: cumulative wins, goals per matchday,
+ * rolling averages and the balance trajectory rebuilt from the transaction history.
+ * Every builder returns series for `lineChartSvg` (`[{ label, color, points: [{ x, y, detail }] }]`).
+ */
+import { CHART_COLORS } from './charts.js';
+import { TEAMS, matchResult, sortChronologically } from './standings.js';
+import { replayLedger } from './ledger.js';
+
+function formatDate(date) {
+    return date ? new Date(date).toLocaleDateString('de-DE') : "-";
+}
+
+// Kumulierte Siege je Team, ein Punkt pro Match
+export function cumulativeWinsSeries(matches = []) {
+    const ordered = sortChronologically(matches);
+    return TEAMS.map(team => {
+        let wins = 0;
+        return {
+            label: `Siege ${team}`,
+            color: CHART_COLORS[team],
+            points: ordered.map(m => {
+                if (matchResult(m, team) === "S") wins += 1;
+                return { x: formatDate(m.date), y: wins, detail: `AEK ${m.goalsa || 0}:${m.goalsb || 0} Real` };
+            })
+        };
+    });
+}
+
+// Gleitender Durchschnitt über die letzten `size` Werte
+export function rollingAverage(values = [], size = 5) {
+    return values.map((_, i) => {
+        const slice = values.slice(Math.max(0, i - size + 1), i + 1);
+        return Math.round((slice.reduce((sum, v) => sum + v, 0) / slice.length) * 100) / 100;
+    });
+}
+
+// Tore je Spieltag (ein Tag = ein Spieltag) und gleitender Schnitt der Gesamttore
+export function goalsPerMatchdaySeries(matches = [], window = 5) {
+    const days = new Map();
+    sortChronologically(matches).forEach(m => {
+        const day = days.get(m.date) || { AEK: 0, Real: 0, games: 0 };
+        day.AEK += m.goalsa || 0;
+        day.Real += m.goalsb || 0;
+        day.games += 1;
+        days.set(m.date, day);
+    });
+    const entries = [...days.entries()];
+    const averages = rollingAverage(entries.map(([, d]) => d.AEK + d.Real), window);
+    return [
+        ...TEAMS.map(team => ({
+            label: `Tore ${team}`,
+            color: CHART_COLORS[team],
+            points: entries.map(([date, d]) => ({ x: formatDate(date), y: d[team], detail: `${d.games} Spiel(e)` }))
+        })),
+        {
+            label: `Ø Tore (${window} Spieltage)`,
+            color: CHART_COLORS.neutral,
+            dashed: true,
+            points: entries.map(([date], i) => ({ x: formatDate(date), y: averages[i] }))
+        }
+    ];
+}
+
+/**
+ * Kontostände nach jeder Transaktion, nachgerechnet mit dem Ledger (ledger.js):
+ * Echtgeld-Buchungen zählen zu den Schulden, der Kontostand fällt nicht unter seine Untergrenze.
+ * Beide Reihen haben einen Punkt je Transaktion, damit sie dieselbe x-Achse teilen.
+ * @param {Array} transactions - alle Transaktionen (für den korrekten Anfangsstand)
+ * @param {Set} resetSeasonIds - Saisons, zu deren Beginn die Kontostände auf 0 gesetzt wurden
+ * @param {Function} [include] - welche Transaktionen als Punkte erscheinen (z.B. Saison, Zeitraum)
+ * @param {Object|Function} [floors] - Untergrenzen je Transaktion (`floorsByDate`) oder fest aus `ledgerFloors`
+ */
+export function balanceSeries(transactions = [], resetSeasonIds = new Set(), include = () => true, floors) {
+    const { entries } = replayLedger(transactions, { balance: resetSeasonIds }, floors);
+    const balances = { AEK: 0, Real: 0 };
+    const series = TEAMS.map(team => ({ label: `Kontostand ${team}`, color: CHART_COLORS[team], points: [] }));
+
+    entries.forEach(({ transaction: t, team, account, after }) => {
+        if (account !== "balance") return;
+        balances[team] = after;
+        // Saisonresets ändern nur den Stand, ohne eigenen Punkt
+        if (!t || !include(t)) return;
+        series.forEach((s, i) => s.points.push({
+            x: formatDate(t.date),
+            y: balances[TEAMS[i]],
+            detail: TEAMS[i] === t.team ? `${t.type}: ${(t.amount || 0).toLocaleString('de-DE')} €${t.info ? ` (${t.info})` : ""}` : ""
+        }));
+    });
+    return series;
+}
@@ -0,0 +1,136 @@
+/**
+ * Transaction Edits
+ * Booking, editing, deleting and reversing single bookings in Finanzen. A new booking goes through
+ * `book_transaction` together with the Fehlbetrag that keeps the balance on the overdraft limit; the
+ * Fehlbetrag points to its booking (`shortfall_of`) and only changes with it. Each change is one plan for
+ * `change_transaction`, which works out the finance changes and the audit entry from the stored row.
+ * Before and after a change the whole ledger is replayed: a change that would push any booking, however
+ * late, onto a floor is refused (`transactionChangeErrors`, the same check as on the server).
+ * Bookings created by a match or an Echtgeld payment are protected, transfer bookings can only be
+ * reversed; a reversal points to its original (`reversal_of`).
+ */
+import { TEAMS } from './standings.js';
+import { ledgerFloors, applyTransaction, shortfallFor, newFloorHits, ACCOUNT_FLOORS, ACCOUNT_LABELS } from './ledger.js';
+
+export const CHANGE_LABELS = {
+    edit: "Bearbeitet",
+    delete: "Gelöscht",
+    reverse: "Storniert"
+};
+
+const EDITABLE_FIELDS = ["date", "type", "team", "amount", "info"];
+
+/**
+ * Welche Aktionen eine Buchung erlaubt.
+ * @param {Array} transactions - alle Transaktionen (um Stornos zu finden)
+ * @returns {Object} { edit, delete, reverse, reason } – reason erklärt, was gesperrt ist
+ */
+export function transactionActions(transaction, transactions = []) {
+    const none = reason => ({ edit: false, delete: false, reverse: false, reason });
+    if (transaction.match_id) return none("Gehört zu einem Match – Änderungen über das Match");
+    if (transaction.settlement_id) return none("Gehört zu einer Echtgeld-Zahlung – zurücknehmen im Echtgeld-Verlauf");
+    if (transaction.shortfall_of) return none(`Fehlbetrag zu #${transaction.shortfall_of} – ändert sich mit dieser Buchung`);
+    const reversal = transactions.find(t => t.reversal_of === transaction.id);
+    if (reversal) return none(`Storniert durch #${reversal.id}`);
+    // Ein Storno kann nur als Ganzes zurückgenommen werden
+    if (transaction.reversal_of) return { edit: false, delete: true, reverse: false, reason: `Storno von #${transaction.reversal_of}` };
+    if (transaction.transfer_id) return { edit: false, delete: false, reverse: true, reason: "Gehört zu einem Transfer – nur Storno möglich" };
+    // Der Fehlbetrag hing am alten Stand; ein anderer Betrag braucht eine neue Buchung
+    if (linkedShortfall(transaction, transactions)) return { edit: false, delete: true, reverse: true, reason: "Mit Fehlbetrag gebucht – nur Löschen oder Storno" };
+    return { edit: true, delete: true, reverse: true, reason: null };
+}
+
+// Fehlbetrag, der für diese Buchung gebucht wurde (oder dessen Storno zu diesem Storno gehört)
+export function linkedShortfall(transaction, transactions = []) {
+    return transactions.find(t => t.shortfall_of === transaction.id) || null;
+}
+
+function pickRow(transaction) {
+    return Object.fromEntries(EDITABLE_FIELDS.map(key => [key, transaction[key] ?? null]));
+}
+
+/**
+ * Plan für `book_transaction`: die Buchung, ein Fehlbetrag davor, falls sie unter den Überziehungsrahmen
+ * fiele, und der neue Stand des Teams.
+ * @param {Object} state - { balance, debt } des Teams vor der Buchung
+ */
+export function buildTransactionBooking(transaction, state, rules) {
+    const shortfall = shortfallFor(state, transaction, rules?.finance?.overdraftLimit);
+    // Konto und Untergrenze nach denselben Regeln wie das Ledger
+    const booking = applyTransaction(state, transaction, ledgerFloors(rules));
+    return {
+        transaction: pickRow(transaction),
+        shortfall: shortfall ? pickRow(shortfall) : null,
+        finances: [{ team: transaction.team, balance: state?.balance || 0, debt: state?.debt || 0, [booking.account]: booking.after }]
+    };
+}
+
+/**
+ * Plan für `change_transaction`.
+ * @param {string} action - "edit", "delete" oder "reverse"
+ * @param {Object} original - die Buchung, wie sie gespeichert ist
+ * @param {Object} [values] - neue Werte (nur "edit")
+ * @param {string} [date] - Datum des Stornos (nur "reverse")
+ */
+export function buildTransactionChange(action, original, values = {}, date = new Date().toISOString().slice(0, 10)) {
+    const before = pickRow(original);
+    const plan = { action, transaction_id: original.id };
+    if (action === "edit") {
+        plan.values = pickRow({ ...before, ...values });
+    } else if (action === "reverse") {
+        plan.reversal = {
+            date,
+            type: before.type,
+            team: before.team,
+            amount: -(before.amount || 0),
+            info: `Storno #${original.id}${before.info ? `: ${before.info}` : ""}`,
+            reversal_of: original.id
+        };
+    }
+    return plan;
+}
+
+/**
+ * Transaktionen, wie `change_transaction` sie nach dem Plan hinterlässt; ein verknüpfter Fehlbetrag
+ * fällt mit weg bzw. wird mit storniert. Neue Zeilen haben noch keine ID.
+ */
+export function applyTransactionChange(plan, transactions = []) {
+    const original = transactions.find(t => t.id === plan.transaction_id);
+    if (!original) return transactions;
+    const shortfall = linkedShortfall(original, transactions);
+    if (plan.action === "edit") {
+        return transactions.map(t => (t === original ? { ...t, ...plan.values } : t));
+    }
+    if (plan.action === "delete") {
+        return transactions.filter(t => t !== original && t !== shortfall);
+    }
+    const reversals = [{ ...plan.reversal }];
+    if (shortfall) {
+        reversals.push({ date: plan.reversal.date, type: shortfall.type, team: shortfall.team, amount: -(shortfall.amount || 0), reversal_of: shortfall.id });
+    }
+    return [...transactions, ...reversals];
+}
+
+/**
+ * Prüft eine Änderung gegen den ganzen Verlauf: nachgespielt darf keine Buchung – auch keine spätere –
+ * an den Überziehungsrahmen bzw. unter 0 Echtgeldschulden stoßen, die es vorher nicht tat.
+ * @param {Array} transactions - alle Transaktionen
+ * @param {Object} resets - Saisonresets (`ledgerResets` aus seasons.js)
+ * @param {Object|Function} floors - Untergrenzen (`floorsByDate`)
+ * @returns {Array<string>} Fehlermeldungen
+ */
+export function transactionChangeErrors(plan, transactions = [], resets = {}, floors = ACCOUNT_FLOORS) {
+    const errors = [];
+    if (plan.values) {
+        if (!TEAMS.includes(plan.values.team)) errors.push("Bitte ein Team wählen");
+        if (!plan.values.type) errors.push("Bitte einen Typ wählen");
+        if (!plan.values.date) errors.push("Bitte ein Datum angeben");
+        if (typeof plan.values.amount !== "number" || isNaN(plan.values.amount)) errors.push("Der Betrag muss eine Zahl sein");
+        if (errors.length) return errors;
+    }
+    newFloorHits(transactions, applyTransactionChange(plan, transactions), resets, floors).forEach(({ transaction, team, account, clamped }) => {
+        const when = new Date(transaction.date).toLocaleDateString('de-DE');
+        errors.push(`${ACCOUNT_LABELS[account]} von ${team} fiele am ${when} (${transaction.type}) um ${clamped.toLocaleString('de-DE')} € unter die Untergrenze`);
+    });
+    return errors;
+}
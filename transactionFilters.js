@@ -0,0 +1,68 @@
+/**
+ * Transaction Filters
+ * Categories, filters and subtotals for the transaction list in Finanzen. The filters live in the
+ * list toolbar state (`listToolbar.js`): team, category, amount range, date range and a free-text
+ * search in `info`. `categoryTotals` sums the filtered bookings per category and team.
+ */
+import { TEAMS } from './standings.js';
+import { applyListState } from './listToolbar.js';
+
+export const MANUAL_CATEGORY = "Manuell";
+
+// Kategorie → Transaktionstypen; alles andere zählt als manuelle Buchung
+export const TRANSACTION_CATEGORIES = {
+    "Preisgeld": ["Preisgeld"],
+    "Bonus SdS": ["Bonus SdS", "SdS Bonus"],
+    "Spielerkauf": ["Spielerkauf"],
+    "Spielerverkauf": ["Spielerverkauf"],
+    "Echtgeld-Ausgleich": ["Echtgeld-Ausgleich", "Echtgeld-Ausgleich (getilgt)", "Echtgeld-Zahlung"],
+    // automatisch gebucht, wenn ein Konto unter den Überziehungsrahmen fiele (ledger.js)
+    "Fehlbetrag": ["Fehlbetrag"],
+    [MANUAL_CATEGORY]: []
+};
+
+export function transactionCategory(transaction) {
+    const type = transaction.type || "Sonstiges";
+    return Object.keys(TRANSACTION_CATEGORIES).find(category => TRANSACTION_CATEGORIES[category].includes(type)) || MANUAL_CATEGORY;
+}
+
+const FILTERS = {
+    team: (t, team) => t.team === team,
+    category: (t, category) => transactionCategory(t) === category,
+    minAmount: (t, min) => (t.amount || 0) >= Number(min),
+    maxAmount: (t, max) => (t.amount || 0) <= Number(max),
+    from: (t, from) => (t.date || "") >= from,
+    to: (t, to) => (t.date || "") <= to
+};
+
+/**
+ * Transaktionen nach dem Zustand der Toolbar, neueste zuerst.
+ * @param {Object} state - Toolbar-Zustand ({ search, filters: { team, category, minAmount, maxAmount, from, to } })
+ */
+export function filterTransactions(transactions = [], state) {
+    return applyListState(transactions, { ...state, sort: "newest" }, {
+        text: t => t.info,
+        filters: FILTERS,
+        sorts: { newest: (a, b) => (b.date || "").localeCompare(a.date || "") || b.id - a.id }
+    });
+}
+
+/**
+ * Zwischensummen je Kategorie in der Reihenfolge von `TRANSACTION_CATEGORIES`; Kategorien ohne Buchung fehlen.
+ * @returns {Array} [{ category, count, total, teams: { AEK, Real } }]
+ */
+export function categoryTotals(transactions = []) {
+    const totals = Object.keys(TRANSACTION_CATEGORIES).map(category => ({
+        category,
+        count: 0,
+        total: 0,
+        teams: Object.fromEntries(TEAMS.map(team => [team, 0]))
+    }));
+    transactions.forEach(t => {
+        const row = totals.find(r => r.category === transactionCategory(t));
+        row.count++;
+        row.total += t.amount || 0;
+        if (TEAMS.includes(t.team)) row.teams[t.team] += t.amount || 0;
+    });
+    return totals.filter(row => row.count);
+}
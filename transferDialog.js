@@ -0,0 +1,142 @@
+/**
+ * Transfer Dialog
+ * Modal for moving a player: transfer with a negotiated fee (also directly between AEK and Real),
+ * swap with an optional top-up, or loan with a return date. Every option is written as one plan
+ * through `transfer_player`, after checking the squad rules, the transfer ban of overdrawn teams and
+ * that the paying team can afford it, and can be undone from the toast afterwards.
+ */
+import { showModal, hideModal } from './modal.js';
+import { ErrorHandler } from './utils.js';
+import { getLeagueRules } from './leagueRules.js';
+import { TEAMS } from './standings.js';
+import { transferFee, buildTransferPlan, buildSwapPlan, transferShortfalls, transferBans } from './transfers.js';
+import { checkTransferPlan } from './squadRules.js';
+import { transferWithUndo } from './undo.js';
+
+const TEAM_OPTIONS = ["AEK", "Real", "Ehemalige"];
+const INPUT_CLASS = "border border-slate-600 bg-slate-700 text-slate-100 rounded-lg p-3 w-full text-base placeholder-slate-400 focus:ring-2 focus:ring-sky-500 focus:border-transparent";
+
+function otherTeam(team) {
+    return team === "AEK" ? "Real" : "AEK";
+}
+
+/**
+ * @param {Object} options
+ * @param {Object} options.player - Spieler, der wechselt
+ * @param {Array} options.players - alle Spieler (Tauschpartner und Kaderregeln)
+ * @param {Object} options.balances - { AEK, Real } aktuelle Kontostände
+ * @param {string} [options.toTeam] - vorausgewähltes Ziel
+ */
+export function openTransferDialog({ player, players = [], balances = {}, toTeam = null }) {
+    const inTeam = TEAMS.includes(player.team);
+    const targets = TEAM_OPTIONS.filter(t => t !== player.team && (inTeam || TEAMS.includes(t)));
+    const partners = inTeam ? players.filter(p => p.team === otherTeam(player.team)) : [];
+    const marketValue = transferFee(player) / getLeagueRules().transfer.valueMultiplier;
+    const minLoanDate = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    showModal(`
+        <form id="transfer-form" class="space-y-4 w-full">
+            <div>
+                <div class="text-lg font-semibold">Transfer: ${player.name}</div>
+                <div class="text-sm text-slate-400">${player.team} · ${player.position} · Marktwert ${marketValue}M</div>
+            </div>
+            <select name="kind" class="${INPUT_CLASS}">
+                <option value="transfer">Transfer</option>
+                ${inTeam ? `<option value="swap"${partners.length ? "" : " disabled"}>Tausch</option>` : ""}
+                ${inTeam ? `<option value="loan">Leihe an ${otherTeam(player.team)}</option>` : ""}
+            </select>
+
+            <div id="transfer-fields-transfer" class="space-y-4">
+                <select name="to_team" class="${INPUT_CLASS}">
+                    ${targets.map(t => `<option value="${t}"${t === toTeam ? " selected" : ""}>Zu ${t}</option>`).join("")}
+                </select>
+                <input type="number" min="0" step="0.1" name="fee" class="${INPUT_CLASS}" placeholder="Ablöse (M)" value="${marketValue}">
+            </div>
+
+            <div id="transfer-fields-swap" class="space-y-4 hidden">
+                <select name="partner" class="${INPUT_CLASS}">
+                    <option value="">Tauschpartner wählen</option>
+                    ${partners.map(p => `<option value="${p.id}">${p.name} (${p.position}, ${p.value || 0}M)</option>`).join("")}
+                </select>
+                <input type="number" min="0" step="0.1" name="top_up" class="${INPUT_CLASS}" placeholder="Zuzahlung (M)" value="0">
+                <select name="payer" class="${INPUT_CLASS}">
+                    ${TEAMS.map(t => `<option value="${t}">Zuzahlung durch ${t}</option>`).join("")}
+                </select>
+            </div>
+
+            <div id="transfer-fields-loan" class="space-y-4 hidden">
+                <input type="number" min="0" step="0.1" name="loan_fee" class="${INPUT_CLASS}" placeholder="Leihgebühr (M)" value="0">
+                <label class="block text-sm text-slate-300">Rückgabe am
+                    <input type="date" name="loan_until" min="${minLoanDate}" class="${INPUT_CLASS} mt-1">
+                </label>
+            </div>
+
+            <div class="flex gap-3 pt-4">
+                <button type="submit" class="bg-gradient-to-r from-sky-500 to-sky-600 hover:from-sky-600 hover:to-sky-700 text-white w-full px-4 py-3 rounded-lg text-base font-semibold transition-all duration-200 shadow-lg hover:shadow-xl active:scale-95">Durchführen</button>
+                <button type="button" class="bg-slate-600 hover:bg-slate-700 text-slate-100 w-full px-4 py-3 rounded-lg text-base font-medium transition-all duration-200 active:scale-95" onclick="window.hideModal()">Abbrechen</button>
+            </div>
+        </form>
+    `);
+
+    const form = document.getElementById("transfer-form");
+    form.kind.onchange = () => {
+        ["transfer", "swap", "loan"].forEach(kind => {
+            document.getElementById(`transfer-fields-${kind}`).classList.toggle("hidden", form.kind.value !== kind);
+        });
+    };
+    form.onsubmit = (e) => submitTransferForm(e, player, players, balances);
+}
+
+async function submitTransferForm(event, player, players, balances) {
+    event.preventDefault();
+    const form = event.target;
+    const multiplier = getLeagueRules().transfer.valueMultiplier;
+    const toAmount = input => Math.round((parseFloat(input.value) || 0) * multiplier);
+    const kind = form.kind.value;
+    let plan;
+
+    if (kind === "swap") {
+        const partner = players.find(p => p.id === parseInt(form.partner.value, 10));
+        if (!partner) {
+            alert("Bitte einen Tauschpartner wählen!");
+            return;
+        }
+        plan = buildSwapPlan(player, partner, toAmount(form.top_up), form.payer.value);
+    } else if (kind === "loan") {
+        const loanUntil = form.loan_until.value;
+        if (!loanUntil || loanUntil <= new Date().toISOString().slice(0, 10)) {
+            alert("Das Rückgabedatum muss in der Zukunft liegen!");
+            return;
+        }
+        plan = buildTransferPlan(player, player.team, otherTeam(player.team), toAmount(form.loan_fee), undefined, { kind: "loan", loanUntil });
+    } else {
+        plan = buildTransferPlan(player, player.team, form.to_team.value, toAmount(form.fee));
+    }
+
+    if (plan.moves.some(m => m.fee < 0)) {
+        alert("Beträge dürfen nicht negativ sein!");
+        return;
+    }
+    const violations = checkTransferPlan(plan, players, getLeagueRules().squad);
+    if (violations.length) {
+        alert("Kaderregeln verletzt:\n- " + violations.join("\n- "));
+        return;
+    }
+    const bans = transferBans(plan, balances);
+    if (bans.length) {
+        alert(`Transfersperre: ${bans.join(" und ")} ist überzogen und darf keine Spieler holen!`);
+        return;
+    }
+    const shortfalls = transferShortfalls(plan, balances);
+    if (shortfalls.length) {
+        alert(`Kontostand von ${shortfalls.join(" und ")} zu gering für diesen Transfer!`);
+        return;
+    }
+
+    try {
+        await transferWithUndo(plan, kind === "swap" ? "Tausch durchgeführt" : kind === "loan" ? `${player.name} verliehen` : `${player.name} transferiert`);
+        hideModal();
+    } catch (error) {
+        ErrorHandler.handleDatabaseError(error, 'Transfer');
+    }
+}
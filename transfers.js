@@ -0,0 +1,142 @@
+/**
+ * Transfers
+ * Structured transfer records (`transfers`) and the market value history (`player_value_history`,
+ * filled by a trigger whenever `players.value` changes). Builds the write plans for `transfer_player`
+ * (transfers with a negotiated fee, swaps with a top-up, loans and their return) and the figures
+ * shown in Kader, Stats and the player profile.
+ */
+import { TEAMS } from './standings.js';
+import { getLeagueRules, getRulesForDate } from './leagueRules.js';
+import { overdraftStatus } from './ledger.js';
+
+export const EXTERNAL_TEAM = "Extern";
+export const TRANSFER_KINDS = {
+    transfer: "Transfer",
+    swap: "Tausch",
+    loan: "Leihe",
+    loan_return: "Leihrückkehr"
+};
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function formatDate(date) {
+    return date ? new Date(date).toLocaleDateString('de-DE') : "-";
+}
+
+export function transferFee(player, rules = getLeagueRules()) {
+    const value = typeof player.value === "number" ? player.value : parseFloat(player.value) || 0;
+    return value * rules.transfer.valueMultiplier;
+}
+
+/**
+ * Schreibplan für `transfer_player`: Teams der Spieler, Transfer-Einträge und Buchungen in einem Schritt.
+ * `moves` sind die Spielerwechsel, jede Buchung verweist über `move` auf ihren Wechsel.
+ * Das aufnehmende Team zahlt, das abgebende Team erhält; `from_team = null` ist ein Neuzugang von außen.
+ */
+export function buildTransferPlan(player, fromTeam, toTeam, fee, date = today(), { kind = "transfer", loanUntil = null } = {}) {
+    const label = `${player.name} (${player.position})`;
+    const loan = kind === "loan" ? ` bis ${formatDate(loanUntil)}` : "";
+    const transactions = [];
+    if (fee > 0) {
+        if (TEAMS.includes(toTeam)) {
+            transactions.push({ date, type: "Spielerkauf", team: toTeam, amount: -fee, info: `${kind === "loan" ? "Leihe" : "Kauf"} von ${label}${loan}`, move: 0 });
+        }
+        if (TEAMS.includes(fromTeam)) {
+            transactions.push({ date, type: "Spielerverkauf", team: fromTeam, amount: fee, info: `${kind === "loan" ? "Verleih" : "Verkauf"} von ${label}${loan}`, move: 0 });
+        }
+    }
+    return {
+        date,
+        moves: [{ player_id: player.id, from_team: fromTeam, to_team: toTeam, fee, kind, loan_until: loanUntil }],
+        transactions
+    };
+}
+
+/**
+ * Tausch zweier Spieler von AEK und Real, optional mit Zuzahlung.
+ * Die Zuzahlung zählt als Ablöse des Wechsels, bei dem das zahlende Team einen Spieler bekommt.
+ */
+export function buildSwapPlan(player, partner, topUp = 0, payer = null, date = today()) {
+    const moves = [
+        { player_id: player.id, from_team: player.team, to_team: partner.team, fee: 0, kind: "swap", loan_until: null },
+        { player_id: partner.id, from_team: partner.team, to_team: player.team, fee: 0, kind: "swap", loan_until: null }
+    ];
+    const transactions = [];
+    if (topUp > 0 && TEAMS.includes(payer)) {
+        const move = moves.findIndex(m => m.to_team === payer);
+        const receiver = moves[move].from_team;
+        const info = `Tausch ${player.name} ↔ ${partner.name} (Zuzahlung)`;
+        moves[move].fee = topUp;
+        transactions.push(
+            { date, type: "Spielerkauf", team: payer, amount: -topUp, info, move },
+            { date, type: "Spielerverkauf", team: receiver, amount: topUp, info, move }
+        );
+    }
+    return { date, moves, transactions };
+}
+
+// Leihspieler geht ohne Buchung zum verleihenden Team zurück
+export function buildLoanReturnPlan(player, loan, date = today()) {
+    return {
+        date,
+        moves: [{ player_id: player.id, from_team: loan.to_team, to_team: loan.from_team, fee: 0, kind: "loan_return", loan_until: null }],
+        transactions: []
+    };
+}
+
+// Laufende Leihe eines Spielers: sein letzter Transfer, wenn es eine Leihe war
+export function activeLoan(transfers = [], playerId) {
+    const own = transfers
+        .filter(t => t.player_id === playerId)
+        .sort((a, b) => (a.date || "").localeCompare(b.date || "") || a.id - b.id);
+    const last = own[own.length - 1];
+    return last && last.kind === "loan" ? last : null;
+}
+
+// Teams, deren Kontostand samt Überziehungsrahmen (Regeln am Tag des Transfers) für die Zahlungen des Plans nicht reicht
+export function transferShortfalls(plan, balances = {}, financeRules = getRulesForDate(plan.date).finance) {
+    const floor = -(financeRules?.overdraftLimit || 0);
+    const after = { ...balances };
+    plan.transactions.forEach(t => { after[t.team] = (after[t.team] || 0) + t.amount; });
+    return Object.keys(after).filter(team => after[team] < floor && plan.transactions.some(t => t.team === team && t.amount < 0));
+}
+
+// Überzogene Teams mit Transfersperre, die durch den Plan Spieler dazubekämen (Leihrückkehr ausgenommen)
+export function transferBans(plan, balances = {}, financeRules = getLeagueRules().finance) {
+    return TEAMS.filter(team =>
+        overdraftStatus(balances[team] || 0, financeRules).transferBan &&
+        plan.moves.some(m => m.to_team === team && m.kind !== "loan_return")
+    );
+}
+
+// Marktwerte eines Spielers, älteste zuerst
+export function playerValueHistory(history = [], playerId) {
+    return history
+        .filter(h => h.player_id === playerId)
+        .sort((a, b) => (a.date || "").localeCompare(b.date || "") || a.id - b.id);
+}
+
+// Letzte Marktwertänderung, null solange es nur einen Wert gibt
+export function valueTrend(history = [], playerId) {
+    const entries = playerValueHistory(history, playerId);
+    if (entries.length < 2) return null;
+    const current = entries[entries.length - 1];
+    const previous = entries[entries.length - 2];
+    return { current: current.value, previous: previous.value, delta: current.value - previous.value, date: current.date };
+}
+
+export function biggestTransfer(transfers = []) {
+    return transfers.reduce((best, t) => (!best || (t.fee || 0) > (best.fee || 0) ? t : best), null);
+}
+
+// Ausgaben minus Einnahmen je Team; positiv heißt mehr gekauft als verkauft
+export function netTransferSpend(transfers = []) {
+    const spend = Object.fromEntries(TEAMS.map(team => [team, 0]));
+    transfers.forEach(t => {
+        if (TEAMS.includes(t.to_team)) spend[t.to_team] += t.fee || 0;
+        if (TEAMS.includes(t.from_team)) spend[t.from_team] -= t.fee || 0;
+    });
+    return spend;
+}
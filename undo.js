@@ -0,0 +1,171 @@
+/**
+ * Undo
+ * Session-wide undo/redo history for destructive actions: deleting players, bans and matches and
+ * moving players between teams. Before an action runs, the rows it removes are captured and turned
+ * into restore steps for `apply_undo` (see SUPABASE_SETUP.md). Deleted rows come back with their old
+ * ids; counters and balances are corrected by the difference, so changes made in between survive.
+ */
+import { dataManager } from './dataManager.js';
+import { ErrorHandler } from './utils.js';
+
+const HISTORY_LIMIT = 50;
+
+class UndoManager {
+    constructor() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.busy = false;
+    }
+
+    /**
+     * Nimmt eine ausgeführte Aktion in die Historie auf und zeigt den "Rückgängig"-Toast.
+     * @param {Object} entry - { label, undo: async () => {}, redo: async () => {} }
+     */
+    record(entry) {
+        this.undoStack.push(entry);
+        if (this.undoStack.length > HISTORY_LIMIT) this.undoStack.shift();
+        this.redoStack = [];
+        this.notify(entry.label, 'success', 'Rückgängig', () => this.undo());
+    }
+
+    async undo() {
+        return this.step(this.undoStack, this.redoStack, 'undo');
+    }
+
+    async redo() {
+        return this.step(this.redoStack, this.undoStack, 'redo');
+    }
+
+    async step(from, to, direction) {
+        if (this.busy || !from.length) return false;
+        const entry = from.pop();
+        this.busy = true;
+        try {
+            await entry[direction]();
+        } catch (error) {
+            // Bleibt in der Historie, damit es erneut versucht werden kann
+            from.push(entry);
+            ErrorHandler.handleDatabaseError(error, direction === 'undo' ? 'Rückgängig machen' : 'Wiederholen');
+            return false;
+        } finally {
+            this.busy = false;
+        }
+        to.push(entry);
+        if (direction === 'undo') {
+            this.notify(`Rückgängig gemacht: ${entry.label}`, 'info', 'Wiederholen', () => this.redo());
+        } else {
+            this.notify(entry.label, 'success', 'Rückgängig', () => this.undo());
+        }
+        return true;
+    }
+
+    notify(message, type, actionLabel, onClick) {
+        ErrorHandler.showUserError(message, type, { label: actionLabel, onClick });
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0 && !this.busy;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0 && !this.busy;
+    }
+
+    // Beschriftungen der rückgängig machbaren Aktionen, neueste zuerst
+    history() {
+        return this.undoStack.map(entry => entry.label).reverse();
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
+
+export const undoManager = new UndoManager();
+
+const insertSteps = (table, rows = []) => rows.map(row => ({ op: 'insert', table, row }));
+
+/**
+ * Wiederherstellung eines gelöschten Spielers samt Marktwertverlauf und Transfers.
+ * Buchungen und Matches, deren Verweis beim Löschen auf NULL gesetzt wurde, werden neu verknüpft.
+ */
+export function playerRestoreSteps({ player, valueHistory = [], transfers = [], transferTransactions = [], sdsMatches = [] }) {
+    return [
+        { op: 'insert', table: 'players', row: player },
+        // Der Trigger auf players.value legt beim Einfügen einen neuen Verlaufseintrag an
+        { op: 'delete', table: 'player_value_history', match: { player_id: player.id } },
+        ...insertSteps('player_value_history', valueHistory),
+        ...insertSteps('transfers', transfers),
+        ...transferTransactions.map(tx => ({ op: 'update', table: 'transactions', match: { id: tx.id }, values: { transfer_id: tx.transfer_id } })),
+        ...sdsMatches.map(m => ({ op: 'update', table: 'matches', match: { id: m.id }, values: { manofthematch_id: player.id } }))
+    ];
+}
+
+export function banRestoreSteps({ ban, servings = [] }) {
+    return [{ op: 'insert', table: 'bans', row: ban }, ...insertSteps('ban_servings', servings)];
+}
+
+/**
+ * Gegenstück zu `delete_match`: Match, seine Kartensperren, abgesessene Spiele und Buchungen kommen
+ * zurück, Tore, SdS und Kontostände werden um die zurückgenommenen Werte erhöht.
+ * @param {Object} snapshot
+ * @param {Array} snapshot.bans - vom Match ausgelöste Sperren
+ * @param {Array} snapshot.servings - abgesessene Spiele in diesem Match und der Sperren aus diesem Match
+ * @param {Object} snapshot.financeDelta - { AEK: { balance, debt } } was das Löschen abgezogen hat
+ */
+export function matchRestoreSteps({ match, bans = [], servings = [], transactions = [], goals = [], sds = null, financeDelta = {} }) {
+    const ownBans = new Set(bans.map(b => b.id));
+    const served = new Map();
+    servings
+        .filter(s => s.match_id === match.id && !ownBans.has(s.ban_id))
+        .forEach(s => served.set(s.ban_id, (served.get(s.ban_id) || 0) + 1));
+
+    return [
+        { op: 'insert', table: 'matches', row: match },
+        ...insertSteps('bans', bans),
+        ...insertSteps('ban_servings', servings),
+        ...[...served].map(([id, games]) => ({ op: 'increment', table: 'bans', match: { id }, values: { matchesserved: games } })),
+        ...insertSteps('transactions', transactions),
+        ...goals.filter(g => g.count).map(g => ({ op: 'increment', table: 'players', match: { id: g.player_id }, values: { goals: g.count } })),
+        ...(sds ? [{ op: 'increment', table: 'spieler_des_spiels', match: { name: sds.name, team: sds.team }, values: { count: 1 } }] : []),
+        ...Object.entries(financeDelta)
+            .filter(([, d]) => d.balance || d.debt)
+            .map(([team, d]) => ({ op: 'increment', table: 'finances', match: { team }, values: { balance: d.balance || 0, debt: d.debt || 0 } }))
+    ];
+}
+
+/**
+ * Macht einen `transfer_player`-Plan rückgängig: Buchungen und Transfer-Einträge löschen,
+ * Kontostände zurückbuchen und die Spieler in ihr altes Team setzen.
+ * @param {Array<number>} transferIds - Rückgabe von `transfer_player`, in der Reihenfolge der Wechsel
+ */
+export function transferUndoSteps(plan, transferIds = []) {
+    const balances = {};
+    plan.transactions.forEach(t => { balances[t.team] = (balances[t.team] || 0) - t.amount; });
+    return [
+        ...transferIds.map(id => ({ op: 'delete', table: 'transactions', match: { transfer_id: id } })),
+        ...Object.entries(balances)
+            .filter(([, amount]) => amount)
+            .map(([team, amount]) => ({ op: 'increment', table: 'finances', match: { team }, values: { balance: amount } })),
+        ...transferIds.map(id => ({ op: 'delete', table: 'transfers', match: { id } })),
+        ...plan.moves
+            .filter(m => m.from_team)
+            .map(m => ({ op: 'update', table: 'players', match: { id: m.player_id }, values: { team: m.from_team } }))
+    ];
+}
+
+/**
+ * Führt einen Spielerwechsel aus und nimmt ihn in die Historie auf.
+ * Wiederholen bucht den Plan neu; die neuen Transfer-IDs gelten dann für das nächste Rückgängig.
+ */
+export async function transferWithUndo(plan, label) {
+    let { data: transferIds } = await dataManager.transferPlayer(plan);
+    undoManager.record({
+        label,
+        undo: () => dataManager.applyUndo(transferUndoSteps(plan, transferIds || [])),
+        redo: async () => {
+            ({ data: transferIds } = await dataManager.transferPlayer(plan));
+        }
+    });
+}
@@ -127,7 +127,10 @@ export class LoadingManager {
 
 // Error Handling Utilities
 export class ErrorHandler {
-    static showUserError(message, type = 'error') {
+    /**
+     * @param {Object} [action] - optionaler Button im Hinweis, z.B. { label: 'Rückgängig', onClick }
+     */
+    static showUserError(message, type = 'error', action = null) {
         console.error('User Error:', message);
         
         // Create or update error notification
@@ -153,6 +156,7 @@ export class ErrorHandler {
                         <i class="fas fa-${type === 'error' ? 'exclamation-triangle' : type === 'success' ? 'check-circle' : 'info-circle'} mr-2"></i>
                         <span>${message}</span>
                     </div>
+                    ${action ? `<button type="button" class="notification-action ml-4 font-semibold underline hover:text-gray-200">${action.label}</button>` : ''}
                     <button onclick="this.parentElement.parentElement.remove()" class="ml-4 text-white hover:text-gray-200">
                         <i class="fas fa-times"></i>
                     </button>
@@ -160,9 +164,19 @@ export class ErrorHandler {
             </div>
         `;
 
-        // Auto-remove after 5 seconds for error/warning, 3 seconds for success
-        const autoRemoveTime = type === 'success' ? 3000 : 5000;
-        setTimeout(() => {
+        const actionButton = action && notification.querySelector('.notification-action');
+        if (actionButton) {
+            actionButton.onclick = () => {
+                notification.remove();
+                action.onClick();
+            };
+        }
+
+        // Auto-remove after 5 seconds for error/warning, 3 seconds for success, 8 seconds with an action
+        const autoRemoveTime = action ? 8000 : type === 'success' ? 3000 : 5000;
+        // Ein älterer Timer darf den neuen Hinweis nicht vorzeitig entfernen
+        clearTimeout(this.notificationTimer);
+        this.notificationTimer = setTimeout(() => {
             if (notification && notification.parentElement) {
                 notification.remove();
             }